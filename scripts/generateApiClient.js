@@ -0,0 +1,176 @@
+/**
+ * File: scripts/generateApiClient.js
+ * Description: 🔌 Writes src/services/apiClient.js from the OpenAPI document in server/apiSpec.js
+ *
+ * One exported function per operation, named after its operationId. Each takes a single
+ * object: path and query parameters by name, `body` for JSON request bodies and an
+ * optional AbortSignal as `signal`. Operations that do not answer JSON (media files,
+ * /metrics) get a `<operationId>Url` builder instead.
+ *
+ *   npm run generate:api-client   - regenerate after changing the document
+ *   npm run check:api-client      - exit 1 when the generated file is out of date
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listOperations, spec } = require('../server/apiSpec');
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'services', 'apiClient.js');
+
+const resolveSchema = (schema) => (schema && schema.$ref ?
+  spec.components.schemas[schema.$ref.split('/').pop()] :
+  schema);
+
+const isJsonResponse = (operation) => Object.entries(operation.responses)
+  .some(([status, response]) => status.startsWith('2') && response.content?.['application/json']);
+
+// Path template → template literal with encoded parameters
+const toTemplate = (route) => `\`${route.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`)}\``;
+
+const describeBody = (schema) => {
+  const resolved = resolveSchema(schema);
+  const name = schema.$ref ? `${schema.$ref.split('/').pop()} - ` : '';
+  const required = resolved.required || [];
+  const fields = Object.keys(resolved.properties || {})
+    .map(field => (required.includes(field) ? field : `[${field}]`))
+    .join(', ');
+  return `${name}{ ${fields} }`;
+};
+
+const generateOperation = ({ method, path: route, operation, parameters }) => {
+  const pathParams = parameters.filter(parameter => parameter.in === 'path');
+  const queryParams = parameters.filter(parameter => parameter.in === 'query');
+  const bodyContent = operation.requestBody && Object.entries(operation.requestBody.content)[0];
+  const json = isJsonResponse(operation);
+
+  const docLines = [`${method} ${route} - ${operation.summary}`];
+  [...pathParams, ...queryParams].forEach(parameter => {
+    const name = parameter.required ? `params.${parameter.name}` : `[params.${parameter.name}]`;
+    docLines.push(`@param {${parameter.schema.type}} ${name} - ${parameter.description}`);
+  });
+
+  if (!json) {
+    const query = queryParams.length > 0 ? `, { ${queryParams.map(parameter => parameter.name).join(', ')} }` : '';
+    const args = [...pathParams, ...queryParams].map(parameter => parameter.name).join(', ');
+    return [
+      '/**',
+      ...docLines.map(line => ` * ${line}`),
+      ' */',
+      `export const ${operation.operationId}Url = (${args ? `{ ${args} }` : ''}) => buildUrl(${toTemplate(route)}${query});`
+    ].join('\n');
+  }
+
+  if (bodyContent) {
+    const [contentType, { schema }] = bodyContent;
+    docLines.push(contentType === 'application/json' ?
+      `@param {object} params.body - ${describeBody(schema)}` :
+      `@param {Blob|FormData} params.body - ${contentType}`);
+  }
+  docLines.push('@param {AbortSignal} [params.signal]');
+  docLines.push('@returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses');
+
+  const names = [
+    ...pathParams.map(parameter => parameter.name),
+    ...queryParams.map(parameter => parameter.name),
+    ...(bodyContent ? ['body'] : []),
+    'signal'
+  ];
+  const options = [
+    ...(queryParams.length > 0 ? [`query: { ${queryParams.map(parameter => parameter.name).join(', ')} }`] : []),
+    ...(bodyContent ? ['body', `contentType: '${bodyContent[0]}'`] : []),
+    'signal'
+  ];
+
+  return [
+    '/**',
+    ...docLines.map(line => ` * ${line}`),
+    ' */',
+    `export const ${operation.operationId} = ({ ${names.join(', ')} } = {}) =>`,
+    `  request('${method}', ${toTemplate(route)}, { ${options.join(', ')} });`
+  ].join('\n');
+};
+
+const HEADER = `/**
+ * File: src/services/apiClient.js
+ * Description: 🔌 API client generated from the OpenAPI document (server/apiSpec.js)
+ *
+ * GENERATED by scripts/generateApiClient.js - do not edit by hand; run
+ * \`npm run generate:api-client\` after changing the document.
+ *
+ * Every function takes one object: path/query parameters by name, \`body\` and an
+ * optional AbortSignal \`signal\`. Non-2xx answers reject with ApiError, which
+ * carries the HTTP status and the parsed response body.
+ */
+
+export class ApiError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const buildUrl = (path, query) => {
+  const params = new URLSearchParams();
+  Object.entries(query || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) params.append(name, String(value));
+  });
+  const search = params.toString();
+  return search ? \`\${path}?\${search}\` : path;
+};
+
+const request = async (method, path, { query, body, contentType, signal } = {}) => {
+  const options = { method, signal };
+
+  if (body !== undefined) {
+    if (contentType === 'application/json') {
+      options.headers = { 'Content-Type': contentType };
+      options.body = JSON.stringify(body);
+    } else {
+      // FormData sets its own multipart boundary
+      if (contentType !== 'multipart/form-data') options.headers = { 'Content-Type': contentType };
+      options.body = body;
+    }
+  }
+
+  const response = await fetch(buildUrl(path, query), options);
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new ApiError(
+      response.status,
+      result.message || \`\${method} \${path} failed: \${response.status} \${response.statusText}\`,
+      result
+    );
+  }
+
+  return result;
+};
+`;
+
+const generate = () => {
+  const sections = spec.tags.map(tag => {
+    const operations = listOperations().filter(({ operation }) => operation.tags[0] === tag.name);
+    return [`// 📂 ${tag.name} - ${tag.description}`, ...operations.map(generateOperation)].join('\n\n');
+  });
+
+  return `${HEADER}\n${sections.join('\n\n')}\n`;
+};
+
+const output = generate();
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+  if (current !== output) {
+    console.error('❌ src/services/apiClient.js is out of date - run npm run generate:api-client');
+    process.exit(1);
+  }
+  console.log('✅ src/services/apiClient.js matches server/apiSpec.js');
+} else {
+  fs.writeFileSync(OUTPUT_FILE, output);
+  console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT_FILE)} (${listOperations().length} operations)`);
+}
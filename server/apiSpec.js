@@ -0,0 +1,1286 @@
+/**
+ * File: server/apiSpec.js
+ * Description: 📜 API Specification - the HTTP API described once, as an OpenAPI 3.0 document
+ *
+ * Everything that describes the API is derived from this document: request and
+ * response validation (apiValidation.js), GET /api/docs, the 404 route suggestions
+ * and the browser client (src/services/apiClient.js, generated by
+ * scripts/generateApiClient.js). Adding a route means adding its operation here -
+ * the server warns at startup about routes the document does not describe.
+ * Limits come from config.js, so the document always states the running values.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - MpvClock samples in session status and the event stream; clock-ping / clock-pong
+ * v1.2.0 (2026-10-19) - Tracks (select, external subtitles) and chapters
+ * v1.3.0 (2026-10-19) - Audio filter chains (catalogue, validate, set/add/remove) and per-media chains in the library
+ * v1.4.0 (2026-10-19) - Video thumbnail strips and preview frames
+ * v1.5.0 (2026-10-19) - Screenshots saved as library snapshots, snapshot regions
+ * v1.6.0 (2026-10-19) - Crash recovery: recovering connection state, mpv-crashed / mpv-recovered events
+ * v1.7.0 (2026-10-19) - No IPC socket paths in LaunchResult / SessionStatus
+ */
+
+const { config, UPLOAD_LIMITS } = require('./config');
+const { SEEK_MODES } = require('./commandPolicy');
+const { EVENT_STREAM_PATH } = require('./eventStream');
+const { MAX_FILTERS } = require('./audioFilters');
+
+const API_VERSION = '2.0.0';
+const OPENAPI_PATH = '/api/openapi.json';
+const MB = 1024 * 1024;
+
+// 🧩 Schema helpers
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type, extra = {}) => ({ type, nullable: true, ...extra });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+  ...extra
+});
+
+const json = (schema) => ({ 'application/json': { schema } });
+const ok = (schema, description = 'Success') => ({ description, content: json(schema) });
+const failure = (description) => ({ description, content: json(ref('ErrorResponse')) });
+
+const jsonBody = (schema, example) => ({
+  required: true,
+  content: { 'application/json': { schema, ...(example ? { example } : {}) } }
+});
+
+const pathParam = (name, description, schema = { type: 'string' }) => ({
+  name, in: 'path', required: true, description, schema
+});
+
+const queryParam = (name, description, schema, required = false) => ({
+  name, in: 'query', required, description, schema
+});
+
+const SESSION_ID = pathParam('sessionId', 'MPV session ID');
+const MEDIA_ID = pathParam('mediaId', 'Opaque media ID from an upload or the library');
+const UPLOAD_ID = pathParam('uploadId', 'Chunked upload ID from POST /api/uploads');
+const SESSION_QUERY = queryParam('sessionId', 'Target session (defaults to the most recently launched one)', { type: 'string' });
+
+// A waveform region a snapshot is evidence for - null when it is not attached
+const REGION = nullable('object', {
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    start: { type: 'number', minimum: 0 },
+    end: { type: 'number', minimum: 0 }
+  },
+  required: ['id', 'start', 'end']
+});
+
+// Every JSON operation answers errors with ErrorResponse
+const operation = ({ responses, ...rest }) => ({
+  ...rest,
+  responses: { ...responses, default: failure('Error') }
+});
+
+// operationId from a prefix and a name: ('session', 'Seek') → sessionSeek, ('', 'Playlist') → playlist
+const operationId = (prefix, name) => (prefix ? `${prefix}${name}` : `${name[0].toLowerCase()}${name.slice(1)}`);
+
+// 📐 Reusable schemas
+const schemas = {
+  ErrorResponse: object({
+    success: { type: 'boolean', enum: [false] },
+    message: { type: 'string' },
+    error: { type: 'object', description: 'Structured details, e.g. { code, errors } for invalid requests' }
+  }, ['success', 'message']),
+
+  SuccessMessage: object({
+    success: { type: 'boolean', enum: [true] },
+    message: { type: 'string' }
+  }, ['success']),
+
+  UploadLimits: object({
+    maxFileSize: { type: 'integer', description: 'Bytes' },
+    chunkSize: { type: 'integer', description: 'Bytes per PUT the browser should send' },
+    maxChunkSize: { type: 'integer', description: 'Largest chunk the server accepts' },
+    allowedExtensions: arrayOf({ type: 'string' })
+  }, ['maxFileSize', 'chunkSize', 'maxChunkSize', 'allowedExtensions']),
+
+  ChunkedUpload: object({
+    success: { type: 'boolean' },
+    uploadId: { type: 'string' },
+    fileName: { type: 'string' },
+    fileSize: { type: 'integer' },
+    receivedBytes: { type: 'integer', description: 'Resume the upload from this offset' },
+    chunkSize: { type: 'integer' },
+    complete: { type: 'boolean' }
+  }, ['success', 'uploadId', 'fileSize', 'receivedBytes']),
+
+  MediaUploadResult: object({
+    success: { type: 'boolean', enum: [true] },
+    mediaId: { type: 'string' },
+    fileName: { type: 'string' },
+    fileSize: { type: 'integer' },
+    duplicate: { type: 'boolean', description: 'The same content was already in the library - its mediaId is reused' },
+    processingTime: { type: 'number' },
+    message: { type: 'string' }
+  }, ['success', 'mediaId', 'fileName', 'fileSize', 'duplicate']),
+
+  MediaProbe: object({
+    source: { type: 'string', enum: ['ffprobe', 'mpv'] },
+    duration: nullable('number'),
+    container: { type: 'object' },
+    streams: arrayOf(object({
+      index: { type: 'integer' },
+      type: { type: 'string' },
+      codec: nullable('string')
+    }, ['type'])),
+    chapters: arrayOf(object({
+      index: { type: 'integer' },
+      title: nullable('string'),
+      start: nullable('number'),
+      end: nullable('number')
+    })),
+    tags: { type: 'object' }
+  }, ['source', 'duration', 'streams']),
+
+  WaveformPeaks: object({
+    duration: { type: 'number' },
+    sampleRate: { type: 'integer' },
+    samplesPerPeak: { type: 'integer' },
+    peaksPerSecond: { type: 'number' },
+    length: { type: 'integer' },
+    format: { type: 'string', enum: ['minmax'] },
+    levels: { type: 'array' },
+    data: { type: 'array', description: 'Interleaved min/max pairs in -1..1' }
+  }, ['duration', 'samplesPerPeak', 'length', 'format', 'data']),
+
+  ThumbnailStrip: object({
+    interval: { type: 'integer', description: 'Seconds between frames - frame i shows the picture at i * interval' },
+    count: { type: 'integer' },
+    truncated: { type: 'boolean', description: 'The media is longer than the strip - pick a coarser interval' },
+    width: { type: 'integer' },
+    height: { type: 'integer' },
+    intervals: arrayOf({ type: 'integer' }, { description: 'Every interval the server extracts' })
+  }, ['interval', 'count', 'width', 'height', 'intervals']),
+
+  LibraryItem: object({
+    id: { type: 'string' },
+    fileName: { type: 'string' },
+    originalNames: arrayOf({ type: 'string' }),
+    fileSize: { type: 'integer' },
+    contentHash: { type: 'string' },
+    addedAt: { type: 'string', format: 'date-time' },
+    lastUsedAt: { type: 'string', format: 'date-time' },
+    pinned: { type: 'boolean' },
+    probe: nullable('object', { description: 'Probe summary (duration, codecs, resolution) once probed' }),
+    inUse: { type: 'boolean', description: 'Loaded or queued in a running player' },
+    audioFilters: arrayOf(ref('AudioFilter'), { description: 'Filter chain restored when the media is opened' }),
+    snapshot: ref('Snapshot')
+  }, ['id', 'fileName', 'fileSize', 'pinned', 'inUse']),
+
+  Snapshot: object({
+    sourceMediaId: { type: 'string', description: 'Media the frame was captured from' },
+    time: { type: 'number', description: 'Seconds into the source media' },
+    region: REGION,
+    capturedAt: { type: 'string', format: 'date-time' }
+  }, ['sourceMediaId', 'time', 'region', 'capturedAt']),
+
+  WindowOptions: object({
+    geometry: { type: 'string', description: 'mpv geometry such as 800x600+100+100' },
+    ontop: { type: 'boolean' },
+    title: { type: 'string' }
+  }),
+
+  LaunchRequest: object({
+    mediaId: { type: 'string', description: 'Opaque ID returned by /api/upload (preferred)' },
+    mediaPath: { type: 'string', description: 'Absolute path inside a managed media root (media.roots)' },
+    sessionId: { type: 'string', description: 'Relaunch inside this session instead of creating one' },
+    windowOptions: ref('WindowOptions')
+  }, [], { anyOf: [{ required: ['mediaId'] }, { required: ['mediaPath'] }] }),
+
+  LaunchResult: object({
+    success: { type: 'boolean', enum: [true] },
+    message: { type: 'string' },
+    sessionId: { type: 'string' },
+    launchTime: { type: 'number' },
+    mediaId: { type: 'string' }
+  }, ['success', 'sessionId', 'mediaId']),
+
+  MpvCommand: arrayOf({}, {
+    minItems: 1,
+    description: 'MPV JSON IPC command, e.g. ["set_property", "pause", true] - see /api/mpv-command-policy'
+  }),
+
+  CommandRequest: object({
+    command: { oneOf: [ref('MpvCommand'), { type: 'string' }] },
+    source: { type: 'string', description: 'Caller identifier echoed in the response' },
+    sessionId: { type: 'string' }
+  }, ['command']),
+
+  CommandResult: object({
+    success: { type: 'boolean', enum: [true] },
+    response: {},
+    responseTime: { type: 'number' },
+    source: { type: 'string' },
+    sessionId: { type: 'string' },
+    command: ref('MpvCommand')
+  }, ['success', 'sessionId', 'command']),
+
+  BatchRequest: object({
+    commands: arrayOf(ref('MpvCommand'), { minItems: 1, maxItems: config.mpv.maxBatchSize }),
+    stopOnError: { type: 'boolean', description: 'Run one at a time and skip the rest after the first failure (default: pipelined)' },
+    source: { type: 'string' },
+    sessionId: { type: 'string' }
+  }, ['commands']),
+
+  BatchResult: object({
+    success: { type: 'boolean', description: 'false when any command failed - see results' },
+    results: arrayOf(object({
+      command: ref('MpvCommand'),
+      success: { type: 'boolean' },
+      data: {},
+      error: { type: 'string' },
+      skipped: { type: 'boolean' },
+      responseTime: { type: 'number' }
+    }, ['command', 'success'])),
+    completed: { type: 'integer' },
+    failed: { type: 'integer' },
+    skipped: { type: 'integer' },
+    stopOnError: { type: 'boolean' },
+    source: { type: 'string' },
+    sessionId: { type: 'string' },
+    responseTime: { type: 'number' }
+  }, ['success', 'results', 'completed', 'failed', 'skipped', 'sessionId']),
+
+  SeekRequest: object({
+    time: { type: 'number', description: 'Seconds' },
+    mode: { type: 'string', enum: SEEK_MODES, default: 'absolute' },
+    sessionId: { type: 'string' }
+  }, ['time']),
+
+  SeekResult: object({
+    success: { type: 'boolean', enum: [true] },
+    response: {},
+    seekTime: { type: 'number' },
+    mode: { type: 'string' },
+    sessionId: { type: 'string' },
+    responseTime: { type: 'number' }
+  }, ['success', 'seekTime', 'mode', 'sessionId']),
+
+  MediaRequest: object({
+    mediaId: { type: 'string', minLength: 1 },
+    sessionId: { type: 'string' }
+  }, ['mediaId']),
+
+  MpvClock: object({
+    position: { type: 'number', description: 'time-pos in seconds at monotonicTime' },
+    monotonicTime: { type: 'number', description: 'Server monotonic clock in milliseconds (never jumps, unrelated to wall time)' },
+    speed: { type: 'number' },
+    paused: { type: 'boolean' }
+  }, ['position', 'monotonicTime', 'speed', 'paused'], {
+    nullable: true, // No time-pos yet (nothing loaded)
+    description: 'Playback position now = position + (paused ? 0 : (serverNow - monotonicTime) / 1000 * speed)'
+  }),
+
+  SessionStatus: object({
+    sessionId: nullable('string'),
+    createdAt: { type: 'integer' },
+    isRunning: { type: 'boolean' },
+    isConnected: { type: 'boolean' },
+    connectionState: { type: 'string', enum: ['idle', 'connecting', 'connected', 'degraded', 'lost', 'recovering'] },
+    reconnectAttempts: { type: 'integer' },
+    lastProbeLatency: nullable('number'),
+    currentTime: nullable('number'),
+    clock: ref('MpvClock'),
+    duration: nullable('number'),
+    mediaId: nullable('string'),
+    windowOptions: nullable('object'),
+    heartbeatAge: nullable('number'),
+    isHealthy: { type: 'boolean' },
+    performance: { type: 'object' },
+    audioFilters: arrayOf(ref('AudioFilter')),
+    sessionCount: { type: 'integer' }
+  }, ['sessionId', 'isRunning', 'isConnected']),
+
+  PropertiesResult: object({
+    success: { type: 'boolean', enum: [true] },
+    sessionId: { type: 'string' },
+    properties: object({
+      timePos: nullable('number'),
+      duration: nullable('number'),
+      isPlaying: { type: 'boolean' },
+      speed: nullable('number'),
+      volume: nullable('number')
+    }),
+    responseTime: { type: 'number' }
+  }, ['success', 'sessionId', 'properties']),
+
+  Playlist: object({
+    entries: arrayOf(object({
+      index: { type: 'integer' },
+      mediaId: nullable('string'),
+      fileName: { type: 'string' },
+      current: { type: 'boolean' },
+      playing: { type: 'boolean' }
+    }, ['index', 'mediaId', 'fileName'])),
+    position: { type: 'integer', description: '-1 when nothing is selected' }
+  }, ['entries', 'position']),
+
+  PlaylistResult: object({
+    success: { type: 'boolean', enum: [true] },
+    sessionId: { type: 'string' },
+    playlist: ref('Playlist'),
+    responseTime: { type: 'number' }
+  }, ['success', 'sessionId', 'playlist']),
+
+  Track: object({
+    id: { type: 'integer', description: 'mpv track id - unique per type' },
+    type: { type: 'string', enum: ['audio', 'video', 'sub'] },
+    title: nullable('string'),
+    lang: nullable('string'),
+    codec: nullable('string'),
+    default: { type: 'boolean' },
+    forced: { type: 'boolean' },
+    external: { type: 'boolean' },
+    selected: { type: 'boolean' },
+    mediaId: nullable('string', { description: 'Library media of an external track' }),
+    channelCount: nullable('integer')
+  }, ['id', 'type', 'selected', 'external', 'mediaId']),
+
+  TracksResult: object({
+    success: { type: 'boolean', enum: [true] },
+    sessionId: { type: 'string' },
+    tracks: arrayOf(ref('Track')),
+    responseTime: { type: 'number' }
+  }, ['success', 'sessionId', 'tracks']),
+
+  Chapter: object({
+    index: { type: 'integer' },
+    title: nullable('string'),
+    time: { type: 'number', description: 'Start in seconds' }
+  }, ['index', 'title', 'time']),
+
+  ChaptersResult: object({
+    success: { type: 'boolean', enum: [true] },
+    sessionId: { type: 'string' },
+    chapters: arrayOf(ref('Chapter')),
+    current: { type: 'integer', description: 'Chapter playing now, -1 before the first' }
+  }, ['success', 'sessionId', 'chapters', 'current']),
+
+  AudioFilter: object({
+    id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9]{0,31}$', description: 'Label for af remove - assigned (<name><n>) when missing' },
+    name: { type: 'string', enum: ['highpass', 'lowpass', 'equalizer', 'loudnorm', 'volume', 'channels'] },
+    params: { type: 'object', description: 'Parameters from the catalogue - missing ones take their defaults' }
+  }, ['name']),
+
+  AudioFilterChain: arrayOf(ref('AudioFilter'), { maxItems: MAX_FILTERS }),
+
+  AudioFiltersResult: object({
+    success: { type: 'boolean', enum: [true] },
+    sessionId: { type: 'string' },
+    filters: arrayOf(ref('AudioFilter')),
+    graph: { type: 'string', description: 'The rendered mpv af value' }
+  }, ['success', 'filters', 'graph']),
+
+  ToolCapability: object({
+    available: { type: 'boolean' },
+    binary: { type: 'string' },
+    path: nullable('string'),
+    version: nullable('string'),
+    simulator: { type: 'boolean' },
+    features: { type: 'object', additionalProperties: { type: 'boolean' } },
+    reason: nullable('string', { description: 'Why the tool cannot be used' }),
+    setting: { type: 'string', description: 'Configuration key that selects the binary' }
+  }, ['available', 'binary', 'version', 'features', 'reason']),
+
+  Capabilities: object({
+    mpv: ref('ToolCapability'),
+    ffmpeg: ref('ToolCapability'),
+    ffprobe: ref('ToolCapability'),
+    checkedAt: { type: 'string', format: 'date-time' }
+  }, ['mpv', 'ffmpeg', 'ffprobe', 'checkedAt']),
+
+  CommandLatency: object({
+    commands: { type: 'integer' },
+    meanMs: nullable('number'),
+    p50Ms: nullable('number'),
+    p95Ms: nullable('number'),
+    p99Ms: nullable('number'),
+    errors: { type: 'integer' },
+    timeouts: { type: 'integer' }
+  }, ['commands', 'errors', 'timeouts'])
+};
+
+// 🎬 Operations shared by the legacy single-player routes and /api/sessions/{sessionId}
+const playerOperations = ({ prefix, idPrefix, parameters, tag }) => {
+  const withSession = (op) => operation({ tags: [tag], parameters, ...op });
+  const id = (name) => operationId(idPrefix, name);
+
+  return {
+    [`${prefix}/command`]: {
+      post: withSession({
+        operationId: id('Command'),
+        summary: 'Send one MPV command (checked against the command policy)',
+        requestBody: jsonBody(ref('CommandRequest'), { command: ['set_property', 'pause', false], source: 'wavesurfer-sync' }),
+        responses: {
+          200: ok(ref('CommandResult')),
+          400: failure('MPV not connected, or malformed command'),
+          403: failure('Command or property not allowed')
+        }
+      })
+    },
+    [`${prefix}/batch`]: {
+      post: withSession({
+        operationId: id('Batch'),
+        summary: `Send up to ${config.mpv.maxBatchSize} MPV commands in one request (all validated before any runs)`,
+        requestBody: jsonBody(ref('BatchRequest'), { commands: [['set_property', 'speed', 1.5], ['seek', 30, 'absolute', 'exact']] }),
+        responses: { 200: ok(ref('BatchResult'), 'Per-command results - success is false when any failed') }
+      })
+    },
+    [`${prefix}/seek`]: {
+      post: withSession({
+        operationId: id('Seek'),
+        summary: 'Exact seek to a time in seconds',
+        requestBody: jsonBody(ref('SeekRequest'), { time: 45.5, mode: 'absolute' }),
+        responses: { 200: ok(ref('SeekResult')) }
+      })
+    },
+    [`${prefix}/load`]: {
+      post: withSession({
+        operationId: id('Load'),
+        summary: 'Switch the running player to managed media without relaunching (replaces the playlist)',
+        requestBody: jsonBody(ref('MediaRequest')),
+        responses: { 200: ok(ref('PlaylistResult')) }
+      })
+    },
+    [`${prefix}/status`]: {
+      get: withSession({
+        operationId: id('Status'),
+        summary: 'Connection and playback status (connectionState: idle/connecting/connected/degraded/lost)',
+        responses: { 200: ok(ref('SessionStatus')) }
+      })
+    },
+    [`${prefix}/properties`]: {
+      get: withSession({
+        operationId: id('Properties'),
+        summary: 'Current time, duration, pause, speed and volume read from MPV',
+        responses: { 200: ok(ref('PropertiesResult')) }
+      })
+    }
+  };
+};
+
+// 📋 Playlist operations - /api/playlist (default session) and /api/sessions/{sessionId}/playlist
+const playlistOperations = ({ prefix, idPrefix, parameters }) => {
+  const withSession = (op, extraParameters = []) => operation({
+    tags: ['playlist'],
+    parameters: [...parameters, ...extraParameters],
+    ...op
+  });
+  const id = (name) => operationId(idPrefix, name);
+  const playlistResult = { 200: ok(ref('PlaylistResult')) };
+  const entryResult = { ...playlistResult, 404: failure('No playlist entry at that index') };
+
+  return {
+    [prefix]: {
+      get: withSession({
+        operationId: id('Playlist'),
+        summary: 'Playlist with media IDs, the current entry and the playing entry',
+        responses: playlistResult
+      }),
+      post: withSession({
+        operationId: id('PlaylistAppend'),
+        summary: 'Append media (starts playing if MPV is idle)',
+        requestBody: jsonBody(ref('MediaRequest')),
+        responses: playlistResult
+      })
+    },
+    [`${prefix}/next`]: {
+      post: withSession({ operationId: id('PlaylistNext'), summary: 'Play the next entry', responses: playlistResult })
+    },
+    [`${prefix}/prev`]: {
+      post: withSession({ operationId: id('PlaylistPrev'), summary: 'Play the previous entry', responses: playlistResult })
+    },
+    [`${prefix}/move`]: {
+      post: withSession({
+        operationId: id('PlaylistMove'),
+        summary: 'Move an entry to a final index',
+        requestBody: jsonBody(object({
+          from: { type: 'integer', minimum: 0 },
+          to: { type: 'integer', minimum: 0, description: 'Final index of the entry' },
+          sessionId: { type: 'string' }
+        }, ['from', 'to'])),
+        responses: entryResult
+      })
+    },
+    [`${prefix}/play`]: {
+      post: withSession({
+        operationId: id('PlaylistPlay'),
+        summary: 'Play an entry',
+        requestBody: jsonBody(object({
+          index: { type: 'integer', minimum: 0 },
+          sessionId: { type: 'string' }
+        }, ['index'])),
+        responses: entryResult
+      })
+    },
+    [`${prefix}/{index}`]: {
+      delete: withSession({
+        operationId: id('PlaylistRemove'),
+        summary: 'Remove an entry',
+        responses: entryResult
+      }, [pathParam('index', 'Playlist index', { type: 'integer', minimum: 0 })])
+    }
+  };
+};
+
+// 🎚️ Track and chapter operations - /api/tracks (default session) and /api/sessions/{sessionId}/tracks
+const trackOperations = ({ prefix, idPrefix, parameters }) => {
+  const withSession = (op) => operation({ tags: ['tracks'], parameters, ...op });
+  const id = (name) => operationId(idPrefix, name);
+  const tracksResult = { 200: ok(ref('TracksResult')) };
+
+  return {
+    [`${prefix}/tracks`]: {
+      get: withSession({
+        operationId: id('Tracks'),
+        summary: 'Audio, video and subtitle tracks of the loaded media',
+        responses: tracksResult
+      })
+    },
+    [`${prefix}/tracks/select`]: {
+      post: withSession({
+        operationId: id('SelectTrack'),
+        summary: 'Select an audio or subtitle track (id false switches the type off)',
+        requestBody: jsonBody(object({
+          type: { type: 'string', enum: ['audio', 'sub'] },
+          id: { oneOf: [{ type: 'integer', minimum: 1 }, { type: 'boolean', enum: [false] }] },
+          sessionId: { type: 'string' }
+        }, ['type', 'id']), { type: 'sub', id: 1 }),
+        responses: { ...tracksResult, 404: failure('No track of that type and id') }
+      })
+    },
+    [`${prefix}/tracks/subtitles`]: {
+      post: withSession({
+        operationId: id('AddSubtitles'),
+        summary: 'Load a subtitle file from the library as an external subtitle track',
+        requestBody: jsonBody(object({
+          mediaId: { type: 'string', description: 'Library media with a subtitle extension (.srt, .ass, .ssa, .vtt, .sub)' },
+          title: { type: 'string' },
+          lang: { type: 'string' },
+          select: { type: 'boolean', description: 'Select the new track (default true)' },
+          sessionId: { type: 'string' }
+        }, ['mediaId'])),
+        responses: { ...tracksResult, 400: failure('Not a subtitle file'), 404: failure('Unknown media ID') }
+      })
+    },
+    [`${prefix}/chapters`]: {
+      get: withSession({
+        operationId: id('Chapters'),
+        summary: 'Chapters of the loaded media and the one playing now',
+        responses: { 200: ok(ref('ChaptersResult')) }
+      })
+    }
+  };
+};
+
+// 🎛️ Audio filter operations - /api/filters (default session) and /api/sessions/{sessionId}/filters
+const filterOperations = ({ prefix, idPrefix, parameters }) => {
+  const withSession = (op, extraParameters = []) => operation({
+    tags: ['filters'],
+    parameters: [...parameters, ...extraParameters],
+    ...op
+  });
+  const id = (name) => operationId(idPrefix, name);
+  const filtersResult = { 200: ok(ref('AudioFiltersResult')) };
+
+  return {
+    [`${prefix}/filters`]: {
+      get: withSession({
+        operationId: id('Filters'),
+        summary: 'Active audio filter chain and its rendered af graph',
+        responses: filtersResult
+      }),
+      put: withSession({
+        operationId: id('SetFilters'),
+        summary: 'Replace the whole chain (af set) - an empty list clears it',
+        requestBody: jsonBody(object({
+          filters: ref('AudioFilterChain'),
+          sessionId: { type: 'string' }
+        }, ['filters']), { filters: [{ name: 'highpass', params: { frequency: 100 } }, { name: 'loudnorm', params: {} }] }),
+        responses: { ...filtersResult, 400: failure('Unknown filter or parameter out of range') }
+      }),
+      post: withSession({
+        operationId: id('AddFilter'),
+        summary: 'Append one filter to the chain (af add)',
+        requestBody: jsonBody(object({
+          id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9]{0,31}$' },
+          name: { type: 'string' },
+          params: { type: 'object' },
+          sessionId: { type: 'string' }
+        }, ['name']), { name: 'equalizer', params: { frequency: 3000, gain: 4, q: 1 } }),
+        responses: { ...filtersResult, 400: failure(`Invalid filter, or the chain already has ${MAX_FILTERS}`), 409: failure('Duplicate filter id') }
+      })
+    },
+    [`${prefix}/filters/{filterId}`]: {
+      delete: withSession({
+        operationId: id('RemoveFilter'),
+        summary: 'Take one filter out of the chain by id (af remove)',
+        responses: { ...filtersResult, 404: failure('No filter with that id') }
+      }, [pathParam('filterId', 'Filter id from the chain')])
+    }
+  };
+};
+
+// 📸 Screenshot operations - /api/screenshot (default session) and /api/sessions/{sessionId}/screenshot
+const screenshotOperations = ({ prefix, idPrefix, parameters }) => ({
+  [`${prefix}/screenshot`]: {
+    post: operation({
+      tags: ['snapshots'],
+      parameters,
+      operationId: operationId(idPrefix, 'Screenshot'),
+      summary: 'Capture the frame on screen, or the frame at `time`, into the library as a snapshot',
+      description: 'With time, playback pauses, seeks there exactly, captures and returns to where it was. ' +
+        'subtitles: false leaves subtitles out; region attaches the snapshot to a waveform region.',
+      requestBody: jsonBody(object({
+        time: { type: 'number', minimum: 0, description: 'Seconds - defaults to the current position' },
+        subtitles: { type: 'boolean' },
+        region: REGION,
+        sessionId: { type: 'string' }
+      }), { time: 12.5, region: { id: 'region-1', start: 10, end: 15 } }),
+      responses: {
+        200: ok(object({
+          success: { type: 'boolean', enum: [true] },
+          sessionId: { type: 'string' },
+          snapshot: ref('LibraryItem')
+        }, ['success', 'snapshot'])),
+        400: failure('The player has no library media loaded'),
+        422: failure('No video frame (audio-only media) or no playback position (nothing playing)'),
+        503: failure('This mpv build cannot take screenshots')
+      }
+    })
+  }
+});
+
+const launchOperation = (op) => operation({
+  ...op,
+  responses: {
+    200: ok(ref('LaunchResult')),
+    404: failure('Unknown session or media'),
+    429: failure(`Session limit reached (mpv.maxSessions: ${config.mpv.maxSessions})`),
+    503: failure('mpv is missing or lacks JSON IPC - the body carries the capability report (see /api/capabilities)')
+  }
+});
+
+// 📜 The document
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Ultimate WaveSurfer-MPV API',
+    version: API_VERSION,
+    description: 'Professional-grade audio visualization with perfect MPV synchronization. ' +
+      'Errors are { success: false, message }; invalid requests add error.code INVALID_REQUEST with the failed checks.'
+  },
+  tags: [
+    { name: 'system', description: 'Health, configuration and monitoring' },
+    { name: 'uploads', description: `Uploads up to ${Math.round(UPLOAD_LIMITS.maxFileSize / MB)}MB (${UPLOAD_LIMITS.allowedExtensions.join(', ')})` },
+    { name: 'media', description: 'Uploaded media by opaque ID - server paths never leave the server' },
+    { name: 'library', description: 'Every uploaded file, deduplicated by content hash, with retention' },
+    { name: 'mpv', description: 'Legacy single-player routes - sessionId (body or query) or the most recently launched session' },
+    { name: 'sessions', description: `Independent MPV players (up to ${config.mpv.maxSessions})` },
+    { name: 'playlist', description: 'MPV playlist of a session, entries by media ID' },
+    { name: 'tracks', description: 'Audio/subtitle tracks and chapters of the media a session is playing' },
+    { name: 'filters', description: `Audio filter chains (EQ, high/low-pass, loudness, channel routing; up to ${MAX_FILTERS} filters) applied with mpv af` },
+    { name: 'snapshots', description: 'Frames captured from a player, kept in the library with their source media and time' }
+  ],
+  paths: {
+    // 🏥 System
+    '/ping': {
+      get: operation({
+        tags: ['system'],
+        operationId: 'ping',
+        summary: 'Health check and server status',
+        responses: { 200: ok(object({ status: { type: 'string' }, timestamp: { type: 'string' }, performance: { type: 'object' } }, ['status'])) }
+      })
+    },
+    '/metrics': {
+      get: {
+        tags: ['system'],
+        operationId: 'getMetrics',
+        summary: 'Prometheus metrics - MPV command latency histograms, error/timeout/reconnect counters, sessions, HTTP requests',
+        responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      }
+    },
+    '/api/system-info': {
+      get: operation({
+        tags: ['system'],
+        operationId: 'getSystemInfo',
+        summary: 'Server, host and detected tool information',
+        responses: { 200: ok(object({ server: { type: 'object' }, system: { type: 'object' }, mpv: { type: 'object' } }, ['server', 'system', 'mpv'])) }
+      })
+    },
+    '/api/config': {
+      get: operation({
+        tags: ['system'],
+        operationId: 'getConfig',
+        summary: 'Effective configuration with the source of every value (default, config file or environment variable); paths redacted',
+        responses: {
+          200: ok(object({
+            success: { type: 'boolean', enum: [true] },
+            file: nullable('string', { description: 'Name of the config file (no directory)' }),
+            config: { type: 'object' },
+            sources: { type: 'object' },
+            environmentVariables: { type: 'object' }
+          }, ['success', 'config']))
+        }
+      })
+    },
+    '/api/capabilities': {
+      get: operation({
+        tags: ['system'],
+        operationId: 'getCapabilities',
+        summary: 'Detected mpv, ffmpeg and ffprobe: availability, version, path, features and the reason when unavailable',
+        parameters: [queryParam('refresh', 'Detect again instead of answering from the cache', { type: 'boolean' })],
+        responses: { 200: ok(object({ success: { type: 'boolean', enum: [true] }, capabilities: ref('Capabilities') }, ['success', 'capabilities'])) }
+      })
+    },
+    '/api/performance': {
+      get: operation({
+        tags: ['system'],
+        operationId: 'getPerformance',
+        summary: 'Cumulative command counts, errors, timeouts and latency percentiles per session',
+        responses: {
+          200: ok(object({
+            performance: object({ latency: ref('CommandLatency'), sessions: { type: 'array' } }, ['latency', 'sessions']),
+            system: { type: 'object' }
+          }, ['performance']))
+        }
+      })
+    },
+    '/api/mpv-command-policy': {
+      get: operation({
+        tags: ['system'],
+        operationId: 'getCommandPolicy',
+        summary: 'Allowed MPV commands, properties and argument schemas',
+        responses: { 200: ok(object({ success: { type: 'boolean', enum: [true] }, policy: { type: 'object' } }, ['success', 'policy'])) }
+      })
+    },
+    '/api/cleanup': {
+      post: operation({
+        tags: ['system'],
+        operationId: 'runCleanup',
+        summary: 'Close every session and run the registered cleanups (for tests and development)',
+        responses: { 200: ok(ref('SuccessMessage')) }
+      })
+    },
+    '/api/docs': {
+      get: operation({
+        tags: ['system'],
+        operationId: 'getDocs',
+        summary: 'Endpoint overview generated from the OpenAPI document',
+        responses: { 200: ok({ type: 'object' }) }
+      })
+    },
+    [OPENAPI_PATH]: {
+      get: operation({
+        tags: ['system'],
+        operationId: 'getOpenApiDocument',
+        summary: 'This OpenAPI document',
+        responses: { 200: ok({ type: 'object' }) }
+      })
+    },
+
+    // 📁 Uploads
+    '/api/upload': {
+      post: operation({
+        tags: ['uploads'],
+        operationId: 'uploadFile',
+        summary: 'Upload a whole file in one request - returns an opaque mediaId',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: object({ file: { type: 'string', format: 'binary' } }, ['file'])
+            }
+          }
+        },
+        responses: {
+          200: ok(ref('MediaUploadResult')),
+          413: failure(`File larger than ${Math.round(UPLOAD_LIMITS.maxFileSize / MB)}MB (uploads.maxFileSizeMB)`),
+          415: failure('Not an allowed audio/video extension')
+        }
+      })
+    },
+    '/api/upload-limits': {
+      get: operation({
+        tags: ['uploads'],
+        operationId: 'getUploadLimits',
+        summary: 'Upload size, chunk size and allowed extensions (shared by every upload path)',
+        responses: { 200: ok(object({ success: { type: 'boolean', enum: [true] }, limits: ref('UploadLimits') }, ['success', 'limits'])) }
+      })
+    },
+    '/api/uploads': {
+      post: operation({
+        tags: ['uploads'],
+        operationId: 'createUpload',
+        summary: 'Start a resumable chunked upload',
+        requestBody: jsonBody(object({
+          fileName: { type: 'string', minLength: 1 },
+          fileSize: { type: 'integer', minimum: 1, maximum: UPLOAD_LIMITS.maxFileSize },
+          mimeType: { type: 'string' }
+        }, ['fileName', 'fileSize'])),
+        responses: { 200: ok(ref('ChunkedUpload')), 413: failure('File too large'), 415: failure('Extension not allowed') }
+      })
+    },
+    '/api/uploads/{uploadId}': {
+      parameters: [UPLOAD_ID],
+      get: operation({
+        tags: ['uploads'],
+        operationId: 'getUpload',
+        summary: 'Progress of a chunked upload (receivedBytes) for resuming',
+        responses: { 200: ok(ref('ChunkedUpload')), 404: failure('Unknown or expired upload') }
+      }),
+      put: operation({
+        tags: ['uploads'],
+        operationId: 'appendUploadChunk',
+        summary: `Append raw bytes at offset (chunks up to ${Math.round(UPLOAD_LIMITS.maxChunkSize / MB)}MB)`,
+        parameters: [queryParam('offset', 'Bytes the server already has - must equal receivedBytes', { type: 'integer', minimum: 0 }, true)],
+        requestBody: {
+          required: true,
+          content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+        },
+        responses: {
+          200: ok(ref('ChunkedUpload')),
+          409: failure('Offset does not match - the body carries receivedBytes to resume from'),
+          413: failure('Chunk or file too large')
+        }
+      }),
+      delete: operation({
+        tags: ['uploads'],
+        operationId: 'cancelUpload',
+        summary: 'Cancel a chunked upload and discard its bytes',
+        responses: { 200: ok(ref('SuccessMessage')) }
+      })
+    },
+    '/api/uploads/{uploadId}/complete': {
+      parameters: [UPLOAD_ID],
+      post: operation({
+        tags: ['uploads'],
+        operationId: 'completeUpload',
+        summary: 'Finish a fully received upload - returns a mediaId like /api/upload',
+        responses: { 200: ok(ref('MediaUploadResult')), 409: failure('Not every byte has arrived yet') }
+      })
+    },
+
+    // 🗂️ Media
+    '/api/media/{mediaId}': {
+      parameters: [MEDIA_ID],
+      get: operation({
+        tags: ['media'],
+        operationId: 'getMedia',
+        summary: 'Name, size and modification time of uploaded media',
+        responses: {
+          200: ok(object({
+            success: { type: 'boolean', enum: [true] },
+            media: object({ id: { type: 'string' }, fileName: { type: 'string' }, fileSize: { type: 'integer' }, modifiedAt: { type: 'string' } }, ['id', 'fileName'])
+          }, ['success', 'media'])),
+          404: failure('Unknown media ID')
+        }
+      })
+    },
+    '/api/media/{mediaId}/probe': {
+      parameters: [MEDIA_ID],
+      get: operation({
+        tags: ['media'],
+        operationId: 'probeMedia',
+        summary: 'Duration, container, streams, chapters and tags - ffprobe, or MPV track-list of a session playing the media',
+        responses: {
+          200: ok(object({ success: { type: 'boolean', enum: [true] }, probe: ref('MediaProbe'), responseTime: { type: 'number' } }, ['success', 'probe'])),
+          503: failure('No ffprobe and no session playing the media')
+        }
+      })
+    },
+    '/api/media/{mediaId}/peaks': {
+      parameters: [MEDIA_ID],
+      get: operation({
+        tags: ['media'],
+        operationId: 'getMediaPeaks',
+        summary: 'Multi-resolution waveform peaks decoded server-side with ffmpeg, cached per file',
+        parameters: [
+          queryParam('maxPeaks', 'Finest level with at most this many peaks (default 200000)', { type: 'integer', minimum: 1 }),
+          queryParam('samplesPerPeak', 'Exact level (64, 256, 1024, 4096, 16384)', { type: 'integer', minimum: 1 })
+        ],
+        responses: {
+          200: ok(object({ success: { type: 'boolean', enum: [true] }, mediaId: { type: 'string' }, peaks: ref('WaveformPeaks') }, ['success', 'peaks'])),
+          503: failure('ffmpeg is not installed - decode in the browser instead')
+        }
+      })
+    },
+    '/api/media/{mediaId}/thumbnails': {
+      parameters: [MEDIA_ID],
+      get: operation({
+        tags: ['media'],
+        operationId: 'getMediaThumbnails',
+        summary: 'Video thumbnail strip at a fixed interval - frames extracted with ffmpeg on first request, then cached',
+        parameters: [queryParam('interval', 'Seconds between frames - one of the strip\'s intervals (a 400 lists them)', { type: 'integer', minimum: 1 }, true)],
+        responses: {
+          200: ok(object({
+            success: { type: 'boolean', enum: [true] },
+            mediaId: { type: 'string' },
+            thumbnails: ref('ThumbnailStrip'),
+            responseTime: { type: 'number' }
+          }, ['success', 'thumbnails'])),
+          422: failure('No video stream'),
+          503: failure('ffmpeg is not installed')
+        }
+      })
+    },
+    '/api/media/{mediaId}/thumbnails/{interval}/{index}': {
+      parameters: [
+        MEDIA_ID,
+        pathParam('interval', 'Seconds between frames of the strip', { type: 'integer', minimum: 1 }),
+        pathParam('index', 'Frame index - the picture at index * interval seconds', { type: 'integer', minimum: 0 })
+      ],
+      get: {
+        tags: ['media'],
+        operationId: 'getMediaThumbnail',
+        summary: 'One frame of an extracted thumbnail strip',
+        responses: {
+          200: { description: 'JPEG image', content: { 'image/jpeg': { schema: { type: 'string', format: 'binary' } } } },
+          404: failure('Unknown media, strip not extracted yet or index out of range')
+        }
+      }
+    },
+    '/api/media/{mediaId}/frame': {
+      parameters: [MEDIA_ID],
+      get: {
+        tags: ['media'],
+        operationId: 'getMediaFrame',
+        summary: 'Video frame at a time (snapped to a quarter second, cached) - hover previews',
+        parameters: [
+          queryParam('time', 'Seconds', { type: 'number', minimum: 0 }, true),
+          queryParam('width', 'Pixels - 160, 320, 480 or 640 (default 320)', { type: 'integer' })
+        ],
+        responses: {
+          200: { description: 'JPEG image', content: { 'image/jpeg': { schema: { type: 'string', format: 'binary' } } } },
+          422: failure('No video stream'),
+          503: failure('ffmpeg is not installed')
+        }
+      }
+    },
+    '/api/media/{mediaId}/file': {
+      parameters: [MEDIA_ID],
+      get: {
+        tags: ['media'],
+        operationId: 'getMediaFile',
+        summary: 'Stream uploaded media (supports Range requests)',
+        responses: {
+          200: { description: 'The media bytes', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+          206: { description: 'Requested byte range' },
+          404: failure('Unknown media ID')
+        }
+      }
+    },
+
+    // 📚 Library
+    '/api/library': {
+      get: operation({
+        tags: ['library'],
+        operationId: 'listLibrary',
+        summary: 'Every uploaded file (most recently used first) plus totals and the retention policy',
+        responses: {
+          200: ok(object({
+            success: { type: 'boolean', enum: [true] },
+            count: { type: 'integer' },
+            totalSize: { type: 'integer' },
+            retention: object({ maxAgeDays: { type: 'number' }, maxTotalSizeMB: { type: 'number' } }),
+            media: arrayOf(ref('LibraryItem'))
+          }, ['success', 'count', 'totalSize', 'media']))
+        }
+      })
+    },
+    '/api/library/{mediaId}': {
+      parameters: [MEDIA_ID],
+      get: operation({
+        tags: ['library'],
+        operationId: 'getLibraryMedia',
+        summary: 'One library item',
+        responses: { 200: ok(object({ success: { type: 'boolean', enum: [true] }, media: ref('LibraryItem') }, ['success', 'media'])) }
+      }),
+      patch: operation({
+        tags: ['library'],
+        operationId: 'updateLibraryMedia',
+        summary: 'Rename, pin (pinned media is exempt from retention), store the audio filter chain and/or attach a snapshot to a region',
+        requestBody: jsonBody(object({
+          fileName: { type: 'string', minLength: 1, maxLength: 255 },
+          pinned: { type: 'boolean' },
+          audioFilters: ref('AudioFilterChain'),
+          region: REGION
+        }, [], { minProperties: 1 })),
+        responses: { 200: ok(object({ success: { type: 'boolean', enum: [true] }, media: ref('LibraryItem') }, ['success', 'media'])) }
+      }),
+      delete: operation({
+        tags: ['library'],
+        operationId: 'deleteLibraryMedia',
+        summary: 'Delete the file and its cached data',
+        responses: { 200: ok(ref('SuccessMessage')), 409: failure('A running player uses this media') }
+      })
+    },
+
+    // 🎬 Legacy single-player routes
+    '/api/launch-mpv': {
+      post: launchOperation({
+        tags: ['mpv'],
+        operationId: 'launchMpv',
+        summary: 'Launch MPV with managed media in a new session (or relaunch the given sessionId)',
+        requestBody: jsonBody(ref('LaunchRequest'), {
+          mediaId: '3f9a1c0e5b7d2a4c6e8f0a1b',
+          windowOptions: { geometry: '800x600+100+100', ontop: true, title: 'Ultimate MPV Player' }
+        })
+      })
+    },
+    ...Object.fromEntries(Object.entries(playerOperations({ prefix: '/api/mpv', idPrefix: 'mpv', parameters: [SESSION_QUERY], tag: 'mpv' }))
+      .map(([route, item]) => [route.replace('/api/mpv/', '/api/mpv-'), item])),
+
+    // 🎬 Sessions
+    '/api/sessions': {
+      get: operation({
+        tags: ['sessions'],
+        operationId: 'listSessions',
+        summary: 'Every MPV session with its status',
+        responses: {
+          200: ok(object({
+            success: { type: 'boolean', enum: [true] },
+            defaultSessionId: nullable('string'),
+            maxSessions: { type: 'integer' },
+            sessions: arrayOf(ref('SessionStatus'))
+          }, ['success', 'defaultSessionId', 'sessions']))
+        }
+      }),
+      post: launchOperation({
+        tags: ['sessions'],
+        operationId: 'createSession',
+        summary: 'Launch MPV in a new session (same body as /api/launch-mpv)',
+        requestBody: jsonBody(ref('LaunchRequest'))
+      })
+    },
+    '/api/sessions/{sessionId}': {
+      parameters: [SESSION_ID],
+      get: operation({
+        tags: ['sessions'],
+        operationId: 'getSession',
+        summary: 'Session status',
+        responses: { 200: ok(ref('SessionStatus')), 404: failure('Unknown session') }
+      }),
+      delete: operation({
+        tags: ['sessions'],
+        operationId: 'closeSession',
+        summary: 'Close a session and terminate its player',
+        responses: { 200: ok(object({ success: { type: 'boolean', enum: [true] }, sessionId: { type: 'string' }, message: { type: 'string' } }, ['success', 'sessionId'])) }
+      })
+    },
+    '/api/sessions/{sessionId}/launch': {
+      post: launchOperation({
+        tags: ['sessions'],
+        operationId: 'relaunchSession',
+        summary: 'Relaunch MPV inside an existing session',
+        parameters: [SESSION_ID],
+        requestBody: jsonBody(ref('LaunchRequest'))
+      })
+    },
+    ...playerOperations({ prefix: '/api/sessions/{sessionId}', idPrefix: 'session', parameters: [SESSION_ID], tag: 'sessions' }),
+
+    // 📋 Playlist
+    ...playlistOperations({ prefix: '/api/playlist', idPrefix: '', parameters: [SESSION_QUERY] }),
+    ...playlistOperations({ prefix: '/api/sessions/{sessionId}/playlist', idPrefix: 'session', parameters: [SESSION_ID] }),
+
+    // 🎚️ Tracks and chapters
+    ...trackOperations({ prefix: '/api', idPrefix: '', parameters: [SESSION_QUERY] }),
+    ...trackOperations({ prefix: '/api/sessions/{sessionId}', idPrefix: 'session', parameters: [SESSION_ID] }),
+
+    // 🎛️ Audio filters
+    '/api/filters/catalogue': {
+      get: operation({
+        tags: ['filters'],
+        operationId: 'getFilterCatalogue',
+        summary: 'Available filters with their parameters (range, default, unit) and the presets',
+        responses: {
+          200: ok(object({
+            success: { type: 'boolean', enum: [true] },
+            filters: arrayOf(object({
+              name: { type: 'string' },
+              label: { type: 'string' },
+              description: { type: 'string' },
+              params: { type: 'object' }
+            }, ['name', 'label', 'params'])),
+            presets: arrayOf(object({
+              id: { type: 'string' },
+              label: { type: 'string' },
+              description: { type: 'string' },
+              filters: arrayOf(ref('AudioFilter'))
+            }, ['id', 'label', 'filters'])),
+            maxFilters: { type: 'integer' }
+          }, ['success', 'filters', 'presets', 'maxFilters']))
+        }
+      })
+    },
+    '/api/filters/validate': {
+      post: operation({
+        tags: ['filters'],
+        operationId: 'validateFilters',
+        summary: 'Check a chain without a player - answers the normalised filters and the af graph',
+        requestBody: jsonBody(object({ filters: ref('AudioFilterChain') }, ['filters'])),
+        responses: {
+          200: ok(ref('AudioFiltersResult')),
+          400: failure('Unknown filter or parameter out of range'),
+          409: failure('Duplicate filter id')
+        }
+      })
+    },
+    ...filterOperations({ prefix: '/api', idPrefix: '', parameters: [SESSION_QUERY] }),
+    ...filterOperations({ prefix: '/api/sessions/{sessionId}', idPrefix: 'session', parameters: [SESSION_ID] }),
+
+    // 📸 Snapshots
+    ...screenshotOperations({ prefix: '/api', idPrefix: '', parameters: [SESSION_QUERY] }),
+    ...screenshotOperations({ prefix: '/api/sessions/{sessionId}', idPrefix: 'session', parameters: [SESSION_ID] })
+  },
+  components: { schemas },
+
+  // 📡 Not HTTP - documented for /api/docs
+  'x-event-stream': {
+    path: EVENT_STREAM_PATH,
+    description: 'WebSocket stream of MPV property changes and lifecycle events',
+    messages: {
+      snapshot: 'Sent once on connect - { defaultSessionId, sessions: [status + properties] }',
+      'property-change': '{ sessionId, name, data } for time-pos, duration, pause, speed, playlist (entries with media IDs), playlist-pos, track-list (Track), chapter-list (Chapter), volume, mute, aid, sid, ab-loop-a and ab-loop-b; time-pos, pause and speed add clock (MpvClock)',
+      'clock-pong': '{ clientTime, serverTime } - answer to a { type: clock-ping, clientTime } message from the browser; serverTime is the monotonic clock of MpvClock',
+      'mpv-event': '{ sessionId, event, reason } for MPV playback events (file-loaded, seek, end-file...)',
+      'connection-state': '{ sessionId, state, detail } whenever the connection supervisor changes state',
+      'audio-filters': '{ sessionId, filters } whenever a session\'s audio filter chain (AudioFilter) changes',
+      'mpv-crashed': '{ sessionId, reason, attempt, maxRestarts } - the player died unexpectedly and is relaunched (connection state recovering)',
+      'mpv-recovered': '{ sessionId, attempt, mediaId, position, restored, failed } - relaunched; restored and failed name the playback state steps (position, pause, speed, volume, tracks, A-B loop, audio filters)',
+      'mpv-recovery-failed': '{ sessionId, reason, message } - restart limit reached (mpv.recovery); mpv-exited follows',
+      lifecycle: 'mpv-launched, mpv-connected, mpv-disconnected, mpv-exited, mpv-error, session-created, session-closed'
+    }
+  }
+};
+
+const HTTP_METHODS = ['get', 'put', 'post', 'patch', 'delete'];
+
+/**
+ * Every operation as { method, path, operation, parameters } - path-level parameters
+ * merged into the operation's own. method is upper case, path in OpenAPI form.
+ */
+const listOperations = () => Object.entries(spec.paths).flatMap(([route, item]) =>
+  HTTP_METHODS.filter(method => item[method]).map(method => ({
+    method: method.toUpperCase(),
+    path: route,
+    operation: item[method],
+    parameters: [...(item.parameters || []), ...(item[method].parameters || [])]
+  })));
+
+// Resolves a { $ref } to its schema (one level - components do not chain refs at the top)
+const resolveSchema = (schema) => (schema && schema.$ref ?
+  spec.components.schemas[schema.$ref.split('/').pop()] :
+  schema);
+
+// 📖 /api/docs - one line per operation, bodies and query parameters spelled out
+const describeFields = (properties = {}, required = []) => Object.fromEntries(Object.entries(properties)
+  .map(([name, schema]) => {
+    const resolved = resolveSchema(schema);
+    const type = resolved.type || (resolved.oneOf ? resolved.oneOf.map(option => resolveSchema(option).type).join(' | ') : 'any');
+    const note = resolved.description || (resolved.enum ? `one of ${resolved.enum.join(', ')}` : '');
+    return [name, `${type} (${required.includes(name) ? 'required' : 'optional'})${note ? ` - ${note}` : ''}`];
+  }));
+
+const describeEndpoints = () => {
+  const endpoints = Object.fromEntries(spec.tags.map(tag => [tag.name, {}]));
+
+  listOperations().forEach(({ method, path, operation: op, parameters }) => {
+    const body = op.requestBody && op.requestBody.content['application/json'];
+    const query = parameters.filter(parameter => parameter.in === 'query');
+    const key = `${method} ${path}`;
+
+    if (!body && query.length === 0) {
+      endpoints[op.tags[0]][key] = op.summary;
+      return;
+    }
+
+    const bodySchema = body && resolveSchema(body.schema);
+    endpoints[op.tags[0]][key] = {
+      description: op.summary,
+      ...(bodySchema ? { body: describeFields(bodySchema.properties, bodySchema.required) } : {}),
+      ...(query.length > 0 ? {
+        query: Object.fromEntries(query.map(parameter =>
+          [parameter.name, `${parameter.schema.type} (${parameter.required ? 'required' : 'optional'}) - ${parameter.description}`]))
+      } : {})
+    };
+  });
+
+  return endpoints;
+};
+
+const describeApi = () => ({
+  title: `🎯 ${spec.info.title}`,
+  version: spec.info.version,
+  description: spec.info.description,
+  openapi: OPENAPI_PATH,
+  endpoints: describeEndpoints(),
+  realtime: { [`WS ${spec['x-event-stream'].path}`]: spec['x-event-stream'] },
+  examples: Object.fromEntries(listOperations()
+    .filter(({ operation: op }) => op.requestBody?.content['application/json']?.example)
+    .map(({ method, path, operation: op }) => [op.operationId, {
+      url: `${method} ${path}`,
+      body: op.requestBody.content['application/json'].example
+    }]))
+});
+
+// 🔍 404 help - every operation grouped by tag, and the closest paths to a wrong one
+const listRoutesByTag = () => listOperations().reduce((groups, { method, path, operation: op }) => {
+  const tag = op.tags[0];
+  return { ...groups, [tag]: [...(groups[tag] || []), `${method} ${path} - ${op.summary}`] };
+}, {});
+
+// Edit distance between two path segments
+const distance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Documented paths closest to a path that matched nothing - {params} match any segment
+const suggestRoutes = (requestPath, limit = 3) => {
+  const segments = requestPath.toLowerCase().split('/').filter(Boolean);
+
+  return Object.keys(spec.paths)
+    .map(route => {
+      const routeSegments = route.split('/').filter(Boolean);
+      const length = Math.max(routeSegments.length, segments.length);
+      let cost = 0;
+      for (let i = 0; i < length; i++) {
+        const expected = routeSegments[i];
+        const actual = segments[i];
+        if (expected === undefined || actual === undefined) {
+          cost += (expected || actual).length;
+        } else if (!expected.startsWith('{')) {
+          cost += distance(expected, actual);
+        }
+      }
+      return { route, cost };
+    })
+    .filter(({ cost }) => cost <= Math.max(3, requestPath.length * 0.3))
+    .sort((a, b) => a.cost - b.cost)
+    .slice(0, limit)
+    .map(({ route }) => route);
+};
+
+module.exports = {
+  OPENAPI_PATH,
+  describeApi,
+  listOperations,
+  listRoutesByTag,
+  spec,
+  suggestRoutes
+};
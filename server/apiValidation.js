@@ -0,0 +1,239 @@
+/**
+ * File: server/apiValidation.js
+ * Description: 🧾 API Validation - requests and responses checked against the OpenAPI document
+ *
+ * validateApi() finds the operation in apiSpec.js that a request is for, checks its
+ * path, query and JSON body parameters with ajv and answers 400 with every failed check
+ * before any handler runs. With api.validateResponses on, JSON responses are checked
+ * too - a mismatch is logged and counted (api_response_validation_failures_total) but
+ * the response is still sent, so a documentation slip never breaks a client.
+ * Requests the document does not describe pass through untouched (404 handler).
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - oneOf failures summarised like anyOf (accepted types)
+ */
+
+const Ajv = require('ajv');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+const { listOperations, spec } = require('./apiSpec');
+
+const log = createLogger('apiValidation');
+
+// OpenAPI 3.0 schemas: nullable is a keyword, formats (binary, date-time) are documentation
+const AJV_OPTIONS = { allErrors: true, nullable: true, format: false, jsonPointers: true };
+const ajv = new Ajv(AJV_OPTIONS);
+const parameterAjv = new Ajv({ ...AJV_OPTIONS, coerceTypes: true }); // Path and query values arrive as strings
+
+const requestFailures = metrics.createCounter({
+  name: 'api_request_validation_failures_total',
+  help: 'Requests rejected by OpenAPI validation',
+  labelNames: ['operation']
+});
+
+const responseFailures = metrics.createCounter({
+  name: 'api_response_validation_failures_total',
+  help: 'Responses that did not match the OpenAPI document',
+  labelNames: ['operation', 'status']
+});
+
+// Component $refs resolve against the root of whatever is compiled - give every schema the components
+const compile = (validator, schema) => validator.compile({ components: spec.components, allOf: [schema] });
+
+const parameterSchema = (parameters) => ({
+  type: 'object',
+  properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+  required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+});
+
+// 🗺️ Operations compiled lazily, static paths ahead of templated ones (/playlist/next before /playlist/{index})
+const routes = listOperations()
+  .map(({ method, path, operation, parameters }) => {
+    const keys = [];
+    const pattern = path
+      .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace(/\{(\w+)\}/g, (match, key) => {
+        keys.push(key);
+        return '([^/]+)';
+      });
+
+    return { method, path, operation, parameters, keys, regex: new RegExp(`^${pattern}/?$`), validators: null };
+  })
+  .sort((a, b) => a.keys.length - b.keys.length);
+
+const getValidators = (route) => {
+  if (route.validators) return route.validators;
+
+  const inPath = route.parameters.filter(parameter => parameter.in === 'path');
+  const inQuery = route.parameters.filter(parameter => parameter.in === 'query');
+  const body = route.operation.requestBody?.content['application/json'];
+
+  route.validators = {
+    path: inPath.length > 0 ? compile(parameterAjv, parameterSchema(inPath)) : null,
+    query: inQuery.length > 0 ? compile(parameterAjv, parameterSchema(inQuery)) : null,
+    body: body ? compile(ajv, body.schema) : null,
+    responses: new Map()
+  };
+  return route.validators;
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value; // Malformed escapes - Express answers those itself
+  }
+};
+
+const findRoute = (method, requestPath) => {
+  for (const route of routes) {
+    if (route.method !== method) continue;
+    const match = route.regex.exec(requestPath);
+    if (match) {
+      const params = Object.fromEntries(route.keys.map((key, i) => [key, decode(match[i + 1])]));
+      return { route, params };
+    }
+  }
+  return null;
+};
+
+// ajv errors → { location, path, message }; a failed anyOf / oneOf reads as one message
+// built from its branches (missing properties or accepted types) instead of one per branch
+const COMBINATORS = ['anyOf', 'oneOf'];
+
+// Branch errors sit under the combinator's schemaPath - or under a component when the branch is a $ref
+const isBranchOf = (error, combinator) => error !== combinator &&
+  error.dataPath === combinator.dataPath &&
+  (error.schemaPath.startsWith(`${combinator.schemaPath}/`) || error.schemaPath.startsWith('#/components/'));
+
+const describeErrors = (location, errors) => {
+  const combinators = errors.filter(error => COMBINATORS.includes(error.keyword));
+  const branches = errors.filter(error => combinators.some(combinator => isBranchOf(error, combinator)));
+  const described = errors.filter(error => !branches.includes(error));
+
+  // One error per failed branch - the first (a wrong type is reported before enum or length)
+  const branchKey = (branch, combinator) => {
+    if (!branch.schemaPath.startsWith(`${combinator.schemaPath}/`)) {
+      return branch.schemaPath.split('/').slice(0, 4).join('/'); // #/components/schemas/<Name>
+    }
+    const [index] = branch.schemaPath.slice(combinator.schemaPath.length + 1).split('/');
+    return `${combinator.schemaPath}/${index}`;
+  };
+
+  const describeBranches = (error) => {
+    const firstPerBranch = new Map();
+    branches.filter(branch => isBranchOf(branch, error)).forEach(branch => {
+      const key = branchKey(branch, error);
+      if (!firstPerBranch.has(key)) firstPerBranch.set(key, branch);
+    });
+    const own = Array.from(firstPerBranch.values());
+    const missing = own.filter(branch => branch.keyword === 'required').map(branch => `'${branch.params.missingProperty}'`);
+    const types = own.filter(branch => branch.keyword === 'type').map(branch => branch.params.type);
+
+    if (own.length === 0) return error.message;
+    if (missing.length === own.length) return `should have property ${missing.join(' or ')}`;
+    if (types.length === own.length) return `should be ${types.join(' or ')}`;
+    return Array.from(new Set(own.map(branch => branch.message))).join(' or ');
+  };
+
+  return described.map(error => ({
+    location,
+    path: error.dataPath || '/',
+    message: COMBINATORS.includes(error.keyword) ? describeBranches(error) : error.message
+  }));
+};
+
+const formatError = ({ location, path, message }) => `${location}${path === '/' ? '' : path.replace(/\//g, '.')} ${message}`;
+
+const runValidator = (location, validate, value) => {
+  if (!validate || validate(value)) return [];
+  return describeErrors(location, validate.errors);
+};
+
+// 📤 Response schema for a status: exact code, then 2XX-style ranges, then default
+const getResponseValidator = (route, status) => {
+  const { responses } = getValidators(route);
+  if (responses.has(status)) return responses.get(status);
+
+  const documented = route.operation.responses;
+  const response = documented[status] || documented[`${String(status)[0]}XX`] || documented.default;
+  const schema = response?.content?.['application/json']?.schema;
+  const validate = schema ? compile(ajv, schema) : null;
+
+  responses.set(status, validate);
+  return validate;
+};
+
+const checkResponses = (res, route) => {
+  const send = res.json.bind(res);
+
+  res.json = (body) => {
+    const validate = getResponseValidator(route, res.statusCode);
+    if (validate && !validate(body)) {
+      const problems = describeErrors('response', validate.errors);
+      responseFailures.inc({ operation: route.operation.operationId, status: res.statusCode });
+      log.warn(`📜 Response of ${route.operation.operationId} (${res.statusCode}) does not match the API document`, { problems });
+    }
+    return send(body);
+  };
+};
+
+/**
+ * Express middleware - mount before the routes. Answers 400 with
+ * { success: false, message, error: { code: 'INVALID_REQUEST', errors } } for invalid requests.
+ */
+const validateApi = (req, res, next) => {
+  const found = findRoute(req.method, req.path);
+  if (!found) return next();
+
+  const { route, params } = found;
+  const validators = getValidators(route);
+  const errors = [
+    ...runValidator('path', validators.path, { ...params }),
+    ...runValidator('query', validators.query, { ...req.query }),
+    ...runValidator('body', validators.body, req.body === undefined ? {} : req.body)
+  ];
+
+  if (errors.length > 0) {
+    requestFailures.inc({ operation: route.operation.operationId });
+    log.warn(`🧾 Invalid request for ${route.operation.operationId}`, { errors });
+
+    return res.status(400).json({
+      success: false,
+      message: `Invalid request: ${errors.map(formatError).join('; ')}`,
+      error: { code: 'INVALID_REQUEST', operation: route.operation.operationId, errors }
+    });
+  }
+
+  if (config.api.validateResponses) checkResponses(res, route);
+  next();
+};
+
+/**
+ * Compares the routes registered on Express routers ({ mountPath: router }) with the
+ * document and warns about either side missing - the drift the document exists to prevent.
+ */
+const checkRouteCoverage = (routers) => {
+  const registered = new Set(Object.entries(routers).flatMap(([mountPath, router]) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => [].concat(layer.route.path).flatMap(routePath => Object.keys(layer.route.methods)
+      .filter(method => method !== '_all')
+      .map(method => `${method.toUpperCase()} ${mountPath}${routePath.replace(/:(\w+)/g, '{$1}')}`)))));
+
+  const documented = new Set(routes.map(route => `${route.method} ${route.path}`));
+
+  const undocumented = Array.from(registered).filter(route => !documented.has(route));
+  const unimplemented = Array.from(documented).filter(route => !registered.has(route));
+
+  undocumented.forEach(route => log.warn(`📜 ${route} is not described in apiSpec.js`));
+  unimplemented.forEach(route => log.warn(`📜 ${route} is documented but has no route`));
+
+  return { undocumented, unimplemented };
+};
+
+module.exports = {
+  checkRouteCoverage,
+  validateApi
+};
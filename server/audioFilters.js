@@ -0,0 +1,238 @@
+/**
+ * File: server/audioFilters.js
+ * Description: 🎛️ Audio Filters - allowlisted filter chains, validated and rendered as mpv `af` graphs
+ *
+ * Browsers never send filter graph strings. A chain is a list of
+ * { id, name, params } objects drawn from the catalogue below; every parameter is
+ * range-checked and the chain is rendered here, one labelled lavfi filter per entry
+ * (@<id>:lavfi=[highpass=f=80:p=2]), so `af remove @<id>` can take a single filter
+ * out again. lavfi filters that read files or run commands can never be reached.
+ *
+ * The same catalogue drives the browser's Web Audio preview
+ * (src/services/audioFilterChain.js) - keep the two in step.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const MAX_FILTERS = 16;
+const FILTER_ID_PATTERN = /^[a-z][a-z0-9]{0,31}$/i; // mpv filter labels
+
+class AudioFilterError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'AudioFilterError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// 🔀 Channel routing - pan filter expressions for a stereo source
+const CHANNEL_ROUTES = {
+  mono: 'stereo|c0=0.5*c0+0.5*c1|c1=0.5*c0+0.5*c1',
+  left: 'stereo|c0=c0|c1=c0',
+  right: 'stereo|c0=c1|c1=c1',
+  swap: 'stereo|c0=c1|c1=c0'
+};
+
+const number = (label, min, max, defaultValue, unit) => ({ type: 'number', label, min, max, default: defaultValue, unit });
+
+// 📋 Filter Catalogue - params describe the UI controls, render() builds the lavfi filter
+const FILTERS = {
+  highpass: {
+    label: 'High-pass',
+    description: 'Removes rumble and handling noise below the cutoff',
+    params: {
+      frequency: number('Cutoff', 10, 20000, 80, 'Hz'),
+      poles: { type: 'integer', label: 'Slope', min: 1, max: 2, default: 2, unit: 'poles' }
+    },
+    render: ({ frequency, poles }) => `highpass=f=${frequency}:p=${poles}`
+  },
+  lowpass: {
+    label: 'Low-pass',
+    description: 'Removes hiss and sibilance above the cutoff',
+    params: {
+      frequency: number('Cutoff', 10, 20000, 8000, 'Hz'),
+      poles: { type: 'integer', label: 'Slope', min: 1, max: 2, default: 2, unit: 'poles' }
+    },
+    render: ({ frequency, poles }) => `lowpass=f=${frequency}:p=${poles}`
+  },
+  equalizer: {
+    label: 'EQ band',
+    description: 'Peaking equaliser - boost or cut around a frequency',
+    params: {
+      frequency: number('Frequency', 20, 20000, 1000, 'Hz'),
+      gain: number('Gain', -30, 30, 0, 'dB'),
+      q: number('Q', 0.1, 10, 1, '')
+    },
+    render: ({ frequency, gain, q }) => `equalizer=f=${frequency}:t=q:w=${q}:g=${gain}`
+  },
+  loudnorm: {
+    label: 'Loudness normalisation',
+    description: 'EBU R128 loudness normalisation',
+    params: {
+      integrated: number('Target loudness', -70, -5, -16, 'LUFS'),
+      truePeak: number('True peak', -9, 0, -1.5, 'dBTP'),
+      range: number('Loudness range', 1, 50, 11, 'LU')
+    },
+    render: ({ integrated, truePeak, range }) => `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}`
+  },
+  volume: {
+    label: 'Gain',
+    description: 'Fixed gain',
+    params: {
+      gain: number('Gain', -30, 30, 0, 'dB')
+    },
+    render: ({ gain }) => `volume=volume=${gain}dB`
+  },
+  channels: {
+    label: 'Channel routing',
+    description: 'Fold to mono, use one side only or swap left and right',
+    params: {
+      route: { type: 'enum', label: 'Route', values: Object.keys(CHANNEL_ROUTES), default: 'mono' }
+    },
+    render: ({ route }) => `pan=${CHANNEL_ROUTES[route]}`
+  }
+};
+
+// 🎚️ Presets - starting points for reviewing field recordings
+const PRESETS = [
+  { id: 'flat', label: 'Flat', description: 'No filters', filters: [] },
+  {
+    id: 'rumble',
+    label: 'Rumble removal',
+    description: 'Wind, traffic and handling noise',
+    filters: [{ name: 'highpass', params: { frequency: 100 } }]
+  },
+  {
+    id: 'voice',
+    label: 'Voice clarity',
+    description: 'Band-limit to speech and lift presence',
+    filters: [
+      { name: 'highpass', params: { frequency: 120 } },
+      { name: 'equalizer', params: { frequency: 3000, gain: 4, q: 1 } },
+      { name: 'lowpass', params: { frequency: 9000 } }
+    ]
+  },
+  {
+    id: 'hiss',
+    label: 'Hiss reduction',
+    description: 'Roll off tape and preamp hiss',
+    filters: [{ name: 'lowpass', params: { frequency: 6000, poles: 2 } }]
+  },
+  {
+    id: 'loudness',
+    label: 'Broadcast loudness',
+    description: 'Even out quiet and loud passages (-16 LUFS)',
+    filters: [{ name: 'loudnorm', params: {} }]
+  },
+  {
+    id: 'mono',
+    label: 'Mono check',
+    description: 'Fold both channels together',
+    filters: [{ name: 'channels', params: { route: 'mono' } }]
+  }
+];
+
+const invalid = (index, message) => new AudioFilterError(400, `Filter ${index + 1}: ${message}`, { index });
+
+const normaliseParam = (index, key, schema, value) => {
+  if (value === undefined) return schema.default;
+
+  if (schema.type === 'enum') {
+    if (!schema.values.includes(value)) throw invalid(index, `${key} must be one of ${schema.values.join(', ')}`);
+    return value;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid(index, `${key} must be a number`);
+  if (schema.type === 'integer' && !Number.isInteger(value)) throw invalid(index, `${key} must be an integer`);
+  if (value < schema.min || value > schema.max) {
+    throw invalid(index, `${key} must be between ${schema.min} and ${schema.max}${schema.unit ? ` ${schema.unit}` : ''}`);
+  }
+  return value;
+};
+
+/**
+ * Validates one filter against the catalogue - unknown names and parameters are
+ * rejected, missing parameters get their defaults. Returns { id, name, params }.
+ */
+const normaliseFilter = (filter, index = 0) => {
+  if (!filter || typeof filter !== 'object') throw invalid(index, 'must be an object');
+
+  const definition = FILTERS[filter.name];
+  if (!definition) {
+    throw invalid(index, `unknown filter "${filter.name}" (${Object.keys(FILTERS).join(', ')})`);
+  }
+  if (filter.id !== undefined && !(typeof filter.id === 'string' && FILTER_ID_PATTERN.test(filter.id))) {
+    throw invalid(index, 'id must be 1-32 letters and digits, starting with a letter');
+  }
+
+  const params = filter.params || {};
+  const unknown = Object.keys(params).filter(key => !definition.params[key]);
+  if (unknown.length > 0) throw invalid(index, `unknown parameter(s) for ${filter.name}: ${unknown.join(', ')}`);
+
+  return {
+    id: filter.id,
+    name: filter.name,
+    params: Object.fromEntries(Object.entries(definition.params)
+      .map(([key, schema]) => [key, normaliseParam(index, key, schema, params[key])]))
+  };
+};
+
+// Filters without an id get <name><n>, unique within the chain (and next to `existing`)
+const assignIds = (filters, existing = []) => {
+  const taken = new Set(existing.map(filter => filter.id));
+
+  return filters.map(filter => {
+    if (filter.id) {
+      if (taken.has(filter.id)) throw new AudioFilterError(409, `Duplicate filter id "${filter.id}"`, { id: filter.id });
+      taken.add(filter.id);
+      return filter;
+    }
+
+    let n = 1;
+    while (taken.has(`${filter.name}${n}`)) n++;
+    const id = `${filter.name}${n}`;
+    taken.add(id);
+    return { ...filter, id };
+  });
+};
+
+/**
+ * Validates a whole chain. Returns the normalised filters, ids included.
+ * Throws AudioFilterError (400, or 409 for duplicate ids) naming the first bad filter.
+ */
+const normaliseChain = (filters) => {
+  if (!Array.isArray(filters)) throw new AudioFilterError(400, 'filters must be an array');
+  if (filters.length > MAX_FILTERS) throw new AudioFilterError(400, `At most ${MAX_FILTERS} filters per chain`);
+
+  return assignIds(filters.map(normaliseFilter));
+};
+
+// 🎬 mpv `af` syntax - a labelled lavfi bridge per filter
+const renderFilter = (filter) => `@${filter.id}:lavfi=[${FILTERS[filter.name].render(filter.params)}]`;
+
+const renderChain = (filters) => filters.map(renderFilter).join(',');
+
+// 📖 Catalogue for /api/filters/catalogue (render functions stay on the server)
+const describeCatalogue = () => ({
+  filters: Object.entries(FILTERS).map(([name, definition]) => ({
+    name,
+    label: definition.label,
+    description: definition.description,
+    params: definition.params
+  })),
+  presets: PRESETS.map(preset => ({ ...preset, filters: normaliseChain(preset.filters) })),
+  maxFilters: MAX_FILTERS
+});
+
+module.exports = {
+  AudioFilterError,
+  MAX_FILTERS,
+  assignIds,
+  describeCatalogue,
+  normaliseChain,
+  normaliseFilter,
+  renderChain,
+  renderFilter
+};
@@ -0,0 +1,172 @@
+/**
+ * File: server/capabilities.js
+ * Description: 🔍 Capabilities - which external tools (mpv, ffmpeg, ffprobe) are really installed
+ *
+ * Each binary from config.js is located on PATH and run with its version flag; mpv is
+ * also asked for its option list so features the server relies on (JSON IPC above
+ * all) are checked rather than assumed. Detection runs once at startup and again on
+ * demand (GET /api/capabilities?refresh=true) - installing mpv does not need a restart.
+ * With mpv.simulator the bundled fake mpv is what gets checked, since that is what
+ * sessions will spawn.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { config } = require('./config');
+const { getPlayerCommand } = require('./mpvSession');
+const { createLogger } = require('./logger');
+
+const log = createLogger('capabilities');
+
+const DETECTION_TIMEOUT = 5000;
+const MAX_OUTPUT = 4 * 1024 * 1024; // --list-options is long
+
+// mpv options the server uses → feature names reported to clients
+const MPV_FEATURES = {
+  inputIpcServer: '--input-ipc-server',
+  abLoop: '--ab-loop-a',
+  audioFilters: '--af',
+  screenshots: '--screenshot-directory'
+};
+
+const run = (command, args) => new Promise(resolve => {
+  execFile(command, args, { timeout: DETECTION_TIMEOUT, maxBuffer: MAX_OUTPUT, windowsHide: true }, (error, stdout, stderr) => {
+    resolve({ error, output: `${stdout || ''}${stderr || ''}` });
+  });
+});
+
+// 🔎 Where a bare binary name resolves on PATH (null when it does not)
+const locateBinary = (binary) => {
+  const extensions = process.platform === 'win32' ?
+    ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')] :
+    [''];
+  const candidates = binary.includes(path.sep) || path.isAbsolute(binary) ?
+    [binary] :
+    (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, binary));
+
+  for (const candidate of candidates) {
+    for (const extension of extensions) {
+      try {
+        fs.accessSync(`${candidate}${extension}`, fs.constants.X_OK);
+        return `${candidate}${extension}`;
+      } catch (error) {
+        // Not here - keep looking
+      }
+    }
+  }
+  return null;
+};
+
+const describeFailure = (binary, setting, error) => {
+  if (error.code === 'ENOENT') return `${binary} was not found - install it or point ${setting} at it`;
+  if (error.killed) return `${binary} did not answer within ${DETECTION_TIMEOUT / 1000}s`;
+  return `${binary} could not be run: ${error.message}`;
+};
+
+const unavailable = (binary, setting, reason) => ({
+  available: false,
+  binary,
+  path: null,
+  version: null,
+  features: {},
+  reason,
+  setting
+});
+
+// 🎬 mpv - version plus the options the server depends on
+const detectMpv = async () => {
+  const player = getPlayerCommand([]);
+  const binary = config.mpv.simulator ? 'fake mpv (mpv.simulator)' : config.mpv.binary;
+  const setting = 'mpv.binary';
+
+  const versionRun = await run(player.command, [...player.args, '--version']);
+  if (versionRun.error) return unavailable(binary, setting, describeFailure(binary, setting, versionRun.error));
+
+  const optionsRun = await run(player.command, [...player.args, '--list-options']);
+  const options = optionsRun.error ? '' : optionsRun.output;
+  const features = Object.fromEntries(Object.entries(MPV_FEATURES)
+    .map(([feature, option]) => [feature, new RegExp(`^\\s*${option}(\\s|=|$)`, 'm').test(options)]));
+
+  const version = (versionRun.output.match(/^mpv v?(\S+)/m) || [])[1] || null;
+  const result = {
+    available: features.inputIpcServer,
+    binary,
+    path: config.mpv.simulator ? player.args[0] : locateBinary(config.mpv.binary),
+    version,
+    simulator: config.mpv.simulator,
+    features,
+    reason: null,
+    setting
+  };
+
+  if (!features.inputIpcServer) {
+    const label = version ? `${binary} ${version}` : binary;
+    result.reason = optionsRun.error ?
+      `${label} could not list its options, so JSON IPC support is unknown` :
+      `${label} has no --input-ipc-server option - JSON IPC needs mpv 0.7 or newer`;
+  }
+
+  return result;
+};
+
+// 🎞️ ffmpeg / ffprobe - version only (both take -version)
+const detectFfmpegTool = async (binary, setting) => {
+  const versionRun = await run(binary, ['-version']);
+  if (versionRun.error) return unavailable(binary, setting, describeFailure(binary, setting, versionRun.error));
+
+  return {
+    available: true,
+    binary,
+    path: locateBinary(binary),
+    version: (versionRun.output.match(/version (\S+)/) || [])[1] || null,
+    features: {},
+    reason: null,
+    setting
+  };
+};
+
+let current = null;
+let detection = null;
+
+/**
+ * Runs detection for every tool (callers arriving mid-detection share the same run).
+ * Resolves to { mpv, ffmpeg, ffprobe, checkedAt }.
+ */
+const detectCapabilities = () => {
+  if (!detection) {
+    detection = Promise.all([
+      detectMpv(),
+      detectFfmpegTool(config.media.ffmpegBinary, 'media.ffmpegBinary'),
+      detectFfmpegTool(config.media.ffprobeBinary, 'media.ffprobeBinary')
+    ]).then(([mpv, ffmpeg, ffprobe]) => {
+      current = { mpv, ffmpeg, ffprobe, checkedAt: new Date().toISOString() };
+
+      Object.entries({ mpv, ffmpeg, ffprobe }).forEach(([name, tool]) => {
+        if (tool.available) {
+          log.info(`🔍 ${name} ${tool.version || '(unknown version)'} available`, { path: tool.path });
+        } else {
+          log.warn(`⚠️ ${name} unavailable: ${tool.reason}`);
+        }
+      });
+
+      return current;
+    }).finally(() => {
+      detection = null;
+    });
+  }
+  return detection;
+};
+
+// Cached results, detecting first if nothing has been checked yet
+const getCapabilities = () => (current ? Promise.resolve(current) : detectCapabilities());
+
+detectCapabilities();
+
+module.exports = {
+  detectCapabilities,
+  getCapabilities
+};
@@ -0,0 +1,255 @@
+/**
+ * File: server/chunkedUpload.js
+ * Description: 📦 Chunked Uploads - resumable, size-limited uploads in raw chunks
+ *
+ * An upload is started with its name and size, then sent as raw byte ranges at
+ * explicit offsets. Each upload lives in uploads/.partial as <uploadId>.json
+ * (metadata) plus <uploadId>.part (bytes so far). The size of the .part file is the
+ * only record of progress, so a chunk cut off by a dropped connection simply
+ * resumes from whatever reached the disk. UPLOAD_LIMITS (config.js) is the single
+ * source of the upload size limit - the multipart endpoint, the docs and the browser
+ * all read it.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Limits and stale-upload age from config.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const mediaStore = require('./mediaStore');
+const { config, UPLOAD_LIMITS } = require('./config');
+
+const PARTIAL_DIR = path.join(mediaStore.UPLOADS_DIR, '.partial');
+const STALE_UPLOAD_AGE = config.uploads.staleUploadHours * 60 * 60 * 1000; // Kept this long for resuming
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+class UploadError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const formatSize = (bytes) => `${Math.round(bytes / (1024 * 1024))}MB`;
+
+const isAllowedFileName = (fileName) => {
+  const extension = path.extname(String(fileName || '')).slice(1).toLowerCase();
+  return UPLOAD_LIMITS.allowedExtensions.includes(extension);
+};
+
+const assertFileAllowed = (fileName, fileSize) => {
+  if (!fileName || typeof fileName !== 'string') {
+    throw new UploadError(400, 'fileName is required');
+  }
+  if (!isAllowedFileName(fileName)) {
+    throw new UploadError(415, 'Invalid file type. Only audio/video files allowed.');
+  }
+  if (!Number.isInteger(fileSize) || fileSize <= 0) {
+    throw new UploadError(400, 'fileSize must be a positive integer');
+  }
+  if (fileSize > UPLOAD_LIMITS.maxFileSize) {
+    throw new UploadError(413, `File too large: ${formatSize(fileSize)} (limit ${formatSize(UPLOAD_LIMITS.maxFileSize)})`,
+      { maxFileSize: UPLOAD_LIMITS.maxFileSize });
+  }
+};
+
+// 💾 Partial upload files
+const getMetaPath = (uploadId) => path.join(PARTIAL_DIR, `${uploadId}.json`);
+const getPartPath = (uploadId) => path.join(PARTIAL_DIR, `${uploadId}.part`);
+
+const readUpload = (uploadId) => {
+  if (!UPLOAD_ID_PATTERN.test(String(uploadId))) {
+    throw new UploadError(404, `Unknown upload: ${uploadId}`);
+  }
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(getMetaPath(uploadId), 'utf8'));
+    const receivedBytes = fs.existsSync(getPartPath(uploadId)) ? fs.statSync(getPartPath(uploadId)).size : 0;
+    return { ...meta, receivedBytes };
+  } catch (error) {
+    throw new UploadError(404, `Unknown upload: ${uploadId}`);
+  }
+};
+
+const describeUpload = (upload) => ({
+  uploadId: upload.uploadId,
+  fileName: upload.fileName,
+  fileSize: upload.fileSize,
+  receivedBytes: upload.receivedBytes,
+  chunkSize: UPLOAD_LIMITS.chunkSize,
+  complete: upload.receivedBytes === upload.fileSize
+});
+
+// Chunks currently being written - one writer per upload keeps offsets honest
+const activeChunks = new Set();
+
+/**
+ * Starts an upload for { fileName, fileSize, mimeType } after checking the limits.
+ */
+const createUpload = ({ fileName, fileSize, mimeType }) => {
+  assertFileAllowed(fileName, fileSize);
+
+  fs.mkdirSync(PARTIAL_DIR, { recursive: true });
+  const uploadId = crypto.randomBytes(12).toString('hex');
+  const meta = {
+    uploadId,
+    fileName: path.basename(fileName),
+    fileSize,
+    mimeType: mimeType || null,
+    createdAt: new Date().toISOString()
+  };
+
+  fs.writeFileSync(getMetaPath(uploadId), JSON.stringify(meta, null, 2));
+  fs.writeFileSync(getPartPath(uploadId), '');
+
+  return describeUpload({ ...meta, receivedBytes: 0 });
+};
+
+const getUpload = (uploadId) => describeUpload(readUpload(uploadId));
+
+/**
+ * Streams one chunk (a readable, normally the request) into the upload at `offset`.
+ * The offset must equal the bytes already received - a mismatch is a 409 carrying
+ * receivedBytes so the client can resume from the right place.
+ */
+const appendChunk = (uploadId, offset, source, declaredLength) => new Promise((resolve, reject) => {
+  const upload = readUpload(uploadId);
+
+  if (activeChunks.has(uploadId)) {
+    reject(new UploadError(409, 'Another chunk is still being written for this upload',
+      { receivedBytes: upload.receivedBytes }));
+    return;
+  }
+  if (!Number.isInteger(offset) || offset !== upload.receivedBytes) {
+    reject(new UploadError(409, `Offset ${offset} does not match received bytes ${upload.receivedBytes}`,
+      { receivedBytes: upload.receivedBytes }));
+    return;
+  }
+
+  const remaining = upload.fileSize - upload.receivedBytes;
+  const allowed = Math.min(UPLOAD_LIMITS.maxChunkSize, remaining);
+  if (declaredLength > allowed) {
+    reject(new UploadError(413, `Chunk of ${declaredLength} bytes exceeds the ${allowed} bytes allowed here`,
+      { receivedBytes: upload.receivedBytes, maxChunkSize: UPLOAD_LIMITS.maxChunkSize }));
+    return;
+  }
+
+  // Counts bytes on the way to disk and stops at the limit even without Content-Length
+  let written = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      if (written > allowed) {
+        callback(new UploadError(413, `Chunk exceeds the ${allowed} bytes allowed here`,
+          { maxChunkSize: UPLOAD_LIMITS.maxChunkSize }));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+
+  activeChunks.add(uploadId);
+  pipeline(source, limiter, fs.createWriteStream(getPartPath(uploadId), { flags: 'a' }), (error) => {
+    activeChunks.delete(uploadId);
+
+    // Whatever reached the disk counts - even from a chunk cut short
+    let receivedBytes = offset;
+    try {
+      receivedBytes = fs.statSync(getPartPath(uploadId)).size;
+    } catch (statError) {
+      // The upload was cancelled while this chunk was in flight
+    }
+
+    if (error) {
+      if (error instanceof UploadError) {
+        // Oversized chunks are rolled back rather than half-kept
+        try {
+          fs.truncateSync(getPartPath(uploadId), offset);
+          receivedBytes = offset;
+        } catch (truncateError) {
+          // Already gone
+        }
+        error.details = { ...error.details, receivedBytes };
+      }
+      reject(error);
+      return;
+    }
+
+    resolve(describeUpload({ ...upload, receivedBytes }));
+  });
+});
+
+/**
+ * Moves a fully received upload into the uploads directory.
+ * Resolves to { filePath, fileName, fileSize } for mediaLibrary.addUpload().
+ */
+const completeUpload = (uploadId) => {
+  const upload = readUpload(uploadId);
+
+  if (activeChunks.has(uploadId)) {
+    throw new UploadError(409, 'A chunk is still being written for this upload', { receivedBytes: upload.receivedBytes });
+  }
+  if (upload.receivedBytes !== upload.fileSize) {
+    throw new UploadError(409, `Upload incomplete: ${upload.receivedBytes} of ${upload.fileSize} bytes received`,
+      { receivedBytes: upload.receivedBytes });
+  }
+
+  const filePath = path.join(mediaStore.UPLOADS_DIR, mediaStore.createUploadFileName(upload.fileName));
+  fs.renameSync(getPartPath(uploadId), filePath);
+  fs.rmSync(getMetaPath(uploadId), { force: true });
+
+  return { filePath, fileName: upload.fileName, fileSize: upload.fileSize };
+};
+
+const cancelUpload = (uploadId) => {
+  readUpload(uploadId);
+  fs.rmSync(getPartPath(uploadId), { force: true });
+  fs.rmSync(getMetaPath(uploadId), { force: true });
+};
+
+// 🧹 Drop uploads nobody has touched for a day
+const cleanupStaleUploads = () => {
+  if (!fs.existsSync(PARTIAL_DIR)) return 0;
+
+  const cutoff = Date.now() - STALE_UPLOAD_AGE;
+  let removed = 0;
+
+  fs.readdirSync(PARTIAL_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const uploadId = path.basename(file, '.json');
+      if (activeChunks.has(uploadId)) return;
+
+      const partPath = getPartPath(uploadId);
+      const lastTouched = fs.existsSync(partPath) ?
+        fs.statSync(partPath).mtimeMs :
+        fs.statSync(getMetaPath(uploadId)).mtimeMs;
+
+      if (lastTouched < cutoff) {
+        fs.rmSync(partPath, { force: true });
+        fs.rmSync(getMetaPath(uploadId), { force: true });
+        removed++;
+      }
+    });
+
+  return removed;
+};
+
+const getUploadLimits = () => ({ ...UPLOAD_LIMITS });
+
+module.exports = {
+  UploadError,
+  appendChunk,
+  cancelUpload,
+  cleanupStaleUploads,
+  completeUpload,
+  createUpload,
+  getUpload,
+  getUploadLimits,
+  isAllowedFileName
+};
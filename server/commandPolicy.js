@@ -0,0 +1,203 @@
+/**
+ * File: server/commandPolicy.js
+ * Description: 🛡️ MPV Command Policy - allowlist and typed argument validation for client-issued commands
+ *
+ * Only commands and properties listed here may reach mpv through the HTTP API.
+ * Anything else (run, subprocess, loadfile, quit, ...) is rejected with a 403.
+ * Set mpv.allowUnsafeCommands (MPV_ALLOW_UNSAFE_COMMANDS=1) to bypass the policy on trusted setups.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - playlist-next / playlist-prev and playlist-pos
+ * v1.2.0 (2026-10-19) - Unsafe mode read from config.js (mpv.allowUnsafeCommands)
+ * v1.3.0 (2026-10-19) - ab-loop-a / ab-loop-b (native A-B loop)
+ * v1.4.0 (2026-10-19) - path and filename are not readable - server paths stay behind media IDs
+ */
+
+const { config } = require('./config');
+
+const SEEK_MODES = ['absolute', 'relative', 'absolute-percent', 'relative-percent'];
+const SEEK_FLAGS = ['exact', 'keyframes'];
+
+// 📋 Property Schemas - read-only unless writable: true. Nothing that reveals a server path
+// (path, filename, ...) - clients name media by ID and get display names from the media store
+const PROPERTIES = {
+  'time-pos': { type: 'number', min: 0, writable: true },
+  'playback-time': { type: 'number' },
+  'percent-pos': { type: 'number', min: 0, max: 100, writable: true },
+  'time-remaining': { type: 'number' },
+  duration: { type: 'number' },
+  'eof-reached': { type: 'boolean' },
+  'idle-active': { type: 'boolean' },
+  'media-title': { type: 'string' },
+  'mpv-version': { type: 'string' },
+  'playlist-count': { type: 'number' },
+  'playlist-pos': { type: 'number', min: 0, writable: true },
+  pause: { type: 'boolean', writable: true },
+  speed: { type: 'number', min: 0.01, max: 100, writable: true },
+  volume: { type: 'number', min: 0, max: 130, writable: true },
+  mute: { type: 'boolean', writable: true },
+  fullscreen: { type: 'boolean', writable: true },
+  ontop: { type: 'boolean', writable: true },
+  'hr-seek': { type: 'enum', values: ['yes', 'no', 'absolute', 'default'], writable: true },
+  'ab-loop-a': { type: 'loop-point', writable: true },
+  'ab-loop-b': { type: 'loop-point', writable: true }
+};
+
+// 🎮 Command Schemas - one entry per positional argument
+const COMMANDS = {
+  get_property: [{ kind: 'property' }],
+  set_property: [{ kind: 'property', writable: true }, { kind: 'value' }],
+  cycle: [{ kind: 'property', writable: true, type: 'boolean' }],
+  add: [{ kind: 'property', writable: true, type: 'number' }, { kind: 'number', optional: true }],
+  seek: [{ kind: 'number' }, { kind: 'seek-mode', optional: true }, { kind: 'seek-flag', optional: true }],
+  'frame-step': [],
+  'frame-back-step': [],
+  'playlist-next': [],
+  'playlist-prev': []
+};
+
+class CommandPolicyError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'CommandPolicyError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const isUnsafeModeEnabled = () => config.mpv.allowUnsafeCommands;
+
+const describe = (value) => JSON.stringify(value);
+
+// mpv accepts booleans as true/false or "yes"/"no"
+const checkValue = (schema, value) => {
+  switch (schema.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a finite number';
+      if (schema.min !== undefined && value < schema.min) return `must be >= ${schema.min}`;
+      if (schema.max !== undefined && value > schema.max) return `must be <= ${schema.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'yes' || value === 'no' ?
+        null : 'must be a boolean';
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'enum':
+      return schema.values.includes(value) ? null : `must be one of ${schema.values.join(', ')}`;
+    case 'loop-point':
+      // Seconds, or "no" to clear the point
+      return value === 'no' || (typeof value === 'number' && Number.isFinite(value) && value >= 0) ?
+        null : 'must be a time in seconds or "no"';
+    default:
+      return 'has an unknown type';
+  }
+};
+
+const checkSeekMode = (value) => {
+  if (typeof value !== 'string') return 'must be a string';
+
+  // mpv allows combined flags such as "absolute+exact"
+  const parts = value.split('+');
+  const modes = parts.filter(part => SEEK_MODES.includes(part));
+  const unknown = parts.filter(part => !SEEK_MODES.includes(part) && !SEEK_FLAGS.includes(part));
+
+  if (unknown.length > 0) return `contains unknown seek flag(s): ${unknown.join(', ')}`;
+  if (modes.length > 1) return 'must contain a single seek mode';
+  return null;
+};
+
+const invalidArgument = (command, index, reason) => new CommandPolicyError(
+  400,
+  'INVALID_ARGUMENT',
+  `Argument ${index} of "${command[0]}" ${reason}`,
+  { command, argumentIndex: index }
+);
+
+/**
+ * Throws a CommandPolicyError unless the command is allowed and well formed.
+ */
+const assertCommandAllowed = (command) => {
+  if (isUnsafeModeEnabled()) return;
+
+  if (!Array.isArray(command) || command.length === 0 || typeof command[0] !== 'string') {
+    throw new CommandPolicyError(400, 'INVALID_COMMAND', 'Command must be a non-empty array starting with the command name', { command });
+  }
+
+  const [name, ...args] = command;
+  const schema = COMMANDS[name];
+
+  if (!schema) {
+    throw new CommandPolicyError(403, 'COMMAND_NOT_ALLOWED', `Command "${name}" is not allowed`, {
+      command,
+      allowedCommands: Object.keys(COMMANDS)
+    });
+  }
+
+  const required = schema.filter(arg => !arg.optional).length;
+  if (args.length < required || args.length > schema.length) {
+    throw new CommandPolicyError(400, 'INVALID_ARGUMENT_COUNT',
+      `Command "${name}" takes ${required === schema.length ? required : `${required}-${schema.length}`} argument(s), got ${args.length}`,
+      { command });
+  }
+
+  let property = null;
+
+  args.forEach((value, i) => {
+    const argSchema = schema[i];
+    const index = i + 1;
+    let reason = null;
+
+    switch (argSchema.kind) {
+      case 'property':
+        property = PROPERTIES[value];
+        if (!property) {
+          throw new CommandPolicyError(403, 'PROPERTY_NOT_ALLOWED', `Property ${describe(value)} is not allowed`, {
+            command,
+            allowedProperties: Object.keys(PROPERTIES)
+          });
+        }
+        if (argSchema.writable && !property.writable) {
+          throw new CommandPolicyError(403, 'PROPERTY_READ_ONLY', `Property "${value}" is read-only`, { command });
+        }
+        if (argSchema.type && property.type !== argSchema.type) {
+          reason = `must be a ${argSchema.type} property`;
+        }
+        break;
+      case 'value':
+        reason = checkValue(property, value);
+        break;
+      case 'number':
+        reason = checkValue({ type: 'number' }, value);
+        break;
+      case 'seek-mode':
+        reason = checkSeekMode(value);
+        break;
+      case 'seek-flag':
+        reason = checkValue({ type: 'enum', values: SEEK_FLAGS }, value);
+        break;
+      default:
+        reason = 'has an unknown schema';
+    }
+
+    if (reason) throw invalidArgument(command, index, reason);
+  });
+};
+
+// 📖 Policy description for /api/docs and /api/mpv-command-policy
+const describePolicy = () => ({
+  unsafeMode: isUnsafeModeEnabled(),
+  commands: COMMANDS,
+  properties: PROPERTIES,
+  seekModes: SEEK_MODES,
+  seekFlags: SEEK_FLAGS
+});
+
+module.exports = {
+  CommandPolicyError,
+  SEEK_MODES,
+  assertCommandAllowed,
+  describePolicy,
+  isUnsafeModeEnabled
+};
@@ -0,0 +1,380 @@
+/**
+ * File: server/config.js
+ * Description: ⚙️ Server Configuration - defaults, config file and environment overrides in one place
+ *
+ * Values are resolved in three layers: the defaults below, then a JSON or YAML
+ * config file (CONFIG_FILE, or server/config.json / config.yaml / config.yml when
+ * present), then environment variables. Every value is validated once at startup and
+ * all problems are reported together, naming where the bad value came from.
+ * The effective configuration is served at GET /api/config, with filesystem paths
+ * (schema entries marked path) redacted.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Logging settings (level, format, redaction)
+ * v1.2.0 (2026-10-19) - api.validateResponses (OpenAPI response checks)
+ * v1.3.0 (2026-10-19) - Subtitle extensions (srt, ass, ssa, vtt, sub) in the default upload allowlist
+ * v1.4.0 (2026-10-19) - mpv.recovery: relaunch crashed players (restart limit, delay)
+ * v1.5.0 (2026-10-19) - Paths redacted from GET /api/config
+ * v1.6.0 (2026-10-19) - uploads.directory (UPLOADS_DIR) - where the library, caches and partial uploads live
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+
+const MB = 1024 * 1024;
+
+// ⚙️ Defaults
+const DEFAULTS = {
+  server: {
+    port: 3001,
+    corsOrigins: ['http://localhost:3000', 'http://127.0.0.1:3000'],
+    jsonBodyLimit: '1gb'
+  },
+  mpv: {
+    binary: 'mpv',
+    simulator: false,
+    socketDir: os.tmpdir(),
+    commandTimeout: 2000,
+    connectionTimeout: 5000,
+    heartbeatInterval: 3000,
+    probeTimeout: 1000,
+    probeFailuresBeforeLost: 3,
+    reconnectBaseDelay: 250,
+    reconnectMaxDelay: 8000,
+    maxSessions: 8,
+    maxBatchSize: 32,
+    allowUnsafeCommands: false,
+    args: [
+      '--idle=yes',
+      '--keep-open=yes',
+      '--pause', // Start paused for sync
+      '--hr-seek=yes', // High-resolution seeking
+      '--hr-seek-framedrop=no', // Frame-accurate seeking
+      '--cache=yes',
+      '--cache-secs=30', // 30 second cache
+      '--no-terminal', // Disable terminal output
+      '--msg-level=all=warn' // Reduce log verbosity
+    ],
+    window: {
+      geometry: '800x600+100+100',
+      ontop: true,
+      title: 'Ultra-Fast Synced Player'
+    },
+    recovery: {
+      enabled: true,
+      maxRestarts: 3, // Within restartWindow - a player that keeps crashing is left down
+      restartWindow: 60000,
+      restartDelay: 1000
+    }
+  },
+  media: {
+    roots: [],
+    ffprobeBinary: 'ffprobe',
+    ffmpegBinary: 'ffmpeg'
+  },
+  uploads: {
+    directory: path.join(__dirname, 'uploads'),
+    maxFileSizeMB: 1024,
+    chunkSizeMB: 8,
+    maxChunkSizeMB: 16,
+    allowedExtensions: ['mp3', 'wav', 'flac', 'ogg', 'm4a', 'aac', 'mp4', 'mkv', 'avi', 'webm', 'mov', 'srt', 'ass', 'ssa', 'vtt', 'sub'],
+    staleUploadHours: 24
+  },
+  library: {
+    maxAgeDays: 30,
+    maxTotalSizeMB: 10240
+  },
+  cleanup: {
+    intervalMinutes: 5
+  },
+  logging: {
+    level: 'info',
+    format: 'pretty',
+    redactHeaders: ['authorization', 'cookie', 'set-cookie', 'proxy-authorization', 'x-api-key'],
+    redactFields: ['password', 'token', 'secret', 'apiKey', 'authorization']
+  },
+  api: {
+    validateResponses: true
+  }
+};
+
+// 📐 Schema - one rule per leaf of DEFAULTS
+const SCHEMA = {
+  'server.port': { type: 'integer', min: 1, max: 65535 },
+  'server.corsOrigins': { type: 'string[]' },
+  'server.jsonBodyLimit': { type: 'string', pattern: /^\d+(b|kb|mb|gb)$/i, hint: 'a size such as "100mb"' },
+  'mpv.binary': { type: 'string', path: true },
+  'mpv.simulator': { type: 'boolean' },
+  'mpv.socketDir': { type: 'string', path: true },
+  'mpv.commandTimeout': { type: 'integer', min: 100 },
+  'mpv.connectionTimeout': { type: 'integer', min: 100 },
+  'mpv.heartbeatInterval': { type: 'integer', min: 100 },
+  'mpv.probeTimeout': { type: 'integer', min: 50 },
+  'mpv.probeFailuresBeforeLost': { type: 'integer', min: 1 },
+  'mpv.reconnectBaseDelay': { type: 'integer', min: 10 },
+  'mpv.reconnectMaxDelay': { type: 'integer', min: 10 },
+  'mpv.maxSessions': { type: 'integer', min: 1, max: 64 },
+  'mpv.maxBatchSize': { type: 'integer', min: 1, max: 1000 },
+  'mpv.allowUnsafeCommands': { type: 'boolean' },
+  'mpv.args': { type: 'string[]', pattern: /^--[a-z0-9-]+(=.*)?$/, hint: 'mpv options such as "--cache-secs=30"' },
+  'mpv.window.geometry': { type: 'string', pattern: /^\d+(%|x\d+)?([+-]\d+[+-]\d+)?$/, hint: 'an mpv geometry such as "800x600+100+100"' },
+  'mpv.window.ontop': { type: 'boolean' },
+  'mpv.window.title': { type: 'string' },
+  'mpv.recovery.enabled': { type: 'boolean' },
+  'mpv.recovery.maxRestarts': { type: 'integer', min: 1, max: 100 },
+  'mpv.recovery.restartWindow': { type: 'integer', min: 1000 },
+  'mpv.recovery.restartDelay': { type: 'integer', min: 0 },
+  'media.roots': { type: 'string[]', path: true },
+  'media.ffprobeBinary': { type: 'string', path: true },
+  'media.ffmpegBinary': { type: 'string', path: true },
+  'uploads.directory': { type: 'string', path: true },
+  'uploads.maxFileSizeMB': { type: 'number', min: 1 },
+  'uploads.chunkSizeMB': { type: 'number', min: 0.0625 },
+  'uploads.maxChunkSizeMB': { type: 'number', min: 0.0625 },
+  'uploads.allowedExtensions': { type: 'string[]', pattern: /^[a-z0-9]+$/, hint: 'lowercase extensions without dots' },
+  'uploads.staleUploadHours': { type: 'number', min: 0.1 },
+  'library.maxAgeDays': { type: 'number', min: 0 },
+  'library.maxTotalSizeMB': { type: 'number', min: 0 },
+  'cleanup.intervalMinutes': { type: 'number', min: 0.1 },
+  'logging.level': { type: 'string', pattern: /^(error|warn|info|debug)$/, hint: 'one of error, warn, info, debug' },
+  'logging.format': { type: 'string', pattern: /^(pretty|json)$/, hint: '"pretty" or "json"' },
+  'logging.redactHeaders': { type: 'string[]' },
+  'logging.redactFields': { type: 'string[]' },
+  'api.validateResponses': { type: 'boolean' }
+};
+
+// 🌍 Environment overrides - the variable names predate this module and stay supported
+const ENV_OVERRIDES = {
+  PORT: 'server.port',
+  CORS_ORIGINS: 'server.corsOrigins',
+  MPV_BINARY: 'mpv.binary',
+  MPV_SIMULATOR: 'mpv.simulator',
+  MPV_SOCKET_DIR: 'mpv.socketDir',
+  MPV_COMMAND_TIMEOUT: 'mpv.commandTimeout',
+  MPV_CONNECTION_TIMEOUT: 'mpv.connectionTimeout',
+  MPV_MAX_SESSIONS: 'mpv.maxSessions',
+  MPV_ALLOW_UNSAFE_COMMANDS: 'mpv.allowUnsafeCommands',
+  MPV_ARGS: 'mpv.args',
+  MPV_CRASH_RECOVERY: 'mpv.recovery.enabled',
+  MEDIA_ROOTS: 'media.roots',
+  FFPROBE_BINARY: 'media.ffprobeBinary',
+  FFMPEG_BINARY: 'media.ffmpegBinary',
+  UPLOADS_DIR: 'uploads.directory',
+  UPLOAD_MAX_FILE_SIZE_MB: 'uploads.maxFileSizeMB',
+  MEDIA_LIBRARY_MAX_AGE_DAYS: 'library.maxAgeDays',
+  MEDIA_LIBRARY_MAX_SIZE_MB: 'library.maxTotalSizeMB',
+  CLEANUP_INTERVAL_MINUTES: 'cleanup.intervalMinutes',
+  LOG_LEVEL: 'logging.level',
+  LOG_FORMAT: 'logging.format',
+  LOG_REDACT_HEADERS: 'logging.redactHeaders',
+  LOG_REDACT_FIELDS: 'logging.redactFields',
+  API_VALIDATE_RESPONSES: 'api.validateResponses'
+};
+
+// List separators for environment variables (MEDIA_ROOTS keeps the platform path delimiter)
+const ENV_LIST_SEPARATORS = {
+  'media.roots': path.delimiter,
+  'mpv.args': /\s+/
+};
+
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'].map(name => path.join(__dirname, name));
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const getAt = (object, key) => key.split('.').reduce((value, part) => (value === undefined ? undefined : value[part]), object);
+
+const setAt = (object, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => {
+    if (typeof node[part] !== 'object' || node[part] === null) node[part] = {};
+    return node[part];
+  }, object);
+  parent[last] = value;
+};
+
+// Flattens { a: { b: 1 } } to [['a.b', 1]] - arrays are leaves
+const flatten = (object, prefix = '') => Object.entries(object).flatMap(([name, value]) => {
+  const key = prefix ? `${prefix}.${name}` : name;
+  return value && typeof value === 'object' && !Array.isArray(value) ? flatten(value, key) : [[key, value]];
+});
+
+// 🌍 Environment strings → typed values (validated afterwards like everything else)
+const parseEnvValue = (key, raw) => {
+  const rule = SCHEMA[key];
+
+  if (rule.type === 'boolean') {
+    if (['1', 'true', 'yes', 'on'].includes(raw.toLowerCase())) return true;
+    if (['0', 'false', 'no', 'off', ''].includes(raw.toLowerCase())) return false;
+    return raw;
+  }
+  if (rule.type === 'integer' || rule.type === 'number') {
+    const number = Number(raw);
+    return raw.trim() === '' || Number.isNaN(number) ? raw : number; // Keep the raw text for the error
+  }
+  if (rule.type === 'string[]') {
+    return raw.split(ENV_LIST_SEPARATORS[key] || ',').map(item => item.trim()).filter(Boolean);
+  }
+  return raw;
+};
+
+const describeValue = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+const validateValue = (key, value, source) => {
+  const rule = SCHEMA[key];
+  const where = `${key} (from ${source})`;
+  const got = `got ${describeValue(value)}`;
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const isValid = typeof value === 'number' && Number.isFinite(value) &&
+        (rule.type === 'number' || Number.isInteger(value));
+      if (!isValid) return `${where} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}, ${got}`;
+      if (rule.min !== undefined && value < rule.min) return `${where} must be at least ${rule.min}, ${got}`;
+      if (rule.max !== undefined && value > rule.max) return `${where} must be at most ${rule.max}, ${got}`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${where} must be true or false, ${got}`;
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) return `${where} must be a non-empty string, ${got}`;
+      if (rule.pattern && !rule.pattern.test(value)) return `${where} must be ${rule.hint}, ${got}`;
+      return null;
+    case 'string[]': {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return `${where} must be a list of strings, ${got}`;
+      }
+      const invalid = rule.pattern ? value.filter(item => !rule.pattern.test(item)) : [];
+      return invalid.length > 0 ? `${where} must contain ${rule.hint}, got ${describeValue(invalid)}` : null;
+    }
+    default:
+      return null;
+  }
+};
+
+const readConfigFile = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  return parsed || {};
+};
+
+const findConfigFile = (env) => {
+  if (env.CONFIG_FILE) return path.resolve(env.CONFIG_FILE);
+  return DEFAULT_CONFIG_FILES.find(filePath => fs.existsSync(filePath)) || null;
+};
+
+/**
+ * Resolves defaults + config file + environment. Returns { config, sources, file }
+ * where sources maps every key to 'default', the file name or the variable name.
+ * Throws ConfigError listing every invalid value.
+ */
+const loadConfig = (env = process.env) => {
+  const config = JSON.parse(JSON.stringify(DEFAULTS));
+  const sources = Object.fromEntries(Object.keys(SCHEMA).map(key => [key, 'default']));
+  const problems = [];
+
+  // 📄 Config file
+  const file = findConfigFile(env);
+  if (file) {
+    let fileValues = {};
+    try {
+      fileValues = readConfigFile(file);
+    } catch (error) {
+      problems.push(`${path.basename(file)} could not be read: ${error.message}`);
+    }
+
+    if (typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+      problems.push(`${path.basename(file)} must contain an object`);
+    } else {
+      flatten(fileValues).forEach(([key, value]) => {
+        if (!SCHEMA[key]) {
+          problems.push(`${key} (from ${path.basename(file)}) is not a known setting`);
+          return;
+        }
+        setAt(config, key, value);
+        sources[key] = path.basename(file);
+      });
+    }
+  }
+
+  // 🌍 Environment
+  Object.entries(ENV_OVERRIDES).forEach(([name, key]) => {
+    if (env[name] === undefined) return;
+    setAt(config, key, parseEnvValue(key, env[name]));
+    sources[key] = name;
+  });
+
+  Object.keys(SCHEMA).forEach(key => {
+    const problem = validateValue(key, getAt(config, key), sources[key]);
+    if (problem) problems.push(problem);
+  });
+
+  if (problems.length === 0 && config.uploads.chunkSizeMB > config.uploads.maxChunkSizeMB) {
+    problems.push(`uploads.chunkSizeMB (${config.uploads.chunkSizeMB}) cannot exceed uploads.maxChunkSizeMB (${config.uploads.maxChunkSizeMB})`);
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  return { config, sources, file };
+};
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+};
+
+const loaded = loadConfig();
+const config = deepFreeze(loaded.config);
+
+// Byte values derived once so callers never repeat the MB arithmetic
+const UPLOAD_LIMITS = Object.freeze({
+  maxFileSize: Math.floor(config.uploads.maxFileSizeMB * MB),
+  chunkSize: Math.floor(config.uploads.chunkSizeMB * MB),
+  maxChunkSize: Math.floor(config.uploads.maxChunkSizeMB * MB),
+  allowedExtensions: config.uploads.allowedExtensions
+});
+
+// 📋 Effective configuration for GET /api/config - paths stay on the server (a bare
+// command name such as "mpv" is not a path and is shown as is)
+const REDACTED = '[REDACTED]';
+
+const redactPath = (value) => (
+  typeof value === 'string' && (value.includes('/') || value.includes(path.sep)) ? REDACTED : value
+);
+
+const describeConfig = () => {
+  const redacted = JSON.parse(JSON.stringify(config));
+  Object.keys(SCHEMA)
+    .filter(key => SCHEMA[key].path)
+    .forEach(key => {
+      const value = getAt(config, key);
+      setAt(redacted, key, Array.isArray(value) ? value.map(redactPath) : redactPath(value));
+    });
+
+  return {
+    file: loaded.file ? path.basename(loaded.file) : null,
+    config: redacted,
+    sources: loaded.sources,
+    environmentVariables: ENV_OVERRIDES
+  };
+};
+
+module.exports = {
+  ConfigError,
+  UPLOAD_LIMITS,
+  config,
+  describeConfig,
+  loadConfig
+};
@@ -0,0 +1,123 @@
+/**
+ * File: server/eventStream.js
+ * Description: 📡 MPV Event Stream - pushes observed MPV properties and lifecycle events to every browser over WebSocket
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Structured logging (logger.js)
+ * v1.2.0 (2026-10-19) - Monotonic server clock and clock-ping / clock-pong for browser clock offset estimation
+ */
+
+const { performance } = require('perf_hooks');
+const WebSocket = require('ws');
+const { createLogger } = require('./logger');
+
+const log = createLogger('eventStream');
+
+// 📡 Stream Configuration
+const EVENT_STREAM_PATH = '/api/mpv-events';
+const CLIENT_PING_INTERVAL = 15000;
+const MAX_CLIENT_MESSAGE = 1024; // Browsers only send clock pings
+
+const wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_CLIENT_MESSAGE });
+
+// ⏱️ Milliseconds on a clock that never jumps (unlike Date.now()) - MPV clock samples are stamped with it
+const monotonicNow = () => performance.now();
+
+// Returns the state a freshly connected client needs before the first event arrives
+let snapshotProvider = () => ({});
+
+const sendJSON = (client, message) => {
+  if (client.readyState !== WebSocket.OPEN) return;
+
+  try {
+    client.send(JSON.stringify(message));
+  } catch (error) {
+    log.warn(`⚠️ Failed to send event to client: ${error.message}`);
+  }
+};
+
+// 🚀 Broadcast an event to every connected client
+const broadcast = (type, payload = {}) => {
+  const message = { type, ...payload, timestamp: Date.now() };
+  wss.clients.forEach(client => sendJSON(client, message));
+};
+
+const setSnapshotProvider = (provider) => {
+  snapshotProvider = provider;
+};
+
+// ⏱️ Browsers estimate their offset to monotonicNow() from round trips: the pong echoes
+// their own send time next to the server time it was answered at
+const handleClientMessage = (client, data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return;
+  }
+
+  if (message && message.type === 'clock-ping' && Number.isFinite(message.clientTime)) {
+    sendJSON(client, { type: 'clock-pong', clientTime: message.clientTime, serverTime: monotonicNow() });
+  }
+};
+
+wss.on('connection', (client) => {
+  client.isAlive = true;
+  client.on('pong', () => {
+    client.isAlive = true;
+  });
+
+  client.on('message', (data) => handleClientMessage(client, data));
+
+  client.on('error', (error) => {
+    log.warn(`⚠️ Event stream client error: ${error.message}`);
+  });
+
+  sendJSON(client, { type: 'snapshot', ...snapshotProvider(), timestamp: Date.now() });
+  log.info(`📡 Event stream client connected (${wss.clients.size} total)`);
+});
+
+// 🧹 Drop clients that stopped answering pings (closed laptops, dead tabs)
+const pingTimer = setInterval(() => {
+  wss.clients.forEach(client => {
+    if (!client.isAlive) {
+      client.terminate();
+      return;
+    }
+    client.isAlive = false;
+    client.ping();
+  });
+}, CLIENT_PING_INTERVAL);
+pingTimer.unref();
+
+// 🔌 Route WebSocket upgrades for the event stream path on an existing HTTP server
+const attach = (server) => {
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname !== EVENT_STREAM_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (client) => {
+      wss.emit('connection', client, req);
+    });
+  });
+};
+
+const close = () => {
+  clearInterval(pingTimer);
+  wss.clients.forEach(client => client.terminate());
+  wss.close();
+};
+
+module.exports = {
+  EVENT_STREAM_PATH,
+  attach,
+  broadcast,
+  close,
+  monotonicNow,
+  setSnapshotProvider
+};
@@ -0,0 +1,1043 @@
+#!/usr/bin/env node
+/**
+ * File: server/fakeMpv.js
+ * Description: 🧪 Fake MPV - speaks mpv's JSON IPC protocol over a Unix socket on a simulated clock
+ *
+ * Stand-in for the real `mpv` binary on headless boxes and in CI. Accepts the same
+ * command line the server passes to mpv (only --input-ipc-server, --pause and the
+ * media path matter) and answers request_id commands, observe_property, seek,
+ * pause and speed the way mpv does, including a playlist that advances at the end
+ * of each file. No audio or video is decoded.
+ *
+ * Enable with MPV_SIMULATOR=1 (see mpvSession.js). The simulated media length is
+ * read from the header of PCM WAV files; every other file (and a WAV whose header
+ * cannot be read) gets FAKE_MPV_DURATION seconds (default 300).
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Playlist: loadfile append modes, playlist-next/prev/move/remove
+ * v1.2.0 (2026-10-19) - track-list, audio-params, chapter-list, metadata and file-format
+ * v1.3.0 (2026-10-19) - --version and --list-options for capability detection
+ * v1.4.0 (2026-10-19) - aid/sid selection, sub-add, chapters and the chapter property; video files
+ *                        get a second audio track and an embedded subtitle track
+ * v1.5.0 (2026-10-19) - ab-loop-a / ab-loop-b: reaching B jumps back to A
+ * v1.6.0 (2026-10-19) - af command (set/add/remove/clr) and the af property
+ * v1.7.0 (2026-10-19) - screenshot-to-file: writes a small PNG whose colour follows the position
+ * v1.8.0 (2026-10-19) - WAV files play for their real length instead of FAKE_MPV_DURATION;
+ *                        formats are detected from the content, not the extension
+ * v1.9.0 (2026-10-19) - Subtitles added with sub-add are listed for audio-only files too
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// 🧪 Simulator Configuration
+const TIME_POS_INTERVAL = 50; // How often time-pos changes are pushed while playing
+const DEFAULT_DURATION = Number(process.env.FAKE_MPV_DURATION) || 300;
+const VERSION = 'mpv 0.38.0 (fake)';
+
+// 🔧 Command line (mpv style: --name=value, --flag, --no-flag, media path)
+const parseArgs = (argv) => {
+  const options = {};
+  const files = [];
+
+  argv.forEach(arg => {
+    if (!arg.startsWith('--')) {
+      files.push(arg);
+      return;
+    }
+
+    const [name, ...rest] = arg.slice(2).split('=');
+    if (rest.length > 0) {
+      options[name] = rest.join('=');
+    } else if (name.startsWith('no-')) {
+      options[name.slice(3)] = 'no';
+    } else {
+      options[name] = 'yes';
+    }
+  });
+
+  return { options, files };
+};
+
+const { options, files } = parseArgs(process.argv.slice(2));
+const socketPath = options['input-ipc-server'];
+
+// 🔍 Informational flags - answered like mpv, then exit
+const SUPPORTED_OPTIONS = ['--input-ipc-server', '--pause', '--idle', '--keep-open', '--ab-loop-a', '--ab-loop-b', '--af', '--screenshot-directory'];
+
+if (options.version) {
+  console.log(`${VERSION} Copyright © 2000-2024 mpv/MPlayer/mplayer2 projects`);
+  process.exit(0);
+}
+
+if (options['list-options']) {
+  console.log('Options:\n');
+  SUPPORTED_OPTIONS.forEach(option => console.log(` ${option.padEnd(32)} (simulated)`));
+  process.exit(0);
+}
+
+if (!socketPath) {
+  console.error('fake-mpv: --input-ipc-server is required');
+  process.exit(1);
+}
+
+// ⏱️ Simulated Playback Clock
+// position = anchorPosition + (now - anchorTime) * speed while playing
+const clock = {
+  anchorPosition: 0,
+  anchorTime: Date.now(),
+  speed: 1,
+  paused: options.pause === 'yes',
+  duration: null
+};
+
+const now = () => Date.now();
+
+const getPosition = () => {
+  if (clock.duration === null) return null;
+  if (clock.paused) return clock.anchorPosition;
+
+  const elapsed = ((now() - clock.anchorTime) / 1000) * clock.speed;
+  return Math.min(clock.duration, clock.anchorPosition + elapsed);
+};
+
+// Re-anchor so speed/pause changes do not make the position jump
+const reanchor = () => {
+  clock.anchorPosition = getPosition() || 0;
+  clock.anchorTime = now();
+};
+
+// 🎬 Player State
+const state = {
+  path: null,
+  volume: 100,
+  mute: false,
+  fullscreen: false,
+  'hr-seek': options['hr-seek'] || 'default',
+  'keep-open': options['keep-open'] || 'no',
+  idle: options.idle || 'no',
+  title: options.title || 'mpv',
+  'ab-loop-a': 'no',
+  'ab-loop-b': 'no'
+};
+
+// 📋 Playlist - entries are { id, filename }, playlistPos is -1 when nothing is loaded
+const playlist = [];
+let playlistPos = -1;
+let nextEntryId = 1;
+
+const describePlaylist = () => playlist.map((entry, index) => {
+  const item = { filename: entry.filename, id: entry.id };
+  if (index === playlistPos) {
+    item.current = true;
+    if (state.path) item.playing = true;
+  }
+  return item;
+});
+
+// 🎞️ Simulated streams - a stereo 48kHz audio track; video formats add a 1280x720 video
+// track, a second (commentary) audio track and an embedded subtitle track
+const VIDEO_FORMATS = ['mp4', 'mkv', 'avi', 'webm', 'mov'];
+const CHAPTER_COUNT = 4; // Every simulated file has evenly spaced chapters
+
+// Like mpv, the format comes from the file's content (library files have no extension);
+// the extension is only a fallback for content the simulator does not recognise
+const sniffFormat = (file) => {
+  const head = Buffer.alloc(64);
+  let length = 0;
+  try {
+    const fd = fs.openSync(file, 'r');
+    length = fs.readSync(fd, head, 0, head.length, 0);
+    fs.closeSync(fd);
+  } catch (error) {
+    // Unreadable - fall back to the extension
+  }
+
+  const ascii = (start, end) => head.toString('ascii', start, end);
+  if (length >= 12 && ascii(0, 4) === 'RIFF') {
+    if (ascii(8, 12) === 'WAVE') return 'wav';
+    if (ascii(8, 12) === 'AVI ') return 'avi';
+  }
+  if (length >= 12 && ascii(4, 8) === 'ftyp') return ascii(8, 12) === 'qt  ' ? 'mov' : 'mp4';
+  if (length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3) return head.includes('webm') ? 'webm' : 'mkv';
+  if (length >= 4 && ascii(0, 4) === 'fLaC') return 'flac';
+  if (length >= 4 && ascii(0, 4) === 'OggS') return 'ogg';
+  if (length >= 3 && (ascii(0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0))) return 'mp3';
+
+  return path.extname(file).slice(1).toLowerCase() || null;
+};
+
+const sniffed = { path: null, format: null };
+
+const getFileFormat = () => {
+  if (!state.path) return null;
+  if (sniffed.path !== state.path) Object.assign(sniffed, { path: state.path, format: sniffFormat(state.path) });
+  return sniffed.format;
+};
+const isVideo = () => VIDEO_FORMATS.includes(getFileFormat());
+
+// External subtitles: ASS/SSA by their [Script Info] header, anything else reads as SubRip
+const getSubtitleCodec = (file) => {
+  try {
+    const fd = fs.openSync(file, 'r');
+    const head = Buffer.alloc(32);
+    const length = fs.readSync(fd, head, 0, head.length, 0);
+    fs.closeSync(fd);
+    if (head.toString('utf8', 0, length).replace(/^\uFEFF/, '').startsWith('[Script Info]')) return 'ass';
+  } catch (error) {
+    // Unreadable - decide by the extension
+  }
+  return ['.ass', '.ssa'].includes(path.extname(file).toLowerCase()) ? 'ass' : 'subrip';
+};
+
+// 🎚️ Track selection - aid/sid read as a track id or false (mpv's "no"); external subtitles per file
+const selection = { aid: false, sid: false };
+let externalSubtitles = [];
+
+const resetTracks = () => {
+  selection.aid = state.path ? 1 : false;
+  selection.sid = false;
+  externalSubtitles = [];
+};
+
+const getTrackList = () => {
+  if (!state.path) return [];
+
+  const audioCodec = { mp3: 'mp3', wav: 'pcm_s16le', flac: 'flac', ogg: 'vorbis', m4a: 'aac', aac: 'aac' }[getFileFormat()] || 'aac';
+  const audioTrack = (id, extra) => ({
+    id,
+    type: 'audio',
+    'src-id': id,
+    default: id === 1,
+    selected: selection.aid === id,
+    external: false,
+    codec: audioCodec,
+    'demux-samplerate': 48000,
+    'demux-channel-count': 2,
+    'demux-channels': 'stereo',
+    ...extra
+  });
+
+  const externalSubtitleTracks = externalSubtitles.map(subtitle => ({
+    id: subtitle.id,
+    type: 'sub',
+    title: subtitle.title,
+    lang: subtitle.lang,
+    default: false,
+    selected: selection.sid === subtitle.id,
+    external: true,
+    'external-filename': subtitle.filename,
+    codec: subtitle.codec
+  }));
+
+  if (!isVideo()) {
+    return [audioTrack(1, { 'ff-index': 0 }), ...externalSubtitleTracks];
+  }
+
+  return [
+    {
+      id: 1,
+      type: 'video',
+      'src-id': 0,
+      'ff-index': 0,
+      default: true,
+      selected: true,
+      external: false,
+      codec: 'h264',
+      'demux-w': 1280,
+      'demux-h': 720,
+      'demux-fps': 30
+    },
+    audioTrack(1, { 'ff-index': 1, lang: 'eng' }),
+    audioTrack(2, { 'ff-index': 2, lang: 'eng', title: 'Commentary' }),
+    {
+      id: 1,
+      type: 'sub',
+      'src-id': 3,
+      'ff-index': 3,
+      lang: 'eng',
+      default: false,
+      selected: selection.sid === 1,
+      external: false,
+      codec: 'subrip'
+    },
+    ...externalSubtitleTracks
+  ];
+};
+
+const hasTrack = (type, id) => getTrackList().some(track => track.type === type && track.id === id);
+
+const getChapterList = () => {
+  if (clock.duration === null) return [];
+  return Array.from({ length: CHAPTER_COUNT }, (_, i) => ({
+    title: `Chapter ${i + 1}`,
+    time: (clock.duration / CHAPTER_COUNT) * i
+  }));
+};
+
+// aid / sid setter: an id of an existing track, "no"/false to disable, "auto" for the first track
+const createTrackProperty = (name, type) => ({
+  get: () => (state.path ? selection[name] : null),
+  set: (value) => {
+    if (!state.path) return 'property unavailable';
+
+    let id;
+    if (value === false || value === 'no') {
+      id = false;
+    } else if (value === 'auto') {
+      id = hasTrack(type, 1) ? 1 : false;
+    } else {
+      id = Number(value);
+      if (!hasTrack(type, id)) return 'invalid parameter';
+    }
+
+    selection[name] = id;
+    notify(name);
+    notify('track-list');
+    return null;
+  }
+});
+
+// 📋 Property Table - get() returns the value, set(value) returns an error string or null
+const properties = {
+  'time-pos': {
+    get: () => getPosition(),
+    set: (value) => {
+      if (clock.duration === null) return 'property unavailable';
+      seekTo(Number(value));
+      return null;
+    }
+  },
+  'playback-time': { get: () => getPosition() },
+  duration: { get: () => clock.duration },
+  'percent-pos': {
+    get: () => (clock.duration ? (getPosition() / clock.duration) * 100 : null)
+  },
+  'time-remaining': {
+    get: () => (clock.duration === null ? null : clock.duration - getPosition())
+  },
+  pause: {
+    get: () => clock.paused,
+    set: (value) => {
+      setPaused(value === true || value === 'yes');
+      return null;
+    }
+  },
+  speed: {
+    get: () => clock.speed,
+    set: (value) => {
+      const speed = Number(value);
+      if (!Number.isFinite(speed) || speed < 0.01 || speed > 100) return 'invalid parameter';
+      reanchor();
+      clock.speed = speed;
+      notify('speed');
+      return null;
+    }
+  },
+  'eof-reached': {
+    get: () => clock.duration !== null && getPosition() >= clock.duration
+  },
+  'idle-active': { get: () => state.path === null },
+  path: { get: () => state.path },
+  filename: { get: () => (state.path ? path.basename(state.path) : null) },
+  'mpv-version': { get: () => VERSION },
+  'track-list': { get: () => (state.path ? getTrackList() : null) },
+  'audio-params': {
+    get: () => (state.path ? {
+      format: 'floatp',
+      samplerate: 48000,
+      channels: 'stereo',
+      'hr-channels': 'stereo',
+      'channel-count': 2
+    } : null)
+  },
+  'chapter-list': { get: () => (state.path ? getChapterList() : null) },
+  chapter: {
+    get: () => {
+      const position = getPosition();
+      if (position === null) return null;
+      return getChapterList().filter(chapter => chapter.time <= position).length - 1;
+    },
+    set: (value) => {
+      const chapter = getChapterList()[Number(value)];
+      if (!chapter) return 'invalid parameter';
+      seekTo(chapter.time);
+      return null;
+    }
+  },
+  aid: createTrackProperty('aid', 'audio'),
+  sid: createTrackProperty('sid', 'sub'),
+  metadata: { get: () => (state.path ? { title: path.basename(state.path) } : null) },
+  'file-format': { get: () => getFileFormat() },
+  playlist: { get: () => describePlaylist() },
+  'playlist-count': { get: () => playlist.length },
+  'playlist-pos': {
+    get: () => playlistPos,
+    set: (value) => {
+      const index = Number(value);
+      if (!Number.isInteger(index) || index < 0 || index >= playlist.length) return 'invalid parameter';
+      playEntry(index);
+      return null;
+    }
+  },
+  pid: { get: () => process.pid }
+};
+
+// Simple read/write properties backed by `state`
+['volume', 'mute', 'fullscreen', 'hr-seek', 'keep-open', 'idle', 'title'].forEach(name => {
+  properties[name] = {
+    get: () => state[name],
+    set: (value) => {
+      if (name === 'volume') {
+        const volume = Number(value);
+        if (!Number.isFinite(volume) || volume < 0 || volume > 130) return 'invalid parameter';
+        state.volume = volume;
+      } else if (name === 'mute' || name === 'fullscreen') {
+        state[name] = value === true || value === 'yes';
+      } else {
+        state[name] = value;
+      }
+      notify(name);
+      return null;
+    }
+  };
+});
+
+// A-B loop points - seconds, or "no" when unset (mpv keeps them across files)
+['ab-loop-a', 'ab-loop-b'].forEach(name => {
+  properties[name] = {
+    get: () => state[name],
+    set: (value) => {
+      if (value !== 'no' && !(Number.isFinite(Number(value)) && Number(value) >= 0)) return 'invalid parameter';
+      state[name] = value === 'no' ? 'no' : Number(value);
+      notify(name);
+      return null;
+    }
+  };
+});
+
+// 🎛️ Audio Filters - the af chain as mpv reports it: [{ name, label, enabled, params }]
+const audioFilterChain = [];
+
+// "@label:name=[graph],..." → filter objects (top-level commas only - graphs contain their own)
+const parseFilterChain = (value) => {
+  const items = [];
+  let depth = 0;
+  let current = '';
+  for (const char of String(value)) {
+    if (char === '[') depth++;
+    if (char === ']') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) items.push(current);
+  if (depth !== 0) return null;
+
+  const filters = items.map(item => {
+    const match = /^(?:@([^:]+):)?([\w-]+)(?:=(.*))?$/.exec(item.trim());
+    if (!match) return null;
+    const [, label, name, args = ''] = match;
+    const graph = args.startsWith('[') && args.endsWith(']') ? args.slice(1, -1) : args;
+    return { name, ...(label ? { label } : {}), enabled: true, params: name === 'lavfi' ? { graph } : {} };
+  });
+  return filters.includes(null) ? null : filters;
+};
+
+properties.af = { get: () => audioFilterChain };
+
+// 📸 Screenshots - a 16x9 PNG in one colour that follows the position, so frames at
+// different times are different files
+const SCREENSHOT_WIDTH = 16;
+const SCREENSHOT_HEIGHT = 9;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const writeFramePng = (file, position) => {
+  const ms = Math.round((position || 0) * 1000);
+  const rgb = [ms & 0xff, (ms >> 8) & 0xff, (ms >> 16) & 0xff];
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(SCREENSHOT_WIDTH, 0);
+  header.writeUInt32BE(SCREENSHOT_HEIGHT, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+
+  // Each scanline: filter byte 0, then the pixels
+  const row = Buffer.from([0, ...Array.from({ length: SCREENSHOT_WIDTH }, () => rgb).flat()]);
+  const pixels = Buffer.concat(Array.from({ length: SCREENSHOT_HEIGHT }, () => row));
+
+  fs.writeFileSync(file, Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]));
+};
+
+const getProperty = (name) => {
+  const property = properties[name];
+  if (!property) return { error: 'property not found' };
+
+  const value = property.get();
+  if (value === null || value === undefined) return { error: 'property unavailable' };
+
+  return { error: 'success', data: value };
+};
+
+// 🔌 IPC Clients
+const clients = new Set();
+
+const send = (client, message) => {
+  if (!client.destroyed) {
+    client.write(JSON.stringify(message) + '\n');
+  }
+};
+
+const emit = (event, extra = {}) => {
+  clients.forEach(client => send(client, { event, ...extra }));
+};
+
+// Push a property-change to every client observing `name`
+const notify = (name) => {
+  const value = properties[name] ? properties[name].get() : undefined;
+
+  clients.forEach(client => {
+    client.observers.forEach((observedName, observerId) => {
+      if (observedName !== name) return;
+
+      const message = { event: 'property-change', id: observerId, name };
+      if (value !== null && value !== undefined) message.data = value;
+      send(client, message);
+    });
+  });
+};
+
+const notifyTime = () => {
+  notify('time-pos');
+  notify('playback-time');
+  notify('percent-pos');
+  notify('time-remaining');
+};
+
+// ▶️ Playback Semantics
+const setPaused = (paused) => {
+  if (clock.paused === paused) return;
+
+  reanchor();
+  clock.paused = paused;
+  notify('pause');
+  emit(paused ? 'pause' : 'unpause');
+};
+
+const seekTo = (target) => {
+  if (clock.duration === null || !Number.isFinite(target)) return false;
+
+  clock.anchorPosition = Math.max(0, Math.min(clock.duration, target));
+  clock.anchorTime = now();
+
+  emit('seek');
+  notifyTime();
+  setImmediate(() => emit('playback-restart'));
+  return true;
+};
+
+const notifyTracks = () => {
+  notify('track-list');
+  notify('chapter-list');
+  notify('aid');
+  notify('sid');
+};
+
+const notifyPlaylist = () => {
+  notify('playlist');
+  notify('playlist-count');
+  notify('playlist-pos');
+};
+
+// ⏱️ Media length - WAV: data chunk size / byte rate from the fmt chunk, walking the RIFF chunks
+const readWavDuration = (file) => {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const header = Buffer.alloc(12);
+    if (fs.readSync(fd, header, 0, 12, 0) < 12 ||
+        header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+      return null;
+    }
+
+    const chunk = Buffer.alloc(20); // chunk header + the fmt fields up to the byte rate
+    let offset = 12;
+    let byteRate = null;
+
+    while (fs.readSync(fd, chunk, 0, chunk.length, offset) >= 8) {
+      const id = chunk.toString('ascii', 0, 4);
+      const size = chunk.readUInt32LE(4);
+
+      if (id === 'fmt ') {
+        byteRate = chunk.readUInt32LE(16);
+      } else if (id === 'data') {
+        return byteRate ? size / byteRate : null;
+      }
+      offset += 8 + size + (size % 2); // chunks are word aligned
+    }
+    return null;
+  } catch (error) {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+};
+
+const mediaDuration = (file) => {
+  const duration = getFileFormat() === 'wav' ? readWavDuration(file) : null;
+  return duration > 0 ? duration : DEFAULT_DURATION;
+};
+
+const playEntry = (index) => {
+  if (state.path) {
+    emit('end-file', { reason: 'stop' });
+  }
+
+  playlistPos = index;
+  state.path = playlist[index].filename;
+  emit('start-file', { playlist_entry_id: playlist[index].id });
+
+  clock.duration = mediaDuration(state.path);
+  clock.anchorPosition = 0;
+  clock.anchorTime = now();
+  resetTracks();
+
+  notify('path');
+  notify('filename');
+  notify('duration');
+  notify('idle-active');
+  notifyTracks();
+  notifyPlaylist();
+  notifyTime();
+
+  setImmediate(() => {
+    emit('file-loaded');
+    emit('playback-restart');
+  });
+};
+
+const appendEntry = (file) => {
+  playlist.push({ id: nextEntryId++, filename: file });
+  notifyPlaylist();
+};
+
+// loadfile <file> replace
+const loadFile = (file) => {
+  playlist.length = 0;
+  appendEntry(file);
+  playEntry(0);
+};
+
+const stopPlayback = () => {
+  if (!state.path) return;
+
+  state.path = null;
+  clock.duration = null;
+  clock.anchorPosition = 0;
+  resetTracks();
+  emit('end-file', { reason: 'stop' });
+  emit('idle');
+  notify('path');
+  notify('duration');
+  notify('idle-active');
+  notifyTracks();
+  notifyPlaylist();
+  notifyTime();
+};
+
+// Reaching the end: the next playlist entry starts unless keep-open=always;
+// on the last entry keep-open pauses on the last frame, otherwise the file ends
+let eofHandled = false;
+// 🔁 With both loop points set, playback reaching B seeks back to A
+const checkAbLoop = () => {
+  const a = state['ab-loop-a'];
+  const b = state['ab-loop-b'];
+  if (clock.paused || typeof a !== 'number' || typeof b !== 'number' || b <= a) return;
+
+  if (getPosition() >= b) seekTo(a);
+};
+
+const checkEndOfFile = () => {
+  if (clock.duration === null || clock.paused) {
+    eofHandled = false;
+    return;
+  }
+
+  if (getPosition() < clock.duration) {
+    eofHandled = false;
+    return;
+  }
+
+  if (eofHandled) return;
+  eofHandled = true;
+
+  if (playlistPos + 1 < playlist.length && state['keep-open'] !== 'always') {
+    emit('end-file', { reason: 'eof' });
+    state.path = null;
+    playEntry(playlistPos + 1);
+  } else if (state['keep-open'] !== 'no') {
+    clock.anchorPosition = clock.duration;
+    clock.anchorTime = now();
+    setPaused(true);
+    notify('eof-reached');
+  } else if (state.idle !== 'no') {
+    emit('end-file', { reason: 'eof' });
+    stopPlayback();
+  } else {
+    emit('end-file', { reason: 'eof' });
+    shutdown(0);
+  }
+};
+
+// 🎮 Command Handlers - return { error, data }
+const commands = {
+  client_name: (client) => ({ error: 'success', data: client.name }),
+
+  get_version: () => ({ error: 'success', data: 0x00020001 }),
+
+  get_property: (client, name) => getProperty(name),
+
+  get_property_string: (client, name) => {
+    const result = getProperty(name);
+    if (result.error !== 'success') return result;
+    return { error: 'success', data: String(result.data) };
+  },
+
+  set_property: (client, name, value) => {
+    const property = properties[name];
+    if (!property) return { error: 'property not found' };
+    if (!property.set) return { error: 'property unavailable' };
+
+    const error = property.set(value);
+    return error ? { error } : { error: 'success' };
+  },
+
+  observe_property: (client, observerId, name) => {
+    if (typeof observerId !== 'number') return { error: 'invalid parameter' };
+
+    client.observers.set(observerId, name);
+
+    // mpv reports the current value right after registering
+    setImmediate(() => {
+      const value = properties[name] ? properties[name].get() : undefined;
+      const message = { event: 'property-change', id: observerId, name };
+      if (value !== null && value !== undefined) message.data = value;
+      send(client, message);
+    });
+
+    return { error: 'success' };
+  },
+
+  unobserve_property: (client, observerId) => {
+    client.observers.delete(observerId);
+    return { error: 'success' };
+  },
+
+  seek: (client, target, flags = 'relative') => {
+    if (clock.duration === null) return { error: 'property unavailable' };
+
+    const amount = Number(target);
+    if (!Number.isFinite(amount)) return { error: 'invalid parameter' };
+
+    const mode = String(flags).split('+')[0];
+    let position;
+
+    switch (mode) {
+      case 'absolute':
+        position = amount;
+        break;
+      case 'relative':
+        position = getPosition() + amount;
+        break;
+      case 'absolute-percent':
+        position = (amount / 100) * clock.duration;
+        break;
+      case 'relative-percent':
+        position = getPosition() + (amount / 100) * clock.duration;
+        break;
+      default:
+        return { error: 'invalid parameter' };
+    }
+
+    seekTo(position);
+    return { error: 'success' };
+  },
+
+  cycle: (client, name) => {
+    const property = properties[name];
+    if (!property || !property.set) return { error: 'property not found' };
+
+    const value = property.get();
+    if (typeof value !== 'boolean') return { error: 'invalid parameter' };
+
+    property.set(!value);
+    return { error: 'success' };
+  },
+
+  loadfile: (client, file, mode = 'replace') => {
+    if (typeof file !== 'string') return { error: 'invalid parameter' };
+
+    switch (mode) {
+      case 'replace':
+        loadFile(file);
+        break;
+      case 'append':
+        appendEntry(file);
+        break;
+      case 'append-play':
+        appendEntry(file);
+        if (!state.path) playEntry(playlist.length - 1);
+        break;
+      default:
+        return { error: 'invalid parameter' };
+    }
+
+    return { error: 'success' };
+  },
+
+  // sub-add <file> [select|auto|cached] [title] [lang]
+  'sub-add': (client, file, flags = 'select', title, lang) => {
+    if (!state.path) return { error: 'property unavailable' };
+    if (typeof file !== 'string' || !fs.existsSync(file)) return { error: 'error running command' };
+    if (!['select', 'auto', 'cached'].includes(flags)) return { error: 'invalid parameter' };
+
+    const id = getTrackList().filter(track => track.type === 'sub').length + 1;
+    externalSubtitles.push({ id, filename: file, codec: getSubtitleCodec(file), title: title || undefined, lang: lang || undefined });
+    if (flags === 'select') selection.sid = id;
+
+    notify('track-list');
+    notify('sid');
+    return { error: 'success' };
+  },
+
+  // screenshot-to-file <file> [subtitles|video|window] - no frame to grab in audio-only media
+  'screenshot-to-file': (client, file, flags = 'subtitles') => {
+    if (!state.path) return { error: 'property unavailable' };
+    if (typeof file !== 'string' || file === '') return { error: 'invalid parameter' };
+    if (!['subtitles', 'video', 'window'].includes(flags)) return { error: 'invalid parameter' };
+    if (!isVideo()) return { error: 'error running command' };
+
+    try {
+      writeFramePng(file, getPosition());
+    } catch (error) {
+      return { error: 'error running command' };
+    }
+    return { error: 'success' };
+  },
+
+  // af <set|add|remove|clr> <filters> - remove takes "@label" or the filter text
+  af: (client, operation, value = '') => {
+    if (operation === 'clr') {
+      audioFilterChain.length = 0;
+    } else if (operation === 'remove') {
+      const targets = String(value).split(',');
+      const remaining = audioFilterChain.filter(filter => !targets.includes(`@${filter.label}`));
+      if (remaining.length === audioFilterChain.length) return { error: 'error running command' };
+      audioFilterChain.splice(0, audioFilterChain.length, ...remaining);
+    } else if (operation === 'set' || operation === 'add') {
+      const filters = value === '' ? [] : parseFilterChain(value);
+      if (!filters) return { error: 'invalid parameter' };
+      if (operation === 'set') audioFilterChain.length = 0;
+      // A filter whose label is already in the chain replaces it
+      filters.forEach(filter => {
+        const existing = audioFilterChain.findIndex(entry => filter.label && entry.label === filter.label);
+        if (existing >= 0) audioFilterChain[existing] = filter;
+        else audioFilterChain.push(filter);
+      });
+    } else {
+      return { error: 'invalid parameter' };
+    }
+
+    notify('af');
+    return { error: 'success' };
+  },
+
+  'playlist-next': () => {
+    if (playlistPos + 1 >= playlist.length) return { error: 'error running command' };
+    playEntry(playlistPos + 1);
+    return { error: 'success' };
+  },
+
+  'playlist-prev': () => {
+    if (playlistPos <= 0) return { error: 'error running command' };
+    playEntry(playlistPos - 1);
+    return { error: 'success' };
+  },
+
+  // mpv semantics: move entry `from` so it ends up before the entry at `to`
+  'playlist-move': (client, from, to) => {
+    const source = Number(from);
+    const target = Number(to);
+    if (!Number.isInteger(source) || source < 0 || source >= playlist.length ||
+        !Number.isInteger(target) || target < 0 || target > playlist.length) {
+      return { error: 'invalid parameter' };
+    }
+
+    const current = playlist[playlistPos];
+    const [entry] = playlist.splice(source, 1);
+    playlist.splice(target > source ? target - 1 : target, 0, entry);
+    playlistPos = current ? playlist.indexOf(current) : -1;
+
+    notifyPlaylist();
+    return { error: 'success' };
+  },
+
+  'playlist-remove': (client, index) => {
+    const position = index === 'current' ? playlistPos : Number(index);
+    if (!Number.isInteger(position) || position < 0 || position >= playlist.length) {
+      return { error: 'invalid parameter' };
+    }
+
+    const removingCurrent = position === playlistPos;
+    playlist.splice(position, 1);
+
+    if (removingCurrent) {
+      // Like mpv: playback continues with the entry that took its place
+      if (position < playlist.length) {
+        playEntry(position);
+      } else {
+        playlistPos = -1;
+        stopPlayback();
+      }
+    } else if (position < playlistPos) {
+      playlistPos--;
+    }
+
+    notifyPlaylist();
+    return { error: 'success' };
+  },
+
+  stop: () => {
+    playlist.length = 0;
+    playlistPos = -1;
+    stopPlayback();
+    return { error: 'success' };
+  },
+
+  quit: () => {
+    setImmediate(() => shutdown(0));
+    return { error: 'success' };
+  }
+};
+
+const handleMessage = (client, line) => {
+  let message;
+
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    send(client, { error: 'invalid parameter' });
+    return;
+  }
+
+  const { command, request_id: requestId = 0 } = message;
+
+  if (!Array.isArray(command) || command.length === 0) {
+    send(client, { request_id: requestId, error: 'invalid parameter' });
+    return;
+  }
+
+  const [name, ...args] = command;
+  const handler = commands[name];
+  const result = handler ? handler(client, ...args) : { error: 'invalid parameter' };
+
+  const response = { request_id: requestId, error: result.error };
+  if (result.data !== undefined) response.data = result.data;
+  send(client, response);
+};
+
+// 🔌 IPC Server
+let clientCount = 0;
+
+const server = net.createServer((client) => {
+  client.name = `ipc_${clientCount++}`;
+  client.observers = new Map();
+  clients.add(client);
+
+  let buffer = '';
+  client.on('data', (data) => {
+    buffer += data.toString();
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    lines.forEach(line => {
+      if (line.trim()) handleMessage(client, line);
+    });
+  });
+
+  client.on('close', () => clients.delete(client));
+  client.on('error', () => clients.delete(client));
+});
+
+const removeSocket = () => {
+  try {
+    if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+  } catch (error) {
+    // Nothing useful to do - the next launch removes it anyway
+  }
+};
+
+let tickTimer = null;
+
+const shutdown = (code) => {
+  clearInterval(tickTimer);
+  emit('shutdown');
+  clients.forEach(client => client.destroy());
+  server.close();
+  removeSocket();
+  process.exit(code);
+};
+
+removeSocket();
+server.listen(socketPath, () => {
+  if (files.length > 0) {
+    files.forEach(file => appendEntry(path.resolve(file)));
+    playEntry(0);
+  } else if (state.idle === 'no') {
+    shutdown(0);
+  }
+});
+
+// ⏱️ Tick - push time-pos while playing and detect the end of the file
+tickTimer = setInterval(() => {
+  if (!clock.paused && clock.duration !== null) {
+    notifyTime();
+  }
+  checkAbLoop();
+  checkEndOfFile();
+}, TIME_POS_INTERVAL);
+
+process.on('SIGTERM', () => shutdown(0));
+process.on('SIGINT', () => shutdown(0));
+process.on('SIGHUP', () => shutdown(0));
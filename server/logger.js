@@ -0,0 +1,134 @@
+/**
+ * File: server/logger.js
+ * Description: 📝 Logger - levelled, structured logging with request IDs and redaction
+ *
+ * Every line has a time, a level, the module that wrote it, a message and optional
+ * fields. logging.format chooses readable lines ("pretty" - colours only on a
+ * terminal) or one JSON object per line ("json") for log aggregators. Anything logged
+ * while an HTTP request is handled carries that request's ID, MPV command logs
+ * included, so one browser action can be followed into the player. Headers and body
+ * fields named in logging.redactHeaders / logging.redactFields never reach the output.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { config } = require('./config');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const COLOURS = { error: '\x1b[31m', warn: '\x1b[33m', info: '\x1b[32m', debug: '\x1b[90m' };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6; // Deeper values are summarised - bodies can be large
+const REQUEST_ID_HEADER = 'X-Request-ID';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const threshold = LEVELS[config.logging.level];
+const isJson = config.logging.format === 'json';
+const useColours = !isJson && process.stdout.isTTY;
+
+// 🔒 Redaction
+const redactedHeaders = new Set(config.logging.redactHeaders.map(name => name.toLowerCase()));
+const redactedFields = new Set(config.logging.redactFields.map(name => name.toLowerCase()));
+
+const redactHeaders = (headers = {}) => Object.fromEntries(Object.entries(headers)
+  .map(([name, value]) => [name, redactedHeaders.has(name.toLowerCase()) ? REDACTED : value]));
+
+const serialiseError = (error) => ({ name: error.name, message: error.message, stack: error.stack });
+
+const redactFields = (value, depth = 0) => {
+  if (value instanceof Error) return serialiseError(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  if (Array.isArray(value)) return value.map(item => redactFields(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    redactedFields.has(key.toLowerCase()) ? REDACTED : redactFields(item, depth + 1)
+  ]));
+};
+
+// 🧵 Request context - follows the request through callbacks and promises
+const requestContext = new AsyncLocalStorage();
+
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+/**
+ * Express middleware - adopts a well-formed incoming X-Request-ID or creates one,
+ * echoes it in the response and runs the rest of the request inside its context.
+ */
+const requestIdMiddleware = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+  requestContext.run({ requestId }, next);
+};
+
+// Stream-driven libraries (multer) call back outside the request's context - bind them to it
+const bindRequestContext = (fn) => AsyncResource.bind(fn);
+
+// Sockets, timers and processes that outlive a request are created outside its context
+const runOutsideRequest = (fn) => requestContext.exit(fn);
+
+// 🖨️ Output
+const formatField = (value) => {
+  if (value && typeof value === 'object' && value.stack) return value.message; // Errors: message only
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const formatPretty = ({ time, level, module, msg, ...fields }) => {
+  const label = level.toUpperCase().padEnd(5);
+  const extras = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${formatField(value)}`)
+    .join(' ');
+
+  return `${time} ${useColours ? `${COLOURS[level]}${label}\x1b[0m` : label} [${module}] ${msg}${extras ? ` ${extras}` : ''}`;
+};
+
+const write = (entry) => {
+  const line = isJson ? JSON.stringify(entry) : formatPretty(entry);
+  const stream = LEVELS[entry.level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Logger for one module. Each level takes (message, fields); bindings (e.g. a
+ * sessionId) are added to every line.
+ */
+const createLogger = (module, bindings = {}) => {
+  const log = (level, msg, fields = {}) => {
+    if (LEVELS[level] > threshold) return;
+
+    write({
+      time: new Date().toISOString(),
+      level,
+      module,
+      msg,
+      requestId: getRequestId(),
+      ...bindings,
+      ...redactFields(fields)
+    });
+  };
+
+  return {
+    error: (msg, fields) => log('error', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    debug: (msg, fields) => log('debug', msg, fields)
+  };
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  bindRequestContext,
+  createLogger,
+  getRequestId,
+  redactFields,
+  redactHeaders,
+  requestIdMiddleware,
+  runOutsideRequest
+};
@@ -0,0 +1,447 @@
+/**
+ * File: server/mediaLibrary.js
+ * Description: 📚 Media Library - content-addressed uploads with a persistent index and retention
+ *
+ * Finished uploads are moved to uploads/library/<sha256>, so uploading the same
+ * content twice - under any name or extension - stores it once and keeps its media ID.
+ * The extension it was first uploaded with is kept as metadata (content types, subtitle
+ * checks). uploads/library/index.json holds what the browser needs to pick a file again
+ * later: display name, the names it was uploaded under, size, a probe summary, pinning,
+ * the audio filter chain it was last reviewed with and the last time it was used.
+ * Snapshots (frames captured from a player) are ordinary PNG items that also record
+ * the media and time they show and, optionally, the region they are evidence for.
+ *
+ * Retention replaces the old one-hour cleanup. Unpinned media not used for
+ * library.maxAgeDays days is removed, then the least recently used unpinned media
+ * until the library fits in library.maxTotalSizeMB (config.js - 0 disables either
+ * rule). Media loaded in a running player is never removed.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Retention limits from config.js
+ * v1.2.0 (2026-10-19) - Structured logging (logger.js)
+ * v1.3.0 (2026-10-19) - Audio filter chain stored per media item
+ * v1.4.0 (2026-10-19) - Snapshots: captured frames with their source media, time and region
+ * v1.5.0 (2026-10-19) - Stored by content hash alone, the extension kept as metadata;
+ *                        loose uploads are checked before import, index updates serialised per hash
+ * v1.6.0 (2026-10-19) - Media ID is the content hash (entries with path-hash IDs move over on load)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mediaStore = require('./mediaStore');
+const { probeMedia } = require('./mediaProbe');
+const { AudioFilterError, normaliseChain } = require('./audioFilters');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+const { isAllowedFileName } = require('./chunkedUpload');
+
+const log = createLogger('mediaLibrary');
+
+const LIBRARY_DIR = path.join(mediaStore.UPLOADS_DIR, 'library');
+const INDEX_FILE = path.join(LIBRARY_DIR, 'index.json');
+const INDEX_VERSION = 1;
+
+mediaStore.reserveInternalPath(INDEX_FILE);
+mediaStore.reserveInternalPath(`${INDEX_FILE}.tmp`);
+const TOUCH_INTERVAL = 60 * 1000; // lastUsedAt granularity - streaming touches media constantly
+
+class MediaLibraryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MediaLibraryError';
+    this.status = status;
+  }
+}
+
+// 🧹 Retention Policy
+const retention = config.library;
+
+// 📖 Index - mediaId → entry, persisted after every change. A library entry's media ID is its
+// content hash, so the ID, the index key and the cache directory all follow from the content
+const entries = new Map();
+
+const writeIndex = () => {
+  const tempPath = `${INDEX_FILE}.tmp`;
+  const data = {
+    version: INDEX_VERSION,
+    media: Array.from(entries.values())
+  };
+
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, INDEX_FILE);
+};
+
+const getEntryPath = (entry) => path.join(LIBRARY_DIR, entry.storedName);
+
+// Entries from before hash-only storage carry the extension in storedName (<sha256>.<ext>)
+const getEntryExtension = (entry) => (
+  entry.extension !== undefined ? entry.extension : path.extname(entry.storedName).toLowerCase()
+);
+
+const loadIndex = () => {
+  fs.mkdirSync(LIBRARY_DIR, { recursive: true });
+  if (!fs.existsSync(INDEX_FILE)) return;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+  } catch (error) {
+    log.error(`❌ Media library index unreadable, starting empty: ${error.message}`);
+    return;
+  }
+
+  let missing = 0;
+  let reassigned = 0;
+  (data.media || []).forEach(entry => {
+    try {
+      const extension = getEntryExtension(entry);
+      const media = mediaStore.registerMedia(getEntryPath(entry), entry.fileName, extension, entry.contentHash);
+      entries.set(media.id, { ...entry, extension, id: media.id });
+
+      // Entries from before content-hash IDs - their cache sits under the old path-hash ID
+      if (entry.id && entry.id !== media.id) {
+        mediaStore.forgetMedia(entry.id);
+        reassigned++;
+      }
+    } catch (error) {
+      missing++;
+    }
+  });
+
+  if (missing > 0) log.warn(`⚠️ ${missing} library entries had no file and were dropped`);
+  if (reassigned > 0) log.info(`📚 ${reassigned} library entries now use their content hash as media ID`);
+  if (missing > 0 || reassigned > 0) writeIndex();
+};
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const describeEntry = (entry) => ({
+  id: entry.id,
+  fileName: entry.fileName,
+  originalNames: entry.originalNames,
+  fileSize: entry.fileSize,
+  contentHash: entry.contentHash,
+  addedAt: entry.addedAt,
+  lastUsedAt: entry.lastUsedAt,
+  pinned: entry.pinned,
+  probe: entry.probe,
+  audioFilters: entry.audioFilters || [],
+  ...(entry.snapshot ? { snapshot: entry.snapshot } : {})
+});
+
+// 🔬 Keep a small probe summary in the index - full probes stay in mediaProbe's cache
+const summariseProbe = (probe) => {
+  const audio = probe.streams.find(stream => stream.type === 'audio') || {};
+  const video = probe.streams.find(stream => stream.type === 'video' && !stream.isAttachedPicture) || {};
+
+  return {
+    duration: probe.duration,
+    container: probe.container.format,
+    hasVideo: probe.hasVideo,
+    audioCodec: audio.codec || null,
+    sampleRate: audio.sampleRate || null,
+    channels: audio.channels || null,
+    videoCodec: video.codec || null,
+    width: video.width || null,
+    height: video.height || null,
+    source: probe.source
+  };
+};
+
+const recordProbe = (mediaId, probe) => {
+  const entry = entries.get(mediaId);
+  if (!entry) return;
+
+  entry.probe = summariseProbe(probe);
+  writeIndex();
+};
+
+// Best effort - without ffprobe the summary arrives with the first MPV-backed probe
+const probeInBackground = (media) => {
+  probeMedia(media)
+    .then(probe => recordProbe(media.id, probe))
+    .catch(() => {});
+};
+
+// 🔒 Index updates for one content hash run one at a time - concurrent uploads of the same
+// content end up in a single entry that records every name they were uploaded under
+const pendingByHash = new Map();
+
+const serialiseByHash = (contentHash, task) => {
+  const run = (pendingByHash.get(contentHash) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  pendingByHash.set(contentHash, settled);
+  settled.then(() => {
+    if (pendingByHash.get(contentHash) === settled) pendingByHash.delete(contentHash);
+  });
+  return run;
+};
+
+/**
+ * Moves a freshly uploaded file into the library. Resolves to
+ * { media, entry, duplicate } - duplicates are discarded in favour of the stored copy.
+ * updateEntry(entry) runs before the index is written, inside the same update.
+ */
+const addUpload = async (filePath, originalName, updateEntry = null) => {
+  const contentHash = await hashFile(filePath);
+  return serialiseByHash(contentHash, () => storeUpload(filePath, originalName, contentHash, updateEntry));
+};
+
+const storeUpload = (filePath, originalName, contentHash, updateEntry) => {
+  const existing = entries.get(contentHash);
+  const storedName = existing ? existing.storedName : contentHash;
+  const storedPath = path.join(LIBRARY_DIR, storedName);
+  const now = new Date().toISOString();
+
+  const duplicate = fs.existsSync(storedPath);
+  if (duplicate) {
+    fs.unlinkSync(filePath);
+  } else {
+    fs.mkdirSync(LIBRARY_DIR, { recursive: true });
+    fs.renameSync(filePath, storedPath);
+  }
+
+  const entry = existing || {
+    contentHash,
+    storedName,
+    extension: path.extname(originalName || '').toLowerCase(),
+    fileName: originalName,
+    originalNames: [],
+    fileSize: fs.statSync(storedPath).size,
+    addedAt: now,
+    pinned: false,
+    probe: null
+  };
+
+  if (!entry.originalNames.includes(originalName)) entry.originalNames.push(originalName);
+  entry.lastUsedAt = now;
+
+  const media = mediaStore.registerMedia(storedPath, entry.fileName, entry.extension, contentHash);
+  entry.id = media.id;
+  if (updateEntry) updateEntry(entry);
+  entries.set(media.id, entry);
+  writeIndex();
+
+  if (!entry.probe) probeInBackground(media);
+
+  log.info(`📚 ${duplicate ? 'Duplicate of library media' : 'Added to library'}: ${originalName} (${media.id})`);
+  return { media, entry: describeEntry(entry), duplicate };
+};
+
+/**
+ * Adds a frame captured from sourceMediaId at `time` seconds (a PNG at filePath, which is
+ * moved). Identical frames share one item, which keeps the latest capture's details.
+ */
+const addSnapshot = async (filePath, { sourceMediaId, time, region = null }) => {
+  if (!Number.isFinite(time) || time < 0) {
+    throw new MediaLibraryError(400, 'Snapshot time must be a non-negative number of seconds');
+  }
+  const snapshotRegion = normaliseRegion(region);
+  const source = entries.get(sourceMediaId);
+  const sourceName = source ? path.parse(source.fileName).name : 'Snapshot';
+  return addUpload(filePath, `${sourceName} @ ${time.toFixed(3)}s.png`, (entry) => {
+    entry.snapshot = {
+      sourceMediaId,
+      time,
+      region: snapshotRegion,
+      capturedAt: new Date().toISOString()
+    };
+  });
+};
+
+const listMedia = () => Array.from(entries.values())
+  .map(describeEntry)
+  .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+
+const getEntry = (mediaId) => {
+  const entry = entries.get(mediaId);
+  if (!entry) throw new MediaLibraryError(404, `Unknown library media: ${mediaId}`);
+  return entry;
+};
+
+const getLibraryMedia = (mediaId) => describeEntry(getEntry(mediaId));
+
+// 📸 { id, start, end } of a waveform region, or null
+const normaliseRegion = (region) => {
+  if (region === null || region === undefined) return null;
+
+  const { id, start, end } = region;
+  if (typeof id !== 'string' || !id || !Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+    throw new MediaLibraryError(400, 'region must be { id, start, end } with 0 <= start < end');
+  }
+  return { id, start, end };
+};
+
+// Only the display name changes - the stored file keeps its content-hash name
+const updateMedia = (mediaId, { fileName, pinned, audioFilters, region }) => {
+  const entry = getEntry(mediaId);
+
+  if (fileName !== undefined) {
+    const trimmed = typeof fileName === 'string' ? fileName.trim() : '';
+    if (!trimmed || trimmed.length > 255 || /[/\\]/.test(trimmed)) {
+      throw new MediaLibraryError(400, 'fileName must be 1-255 characters without path separators');
+    }
+    entry.fileName = trimmed;
+    mediaStore.registerMedia(getEntryPath(entry), trimmed, entry.extension);
+  }
+
+  if (pinned !== undefined) {
+    if (typeof pinned !== 'boolean') throw new MediaLibraryError(400, 'pinned must be a boolean');
+    entry.pinned = pinned;
+  }
+
+  if (audioFilters !== undefined) {
+    try {
+      entry.audioFilters = normaliseChain(audioFilters);
+    } catch (error) {
+      if (error instanceof AudioFilterError) throw new MediaLibraryError(error.status, `audioFilters: ${error.message}`);
+      throw error;
+    }
+  }
+
+  if (region !== undefined) {
+    if (!entry.snapshot) throw new MediaLibraryError(400, 'Only snapshots can be attached to a region');
+    entry.snapshot = { ...entry.snapshot, region: normaliseRegion(region) };
+  }
+
+  writeIndex();
+  return describeEntry(entry);
+};
+
+const touchMedia = (mediaId) => {
+  const entry = entries.get(mediaId);
+  if (!entry || Date.now() - Date.parse(entry.lastUsedAt) < TOUCH_INTERVAL) return;
+
+  entry.lastUsedAt = new Date().toISOString();
+  writeIndex();
+};
+
+// Removes the file, its cached derived data and its index entry
+const removeEntry = (entry) => {
+  const filePath = getEntryPath(entry);
+  fs.rmSync(filePath, { force: true });
+  mediaStore.forgetMedia(entry.id);
+  entries.delete(entry.id);
+};
+
+const deleteMedia = (mediaId, { isInUse = () => false } = {}) => {
+  const entry = getEntry(mediaId);
+  if (isInUse(mediaId)) {
+    throw new MediaLibraryError(409, 'Media is loaded in a running player - stop it before deleting');
+  }
+
+  removeEntry(entry);
+  writeIndex();
+  log.info(`🗑️ Removed from library: ${entry.fileName} (${mediaId})`);
+};
+
+const getTotalSize = () => Array.from(entries.values()).reduce((total, entry) => total + entry.fileSize, 0);
+
+/**
+ * Applies the retention policy. isInUse(mediaId) protects media loaded in a player.
+ * Returns the removed entries.
+ */
+const enforceRetention = ({ isInUse = () => false } = {}) => {
+  const removable = Array.from(entries.values())
+    .filter(entry => !entry.pinned && !isInUse(entry.id))
+    .sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt)); // Least recently used first
+
+  const removed = [];
+
+  if (retention.maxAgeDays > 0) {
+    const cutoff = Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000;
+    removable
+      .filter(entry => Date.parse(entry.lastUsedAt) < cutoff)
+      .forEach(entry => removed.push(entry));
+  }
+
+  if (retention.maxTotalSizeMB > 0) {
+    const maxBytes = retention.maxTotalSizeMB * 1024 * 1024;
+    let total = getTotalSize() - removed.reduce((sum, entry) => sum + entry.fileSize, 0);
+
+    removable
+      .filter(entry => !removed.includes(entry))
+      .forEach(entry => {
+        if (total <= maxBytes) return;
+        removed.push(entry);
+        total -= entry.fileSize;
+      });
+  }
+
+  if (removed.length > 0) {
+    removed.forEach(entry => {
+      removeEntry(entry);
+      log.info(`🧹 Retention removed ${entry.fileName} (last used ${entry.lastUsedAt})`);
+    });
+    writeIndex();
+  }
+
+  return removed.map(describeEntry);
+};
+
+const describeLibrary = () => ({
+  count: entries.size,
+  totalSize: getTotalSize(),
+  retention: { ...retention }
+});
+
+// 📦 Uploads from before the library sit loose in uploads/ - bring them in once. Only what an
+// upload would have accepted: an allowed extension, and a playable path that is not internal
+// (dot files, anything resolving outside the roots) - everything else stays where it is
+const isImportable = (filePath, originalName) => {
+  if (!isAllowedFileName(originalName)) return 'not an allowed upload type';
+  try {
+    mediaStore.resolveMediaPath(filePath);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const importLooseUploads = async () => {
+  const looseFiles = fs.readdirSync(mediaStore.UPLOADS_DIR)
+    .map(fileName => path.join(mediaStore.UPLOADS_DIR, fileName))
+    .filter(filePath => fs.lstatSync(filePath).isFile());
+
+  for (const filePath of looseFiles) {
+    const originalName = mediaStore.getOriginalName(path.basename(filePath));
+    const problem = isImportable(filePath, originalName);
+    if (problem) {
+      log.warn(`⚠️ Not importing ${path.basename(filePath)} into the library: ${problem}`);
+      continue;
+    }
+
+    try {
+      await addUpload(filePath, originalName);
+    } catch (error) {
+      log.warn(`⚠️ Could not import ${path.basename(filePath)} into the library: ${error.message}`);
+    }
+  }
+};
+
+loadIndex();
+importLooseUploads().catch(error => log.error(`❌ Library import failed: ${error.message}`));
+
+log.info(`📚 Media library: ${entries.size} item(s), retention ${retention.maxAgeDays || '∞'} days / ${retention.maxTotalSizeMB || '∞'}MB`);
+
+module.exports = {
+  MediaLibraryError,
+  addSnapshot,
+  addUpload,
+  deleteMedia,
+  describeLibrary,
+  enforceRetention,
+  getLibraryMedia,
+  listMedia,
+  recordProbe,
+  touchMedia,
+  updateMedia
+};
@@ -0,0 +1,268 @@
+/**
+ * File: server/mediaProbe.js
+ * Description: 🔬 Media Probe - stream, codec, chapter and tag metadata for managed media
+ *
+ * Uses ffprobe when it is installed (media.ffprobeBinary / FFPROBE_BINARY overrides the binary). Without
+ * ffprobe the same shape is built from a running MPV session that has the file
+ * loaded (track-list, audio-params, chapter-list, metadata), so probing then needs
+ * the media to be launched first. Results are cached per file modification time.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - ffprobe binary from config.js
+ * v1.2.0 (2026-10-19) - Structured logging (logger.js)
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mediaProbe');
+
+const PROBE_TIMEOUT = 15000;
+const PROBE_MAX_OUTPUT = 10 * 1024 * 1024;
+const MPV_PROBE_TIMEOUT = 1000;
+
+class MediaProbeError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MediaProbeError';
+    this.status = status;
+  }
+}
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : number;
+};
+
+// ffprobe frame rates come as "30000/1001"
+const parseRate = (rate) => {
+  if (!rate || rate === '0/0') return null;
+  const [num, den] = String(rate).split('/').map(Number);
+  if (!den) return toNumber(num);
+  return Math.round((num / den) * 1000) / 1000;
+};
+
+// 🎞️ ffprobe → normalised probe result
+const fromFfprobe = (probe) => {
+  const format = probe.format || {};
+
+  const streams = (probe.streams || []).map(stream => {
+    const tags = stream.tags || {};
+    const base = {
+      index: stream.index,
+      type: stream.codec_type || 'data',
+      codec: stream.codec_name || null,
+      codecLongName: stream.codec_long_name || null,
+      profile: stream.profile || null,
+      language: tags.language || null,
+      title: tags.title || null,
+      isDefault: Boolean(stream.disposition && stream.disposition.default),
+      bitRate: toNumber(stream.bit_rate)
+    };
+
+    if (base.type === 'audio') {
+      return {
+        ...base,
+        sampleRate: toNumber(stream.sample_rate),
+        channels: toNumber(stream.channels),
+        channelLayout: stream.channel_layout || null,
+        sampleFormat: stream.sample_fmt || null
+      };
+    }
+
+    if (base.type === 'video') {
+      return {
+        ...base,
+        width: toNumber(stream.width),
+        height: toNumber(stream.height),
+        frameRate: parseRate(stream.avg_frame_rate || stream.r_frame_rate),
+        pixelFormat: stream.pix_fmt || null,
+        isAttachedPicture: Boolean(stream.disposition && stream.disposition.attached_pic)
+      };
+    }
+
+    return base;
+  });
+
+  const chapters = (probe.chapters || []).map((chapter, index) => ({
+    index,
+    title: (chapter.tags && chapter.tags.title) || null,
+    start: toNumber(chapter.start_time),
+    end: toNumber(chapter.end_time)
+  }));
+
+  return {
+    source: 'ffprobe',
+    duration: toNumber(format.duration),
+    container: {
+      format: format.format_name || null,
+      formatLongName: format.format_long_name || null,
+      bitRate: toNumber(format.bit_rate)
+    },
+    streams,
+    chapters,
+    tags: format.tags || {}
+  };
+};
+
+const runFfprobe = (filePath) => new Promise((resolve, reject) => {
+  const binary = config.media.ffprobeBinary;
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', '-show_chapters', filePath];
+
+  execFile(binary, args, { timeout: PROBE_TIMEOUT, maxBuffer: PROBE_MAX_OUTPUT }, (error, stdout, stderr) => {
+    if (error) {
+      error.stderr = stderr;
+      reject(error);
+      return;
+    }
+
+    try {
+      resolve(JSON.parse(stdout));
+    } catch (parseError) {
+      reject(new Error(`Unreadable ffprobe output: ${parseError.message}`));
+    }
+  });
+});
+
+// 🎬 MPV fallback - what the player reports about the loaded file
+const fromMpv = async (session) => {
+  const get = (name) => session.sendCommand(['get_property', name], MPV_PROBE_TIMEOUT).catch(() => null);
+
+  const [trackList, audioParams, chapterList, metadata, fileFormat, duration] = await Promise.all([
+    get('track-list'),
+    get('audio-params'),
+    get('chapter-list'),
+    get('metadata'),
+    get('file-format'),
+    get('duration')
+  ]);
+
+  if (!trackList) {
+    throw new MediaProbeError(503, 'MPV did not report any tracks for this media');
+  }
+
+  const streams = trackList
+    .filter(track => !track.external)
+    .map((track, index) => {
+      const base = {
+        index: track['ff-index'] !== undefined ? track['ff-index'] : index,
+        type: track.type === 'sub' ? 'subtitle' : track.type,
+        codec: track.codec || null,
+        codecLongName: track['codec-desc'] || null,
+        profile: track['codec-profile'] || null,
+        language: track.lang || null,
+        title: track.title || null,
+        isDefault: Boolean(track.default),
+        bitRate: toNumber(track['demux-bitrate'])
+      };
+
+      if (track.type === 'audio') {
+        // audio-params describes the selected track only
+        const params = track.selected && audioParams ? audioParams : {};
+        return {
+          ...base,
+          sampleRate: toNumber(track['demux-samplerate']) || toNumber(params.samplerate),
+          channels: toNumber(track['demux-channel-count']) || toNumber(params['channel-count']),
+          channelLayout: track['demux-channels'] || params['hr-channels'] || params.channels || null,
+          sampleFormat: params.format || null
+        };
+      }
+
+      if (track.type === 'video') {
+        return {
+          ...base,
+          width: toNumber(track['demux-w']),
+          height: toNumber(track['demux-h']),
+          frameRate: toNumber(track['demux-fps']),
+          pixelFormat: null,
+          isAttachedPicture: Boolean(track.albumart || track.image)
+        };
+      }
+
+      return base;
+    });
+
+  const chapterStarts = (chapterList || []).map(chapter => toNumber(chapter.time));
+  const chapters = (chapterList || []).map((chapter, index) => ({
+    index,
+    title: chapter.title || null,
+    start: chapterStarts[index],
+    end: index + 1 < chapterStarts.length ? chapterStarts[index + 1] : toNumber(duration)
+  }));
+
+  return {
+    source: 'mpv',
+    duration: toNumber(duration),
+    container: {
+      format: fileFormat || null,
+      formatLongName: null,
+      bitRate: null
+    },
+    streams,
+    chapters,
+    tags: metadata || {}
+  };
+};
+
+// 📊 Probe cache - keyed by media ID and modification time
+const probeCache = new Map();
+
+/**
+ * Probes a media record ({ id, path, fileName }). findSession(mediaId) returns a
+ * connected MPV session playing that media (or null) for the fallback path.
+ */
+const probeMedia = async (media, { findSession } = {}) => {
+  const stats = fs.statSync(media.path);
+  const cacheKey = `${media.id}:${stats.mtimeMs}`;
+
+  if (probeCache.has(cacheKey)) {
+    return probeCache.get(cacheKey);
+  }
+
+  let probe;
+  try {
+    probe = fromFfprobe(await runFfprobe(media.path));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn(`⚠️ ffprobe failed for ${media.fileName}: ${(error.stderr || error.message).trim()}`);
+    }
+
+    const session = findSession ? findSession(media.id) : null;
+    if (!session) {
+      throw new MediaProbeError(error.code === 'ENOENT' ? 503 : 422,
+        error.code === 'ENOENT' ?
+          'ffprobe is not installed - launch this media in MPV to probe it through the player' :
+          `ffprobe could not read this media: ${(error.stderr || error.message).trim()}`);
+    }
+
+    probe = await fromMpv(session);
+  }
+
+  const audioStreams = probe.streams.filter(stream => stream.type === 'audio');
+  const result = {
+    mediaId: media.id,
+    fileName: media.fileName,
+    fileSize: stats.size,
+    ...probe,
+    hasAudio: audioStreams.length > 0,
+    hasVideo: probe.streams.some(stream => stream.type === 'video' && !stream.isAttachedPicture),
+    audioTrackCount: audioStreams.length,
+    probedAt: new Date().toISOString()
+  };
+
+  // Drop stale entries for this media before caching the new one
+  probeCache.forEach((value, key) => {
+    if (key.startsWith(`${media.id}:`)) probeCache.delete(key);
+  });
+  probeCache.set(cacheKey, result);
+
+  return result;
+};
+
+module.exports = {
+  MediaProbeError,
+  probeMedia
+};
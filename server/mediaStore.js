@@ -0,0 +1,255 @@
+/**
+ * File: server/mediaStore.js
+ * Description: 🗂️ Media Store - managed media roots, path canonicalisation and opaque media IDs
+ *
+ * mpv may only open files that live inside one of the media roots: the uploads
+ * directory plus any extra roots in media.roots (config.js - MEDIA_ROOTS separated
+ * by the platform path delimiter). Paths are resolved through symlinks before the check, and
+ * browsers refer to uploaded files by media ID instead of absolute paths.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - describeMediaPath() for playlist entries reported by mpv
+ * v1.2.0 (2026-10-19) - Per-media cache directory (uploads/.cache/<mediaId>) for derived data
+ * v1.3.0 (2026-10-19) - createUploadFileName() shared by multipart and chunked uploads
+ * v1.4.0 (2026-10-19) - Re-registering a path keeps its display name (media library names)
+ * v1.5.0 (2026-10-19) - Media roots from config.js
+ * v1.6.0 (2026-10-19) - Structured logging (logger.js)
+ * v1.7.0 (2026-10-19) - Internal files (dot entries, reserved paths) are excluded from the roots;
+ *                        unknown media IDs rescan the uploads directory at most every 30s
+ * v1.8.0 (2026-10-19) - Media records carry their extension (library files are stored without one)
+ * v1.9.0 (2026-10-19) - Uploads directory from config.js (uploads.directory / UPLOADS_DIR)
+ * v1.10.0 (2026-10-19) - Callers may choose the ID (library content hashes); forgetMedia() by ID
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mediaStore');
+
+const UPLOADS_DIR = path.resolve(config.uploads.directory);
+const CACHE_DIR = path.join(UPLOADS_DIR, '.cache');
+
+class MediaAccessError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MediaAccessError';
+    this.status = status;
+  }
+}
+
+const ensureDir = (dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+};
+
+// 🗂️ Canonical media roots (symlinks resolved once at startup)
+const loadMediaRoots = () => {
+  ensureDir(UPLOADS_DIR);
+
+  const configured = config.media.roots;
+
+  // Uploads must stay playable, so the uploads directory is always a root
+  const roots = [UPLOADS_DIR, ...configured];
+
+  return Array.from(new Set(roots)).map(root => {
+    try {
+      return fs.realpathSync(path.resolve(root));
+    } catch (error) {
+      log.warn(`⚠️ Media root unavailable, skipping: ${root} (${error.message})`);
+      return null;
+    }
+  }).filter(Boolean);
+};
+
+const mediaRoots = loadMediaRoots();
+const UPLOADS_ROOT = fs.realpathSync(UPLOADS_DIR);
+
+// 🙈 Server-internal files under the uploads root are never media: dot entries (.cache,
+// .partial, .screenshots, .gitkeep) and paths other modules reserve (the library index)
+const reservedPaths = new Set();
+
+const reserveInternalPath = (filePath) => {
+  reservedPaths.add(path.relative(UPLOADS_DIR, path.resolve(filePath)));
+};
+
+const isInternalPath = (realPath) => {
+  const relative = path.relative(UPLOADS_ROOT, realPath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return false;
+  return reservedPaths.has(relative) || relative.split(path.sep).some(part => part.startsWith('.'));
+};
+
+const isInsideRoot = (filePath, root) => {
+  const relative = path.relative(root, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Canonicalises a client-supplied path and makes sure it is a file inside a media root.
+ */
+const resolveMediaPath = (requestedPath) => {
+  if (typeof requestedPath !== 'string' || requestedPath.length === 0) {
+    throw new MediaAccessError(400, 'Media path must be a non-empty string');
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(path.resolve(requestedPath));
+  } catch (error) {
+    throw new MediaAccessError(400, 'Invalid media path or file not found');
+  }
+
+  if (!mediaRoots.some(root => isInsideRoot(realPath, root))) {
+    throw new MediaAccessError(403, 'Media path is outside the managed media roots');
+  }
+
+  if (isInternalPath(realPath)) {
+    throw new MediaAccessError(403, 'Media path is internal to the server');
+  }
+
+  if (!fs.statSync(realPath).isFile()) {
+    throw new MediaAccessError(400, 'Media path is not a file');
+  }
+
+  return realPath;
+};
+
+// 🔑 Opaque Media IDs - stable hash of the canonical path, so they survive restarts, unless
+// the caller supplies one (the media library uses the content hash). idByPath keeps a path
+// on the ID it was registered under when mpv reports it back
+const mediaById = new Map();
+const idByPath = new Map();
+
+const createMediaId = (realPath) => (
+  crypto.createHash('sha256').update(realPath).digest('hex').slice(0, 24)
+);
+
+// Uploads are stored as `${timestamp}-${random}-${originalname}`
+const getOriginalName = (fileName) => {
+  const match = /^\d+-[a-z0-9]+-(.+)$/.exec(fileName);
+  return match ? match[1] : fileName;
+};
+
+// Client-supplied names never carry directories or control characters onto disk
+const createUploadFileName = (originalName) => {
+  const safeName = Array.from(path.basename(String(originalName || 'upload')))
+    .map(char => (char < ' ' || char === '/' || char === '\\' ? '_' : char))
+    .join('') || 'upload';
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}-${safeName}`;
+};
+
+// extension ('.wav') is passed for files stored without one (library content hashes)
+const registerMedia = (filePath, originalName, extension, mediaId = null) => {
+  const realPath = resolveMediaPath(filePath);
+  const previousId = idByPath.get(realPath);
+  const id = mediaId || previousId || createMediaId(realPath);
+  if (previousId && previousId !== id) mediaById.delete(previousId);
+  const known = mediaById.get(id);
+
+  const media = {
+    id,
+    path: realPath,
+    fileName: originalName || (known && known.fileName) || getOriginalName(path.basename(realPath)),
+    extension: extension || (known && known.extension) || path.extname(realPath).toLowerCase()
+  };
+
+  mediaById.set(id, media);
+  idByPath.set(realPath, id);
+  return media;
+};
+
+// Rebuild the index from the uploads directory (after a restart) - internal files fail
+// resolveMediaPath() and are skipped like any other unplayable entry
+const RESCAN_INTERVAL = 30 * 1000; // Unknown IDs rescan at most this often
+let lastScanAt = 0;
+
+const scanUploads = () => {
+  ensureDir(UPLOADS_DIR);
+  lastScanAt = Date.now();
+
+  fs.readdirSync(UPLOADS_DIR).forEach(fileName => {
+    const filePath = path.join(UPLOADS_DIR, fileName);
+    try {
+      if (fs.statSync(filePath).isFile()) registerMedia(filePath);
+    } catch (error) {
+      // Files outside the configured roots or vanished mid-scan are simply not indexed
+    }
+  });
+};
+
+const getMedia = (id) => {
+  if (!mediaById.has(id) && Date.now() - lastScanAt >= RESCAN_INTERVAL) scanUploads();
+
+  const media = mediaById.get(id);
+  if (!media || !fs.existsSync(media.path)) {
+    mediaById.delete(id);
+    if (media) idByPath.delete(media.path);
+    return null;
+  }
+
+  return media;
+};
+
+// { id, fileName } for a path mpv reports (playlist entries), or null outside the roots
+const describeMediaPath = (filePath) => {
+  try {
+    const media = registerMedia(filePath);
+    return { id: media.id, fileName: media.fileName };
+  } catch (error) {
+    return null;
+  }
+};
+
+// 💾 Derived data (peaks, thumbnails...) lives in uploads/.cache/<mediaId>/
+const getCacheDir = (mediaId) => {
+  const dir = path.join(CACHE_DIR, mediaId);
+  ensureDir(dir);
+  return dir;
+};
+
+const removeCacheDir = (mediaId) => {
+  fs.rmSync(path.join(CACHE_DIR, mediaId), { recursive: true, force: true });
+};
+
+const forgetMedia = (mediaId) => {
+  const media = mediaById.get(mediaId);
+  if (media) idByPath.delete(media.path);
+  mediaById.delete(mediaId);
+  removeCacheDir(mediaId);
+};
+
+/**
+ * Resolves a launch request's { mediaId } or { mediaPath } to a safe absolute path.
+ */
+const resolveMediaReference = ({ mediaId, mediaPath }) => {
+  if (mediaId) {
+    const media = getMedia(mediaId);
+    if (!media) throw new MediaAccessError(404, `Unknown media ID: ${mediaId}`);
+    return { mediaId, path: resolveMediaPath(media.path), extension: media.extension };
+  }
+
+  const media = registerMedia(mediaPath);
+  return { mediaId: media.id, path: media.path, extension: media.extension };
+};
+
+log.info(`🗂️ Media roots: ${mediaRoots.join(', ') || '(none)'}`);
+
+module.exports = {
+  UPLOADS_DIR,
+  MediaAccessError,
+  createUploadFileName,
+  describeMediaPath,
+  forgetMedia,
+  getCacheDir,
+  getMedia,
+  getMediaRoots: () => [...mediaRoots],
+  getOriginalName,
+  registerMedia,
+  reserveInternalPath,
+  resolveMediaPath,
+  resolveMediaReference
+};
@@ -0,0 +1,235 @@
+/**
+ * File: server/metrics.js
+ * Description: 📊 Metrics - counters, gauges and histograms rendered in Prometheus text format
+ *
+ * Modules create their metrics here once (createCounter / createGauge / createHistogram)
+ * and update them as things happen; GET /metrics renders the whole registry. Values are
+ * cumulative for the life of the process - rates and percentiles belong to the scraper.
+ * Metrics that mirror state owned elsewhere (pending commands, session states) take a
+ * collect() callback that runs at scrape time instead of being kept in step by hand.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds - IPC round trips are sub-millisecond to a few seconds (timeouts)
+const LATENCY_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+class MetricsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetricsError';
+  }
+}
+
+// 🏷️ Labels
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const labelKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const formatLabels = (labelNames, values, extra = {}) => {
+  const pairs = labelNames.map((name, i) => [name, values[i]])
+    .concat(Object.entries(extra))
+    .filter(([, value]) => value !== '')
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatNumber = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+const register = (metric) => {
+  if (registry.has(metric.name)) throw new MetricsError(`Metric already registered: ${metric.name}`);
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+/**
+ * Counters and gauges share one shape: values kept per label set, or - when collect()
+ * is given - [{ labels, value }] read from their owner at scrape time.
+ */
+const createSimpleMetric = (type, { name, help, labelNames = [], collect }) => {
+  const values = new Map();
+
+  const read = () => {
+    if (!collect) return Array.from(values.entries()).map(([key, value]) => [JSON.parse(key), value]);
+    return collect().map(({ labels, value }) => [labelNames.map(label => String(labels?.[label] ?? '')), value]);
+  };
+
+  return register({
+    name,
+    values,
+    total: () => read().reduce((sum, [, value]) => sum + value, 0),
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...read().map(([labelValues, value]) => `${name}${formatLabels(labelNames, labelValues)} ${formatNumber(value)}`)
+    ]
+  });
+};
+
+// ➕ Counter - only goes up
+const createCounter = (options) => {
+  const metric = createSimpleMetric('counter', options);
+  const labelNames = options.labelNames || [];
+
+  return {
+    ...metric,
+    inc: (labels = {}, amount = 1) => {
+      const key = labelKey(labelNames, labels);
+      metric.values.set(key, (metric.values.get(key) || 0) + amount);
+    }
+  };
+};
+
+// 🌡️ Gauge - goes up and down
+const createGauge = (options) => {
+  const metric = createSimpleMetric('gauge', options);
+  const labelNames = options.labelNames || [];
+
+  return {
+    ...metric,
+    set: (labels = {}, value) => metric.values.set(labelKey(labelNames, labels), value)
+  };
+};
+
+// 📈 Histogram - cumulative buckets, sum and count per label set
+const createHistogram = ({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) => {
+  const series = new Map();
+
+  const getSeries = (labels) => {
+    const key = labelKey(labelNames, labels);
+    if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+    return series.get(key);
+  };
+
+  // Every label set merged - for summaries in /ping and /api/performance
+  const merged = () => Array.from(series.values()).reduce((total, entry) => ({
+    counts: total.counts.map((count, i) => count + entry.counts[i]),
+    sum: total.sum + entry.sum,
+    count: total.count + entry.count
+  }), { counts: buckets.map(() => 0), sum: 0, count: 0 });
+
+  /**
+   * Estimated q-quantile (0-1) across all label sets, interpolated inside the bucket
+   * like Prometheus' histogram_quantile(). null before the first observation.
+   */
+  const quantile = (q) => {
+    const { counts, count } = merged();
+    if (count === 0) return null;
+
+    const rank = q * count;
+    for (let i = 0; i < buckets.length; i++) {
+      if (counts[i] >= rank) {
+        const lower = i === 0 ? 0 : buckets[i - 1];
+        const below = i === 0 ? 0 : counts[i - 1];
+        const inBucket = counts[i] - below;
+        return inBucket === 0 ? lower : lower + (buckets[i] - lower) * ((rank - below) / inBucket);
+      }
+    }
+    return buckets[buckets.length - 1]; // Beyond the last bucket - report its bound
+  };
+
+  return register({
+    name,
+    observe: (labels = {}, value) => {
+      const entry = getSeries(labels);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    summary: () => {
+      const { sum, count } = merged();
+      return { count, sum, mean: count > 0 ? sum / count : null, p50: quantile(0.5), p95: quantile(0.95), p99: quantile(0.99) };
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...Array.from(series.entries()).flatMap(([key, entry]) => {
+        const labelValues = JSON.parse(key);
+        return [
+          ...buckets.map((bound, i) =>
+            `${name}_bucket${formatLabels(labelNames, labelValues, { le: formatNumber(bound) })} ${entry.counts[i]}`),
+          `${name}_bucket${formatLabels(labelNames, labelValues, { le: '+Inf' })} ${entry.count}`,
+          `${name}_sum${formatLabels(labelNames, labelValues)} ${formatNumber(entry.sum)}`,
+          `${name}_count${formatLabels(labelNames, labelValues)} ${entry.count}`
+        ];
+      })
+    ]
+  });
+};
+
+// 🖥️ Process metrics - read at scrape time
+createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => [{ value: process.memoryUsage().rss }]
+});
+
+createGauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap in use in bytes',
+  collect: () => [{ value: process.memoryUsage().heapUsed }]
+});
+
+createCounter({
+  name: 'process_cpu_seconds_total',
+  help: 'User and system CPU time spent in seconds',
+  collect: () => {
+    const { user, system } = process.cpuUsage();
+    return [{ value: (user + system) / 1e6 }];
+  }
+});
+
+createGauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the server process started',
+  collect: () => [{ value: Math.round(process.uptime()) }]
+});
+
+// 🌐 HTTP metrics - route is the matched Express pattern so IDs do not explode the series
+const httpRequests = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds',
+  labelNames: ['method', 'route'],
+  buckets: HTTP_BUCKETS
+});
+
+const getRoutePattern = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+const recordHttpRequest = (req, res, durationSeconds) => {
+  const route = getRoutePattern(req);
+  httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  httpDuration.observe({ method: req.method, route }, durationSeconds);
+};
+
+const renderMetrics = () => `${Array.from(registry.values()).flatMap(metric => metric.render()).join('\n')}\n`;
+
+module.exports = {
+  CONTENT_TYPE,
+  MetricsError,
+  createCounter,
+  createGauge,
+  createHistogram,
+  recordHttpRequest,
+  renderMetrics
+};
@@ -10,51 +10,137 @@
  * ✅ OPTIMIZED: Smart connection pooling and caching
  * ✅ OPTIMIZED: Perfect error handling with auto-recovery
  * ✅ OPTIMIZED: Intelligent process lifecycle management
+ *
+ * v2.1.0 (2026-10-19) - Multi-session support: per-session sockets and routes (see mpvSession.js)
+ * v2.2.0 (2026-10-19) - Playlist routes backed by mpv's playlist, media streaming by ID
+ * v2.3.0 (2026-10-19) - Batched multi-command endpoint (/api/mpv-batch)
+ * v2.4.0 (2026-10-19) - Media probe endpoint (ffprobe, MPV fallback)
+ * v2.5.0 (2026-10-19) - Server-side waveform peaks (/api/media/:mediaId/peaks)
+ * v2.6.0 (2026-10-19) - Resumable chunked uploads, one upload limit (see chunkedUpload.js)
+ * v2.7.0 (2026-10-19) - Persistent media library routes, retention replaces the 1-hour cleanup
+ * v2.8.0 (2026-10-19) - Load library media into a running player (/api/mpv-load)
+ * v2.9.0 (2026-10-19) - Session/batch limits and cleanup schedule from config.js
+ * v2.10.0 (2026-10-19) - Structured logging (logger.js)
+ * v2.11.0 (2026-10-19) - Session gauges for /metrics; /api/performance from cumulative stats and latency histograms
+ * v2.12.0 (2026-10-19) - Capability detection (/api/capabilities); launch refuses with 503 when mpv is unusable
+ * v2.13.0 (2026-10-19) - Track routes (list/select audio and subtitle tracks, external subtitles from the library) and chapters
+ * v2.14.0 (2026-10-19) - Audio filter routes (af set/add/remove from validated chains), filter catalogue,
+ *                         per-media filter chains in the library
+ * v2.15.0 (2026-10-19) - Video thumbnail strips and hover preview frames (/api/media/:mediaId/thumbnails, /frame)
+ * v2.16.0 (2026-10-19) - Screenshots into the media library as snapshots (/api/screenshot), snapshot regions
+ * v2.17.0 (2026-10-19) - Launch and status responses no longer carry the IPC socket path (server logs only)
  */
 
 const express = require('express');
-const { spawn } = require('child_process');
-const net = require('net');
 const fs = require('fs');
-const path = require('path');
 const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 const multer = require('multer');
+const eventStream = require('./eventStream');
+const { createMpvSession, getCommandLatency } = require('./mpvSession');
+const mediaStore = require('./mediaStore');
+const mediaLibrary = require('./mediaLibrary');
+const { MediaProbeError, probeMedia } = require('./mediaProbe');
+const { WaveformPeaksError, getPeaks } = require('./waveformPeaks');
+const { detectCapabilities, getCapabilities } = require('./capabilities');
+const chunkedUpload = require('./chunkedUpload');
+const videoThumbnails = require('./videoThumbnails');
+const audioFilters = require('./audioFilters');
+const { config, UPLOAD_LIMITS } = require('./config');
+const { bindRequestContext, createLogger } = require('./logger');
+const metrics = require('./metrics');
+const { CommandPolicyError, SEEK_MODES, assertCommandAllowed, describePolicy, isUnsafeModeEnabled } = require('./commandPolicy');
 const router = express.Router();
+const log = createLogger('mpvController');
 
 // 🚀 ULTRA-FAST Configuration
-const MPV_SOCKET_PATH = '/tmp/mpvsocket';
-const MAX_UPLOAD_SIZE = '100mb';
-const COMMAND_TIMEOUT = 2000;
-const CONNECTION_TIMEOUT = 5000;
-const HEARTBEAT_INTERVAL = 3000;
-
-// 🎯 Global State Management (optimized for speed)
-let mpvProcess = null;
-let mpvSocket = null;
-let isConnected = false;
-let currentMediaPath = null;
-let socketConnectionAttempts = 0;
-let lastHeartbeat = 0;
-
-// 📊 Performance Tracking
-const performanceStats = {
-  commandsSent: 0,
-  avgResponseTime: 0,
-  errors: 0,
-  connections: 0,
-  lastReset: Date.now()
+const MAX_SESSIONS = config.mpv.maxSessions;
+const MAX_BATCH_SIZE = config.mpv.maxBatchSize;
+
+// 🎬 Session Registry - every launched player gets its own socket, process and stats
+const sessions = new Map();
+let defaultSessionId = null; // Most recently launched session (target of the legacy routes)
+
+const createSessionId = () => crypto.randomBytes(4).toString('hex');
+
+const getDefaultSession = () => sessions.get(defaultSessionId) || null;
+
+const closeSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+
+  session.close();
+  sessions.delete(sessionId);
+
+  if (defaultSessionId === sessionId) {
+    const remaining = Array.from(sessions.keys());
+    defaultSessionId = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+  }
+
+  eventStream.broadcast('session-closed', { sessionId });
+  return true;
 };
 
+// Media loaded, queued or attached as subtitles in any running player must not be deleted underneath it
+const isMediaInUse = (mediaId) => Array.from(sessions.values()).some(session =>
+  session.isRunning() && (
+    session.getMediaId() === mediaId ||
+    session.getPlaylist().entries.some(entry => entry.mediaId === mediaId) ||
+    (session.getProperties()['track-list'] || []).some(track => track.mediaId === mediaId)
+  )
+);
+
+// 📊 Session gauges - read from the registry at scrape time
+const CONNECTION_STATES = ['idle', 'connecting', 'connected', 'degraded', 'lost', 'recovering'];
+
+metrics.createGauge({
+  name: 'mpv_sessions',
+  help: 'MPV sessions by connection state',
+  labelNames: ['state'],
+  collect: () => CONNECTION_STATES.map(state => ({
+    labels: { state },
+    value: Array.from(sessions.values()).filter(session => session.getConnectionState() === state).length
+  }))
+});
+
+metrics.createGauge({
+  name: 'mpv_process_running',
+  help: '1 while the session has a running MPV process',
+  labelNames: ['session_id'],
+  collect: () => Array.from(sessions.values()).map(session => ({
+    labels: { session_id: session.id },
+    value: session.isRunning() ? 1 : 0
+  }))
+});
+
+metrics.createGauge({
+  name: 'mpv_pending_commands',
+  help: 'MPV commands written and still waiting for a reply',
+  labelNames: ['session_id'],
+  collect: () => Array.from(sessions.values()).map(session => ({
+    labels: { session_id: session.id },
+    value: session.getStats().pendingCommands
+  }))
+});
+
+eventStream.setSnapshotProvider(() => ({
+  defaultSessionId,
+  sessions: Array.from(sessions.values()).map(session => ({
+    ...session.getStatus(),
+    properties: session.getProperties()
+  }))
+}));
+
 // 🧹 Cleanup Registry
 const cleanupFunctions = [];
-const addCleanup = (fn) => cleanupFunctions.push(fn);
 const executeCleanups = () => {
-  console.log(`🧹 Executing ${cleanupFunctions.length} cleanup functions`);
+  log.info(`🧹 Executing ${cleanupFunctions.length} cleanup functions`);
   cleanupFunctions.forEach((cleanup, i) => {
     try {
       cleanup();
     } catch (error) {
-      console.error(`❌ Cleanup ${i} failed:`, error);
+      log.error(`❌ Cleanup ${i} failed`, { error });
     }
   });
   cleanupFunctions.length = 0;
@@ -63,7 +149,7 @@ const executeCleanups = () => {
 // 🚀 OPTIMIZED File Upload Setup
 const storage = multer.diskStorage({
   destination: function(req, file, cb) {
-    const uploadDir = path.join(__dirname, 'uploads');
+    const uploadDir = mediaStore.UPLOADS_DIR;
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true });
     }
@@ -71,203 +157,40 @@ const storage = multer.diskStorage({
   },
   filename: function(req, file, cb) {
     // Generate unique filename with timestamp
-    const uniqueName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}-${file.originalname}`;
-    cb(null, uniqueName);
+    cb(null, mediaStore.createUploadFileName(file.originalname));
   }
 });
 
+// Same limits as chunked uploads - both read UPLOAD_LIMITS from config.js
 const upload = multer({ 
   storage: storage,
-  limits: { fileSize: 1024 * 1024 * 1024 }, // 1GB limit
+  limits: { fileSize: UPLOAD_LIMITS.maxFileSize },
   fileFilter: (req, file, cb) => {
-    // Accept audio and video files
-    const allowedTypes = /\.(mp3|wav|flac|ogg|m4a|aac|mp4|mkv|avi|webm|mov)$/i;
-    if (allowedTypes.test(file.originalname)) {
+    // Accept audio, video and subtitle files
+    if (chunkedUpload.isAllowedFileName(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only audio/video files allowed.'));
+      cb(new chunkedUpload.UploadError(415, 'Invalid file type. Only audio, video and subtitle files allowed.'));
     }
   }
 });
 
-// 🎯 ULTRA-FAST Command ID System
-let commandId = 0;
-const pendingCommands = new Map();
-
-// 🚀 OPTIMIZED MPV Command Function
-const sendMPVCommand = async (command, timeout = COMMAND_TIMEOUT) => {
-  return new Promise((resolve, reject) => {
-    const startTime = Date.now();
-    
-    if (!mpvSocket || mpvSocket.destroyed) {
-      reject(new Error('MPV not connected'));
-      return;
-    }
-
-    const id = ++commandId;
-    const commandObj = {
-      command: command,
-      request_id: id
-    };
-
-    // Set up timeout
-    const timer = setTimeout(() => {
-      pendingCommands.delete(id);
-      performanceStats.errors++;
-      reject(new Error(`Command timeout: ${JSON.stringify(command)}`));
-    }, timeout);
-
-    // Store pending command
-    pendingCommands.set(id, { 
-      resolve, 
-      reject, 
-      timer,
-      startTime,
-      command 
-    });
-
-    try {
-      const commandStr = JSON.stringify(commandObj) + '\n';
-      mpvSocket.write(commandStr);
-      
-      // Update stats
-      performanceStats.commandsSent++;
-      
-    } catch (error) {
-      pendingCommands.delete(id);
-      clearTimeout(timer);
-      performanceStats.errors++;
-      reject(error);
-    }
-  });
-};
-
-// 🎯 OPTIMIZED Socket Connection Management
-const connectToMPV = () => {
-  return new Promise((resolve, reject) => {
-    if (mpvSocket && !mpvSocket.destroyed) {
-      resolve(mpvSocket);
-      return;
-    }
-
-    console.log('🔌 Connecting to MPV socket...');
-    socketConnectionAttempts++;
-    
-    mpvSocket = net.createConnection(MPV_SOCKET_PATH);
-    
-    // Set connection timeout
-    const connectionTimer = setTimeout(() => {
-      mpvSocket.destroy();
-      reject(new Error('Connection timeout'));
-    }, CONNECTION_TIMEOUT);
-    
-    mpvSocket.on('connect', () => {
-      clearTimeout(connectionTimer);
-      isConnected = true;
-      socketConnectionAttempts = 0;
-      performanceStats.connections++;
-      
-      console.log('✅ MPV socket connected');
-      
-      // Set up response handler
-      let buffer = '';
-      mpvSocket.on('data', (data) => {
-        buffer += data.toString();
-        
-        // Process complete JSON lines
-        const lines = buffer.split('\n');
-        buffer = lines.pop(); // Keep incomplete line
-        
-        lines.forEach(line => {
-          if (line.trim()) {
-            try {
-              const response = JSON.parse(line);
-              handleMPVResponse(response);
-            } catch (error) {
-              console.warn('⚠️ Failed to parse MPV response:', line);
-            }
-          }
-        });
-      });
-      
-      // Set up property observation
-      setupPropertyObservation();
-      
-      resolve(mpvSocket);
-    });
-    
-    mpvSocket.on('error', (error) => {
-      clearTimeout(connectionTimer);
-      console.error('❌ MPV socket error:', error);
-      isConnected = false;
-      mpvSocket = null;
-      reject(error);
-    });
-    
-    mpvSocket.on('close', () => {
-      clearTimeout(connectionTimer);
-      console.log('🔌 MPV socket closed');
-      isConnected = false;
-      mpvSocket = null;
-      
-      // Clear pending commands
-      pendingCommands.forEach(({ reject, timer }) => {
-        clearTimeout(timer);
-        reject(new Error('Connection closed'));
-      });
-      pendingCommands.clear();
-    });
-  });
-};
+const receiveUpload = (req, res, next) => {
+  upload.single('file')(req, res, bindRequestContext((error) => {
+    if (!error) return next();
 
-// 🎯 SMART Property Observation (minimal, essential only)
-const setupPropertyObservation = async () => {
-  try {
-    // Only observe essential properties
-    await sendMPVCommand(['observe_property', 1, 'time-pos']);
-    await sendMPVCommand(['observe_property', 2, 'duration']);
-    await sendMPVCommand(['observe_property', 3, 'pause']);
-    await sendMPVCommand(['observe_property', 4, 'speed']);
-    console.log('✅ Essential property observation enabled');
-  } catch (error) {
-    console.warn('⚠️ Property observation setup failed:', error);
-  }
-};
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : (error.status || 400);
+    const message = error.code === 'LIMIT_FILE_SIZE' ?
+      `File too large (limit ${config.uploads.maxFileSizeMB}MB)` :
+      error.message;
 
-// 🚀 OPTIMIZED Response Handler
-const handleMPVResponse = (response) => {
-  const { request_id, error, data } = response;
-  
-  // Handle command responses
-  if (request_id && pendingCommands.has(request_id)) {
-    const { resolve, reject, timer, startTime } = pendingCommands.get(request_id);
-    clearTimeout(timer);
-    pendingCommands.delete(request_id);
-    
-    // Update performance stats
-    const responseTime = Date.now() - startTime;
-    performanceStats.avgResponseTime = 
-      (performanceStats.avgResponseTime * (performanceStats.commandsSent - 1) + responseTime) / 
-      performanceStats.commandsSent;
-    
-    if (error === 'success') {
-      resolve(data);
-    } else {
-      performanceStats.errors++;
-      reject(new Error(error || 'Unknown MPV error'));
-    }
-  }
-  
-  // Handle property changes (minimal processing)
-  if (response.event === 'property-change') {
-    // Only process essential property changes
-    // Actual handling done by client-side monitoring
-    lastHeartbeat = Date.now();
-  }
+    log.warn(`⚠️ Upload rejected: ${message}`);
+    res.status(status).json({ success: false, message });
+  }));
 };
 
 // 🚀 ULTRA-FAST File Upload Endpoint
-router.post('/upload', upload.single('file'), (req, res) => {
+router.post('/upload', receiveUpload, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -278,22 +201,24 @@ router.post('/upload', upload.single('file'), (req, res) => {
       });
     }
     
-    const filePath = path.resolve(req.file.path);
+    const { media, duplicate } = await mediaLibrary.addUpload(req.file.path, req.file.originalname);
     const processingTime = Date.now() - startTime;
     
-    console.log(`📁 File uploaded in ${processingTime}ms: ${req.file.originalname}`);
+    log.info(`📁 File uploaded in ${processingTime}ms: ${req.file.originalname}`);
     
+    // Browsers get an opaque media ID - server paths never leave the server
     res.json({
       success: true,
-      filePath,
-      fileName: req.file.originalname,
+      mediaId: media.id,
+      fileName: media.fileName,
       fileSize: req.file.size,
+      duplicate,
       processingTime,
-      message: 'File uploaded successfully'
+      message: duplicate ? 'File already in the library' : 'File uploaded successfully'
     });
     
   } catch (error) {
-    console.error(`❌ Upload error: ${error.message}`);
+    log.error(`❌ Upload error: ${error.message}`);
     res.status(500).json({
       success: false,
       message: `Upload error: ${error.message}`
@@ -301,175 +226,250 @@ router.post('/upload', upload.single('file'), (req, res) => {
   }
 });
 
-// 🚀 ULTRA-FAST MPV Launch Endpoint
-router.post('/launch-mpv', async (req, res) => {
+// 📦 Chunked Uploads - resumable, with real progress
+const sendUploadError = (res, error) => {
+  if (!(error instanceof chunkedUpload.UploadError)) {
+    log.error(`❌ Chunked upload error: ${error.message}`);
+    return res.status(500).json({ success: false, message: `Upload error: ${error.message}` });
+  }
+
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...error.details
+  });
+};
+
+router.get('/upload-limits', (req, res) => {
+  res.json({ success: true, limits: chunkedUpload.getUploadLimits() });
+});
+
+router.post('/uploads', (req, res) => {
+  try {
+    const { fileName, fileSize, mimeType } = req.body || {};
+    const upload = chunkedUpload.createUpload({ fileName, fileSize, mimeType });
+
+    log.info(`📦 Chunked upload ${upload.uploadId} started: ${upload.fileName} (${upload.fileSize} bytes)`);
+    res.json({ success: true, ...upload, maxFileSize: UPLOAD_LIMITS.maxFileSize });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+router.get('/uploads/:uploadId', (req, res) => {
+  try {
+    res.json({ success: true, ...chunkedUpload.getUpload(req.params.uploadId) });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Raw bytes (application/octet-stream) at ?offset=<bytes already received>
+router.put('/uploads/:uploadId', async (req, res) => {
+  try {
+    const offset = Number(req.query.offset);
+    const declaredLength = Number(req.get('Content-Length')) || 0;
+    const upload = await chunkedUpload.appendChunk(req.params.uploadId, offset, req, declaredLength);
+
+    res.json({ success: true, ...upload });
+  } catch (error) {
+    // The client is already gone when its connection dropped mid-chunk
+    if (!res.headersSent && !req.destroyed) {
+      sendUploadError(res, error);
+    } else if (!(error instanceof chunkedUpload.UploadError)) {
+      log.warn(`⚠️ Chunk for upload ${req.params.uploadId} interrupted: ${error.message}`);
+    }
+  }
+});
+
+router.post('/uploads/:uploadId/complete', async (req, res) => {
   const startTime = Date.now();
-  
+
+  try {
+    const { filePath, fileName, fileSize } = chunkedUpload.completeUpload(req.params.uploadId);
+    const { media, duplicate } = await mediaLibrary.addUpload(filePath, fileName);
+    const processingTime = Date.now() - startTime;
+
+    log.info(`📁 Chunked upload ${req.params.uploadId} completed: ${fileName}`);
+
+    res.json({
+      success: true,
+      mediaId: media.id,
+      fileName: media.fileName,
+      fileSize,
+      duplicate,
+      processingTime,
+      message: duplicate ? 'File already in the library' : 'File uploaded successfully'
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+router.delete('/uploads/:uploadId', (req, res) => {
+  try {
+    chunkedUpload.cancelUpload(req.params.uploadId);
+    log.info(`🗑️ Chunked upload ${req.params.uploadId} cancelled`);
+    res.json({ success: true, message: 'Upload cancelled' });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// 🛡️ Structured policy rejection (403 not allowed, 400 malformed)
+const sendPolicyError = (res, error) => {
+  log.warn(`🛡️ Rejected MPV command (${error.code}): ${error.message}`);
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    error: {
+      code: error.code,
+      ...error.details
+    }
+  });
+};
+
+// 🎯 Session resolution - explicit :sessionId, then body/query sessionId, then the default session
+const resolveSession = (req, res, next) => {
+  const sessionId = req.params.sessionId || req.body?.sessionId || req.query.sessionId;
+
+  if (sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown MPV session: ${sessionId}`
+      });
+    }
+    req.mpvSession = session;
+    return next();
+  }
+
+  req.mpvSession = getDefaultSession();
+  next();
+};
+
+// Commands need a live player in the resolved session
+const requireConnectedSession = (req, res, next) => {
+  const session = req.mpvSession;
+
+  if (!session || !session.isRunning() || !session.isConnected()) {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'MPV is not running or connected' 
+    });
+  }
+
+  next();
+};
+
+// 🚀 ULTRA-FAST MPV Launch Handler
+// Launches into the given sessionId (replacing its player) or creates a new session
+const handleLaunch = async (req, res) => {
   try {
-    const { mediaPath, windowOptions = {} } = req.body;
+    const { mediaId, mediaPath, windowOptions = {}, sessionId } = req.body;
     
-    // Validate media path
-    if (!mediaPath || !fs.existsSync(mediaPath)) {
+    if (!mediaId && !mediaPath) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Invalid media path or file not found' 
+        message: 'mediaId or mediaPath required' 
       });
     }
     
-    // Clean shutdown of existing MPV
-    if (mpvProcess) {
-      try {
-        mpvProcess.kill('SIGTERM');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      } catch (error) {
-        console.warn('⚠️ Error terminating existing MPV:', error);
-      }
+    // 🔍 Refuse up front when mpv is missing or lacks JSON IPC - clearer than a spawn error
+    const { mpv } = await getCapabilities();
+    if (!mpv.available) {
+      log.warn(`🚫 Launch refused: ${mpv.reason}`);
+      return res.status(503).json({
+        success: false,
+        message: mpv.reason,
+        capability: mpv
+      });
     }
     
-    // Clean up existing socket
-    if (fs.existsSync(MPV_SOCKET_PATH)) {
-      try {
-        fs.unlinkSync(MPV_SOCKET_PATH);
-      } catch (error) {
-        console.warn('⚠️ Could not remove existing socket:', error);
-      }
+    // Validate media reference - must resolve inside the managed media roots
+    let media;
+    try {
+      media = mediaStore.resolveMediaReference({ mediaId, mediaPath });
+    } catch (error) {
+      if (!(error instanceof mediaStore.MediaAccessError)) throw error;
+      
+      log.warn(`🛡️ Rejected media reference: ${error.message}`);
+      return res.status(error.status).json({ 
+        success: false, 
+        message: error.message 
+      });
     }
     
-    console.log(`🚀 Launching MPV with: ${mediaPath}`);
-    
-    // Build optimized MPV arguments
-    const mpvArgs = [
-      '--input-ipc-server=' + MPV_SOCKET_PATH,
-      '--idle=yes',
-      '--keep-open=yes',
-      '--pause', // Start paused for sync
-      '--hr-seek=yes', // High-resolution seeking
-      '--hr-seek-framedrop=no', // Frame-accurate seeking
-      '--cache=yes',
-      '--cache-secs=30', // 30 second cache
-      '--no-terminal', // Disable terminal output
-      '--msg-level=all=warn', // Reduce log verbosity
-    ];
-    
-    // Add window options
-    if (windowOptions.geometry) {
-      mpvArgs.push(`--geometry=${windowOptions.geometry}`);
-    } else {
-      mpvArgs.push('--geometry=800x600+100+100');
-    }
+    mediaLibrary.touchMedia(media.mediaId);
     
-    if (windowOptions.ontop !== false) {
-      mpvArgs.push('--ontop');
-    }
+    let session = sessionId ? sessions.get(sessionId) : null;
+    const isNewSession = !session;
     
-    if (windowOptions.title) {
-      mpvArgs.push(`--title=${windowOptions.title}`);
-    } else {
-      mpvArgs.push('--title=Ultra-Fast Synced Player');
+    if (sessionId && !session) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown MPV session: ${sessionId}`
+      });
     }
     
-    // Add media file
-    mpvArgs.push(mediaPath);
-    
-    // Launch MPV process
-    mpvProcess = spawn('mpv', mpvArgs, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      detached: false
-    });
-    
-    // Set up process handlers
-    mpvProcess.on('error', (error) => {
-      console.error(`❌ MPV process error: ${error.message}`);
-      mpvProcess = null;
-      isConnected = false;
-    });
-    
-    mpvProcess.on('exit', (code, signal) => {
-      console.log(`🔚 MPV process exited: code=${code}, signal=${signal}`);
-      mpvProcess = null;
-      isConnected = false;
+    if (!session) {
+      // Make room by dropping sessions whose player has already exited
+      if (sessions.size >= MAX_SESSIONS) {
+        sessions.forEach((existing, id) => {
+          if (!existing.isRunning()) closeSession(id);
+        });
+      }
       
-      // Clean up socket
-      if (mpvSocket) {
-        mpvSocket.destroy();
-        mpvSocket = null;
+      if (sessions.size >= MAX_SESSIONS) {
+        return res.status(429).json({
+          success: false,
+          message: `Session limit reached (${MAX_SESSIONS}). Close a session first.`
+        });
       }
       
-      // Execute cleanup functions
-      executeCleanups();
-    });
-    
-    // Handle stdout/stderr efficiently
-    if (mpvProcess.stdout) {
-      mpvProcess.stdout.on('data', (data) => {
-        // Only log important messages to avoid spam
-        const message = data.toString().trim();
-        if (message.includes('ERROR') || message.includes('FATAL')) {
-          console.error('MPV Error:', message);
-        }
-      });
-    }
-    
-    if (mpvProcess.stderr) {
-      mpvProcess.stderr.on('data', (data) => {
-        const message = data.toString().trim();
-        if (message.includes('ERROR') || message.includes('FATAL')) {
-          console.error('MPV Error:', message);
-        }
-      });
+      session = createMpvSession(createSessionId());
+      sessions.set(session.id, session);
+      eventStream.broadcast('session-created', { sessionId: session.id });
     }
     
-    // Wait for MPV to initialize
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    defaultSessionId = session.id;
     
     try {
-      // Connect to MPV socket
-      await connectToMPV();
-      
-      // Configure MPV for optimal performance
-      await sendMPVCommand(['set_property', 'pause', true]);
-      await sendMPVCommand(['set_property', 'volume', 85]);
-      await sendMPVCommand(['set_property', 'mute', false]);
-      
-      currentMediaPath = mediaPath;
-      
-      const launchTime = Date.now() - startTime;
-      console.log(`✅ MPV launched and connected in ${launchTime}ms`);
+      const launchTime = await session.launch(media.path, windowOptions, media.mediaId);
       
       res.json({ 
         success: true, 
         message: 'MPV launched successfully',
-        socketPath: MPV_SOCKET_PATH,
+        sessionId: session.id,
         launchTime,
-        mediaPath
+        mediaId: media.mediaId
       });
       
     } catch (error) {
-      console.error(`❌ Failed to connect to MPV: ${error.message}`);
+      log.error(`❌ Failed to connect to MPV: ${error.message}`);
       
-      // Clean up failed process
-      if (mpvProcess) {
-        mpvProcess.kill('SIGKILL');
-        mpvProcess = null;
-      }
+      // A session that never got a player is of no use to anyone
+      if (isNewSession) closeSession(session.id);
       
       res.status(500).json({ 
         success: false, 
+        sessionId: isNewSession ? null : session.id,
         message: `Failed to connect to MPV: ${error.message}` 
       });
     }
     
   } catch (error) {
-    console.error(`❌ Error launching MPV: ${error.message}`);
+    log.error(`❌ Error launching MPV: ${error.message}`);
     res.status(500).json({ 
       success: false, 
       message: `Error launching MPV: ${error.message}` 
     });
   }
-});
+};
 
-// 🎯 ULTRA-FAST Command Endpoint
-router.post('/mpv-command', async (req, res) => {
+// 🎯 ULTRA-FAST Command Handler
+const handleCommand = async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -482,18 +482,18 @@ router.post('/mpv-command', async (req, res) => {
       });
     }
     
-    if (!mpvProcess || !isConnected) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'MPV is not running or connected' 
-      });
-    }
-    
     // Build command array
     const commandArray = Array.isArray(command) ? command : [command];
     
     try {
-      const response = await sendMPVCommand(commandArray);
+      assertCommandAllowed(commandArray);
+    } catch (error) {
+      if (error instanceof CommandPolicyError) return sendPolicyError(res, error);
+      throw error;
+    }
+    
+    try {
+      const response = await req.mpvSession.sendCommand(commandArray);
       const responseTime = Date.now() - startTime;
       
       res.json({ 
@@ -501,6 +501,7 @@ router.post('/mpv-command', async (req, res) => {
         response,
         responseTime,
         source,
+        sessionId: req.mpvSession.id,
         command: commandArray
       });
       
@@ -516,16 +517,72 @@ router.post('/mpv-command', async (req, res) => {
     }
     
   } catch (error) {
-    console.error(`❌ Error processing command: ${error.message}`);
+    log.error(`❌ Error processing command: ${error.message}`);
     res.status(500).json({ 
       success: false, 
       message: `Error processing command: ${error.message}` 
     });
   }
-});
+};
+
+// 📦 Batch Handler - validates every command before any of them reaches mpv
+const handleBatch = async (req, res) => {
+  const startTime = Date.now();
+  const { commands, stopOnError = false, source = 'api' } = req.body;
+  
+  if (!Array.isArray(commands) || commands.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'commands must be a non-empty array of MPV command arrays'
+    });
+  }
+  
+  if (commands.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      success: false,
+      message: `A batch may contain at most ${MAX_BATCH_SIZE} commands`
+    });
+  }
+  
+  for (let i = 0; i < commands.length; i++) {
+    try {
+      assertCommandAllowed(commands[i]);
+    } catch (error) {
+      if (!(error instanceof CommandPolicyError)) throw error;
+      error.details = { ...error.details, commandIndex: i };
+      return sendPolicyError(res, error);
+    }
+  }
+  
+  try {
+    const results = await req.mpvSession.sendBatch(commands, { stopOnError: Boolean(stopOnError) });
+    const failed = results.filter(result => !result.success && !result.skipped).length;
+    const skipped = results.filter(result => result.skipped).length;
+    
+    res.json({
+      success: failed === 0,
+      results,
+      completed: results.length - failed - skipped,
+      failed,
+      skipped,
+      stopOnError: Boolean(stopOnError),
+      source,
+      sessionId: req.mpvSession.id,
+      responseTime: Date.now() - startTime
+    });
+    
+  } catch (error) {
+    log.error(`❌ Error processing batch: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: `Error processing batch: ${error.message}`,
+      responseTime: Date.now() - startTime
+    });
+  }
+};
 
-// 🎯 OPTIMIZED Seek Endpoint
-router.post('/mpv-seek', async (req, res) => {
+// 🎯 OPTIMIZED Seek Handler
+const handleSeek = async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -538,16 +595,26 @@ router.post('/mpv-seek', async (req, res) => {
       });
     }
     
-    if (!mpvProcess || !isConnected) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'MPV is not running or connected' 
-      });
+    if (typeof time !== 'number' || !Number.isFinite(time)) {
+      return sendPolicyError(res, new CommandPolicyError(400, 'INVALID_ARGUMENT', 'Time must be a finite number of seconds', { time }));
+    }
+    
+    if (!SEEK_MODES.includes(mode)) {
+      return sendPolicyError(res, new CommandPolicyError(400, 'INVALID_ARGUMENT', `Mode must be one of ${SEEK_MODES.join(', ')}`, { mode }));
+    }
+    
+    // Use high-precision seeking
+    const seekCommand = ['seek', time, mode, 'exact'];
+    
+    try {
+      assertCommandAllowed(seekCommand);
+    } catch (error) {
+      if (error instanceof CommandPolicyError) return sendPolicyError(res, error);
+      throw error;
     }
     
     try {
-      // Use high-precision seeking
-      const response = await sendMPVCommand(['seek', time, mode, 'exact']);
+      const response = await req.mpvSession.sendCommand(seekCommand);
       const responseTime = Date.now() - startTime;
       
       res.json({ 
@@ -555,6 +622,7 @@ router.post('/mpv-seek', async (req, res) => {
         response,
         seekTime: time,
         mode,
+        sessionId: req.mpvSession.id,
         responseTime
       });
       
@@ -569,134 +637,829 @@ router.post('/mpv-seek', async (req, res) => {
     }
     
   } catch (error) {
-    console.error(`❌ Error seeking: ${error.message}`);
+    log.error(`❌ Error seeking: ${error.message}`);
     res.status(500).json({ 
       success: false, 
       message: `Error seeking: ${error.message}` 
     });
   }
-});
+};
 
-// 🚀 ULTRA-FAST Status Endpoint
-router.get('/mpv-status', (req, res) => {
-  const heartbeatAge = Date.now() - lastHeartbeat;
-  const isHealthy = heartbeatAge < (HEARTBEAT_INTERVAL * 2);
+// 🚀 ULTRA-FAST Status Handler
+const handleStatus = (req, res) => {
+  if (!req.mpvSession) {
+    return res.json({
+      sessionId: null,
+      isRunning: false,
+      isConnected: false,
+      currentTime: null,
+      duration: null,
+      mediaId: null,
+      heartbeatAge: null,
+      isHealthy: false,
+      sessionCount: sessions.size
+    });
+  }
   
   res.json({
-    isRunning: mpvProcess !== null,
-    isConnected: isConnected && isHealthy,
-    currentTime: null, // Will be updated by property observation
-    duration: null, // Will be updated by property observation  
-    currentMediaPath,
-    socketPath: MPV_SOCKET_PATH,
-    heartbeatAge,
-    isHealthy,
-    performance: {
-      commandsSent: performanceStats.commandsSent,
-      avgResponseTime: Math.round(performanceStats.avgResponseTime),
-      errors: performanceStats.errors,
-      connections: performanceStats.connections,
-      uptime: Math.round((Date.now() - performanceStats.lastReset) / 1000)
-    }
+    ...req.mpvSession.getStatus(),
+    sessionCount: sessions.size
   });
-});
+};
 
-// 🎯 OPTIMIZED Properties Endpoint  
-router.get('/mpv-properties', async (req, res) => {
+// 🎯 OPTIMIZED Properties Handler
+const handleProperties = async (req, res) => {
+  const startTime = Date.now();
+  
   try {
-    if (!mpvSocket || !isConnected) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'MPV not connected' 
-      });
-    }
+    const { sendCommand } = req.mpvSession;
     
-    const properties = {};
-    const startTime = Date.now();
+    // Get essential properties in parallel (timeout quickly)
+    const [timePos, duration, pause, speed, volume] = await Promise.all([
+      sendCommand(['get_property', 'time-pos'], 500).catch(() => null),
+      sendCommand(['get_property', 'duration'], 500).catch(() => null),
+      sendCommand(['get_property', 'pause'], 500).catch(() => null),
+      sendCommand(['get_property', 'speed'], 500).catch(() => null),
+      sendCommand(['get_property', 'volume'], 500).catch(() => null)
+    ]);
     
-    try {
-      // Get essential properties in parallel (timeout quickly)
-      const propertyPromises = [
-        sendMPVCommand(['get_property', 'time-pos'], 500).catch(() => null),
-        sendMPVCommand(['get_property', 'duration'], 500).catch(() => null),
-        sendMPVCommand(['get_property', 'pause'], 500).catch(() => null),
-        sendMPVCommand(['get_property', 'speed'], 500).catch(() => null),
-        sendMPVCommand(['get_property', 'volume'], 500).catch(() => null)
-      ];
-      
-      const [timePos, duration, pause, speed, volume] = await Promise.all(propertyPromises);
-      
-      properties.timePos = timePos;
-      properties.duration = duration;
-      properties.isPlaying = pause === false;
-      properties.speed = speed;
-      properties.volume = volume;
-      
-      const responseTime = Date.now() - startTime;
-      
-      res.json({
-        success: true,
-        properties,
-        responseTime
-      });
-      
-    } catch (error) {
-      const responseTime = Date.now() - startTime;
-      
-      res.status(500).json({
-        success: false,
-        message: error.message,
-        responseTime
-      });
-    }
+    res.json({
+      success: true,
+      sessionId: req.mpvSession.id,
+      properties: {
+        timePos,
+        duration,
+        isPlaying: pause === false,
+        speed,
+        volume
+      },
+      responseTime: Date.now() - startTime
+    });
     
   } catch (error) {
-    console.error(`❌ Error getting properties: ${error.message}`);
+    log.error(`❌ Error getting properties: ${error.message}`);
     res.status(500).json({ 
       success: false, 
-      message: `Error getting properties: ${error.message}` 
+      message: `Error getting properties: ${error.message}`,
+      responseTime: Date.now() - startTime
     });
   }
-});
+};
 
-// 🧹 Cleanup endpoint for testing
-router.post('/cleanup', (req, res) => {
-  console.log('🧹 Manual cleanup requested');
-  
+// 📋 Playlist Handlers - mpv owns the playlist, responses carry media IDs only
+const isPlaylistIndex = (value) => Number.isInteger(value) && value >= 0;
+
+const invalidIndex = (name, value) => new CommandPolicyError(
+  400, 'INVALID_ARGUMENT', `${name} must be a non-negative integer`, { [name]: value }
+);
+
+// Answers 404 (and resolves false) unless every index names an entry of the current playlist -
+// mpv itself only reports a generic command error for an index past the end
+const requirePlaylistEntries = async (req, res, indices) => {
+  let entries;
   try {
-    // Kill MPV process
-    if (mpvProcess) {
-      mpvProcess.kill('SIGTERM');
-      mpvProcess = null;
-    }
-    
-    // Close socket
-    if (mpvSocket) {
-      mpvSocket.destroy();
-      mpvSocket = null;
-    }
-    
-    // Reset state
-    isConnected = false;
-    currentMediaPath = null;
+    ({ entries } = await req.mpvSession.fetchPlaylist());
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error reading playlist: ${error.message}` });
+    return false;
+  }
+  
+  const missing = Object.entries(indices).find(([, index]) => index >= entries.length);
+  if (missing) {
+    res.status(404).json({
+      success: false,
+      message: `No playlist entry at ${missing[0]} ${missing[1]} (the playlist has ${entries.length})`
+    });
+    return false;
+  }
+  return true;
+};
+
+// Runs a playlist command, then answers with the playlist as mpv now reports it
+const runPlaylistCommand = async (req, res, command) => {
+  const startTime = Date.now();
+  
+  try {
+    await req.mpvSession.sendCommand(command);
+    const playlist = await req.mpvSession.fetchPlaylist();
+    
+    res.json({
+      success: true,
+      sessionId: req.mpvSession.id,
+      playlist,
+      responseTime: Date.now() - startTime
+    });
+    
+  } catch (error) {
+    log.error(`❌ Playlist command ${command[0]} failed: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      responseTime: Date.now() - startTime
+    });
+  }
+};
+
+const handleGetPlaylist = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sessionId: req.mpvSession.id,
+      playlist: await req.mpvSession.fetchPlaylist()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Error reading playlist: ${error.message}`
+    });
+  }
+};
+
+// Loads managed media by ID: 'append-play' queues it (starting it if mpv is idle),
+// 'replace' switches the player to it right away
+const createLoadHandler = (mode) => (req, res) => {
+  const { mediaId } = req.body;
+  
+  if (!mediaId) {
+    return res.status(400).json({
+      success: false,
+      message: 'mediaId is required'
+    });
+  }
+  
+  let media;
+  try {
+    media = mediaStore.resolveMediaReference({ mediaId });
+  } catch (error) {
+    if (error instanceof mediaStore.MediaAccessError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+  
+  mediaLibrary.touchMedia(media.mediaId);
+  runPlaylistCommand(req, res, ['loadfile', media.path, mode]);
+};
+
+const handleAppend = createLoadHandler('append-play');
+const handleLoad = createLoadHandler('replace');
+
+const handleMove = async (req, res) => {
+  const { from, to } = req.body;
+  
+  if (!isPlaylistIndex(from)) return sendPolicyError(res, invalidIndex('from', from));
+  if (!isPlaylistIndex(to)) return sendPolicyError(res, invalidIndex('to', to));
+  if (!await requirePlaylistEntries(req, res, { from, to })) return;
+  
+  // The API moves an entry *to* index `to`; mpv inserts *before* `to`
+  runPlaylistCommand(req, res, ['playlist-move', from, to > from ? to + 1 : to]);
+};
+
+const handleRemove = async (req, res) => {
+  const index = Number(req.params.index);
+  
+  if (!isPlaylistIndex(index)) return sendPolicyError(res, invalidIndex('index', req.params.index));
+  if (!await requirePlaylistEntries(req, res, { index })) return;
+  
+  runPlaylistCommand(req, res, ['playlist-remove', index]);
+};
+
+const handlePlay = async (req, res) => {
+  const { index } = req.body;
+  
+  if (!isPlaylistIndex(index)) return sendPolicyError(res, invalidIndex('index', index));
+  if (!await requirePlaylistEntries(req, res, { index })) return;
+  
+  runPlaylistCommand(req, res, ['set_property', 'playlist-pos', index]);
+};
+
+// 🎚️ Track Handlers - audio/subtitle selection and external subtitles, answered with the track list
+const TRACK_PROPERTIES = { audio: 'aid', sub: 'sid' };
+const SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.vtt', '.sub'];
+
+// Runs a track command, then answers with the tracks as mpv now reports them
+const runTrackCommand = async (req, res, command) => {
+  const startTime = Date.now();
+  
+  try {
+    await req.mpvSession.sendCommand(command);
+    
+    res.json({
+      success: true,
+      sessionId: req.mpvSession.id,
+      tracks: await req.mpvSession.fetchTracks(),
+      responseTime: Date.now() - startTime
+    });
+    
+  } catch (error) {
+    log.error(`❌ Track command ${command[0]} failed: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      responseTime: Date.now() - startTime
+    });
+  }
+};
+
+const handleGetTracks = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sessionId: req.mpvSession.id,
+      tracks: await req.mpvSession.fetchTracks()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Error reading tracks: ${error.message}`
+    });
+  }
+};
+
+// { type: 'audio' | 'sub', id } - id false switches the track type off
+const handleSelectTrack = async (req, res) => {
+  const { type, id } = req.body;
+  const property = TRACK_PROPERTIES[type];
+  
+  if (!property) {
+    return sendPolicyError(res, new CommandPolicyError(400, 'INVALID_ARGUMENT', 'type must be audio or sub', { type }));
+  }
+  if (id !== false && !(Number.isInteger(id) && id > 0)) {
+    return sendPolicyError(res, new CommandPolicyError(400, 'INVALID_ARGUMENT', 'id must be a positive integer or false', { id }));
+  }
+  
+  if (id !== false) {
+    let tracks;
+    try {
+      tracks = await req.mpvSession.fetchTracks();
+    } catch (error) {
+      return res.status(500).json({ success: false, message: `Error reading tracks: ${error.message}` });
+    }
+    
+    if (!tracks.some(track => track.type === type && track.id === id)) {
+      return res.status(404).json({ success: false, message: `No ${type} track with id ${id}` });
+    }
+  }
+  
+  runTrackCommand(req, res, ['set_property', property, id === false ? 'no' : id]);
+};
+
+// External subtitles from the library, by media ID - selected right away unless select is false
+const handleAddSubtitles = (req, res) => {
+  const { mediaId, title, lang, select = true } = req.body;
+  
+  let media;
+  try {
+    media = mediaStore.resolveMediaReference({ mediaId });
+  } catch (error) {
+    if (error instanceof mediaStore.MediaAccessError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+  
+  if (!SUBTITLE_EXTENSIONS.includes(media.extension)) {
+    return res.status(400).json({
+      success: false,
+      message: `Media ${mediaId} is not a subtitle file (${SUBTITLE_EXTENSIONS.join(', ')})`
+    });
+  }
+  
+  mediaLibrary.touchMedia(media.mediaId);
+  
+  // sub-add takes title and lang positionally - title must be present to pass lang
+  const command = ['sub-add', media.path, select ? 'select' : 'auto'];
+  if (title || lang) command.push(title || '');
+  if (lang) command.push(lang);
+  
+  runTrackCommand(req, res, command);
+};
+
+const handleGetChapters = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sessionId: req.mpvSession.id,
+      ...await req.mpvSession.fetchChapters()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Error reading chapters: ${error.message}`
+    });
+  }
+};
+
+// 🎛️ Audio Filter Handlers - chains are validated and rendered by audioFilters.js, never passed through
+const sendFilterError = (res, error) => {
+  const status = error instanceof audioFilters.AudioFilterError ? error.status : 500;
+  if (status === 500) log.error(`❌ Audio filter command failed: ${error.message}`);
+
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? `Error applying audio filters: ${error.message}` : error.message,
+    ...error.details
+  });
+};
+
+const describeFilters = (session, filters) => ({
+  success: true,
+  sessionId: session.id,
+  filters,
+  graph: audioFilters.renderChain(filters)
+});
+
+const handleGetFilters = (req, res) => {
+  res.json(describeFilters(req.mpvSession, req.mpvSession.getAudioFilters()));
+};
+
+// { filters } - replaces the whole chain (af set); an empty list clears it
+const handleSetFilters = async (req, res) => {
+  try {
+    const filters = audioFilters.normaliseChain(req.body.filters);
+    await req.mpvSession.applyAudioFilters('set', audioFilters.renderChain(filters), filters);
+    res.json(describeFilters(req.mpvSession, filters));
+  } catch (error) {
+    sendFilterError(res, error);
+  }
+};
+
+// { name, params, [id] } - appended to the chain (af add)
+const handleAddFilter = async (req, res) => {
+  try {
+    const current = req.mpvSession.getAudioFilters();
+    if (current.length >= audioFilters.MAX_FILTERS) {
+      throw new audioFilters.AudioFilterError(400, `At most ${audioFilters.MAX_FILTERS} filters per chain`);
+    }
+
+    const [filter] = audioFilters.assignIds([audioFilters.normaliseFilter(req.body)], current);
+    const filters = await req.mpvSession.applyAudioFilters('add', audioFilters.renderFilter(filter), [...current, filter]);
+    res.json(describeFilters(req.mpvSession, filters));
+  } catch (error) {
+    sendFilterError(res, error);
+  }
+};
+
+// Takes one filter out by id (af remove @id)
+const handleRemoveFilter = async (req, res) => {
+  const { filterId } = req.params;
+  const current = req.mpvSession.getAudioFilters();
+
+  if (!current.some(filter => filter.id === filterId)) {
+    return res.status(404).json({ success: false, message: `No audio filter with id ${filterId}` });
+  }
+
+  try {
+    const filters = await req.mpvSession.applyAudioFilters('remove', `@${filterId}`,
+      current.filter(filter => filter.id !== filterId));
+    res.json(describeFilters(req.mpvSession, filters));
+  } catch (error) {
+    sendFilterError(res, error);
+  }
+};
+
+// 📸 Screenshot Handler - the frame goes into the library as a snapshot of the loaded media
+const SCREENSHOT_DIR = path.join(mediaStore.UPLOADS_DIR, '.screenshots');
+
+// { time?, subtitles?, region? } - without time, the frame on screen
+const handleScreenshot = async (req, res) => {
+  const { time, subtitles = true, region = null } = req.body || {};
+  const sourceMediaId = req.mpvSession.getMediaId();
+
+  if (!sourceMediaId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Snapshots need media from the library - this player has none loaded'
+    });
+  }
+
+  const tempPath = path.join(SCREENSHOT_DIR, `${req.mpvSession.id}-${crypto.randomBytes(4).toString('hex')}.png`);
+
+  try {
+    const { mpv } = await getCapabilities();
+    if (mpv.features && mpv.features.screenshots === false) {
+      return res.status(503).json({
+        success: false,
+        message: 'This mpv build cannot take screenshots',
+        capability: mpv
+      });
+    }
+
+    fs.mkdirSync(SCREENSHOT_DIR, { recursive: true });
+    const capturedAt = await req.mpvSession.captureScreenshot(tempPath, { time, subtitles });
+
+    // time-pos is null while nothing plays (idle, or after the end of the file)
+    if (!Number.isFinite(capturedAt)) {
+      return res.status(422).json({
+        success: false,
+        message: 'The player has no playback position - nothing to capture'
+      });
+    }
+    if (!fs.existsSync(tempPath)) throw new Error('mpv wrote no screenshot');
+
+    const { entry } = await mediaLibrary.addSnapshot(tempPath, { sourceMediaId, time: capturedAt, region });
+    log.info(`📸 Snapshot of ${sourceMediaId} at ${capturedAt.toFixed(3)}s: ${entry.id}`);
+    res.json({ success: true, sessionId: req.mpvSession.id, snapshot: { ...entry, inUse: isMediaInUse(entry.id) } });
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    if (error instanceof mediaLibrary.MediaLibraryError) return sendLibraryError(res, error);
+
+    // mpv answers a plain command error when there is no video frame (audio-only media),
+    // and "property unavailable" for time-pos while nothing plays
+    const problem = /property unavailable/.test(error.message) ? 'The player has no playback position - nothing to capture' :
+      /error running command/.test(error.message) ? 'No video frame to capture - the loaded media is audio only' :
+      null;
+    if (!problem) log.error(`❌ Screenshot failed: ${error.message}`);
+    res.status(problem ? 422 : 500).json({
+      success: false,
+      message: problem || `Screenshot error: ${error.message}`
+    });
+  }
+};
+
+// 🎬 Legacy single-player routes (operate on ?sessionId= or the default session)
+router.post('/launch-mpv', handleLaunch);
+router.post('/mpv-command', resolveSession, requireConnectedSession, handleCommand);
+router.post('/mpv-batch', resolveSession, requireConnectedSession, handleBatch);
+router.post('/mpv-seek', resolveSession, requireConnectedSession, handleSeek);
+router.post('/mpv-load', resolveSession, requireConnectedSession, handleLoad);
+router.get('/mpv-status', resolveSession, handleStatus);
+router.get('/mpv-properties', resolveSession, requireConnectedSession, handleProperties);
+
+// 🗂️ Media metadata by opaque ID (never exposes the server path)
+router.get('/media/:mediaId', (req, res) => {
+  const media = mediaStore.getMedia(req.params.mediaId);
+  
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown media ID: ${req.params.mediaId}`
+    });
+  }
+  
+  const stats = fs.statSync(media.path);
+  res.json({
+    success: true,
+    media: {
+      id: media.id,
+      fileName: media.fileName,
+      fileSize: stats.size,
+      modifiedAt: stats.mtime.toISOString()
+    }
+  });
+});
+
+// 🔬 Streams, codecs, chapters and tags of managed media
+router.get('/media/:mediaId/probe', async (req, res) => {
+  const startTime = Date.now();
+  const media = mediaStore.getMedia(req.params.mediaId);
+  
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown media ID: ${req.params.mediaId}`
+    });
+  }
+  
+  // Fallback source: any connected session that has this media loaded
+  const findSession = (mediaId) => Array.from(sessions.values()).find(session =>
+    session.getMediaId() === mediaId && session.isRunning() && session.isConnected()
+  ) || null;
+  
+  try {
+    const probe = await probeMedia(media, { findSession });
+    mediaLibrary.recordProbe(media.id, probe);
+    res.json({
+      success: true,
+      probe,
+      responseTime: Date.now() - startTime
+    });
+  } catch (error) {
+    const status = error instanceof MediaProbeError ? error.status : 500;
+    if (status === 500) log.error(`❌ Error probing media: ${error.message}`);
+    
+    res.status(status).json({
+      success: false,
+      message: error.message,
+      responseTime: Date.now() - startTime
+    });
+  }
+});
+
+// 〰️ Pre-computed waveform peaks (generated on first request, then cached on disk)
+router.get('/media/:mediaId/peaks', async (req, res) => {
+  const startTime = Date.now();
+  const media = mediaStore.getMedia(req.params.mediaId);
+  
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown media ID: ${req.params.mediaId}`
+    });
+  }
+  
+  const maxPeaks = req.query.maxPeaks !== undefined ? Number(req.query.maxPeaks) : undefined;
+  const samplesPerPeak = req.query.samplesPerPeak !== undefined ? Number(req.query.samplesPerPeak) : undefined;
+  
+  if (maxPeaks !== undefined && (!Number.isInteger(maxPeaks) || maxPeaks <= 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'maxPeaks must be a positive integer'
+    });
+  }
+  
+  try {
+    const peaks = await getPeaks(media, { maxPeaks, samplesPerPeak });
+    res.json({
+      success: true,
+      mediaId: media.id,
+      peaks,
+      responseTime: Date.now() - startTime
+    });
+  } catch (error) {
+    const status = error instanceof WaveformPeaksError ? error.status : 500;
+    if (status === 500) log.error(`❌ Error generating peaks: ${error.message}`);
+    
+    res.status(status).json({
+      success: false,
+      message: error.message,
+      responseTime: Date.now() - startTime
+    });
+  }
+});
+
+// 🎞️ Video thumbnails - strips at a fixed interval ladder and single preview frames, extracted on first request
+const sendThumbnailError = (res, error) => {
+  const status = error instanceof videoThumbnails.VideoThumbnailError ? error.status : 500;
+  if (status === 500) log.error(`❌ Error extracting video frames: ${error.message}`);
+
+  res.status(status).json({
+    success: false,
+    message: error.message
+  });
+};
+
+const THUMBNAIL_CACHE_CONTROL = 'private, max-age=3600';
+
+router.get('/media/:mediaId/thumbnails', async (req, res) => {
+  const startTime = Date.now();
+  const media = mediaStore.getMedia(req.params.mediaId);
+
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown media ID: ${req.params.mediaId}`
+    });
+  }
+
+  try {
+    const thumbnails = await videoThumbnails.getThumbnailStrip(media, Number(req.query.interval));
+    res.json({
+      success: true,
+      mediaId: media.id,
+      thumbnails,
+      responseTime: Date.now() - startTime
+    });
+  } catch (error) {
+    sendThumbnailError(res, error);
+  }
+});
+
+router.get('/media/:mediaId/thumbnails/:interval/:index', (req, res) => {
+  const media = mediaStore.getMedia(req.params.mediaId);
+
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown media ID: ${req.params.mediaId}`
+    });
+  }
+
+  try {
+    const filePath = videoThumbnails.getThumbnailFile(media, Number(req.params.interval), Number(req.params.index));
+    res.sendFile(filePath, { headers: { 'Cache-Control': THUMBNAIL_CACHE_CONTROL } });
+  } catch (error) {
+    sendThumbnailError(res, error);
+  }
+});
+
+router.get('/media/:mediaId/frame', async (req, res) => {
+  const media = mediaStore.getMedia(req.params.mediaId);
+
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown media ID: ${req.params.mediaId}`
+    });
+  }
+
+  try {
+    const width = req.query.width !== undefined ? Number(req.query.width) : 320;
+    const filePath = await videoThumbnails.getPreviewFrame(media, Number(req.query.time), width);
+    res.sendFile(filePath, { headers: { 'Cache-Control': THUMBNAIL_CACHE_CONTROL } });
+  } catch (error) {
+    sendThumbnailError(res, error);
+  }
+});
+
+// 🎵 Stream a managed file by ID (Range requests supported for WaveSurfer/<audio>)
+router.get('/media/:mediaId/file', (req, res) => {
+  const media = mediaStore.getMedia(req.params.mediaId);
+  
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown media ID: ${req.params.mediaId}`
+    });
+  }
+  
+  mediaLibrary.touchMedia(media.id);
+  // Library files are stored under their content hash - the type comes from the upload's extension
+  if (media.extension) res.type(media.extension);
+  res.sendFile(media.path, {
+    headers: {
+      'Content-Disposition': `inline; filename="${encodeURIComponent(media.fileName)}"`
+    }
+  });
+});
+
+// 📚 Media Library - everything uploaded, deduplicated by content
+const sendLibraryError = (res, error) => {
+  const status = error instanceof mediaLibrary.MediaLibraryError ? error.status : 500;
+  if (status === 500) log.error(`❌ Media library error: ${error.message}`);
+
+  res.status(status).json({
+    success: false,
+    message: error.message
+  });
+};
+
+router.get('/library', (req, res) => {
+  res.json({
+    success: true,
+    ...mediaLibrary.describeLibrary(),
+    media: mediaLibrary.listMedia().map(item => ({ ...item, inUse: isMediaInUse(item.id) }))
+  });
+});
+
+router.get('/library/:mediaId', (req, res) => {
+  try {
+    const item = mediaLibrary.getLibraryMedia(req.params.mediaId);
+    res.json({ success: true, media: { ...item, inUse: isMediaInUse(item.id) } });
+  } catch (error) {
+    sendLibraryError(res, error);
+  }
+});
+
+// Rename ({ fileName }), pin ({ pinned }) - pinned media survives retention - and/or
+// remember the audio filter chain to restore with the media ({ audioFilters }).
+// Snapshots can be attached to a region, or detached with null ({ region })
+router.patch('/library/:mediaId', (req, res) => {
+  try {
+    const { fileName, pinned, audioFilters: filters, region } = req.body || {};
+    const item = mediaLibrary.updateMedia(req.params.mediaId, { fileName, pinned, audioFilters: filters, region });
+    res.json({ success: true, media: { ...item, inUse: isMediaInUse(item.id) } });
+  } catch (error) {
+    sendLibraryError(res, error);
+  }
+});
+
+router.delete('/library/:mediaId', (req, res) => {
+  try {
+    mediaLibrary.deleteMedia(req.params.mediaId, { isInUse: isMediaInUse });
+    res.json({ success: true, message: 'Media deleted' });
+  } catch (error) {
+    sendLibraryError(res, error);
+  }
+});
+
+// 🔍 External tools actually installed - ?refresh=true detects again (e.g. after installing mpv)
+router.get('/capabilities', async (req, res) => {
+  try {
+    const capabilities = req.query.refresh === 'true' ? await detectCapabilities() : await getCapabilities();
+    res.json({ success: true, capabilities });
+  } catch (error) {
+    log.error(`❌ Capability detection failed: ${error.message}`);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// 🛡️ Which commands and properties the API accepts
+router.get('/mpv-command-policy', (req, res) => {
+  res.json({
+    success: true,
+    policy: describePolicy()
+  });
+});
+
+// 🎬 Session API
+router.get('/sessions', (req, res) => {
+  res.json({
+    success: true,
+    defaultSessionId,
+    maxSessions: MAX_SESSIONS,
+    sessions: Array.from(sessions.values()).map(session => session.getStatus())
+  });
+});
+
+router.post('/sessions', (req, res) => {
+  req.body = { ...req.body, sessionId: undefined };
+  handleLaunch(req, res);
+});
+
+router.get('/sessions/:sessionId', resolveSession, handleStatus);
+
+router.delete('/sessions/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  
+  if (!closeSession(sessionId)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown MPV session: ${sessionId}`
+    });
+  }
+  
+  log.info(`🧹 Session ${sessionId} closed`);
+  res.json({
+    success: true,
+    sessionId,
+    message: 'Session closed'
+  });
+});
+
+router.post('/sessions/:sessionId/launch', (req, res) => {
+  req.body = { ...req.body, sessionId: req.params.sessionId };
+  handleLaunch(req, res);
+});
+router.post('/sessions/:sessionId/command', resolveSession, requireConnectedSession, handleCommand);
+router.post('/sessions/:sessionId/batch', resolveSession, requireConnectedSession, handleBatch);
+router.post('/sessions/:sessionId/seek', resolveSession, requireConnectedSession, handleSeek);
+router.post('/sessions/:sessionId/load', resolveSession, requireConnectedSession, handleLoad);
+router.get('/sessions/:sessionId/status', resolveSession, handleStatus);
+router.get('/sessions/:sessionId/properties', resolveSession, requireConnectedSession, handleProperties);
+
+// 📋 Playlist API (default session, or an explicit session)
+const PLAYLIST_ROUTES = ['/playlist', '/sessions/:sessionId/playlist'];
+const playlistRoutes = (suffix) => PLAYLIST_ROUTES.map(route => route + suffix);
+
+router.get(playlistRoutes(''), resolveSession, requireConnectedSession, handleGetPlaylist);
+router.post(playlistRoutes(''), resolveSession, requireConnectedSession, handleAppend);
+router.post(playlistRoutes('/next'), resolveSession, requireConnectedSession,
+  (req, res) => runPlaylistCommand(req, res, ['playlist-next']));
+router.post(playlistRoutes('/prev'), resolveSession, requireConnectedSession,
+  (req, res) => runPlaylistCommand(req, res, ['playlist-prev']));
+router.post(playlistRoutes('/move'), resolveSession, requireConnectedSession, handleMove);
+router.post(playlistRoutes('/play'), resolveSession, requireConnectedSession, handlePlay);
+router.delete(playlistRoutes('/:index'), resolveSession, requireConnectedSession, handleRemove);
+
+// 🎚️ Tracks and chapters API (default session, or an explicit session)
+const sessionRoutes = (suffix) => [suffix, `/sessions/:sessionId${suffix}`];
+
+router.get(sessionRoutes('/tracks'), resolveSession, requireConnectedSession, handleGetTracks);
+router.post(sessionRoutes('/tracks/select'), resolveSession, requireConnectedSession, handleSelectTrack);
+router.post(sessionRoutes('/tracks/subtitles'), resolveSession, requireConnectedSession, handleAddSubtitles);
+router.get(sessionRoutes('/chapters'), resolveSession, requireConnectedSession, handleGetChapters);
+
+// 🎛️ Audio filters - the catalogue and validation need no player
+router.get('/filters/catalogue', (req, res) => {
+  res.json({ success: true, ...audioFilters.describeCatalogue() });
+});
+
+router.post('/filters/validate', (req, res) => {
+  try {
+    const filters = audioFilters.normaliseChain(req.body.filters);
+    res.json({ success: true, filters, graph: audioFilters.renderChain(filters) });
+  } catch (error) {
+    sendFilterError(res, error);
+  }
+});
+
+router.get(sessionRoutes('/filters'), resolveSession, requireConnectedSession, handleGetFilters);
+router.put(sessionRoutes('/filters'), resolveSession, requireConnectedSession, handleSetFilters);
+router.post(sessionRoutes('/filters'), resolveSession, requireConnectedSession, handleAddFilter);
+router.delete(sessionRoutes('/filters/:filterId'), resolveSession, requireConnectedSession, handleRemoveFilter);
+
+// 📸 Snapshots
+router.post(sessionRoutes('/screenshot'), resolveSession, requireConnectedSession, handleScreenshot);
+
+// 🧹 Cleanup endpoint for testing
+router.post('/cleanup', (req, res) => {
+  log.info('🧹 Manual cleanup requested');
+  
+  try {
+    // Close every session (kills players, sockets and pending commands)
+    Array.from(sessions.keys()).forEach(closeSession);
     
     // Execute cleanup functions
     executeCleanups();
     
-    // Reset performance stats
-    performanceStats.commandsSent = 0;
-    performanceStats.avgResponseTime = 0;
-    performanceStats.errors = 0;
-    performanceStats.connections = 0;
-    performanceStats.lastReset = Date.now();
-    
     res.json({
       success: true,
       message: 'Cleanup completed successfully'
     });
     
   } catch (error) {
-    console.error('❌ Cleanup error:', error);
+    log.error('❌ Cleanup error', { error });
     res.status(500).json({
       success: false,
       message: `Cleanup error: ${error.message}`
@@ -704,20 +1467,35 @@ router.post('/cleanup', (req, res) => {
   }
 });
 
-// 🚀 Performance monitoring endpoint
+// 🚀 Performance monitoring endpoint - cumulative since start (GET /metrics has the full histograms)
 router.get('/performance', (req, res) => {
-  const uptime = Date.now() - performanceStats.lastReset;
-  const commandsPerSecond = performanceStats.commandsSent / (uptime / 1000);
+  const perSession = Array.from(sessions.values()).map(session => ({
+    sessionId: session.id,
+    ...session.getStats()
+  }));
+  
+  const totals = perSession.reduce((acc, stats) => ({
+    commandsSent: acc.commandsSent + stats.commandsSent,
+    errors: acc.errors + stats.errors,
+    timeouts: acc.timeouts + stats.timeouts,
+    pendingCommands: acc.pendingCommands + stats.pendingCommands,
+    connections: acc.connections + stats.connections,
+    reconnects: acc.reconnects + stats.reconnects,
+    socketAttempts: acc.socketAttempts + stats.socketAttempts
+  }), { commandsSent: 0, errors: 0, timeouts: 0, pendingCommands: 0, connections: 0, reconnects: 0, socketAttempts: 0 });
+  
+  const uptime = process.uptime();
   
   res.json({
     performance: {
-      ...performanceStats,
-      uptime: Math.round(uptime / 1000),
-      commandsPerSecond: Math.round(commandsPerSecond * 100) / 100,
-      errorRate: performanceStats.commandsSent > 0 ? 
-        Math.round((performanceStats.errors / performanceStats.commandsSent) * 10000) / 100 : 0,
+      ...totals,
+      latency: getCommandLatency(),
+      uptime: Math.round(uptime),
+      commandsPerSecond: Math.round((totals.commandsSent / uptime) * 100) / 100,
+      errorRate: totals.commandsSent > 0 ? 
+        Math.round((totals.errors / totals.commandsSent) * 10000) / 100 : 0,
       memoryUsage: process.memoryUsage(),
-      socketAttempts: socketConnectionAttempts
+      sessions: perSession
     },
     system: {
       platform: os.platform(),
@@ -730,32 +1508,18 @@ router.get('/performance', (req, res) => {
 
 // 🧹 Process cleanup handlers
 const gracefulShutdown = (signal) => {
-  console.log(`🛑 Received ${signal}, shutting down gracefully...`);
-  
-  // Stop accepting new connections
-  if (mpvProcess) {
-    console.log('🔚 Terminating MPV process...');
-    mpvProcess.kill('SIGTERM');
-    
-    // Force kill if doesn't exit in 3 seconds
-    setTimeout(() => {
-      if (mpvProcess) {
-        console.log('⚡ Force killing MPV process...');
-        mpvProcess.kill('SIGKILL');
-      }
-    }, 3000);
-  }
+  log.info(`🛑 Received ${signal}, shutting down gracefully...`);
   
-  // Close socket
-  if (mpvSocket) {
-    console.log('🔌 Closing MPV socket...');
-    mpvSocket.destroy();
+  // Terminate every player and close its socket
+  if (sessions.size > 0) {
+    log.info(`🔚 Terminating ${sessions.size} MPV session(s)...`);
+    Array.from(sessions.keys()).forEach(closeSession);
   }
   
   // Execute cleanup functions
   executeCleanups();
   
-  console.log('✅ Graceful shutdown completed');
+  log.info('✅ Graceful shutdown completed');
   process.exit(0);
 };
 
@@ -766,49 +1530,34 @@ process.on('SIGHUP', () => gracefulShutdown('SIGHUP'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
+  log.error('💥 Uncaught Exception', { error });
   gracefulShutdown('UNCAUGHT_EXCEPTION');
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  log.error('💥 Unhandled Rejection', { reason });
   gracefulShutdown('UNHANDLED_REJECTION');
 });
 
-// 🧹 Periodic cleanup (every 5 minutes)
+// 🧹 Periodic cleanup (cleanup.intervalMinutes, every 5 minutes by default)
 setInterval(() => {
-  // Clean up old uploaded files (older than 1 hour)
-  const uploadsDir = path.join(__dirname, 'uploads');
-  if (fs.existsSync(uploadsDir)) {
-    const files = fs.readdirSync(uploadsDir);
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    
-    files.forEach(file => {
-      const filePath = path.join(uploadsDir, file);
-      const stats = fs.statSync(filePath);
-      
-      if (stats.mtimeMs < oneHourAgo) {
-        try {
-          fs.unlinkSync(filePath);
-          console.log(`🧹 Cleaned up old file: ${file}`);
-        } catch (error) {
-          console.warn(`⚠️ Could not clean up file ${file}:`, error);
-        }
-      }
-    });
+  // Library retention (age / total size / pinning) - media in a running player is kept
+  try {
+    mediaLibrary.enforceRetention({ isInUse: isMediaInUse });
+  } catch (error) {
+    log.warn('⚠️ Library retention failed', { error });
   }
   
-  // Reset performance stats if they're getting too large
-  if (performanceStats.commandsSent > 10000) {
-    console.log('📊 Resetting performance stats');
-    performanceStats.commandsSent = 0;
-    performanceStats.avgResponseTime = 0;
-    performanceStats.errors = 0;
-    performanceStats.connections = 0;
-    performanceStats.lastReset = Date.now();
+  const staleUploads = chunkedUpload.cleanupStaleUploads();
+  if (staleUploads > 0) {
+    log.info(`🧹 Removed ${staleUploads} abandoned chunked upload(s)`);
   }
-}, 5 * 60 * 1000); // Every 5 minutes
+}, config.cleanup.intervalMinutes * 60 * 1000);
+
+if (isUnsafeModeEnabled()) {
+  log.warn('⚠️ mpv.allowUnsafeCommands is on - command policy disabled, any MPV command will be forwarded');
+}
 
-console.log('🚀 Ultra-Fast MPV Controller module loaded');
+log.info('🚀 Ultra-Fast MPV Controller module loaded');
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
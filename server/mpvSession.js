@@ -0,0 +1,1118 @@
+/**
+ * File: server/mpvSession.js
+ * Description: 🎬 MPV Session - one mpv process with its own IPC socket, pending commands and stats
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Extracted from mpvController.js so several players can run side by side
+ * v1.1.0 (2026-10-19) - Connection supervisor: IPC heartbeat probes, backoff reconnect, state transitions
+ * v1.2.0 (2026-10-19) - MPV_BINARY / MPV_SIMULATOR to spawn a custom player or the bundled fake mpv
+ * v1.3.0 (2026-10-19) - Observe playlist / playlist-pos, relayed with media IDs instead of paths
+ * v1.4.0 (2026-10-19) - sendBatch(): pipelined multi-command execution with per-command results
+ * v1.5.0 (2026-10-19) - Timeouts, socket directory, binary and default mpv arguments from config.js
+ * v1.6.0 (2026-10-19) - Structured logging; MPV commands logged with the HTTP request ID that sent them
+ * v1.7.0 (2026-10-19) - Command latency histograms and error/timeout/reconnect counters (metrics.js);
+ *                        cumulative stats replace the resettable running mean
+ * v1.8.0 (2026-10-19) - getPlayerCommand() exported for capability detection
+ * v1.9.0 (2026-10-19) - Playback clock: time-pos samples stamped with the server's monotonic time,
+ *                        speed and pause state, relayed with property changes and in getStatus()
+ * v1.10.0 (2026-10-19) - Observe track-list / chapter-list; tracks relayed with media IDs for external files
+ * v1.11.0 (2026-10-19) - Audio filter chain applied through af, kept per session and relayed as audio-filters
+ * v1.12.0 (2026-10-19) - Screenshots of the current frame or of a frame at a given time (screenshot-to-file)
+ * v1.13.0 (2026-10-19) - Crash recovery: a player that dies unexpectedly is relaunched with the same media
+ *                        and window options, and its playback state (position, pause, speed, volume,
+ *                        tracks, A-B loop, audio filters) restored
+ */
+
+const { spawn } = require('child_process');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const eventStream = require('./eventStream');
+const mediaStore = require('./mediaStore');
+const { renderChain } = require('./audioFilters');
+const { config } = require('./config');
+const { createLogger, getRequestId, runOutsideRequest } = require('./logger');
+const metrics = require('./metrics');
+
+// 🚀 ULTRA-FAST Configuration
+const COMMAND_TIMEOUT = config.mpv.commandTimeout;
+const CONNECTION_TIMEOUT = config.mpv.connectionTimeout;
+const HEARTBEAT_INTERVAL = config.mpv.heartbeatInterval;
+const PROBE_TIMEOUT = config.mpv.probeTimeout;
+const PROBE_FAILURES_BEFORE_LOST = config.mpv.probeFailuresBeforeLost;
+const RECONNECT_BASE_DELAY = config.mpv.reconnectBaseDelay;
+const RECONNECT_MAX_DELAY = config.mpv.reconnectMaxDelay;
+const RECOVERY = config.mpv.recovery;
+// volume, mute, aid, sid and the A-B loop are only observed so a crashed player can get them back
+const OBSERVED_PROPERTIES = [
+  'time-pos', 'duration', 'pause', 'speed', 'playlist', 'playlist-pos', 'track-list', 'chapter-list',
+  'volume', 'mute', 'aid', 'sid', 'ab-loop-a', 'ab-loop-b'
+];
+const CLOCK_PROPERTIES = ['time-pos', 'pause', 'speed']; // Changes relayed with the playback clock
+
+// 🧪 Player Binary - mpv.simulator (MPV_SIMULATOR=1) swaps in the bundled JSON IPC simulator (no display needed)
+const FAKE_MPV_PATH = path.join(__dirname, 'fakeMpv.js');
+
+const getPlayerCommand = (args) => {
+  if (config.mpv.simulator) {
+    return { command: process.execPath, args: [FAKE_MPV_PATH, ...args] };
+  }
+  return { command: config.mpv.binary, args };
+};
+
+const getSocketPath = (sessionId) => path.join(config.mpv.socketDir, `mpvsocket-${sessionId}`);
+
+// 📊 Metrics shared by every session - labelled by command name (allowlisted, so bounded)
+const commandDuration = metrics.createHistogram({
+  name: 'mpv_command_duration_seconds',
+  help: 'Time from writing an MPV IPC command to its reply',
+  labelNames: ['command']
+});
+
+const commandErrors = metrics.createCounter({
+  name: 'mpv_command_errors_total',
+  help: 'MPV commands that failed (error reply, write failure or timeout)',
+  labelNames: ['command', 'reason']
+});
+
+const commandTimeouts = metrics.createCounter({
+  name: 'mpv_command_timeouts_total',
+  help: 'MPV commands that got no reply in time',
+  labelNames: ['command']
+});
+
+const socketConnections = metrics.createCounter({
+  name: 'mpv_socket_connections_total',
+  help: 'Successful MPV IPC socket connections (first connects and reconnects)'
+});
+
+const reconnectAttemptsTotal = metrics.createCounter({
+  name: 'mpv_reconnect_attempts_total',
+  help: 'Reconnect attempts after an MPV IPC socket was lost'
+});
+
+const crashesTotal = metrics.createCounter({
+  name: 'mpv_crashes_total',
+  help: 'MPV processes that exited unexpectedly (non-zero exit code or signal)'
+});
+
+const recoveriesTotal = metrics.createCounter({
+  name: 'mpv_crash_recoveries_total',
+  help: 'Crashed MPV players relaunched with their playback state restored'
+});
+
+const getCommandName = (command) => String(command[0]);
+
+// Milliseconds summary of every command so far - for /ping, /api/system-info and /api/performance
+const getCommandLatency = () => {
+  const { count, mean, p50, p95, p99 } = commandDuration.summary();
+  const toMs = (seconds) => (seconds === null ? null : Math.round(seconds * 100000) / 100);
+
+  return {
+    commands: count,
+    meanMs: toMs(mean),
+    p50Ms: toMs(p50),
+    p95Ms: toMs(p95),
+    p99Ms: toMs(p99),
+    errors: commandErrors.total(),
+    timeouts: commandTimeouts.total()
+  };
+};
+
+// Cumulative for the life of the session - never reset
+const createStats = () => ({
+  commandsSent: 0,
+  responses: 0,
+  totalResponseTime: 0,
+  errors: 0,
+  timeouts: 0,
+  connections: 0,
+  reconnects: 0,
+  crashes: 0,
+  recoveries: 0
+});
+
+/**
+ * Creates an idle session. Nothing is spawned until launch() is called.
+ */
+const createMpvSession = (id) => {
+  const socketPath = getSocketPath(id);
+  const createdAt = Date.now();
+  const log = createLogger('mpvSession', { sessionId: id });
+
+  // 🎯 Session State
+  let mpvProcess = null;
+  let mpvSocket = null;
+  let isConnected = false;
+  let mediaPath = null;
+  let mediaId = null;
+  let windowOptions = {};
+  let socketConnectionAttempts = 0;
+  let lastHeartbeat = 0;
+
+  // 🩺 Connection Supervisor State
+  // idle → connecting → connected ⇄ degraded → lost → connecting ...
+  let connectionState = 'idle';
+  let supervising = false; // Only true while a launched player is expected to be reachable
+  let heartbeatTimer = null;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let probeFailures = 0;
+  let lastProbeLatency = null;
+
+  // 📡 Latest values of the observed properties (relayed to browsers via the event stream)
+  const observedProperties = {};
+
+  // ⏱️ Playback clock - the latest time-pos anchored to the server's monotonic clock with
+  // the speed and pause state needed to extrapolate it. Pause and speed changes re-anchor
+  // it at the position playback had reached, so extrapolation never runs at a stale rate.
+  let clock = null;
+
+  // 🎛️ Audio filter chain as last applied through af (normalised filters, see audioFilters.js).
+  // af survives file changes but not the process - a new mpv starts without filters.
+  let audioFilters = [];
+
+  // ⏳ One-shot waiters for mpv events (playback-restart after a seek...)
+  const eventWaiters = new Set();
+
+  // 🚑 Crash Recovery State - exits the session asked for (terminate) are never crashes
+  let expectedExit = null;
+  let recoveryTimer = null;
+  let recentRestarts = []; // Restart times within RECOVERY.restartWindow
+  let restoringState = null; // State being restored - a crash meanwhile restores it again
+
+  const resetObservedProperties = () => {
+    OBSERVED_PROPERTIES.forEach(name => {
+      observedProperties[name] = null;
+    });
+    clock = null;
+  };
+  resetObservedProperties();
+
+  const updateClock = (name) => {
+    const monotonicTime = eventStream.monotonicNow();
+    const speed = observedProperties.speed === null ? 1 : observedProperties.speed;
+    const paused = observedProperties.pause !== false;
+
+    if (name === 'time-pos') {
+      const position = observedProperties['time-pos'];
+      clock = position === null ? null : { position, monotonicTime, speed, paused };
+      return;
+    }
+
+    if (!clock) return;
+    const elapsed = clock.paused ? 0 : ((monotonicTime - clock.monotonicTime) / 1000) * clock.speed;
+    clock = { position: clock.position + elapsed, monotonicTime, speed, paused };
+  };
+
+  // 📋 Playlist mirror - mpv reports entries by path, browsers only get media IDs
+  let playlistPaths = [];
+
+  const toPlaylistEntries = (playlist) => {
+    playlistPaths = (playlist || []).map(entry => entry.filename);
+
+    return (playlist || []).map((entry, index) => {
+      const media = mediaStore.describeMediaPath(entry.filename);
+      return {
+        index,
+        mediaId: media ? media.id : null,
+        fileName: media ? media.fileName : path.basename(entry.filename),
+        current: Boolean(entry.current),
+        playing: Boolean(entry.playing)
+      };
+    });
+  };
+
+  // 🎚️ Tracks - external files (sub-add) by media ID like playlist entries, never by path
+  let externalSubtitles = []; // { path, title, lang } in track order, to add again after a crash
+
+  const toTrackEntries = (trackList) => (trackList || []).map(track => {
+    const media = track.external && track['external-filename'] ?
+      mediaStore.describeMediaPath(track['external-filename']) :
+      null;
+
+    return {
+      id: track.id,
+      type: track.type,
+      title: track.title || (media ? media.fileName : null),
+      lang: track.lang || null,
+      codec: track.codec || null,
+      default: Boolean(track.default),
+      forced: Boolean(track.forced),
+      external: Boolean(track.external),
+      selected: Boolean(track.selected),
+      mediaId: media ? media.id : null,
+      ...(track.type === 'audio' ? { channelCount: track['demux-channel-count'] || null } : {})
+    };
+  });
+
+  const recordExternalSubtitles = (trackList) => {
+    externalSubtitles = (trackList || [])
+      .filter(track => track.type === 'sub' && track.external && track['external-filename'])
+      .map(track => ({ path: track['external-filename'], title: track.title || null, lang: track.lang || null }));
+  };
+
+  const toChapterEntries = (chapterList) => (chapterList || []).map((chapter, index) => ({
+    index,
+    title: chapter.title || null,
+    time: chapter.time
+  }));
+
+  // Observed values browsers get in API form instead of mpv's own
+  const PROPERTY_MAPPERS = {
+    playlist: toPlaylistEntries,
+    'track-list': (trackList) => {
+      recordExternalSubtitles(trackList);
+      return toTrackEntries(trackList);
+    },
+    'chapter-list': toChapterEntries
+  };
+
+  // Keep the session's media in step with whatever mpv is playing now
+  const followPlaylistPosition = () => {
+    const position = observedProperties['playlist-pos'];
+    const entry = (observedProperties.playlist || [])[position];
+    if (!entry || !playlistPaths[position]) return;
+
+    mediaPath = playlistPaths[position];
+    mediaId = entry.mediaId;
+  };
+
+  // 📊 Performance Tracking
+  const performanceStats = createStats();
+
+  // 🎯 ULTRA-FAST Command ID System
+  let commandId = 0;
+  const pendingCommands = new Map();
+
+  const broadcast = (type, payload = {}) => {
+    eventStream.broadcast(type, { sessionId: id, ...payload });
+  };
+
+  const setConnectionState = (state, detail) => {
+    if (connectionState === state) return;
+
+    log.info(`🩺 Connection ${connectionState} → ${state}${detail ? ` (${detail})` : ''}`);
+    connectionState = state;
+    broadcast('connection-state', { state, detail });
+  };
+
+  const rejectPendingCommands = (reason) => {
+    pendingCommands.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    });
+    pendingCommands.clear();
+  };
+
+  // 🚀 OPTIMIZED MPV Command Function
+  const sendCommand = (command, timeout = COMMAND_TIMEOUT) => {
+    return new Promise((resolve, reject) => {
+      const startTime = performance.now();
+
+      if (!mpvSocket || mpvSocket.destroyed) {
+        reject(new Error('MPV not connected'));
+        return;
+      }
+
+      const ipcRequestId = ++commandId;
+      const requestId = getRequestId(); // Replies arrive outside the HTTP request - keep its ID
+      const commandObj = {
+        command,
+        request_id: ipcRequestId
+      };
+
+      // Set up timeout
+      const timer = setTimeout(() => {
+        pendingCommands.delete(ipcRequestId);
+        performanceStats.errors++;
+        performanceStats.timeouts++;
+        commandErrors.inc({ command: getCommandName(command), reason: 'timeout' });
+        commandTimeouts.inc({ command: getCommandName(command) });
+        log.warn('⏱️ MPV command timed out', { command, timeout, requestId });
+        reject(new Error(`Command timeout: ${JSON.stringify(command)}`));
+      }, timeout);
+
+      // Store pending command
+      pendingCommands.set(ipcRequestId, {
+        resolve,
+        reject,
+        timer,
+        startTime,
+        command,
+        requestId
+      });
+
+      try {
+        mpvSocket.write(JSON.stringify(commandObj) + '\n');
+        performanceStats.commandsSent++;
+        log.debug('➡️ MPV command sent', { command, ipcRequestId });
+      } catch (error) {
+        pendingCommands.delete(ipcRequestId);
+        clearTimeout(timer);
+        performanceStats.errors++;
+        commandErrors.inc({ command: getCommandName(command), reason: 'write' });
+        reject(error);
+      }
+    });
+  };
+
+  // 📦 Batched Commands - one result per command, in order
+  // Pipelined: every command is written before the first reply arrives (mpv answers in order).
+  // stopOnError: commands run one at a time and the rest are skipped after the first failure.
+  const sendBatch = async (commands, { stopOnError = false, timeout = COMMAND_TIMEOUT } = {}) => {
+    const runOne = async (command) => {
+      const startTime = Date.now();
+      try {
+        const data = await sendCommand(command, timeout);
+        return { command, success: true, data, responseTime: Date.now() - startTime };
+      } catch (error) {
+        return { command, success: false, error: error.message, responseTime: Date.now() - startTime };
+      }
+    };
+
+    if (!stopOnError) {
+      return Promise.all(commands.map(runOne));
+    }
+
+    const results = [];
+    for (const command of commands) {
+      if (results.length > 0 && !results[results.length - 1].success) {
+        results.push({ command, success: false, skipped: true, error: 'Skipped after an earlier error' });
+        continue;
+      }
+      results.push(await runOne(command));
+    }
+    return results;
+  };
+
+  // 🚀 OPTIMIZED Response Handler
+  const handleResponse = (response) => {
+    const { request_id, error, data } = response;
+
+    // Handle command responses
+    if (request_id && pendingCommands.has(request_id)) {
+      const { resolve, reject, timer, startTime, command, requestId } = pendingCommands.get(request_id);
+      clearTimeout(timer);
+      pendingCommands.delete(request_id);
+
+      // Update performance stats
+      const elapsed = performance.now() - startTime;
+      const responseTime = Math.round(elapsed * 100) / 100; // ms
+      performanceStats.responses++;
+      performanceStats.totalResponseTime += elapsed;
+      commandDuration.observe({ command: getCommandName(command) }, elapsed / 1000);
+
+      if (error === 'success') {
+        log.debug('⬅️ MPV command succeeded', { command, responseTime, requestId });
+        resolve(data);
+      } else {
+        performanceStats.errors++;
+        commandErrors.inc({ command: getCommandName(command), reason: 'mpv' });
+        log.warn('⚠️ MPV command failed', { command, mpvError: error, responseTime, requestId });
+        reject(new Error(error || 'Unknown MPV error'));
+      }
+    }
+
+    // Handle property changes - relay to every connected browser
+    if (response.event === 'property-change') {
+      lastHeartbeat = Date.now();
+      const value = response.data === undefined ? null : response.data;
+      const mapProperty = PROPERTY_MAPPERS[response.name];
+      observedProperties[response.name] = mapProperty ? mapProperty(value) : value;
+
+      if (response.name === 'playlist' || response.name === 'playlist-pos') {
+        followPlaylistPosition();
+      }
+
+      const isClockProperty = CLOCK_PROPERTIES.includes(response.name);
+      if (isClockProperty) updateClock(response.name);
+
+      broadcast('property-change', {
+        name: response.name,
+        data: observedProperties[response.name],
+        ...(isClockProperty ? { clock } : {})
+      });
+      return;
+    }
+
+    // Relay playback lifecycle events (file-loaded, end-file, seek, playback-restart...)
+    if (response.event) {
+      eventWaiters.forEach(waiter => {
+        if (waiter.event !== response.event) return;
+        clearTimeout(waiter.timer);
+        eventWaiters.delete(waiter);
+        waiter.resolve(response);
+      });
+
+      broadcast('mpv-event', {
+        event: response.event,
+        reason: response.reason
+      });
+    }
+  };
+
+  // 🎯 SMART Property Observation (minimal, essential only)
+  const setupPropertyObservation = async () => {
+    try {
+      for (let i = 0; i < OBSERVED_PROPERTIES.length; i++) {
+        await sendCommand(['observe_property', i + 1, OBSERVED_PROPERTIES[i]]);
+      }
+      log.info('✅ Essential property observation enabled');
+    } catch (error) {
+      log.warn('⚠️ Property observation setup failed', { error });
+    }
+  };
+
+  // 🎯 OPTIMIZED Socket Connection Management
+  const connect = () => {
+    return new Promise((resolve, reject) => {
+      if (mpvSocket && !mpvSocket.destroyed) {
+        resolve(mpvSocket);
+        return;
+      }
+
+      log.info('🔌 Connecting to MPV socket...', { socketPath });
+      socketConnectionAttempts++;
+      setConnectionState('connecting');
+
+      // The socket outlives the request that opened it - its events must not log under that request's ID
+      const socket = runOutsideRequest(() => net.createConnection(socketPath));
+      mpvSocket = socket;
+
+      // Set connection timeout
+      const connectionTimer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error('Connection timeout'));
+      }, CONNECTION_TIMEOUT);
+
+      socket.on('connect', () => {
+        clearTimeout(connectionTimer);
+        isConnected = true;
+        socketConnectionAttempts = 0;
+        reconnectAttempts = 0;
+        probeFailures = 0;
+        lastHeartbeat = Date.now();
+        performanceStats.connections++;
+        socketConnections.inc();
+
+        log.info('✅ MPV socket connected');
+        setConnectionState('connected');
+        broadcast('mpv-connected');
+
+        // Set up response handler
+        let buffer = '';
+        socket.on('data', (data) => {
+          buffer += data.toString();
+
+          // Process complete JSON lines
+          const lines = buffer.split('\n');
+          buffer = lines.pop(); // Keep incomplete line
+
+          lines.forEach(line => {
+            if (line.trim()) {
+              try {
+                handleResponse(JSON.parse(line));
+              } catch (error) {
+                log.warn('⚠️ Failed to parse MPV response', { line });
+              }
+            }
+          });
+        });
+
+        // Observations belong to the IPC connection, so every (re)connect registers them again
+        setupPropertyObservation();
+        startHeartbeat();
+
+        resolve(socket);
+      });
+
+      // 'close' always follows 'error' and does the bookkeeping
+      socket.on('error', (error) => {
+        clearTimeout(connectionTimer);
+        log.error('❌ MPV socket error', { error });
+        reject(error);
+      });
+
+      socket.on('close', () => {
+        clearTimeout(connectionTimer);
+        log.info('🔌 MPV socket closed');
+        if (mpvSocket !== socket) return;
+
+        const wasConnected = isConnected;
+        mpvSocket = null;
+        isConnected = false;
+        stopHeartbeat();
+        rejectPendingCommands('Connection closed');
+        if (wasConnected) broadcast('mpv-disconnected');
+
+        // The player may still be alive - go and find it again
+        if (supervising) {
+          setConnectionState('lost', 'socket closed');
+          scheduleReconnect();
+        }
+      });
+    });
+  };
+
+  // 🔄 Reconnect to the existing socket with exponential backoff
+  const scheduleReconnect = () => {
+    if (!supervising || reconnectTimer || !mpvProcess) return;
+
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts);
+    reconnectAttempts++;
+    performanceStats.reconnects++;
+    reconnectAttemptsTotal.inc();
+    log.info(`🔄 Reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (!supervising || !mpvProcess) return;
+
+      // A failed attempt closes the socket, which schedules the next one
+      connect().catch(error => {
+        log.warn(`⚠️ Reconnect attempt ${reconnectAttempts} failed: ${error.message}`);
+        setConnectionState('lost', error.message);
+      });
+    }, delay);
+  };
+
+  const cancelReconnect = () => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  };
+
+  // 🩺 Cheap IPC probe - proves the socket AND the player's event loop are alive
+  const probe = async () => {
+    const startTime = Date.now();
+
+    try {
+      await sendCommand(['client_name'], PROBE_TIMEOUT);
+      lastProbeLatency = Date.now() - startTime;
+      lastHeartbeat = Date.now();
+      probeFailures = 0;
+      setConnectionState('connected');
+    } catch (error) {
+      if (!supervising || !isConnected) return;
+
+      probeFailures++;
+      if (probeFailures < PROBE_FAILURES_BEFORE_LOST) {
+        setConnectionState('degraded', `${probeFailures} failed probe(s)`);
+        return;
+      }
+
+      // The socket is open but nobody answers - drop it and reconnect
+      log.warn(`⚠️ ${probeFailures} probes failed, dropping socket`);
+      if (mpvSocket) mpvSocket.destroy();
+    }
+  };
+
+  const startHeartbeat = () => {
+    stopHeartbeat();
+    heartbeatTimer = runOutsideRequest(() => setInterval(probe, HEARTBEAT_INTERVAL));
+  };
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  };
+
+  // Intentional disconnect - stops supervision so nothing tries to reconnect
+  const destroySocket = () => {
+    supervising = false;
+    cancelReconnect();
+    stopHeartbeat();
+
+    if (mpvSocket) {
+      const socket = mpvSocket;
+      mpvSocket = null;
+      socket.destroy();
+    }
+    isConnected = false;
+  };
+
+  const removeSocketFile = () => {
+    if (fs.existsSync(socketPath)) {
+      try {
+        fs.unlinkSync(socketPath);
+      } catch (error) {
+        log.warn('⚠️ Could not remove socket file', { error });
+      }
+    }
+  };
+
+  // 🔚 Stop the mpv process (if any) and wait briefly for it to go away
+  const terminate = async () => {
+    if (!mpvProcess) return;
+
+    const exiting = mpvProcess;
+    expectedExit = exiting;
+    try {
+      exiting.kill('SIGTERM');
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (mpvProcess === exiting) {
+        exiting.kill('SIGKILL');
+      }
+    } catch (error) {
+      log.warn('⚠️ Error terminating MPV', { error });
+    }
+  };
+
+  const buildArgs = (media, options) => {
+    // Launch options override the configured window defaults
+    const windowSettings = {
+      geometry: options.geometry || config.mpv.window.geometry,
+      ontop: options.ontop !== undefined ? options.ontop : config.mpv.window.ontop,
+      title: options.title || config.mpv.window.title
+    };
+    const mpvArgs = [
+      '--input-ipc-server=' + socketPath,
+      ...config.mpv.args
+    ];
+
+    mpvArgs.push(`--geometry=${windowSettings.geometry}`);
+
+    if (windowSettings.ontop !== false) {
+      mpvArgs.push('--ontop');
+    }
+
+    mpvArgs.push(`--title=${windowSettings.title}`);
+    mpvArgs.push(media);
+
+    return mpvArgs;
+  };
+
+  // 🚀 Launch (or relaunch) mpv for this session
+  const startPlayer = async (media, options, launchMediaId) => {
+    const startTime = Date.now();
+
+    // Clean shutdown of the previous player in this session
+    await terminate();
+    destroySocket();
+    removeSocketFile();
+
+    log.info(`🚀 Launching MPV with: ${media}`);
+
+    const player = getPlayerCommand(buildArgs(media, options));
+    const child = runOutsideRequest(() => spawn(player.command, player.args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: false
+    }));
+    mpvProcess = child;
+
+    // Set up process handlers
+    child.on('error', (error) => {
+      log.error(`❌ MPV process error: ${error.message}`);
+      if (mpvProcess === child) mpvProcess = null;
+      isConnected = false;
+      broadcast('mpv-error', { message: error.message });
+    });
+
+    child.on('exit', (code, signal) => {
+      log.info(`🔚 MPV process exited: code=${code}, signal=${signal}`);
+      if (mpvProcess !== child) return;
+
+      // Quitting mpv (q, closing the window) exits with 0 - anything else while it should be running is a crash
+      const crashed = child !== expectedExit && mediaPath !== null && (code !== 0 || signal !== null);
+      const state = crashed ? captureRecoveryState() : null;
+
+      mpvProcess = null;
+      destroySocket();
+      resetObservedProperties();
+      audioFilters = [];
+
+      if (crashed) {
+        performanceStats.crashes++;
+        crashesTotal.inc();
+        if (scheduleRecovery(state, signal ? `signal ${signal}` : `exit code ${code}`)) return;
+      }
+
+      setConnectionState('idle', 'process exited');
+      broadcast('mpv-exited', { code, signal });
+    });
+
+    // Only log important messages to avoid spam
+    const logErrors = (data) => {
+      const message = data.toString().trim();
+      if (message.includes('ERROR') || message.includes('FATAL')) {
+        log.error('MPV Error', { output: message });
+      }
+    };
+    if (child.stdout) child.stdout.on('data', logErrors);
+    if (child.stderr) child.stderr.on('data', logErrors);
+
+    // Wait for MPV to initialize
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    try {
+      await connect();
+      supervising = true;
+
+      // Configure MPV for optimal performance
+      await sendCommand(['set_property', 'pause', true]);
+      await sendCommand(['set_property', 'volume', 85]);
+      await sendCommand(['set_property', 'mute', false]);
+    } catch (error) {
+      // Clean up failed process
+      if (mpvProcess === child) {
+        child.kill('SIGKILL');
+        mpvProcess = null;
+      }
+      throw error;
+    }
+
+    mediaPath = media;
+    mediaId = launchMediaId;
+    windowOptions = options;
+
+    const launchTime = Date.now() - startTime;
+    log.info(`✅ MPV launched and connected in ${launchTime}ms`, { mediaId, launchTime, socketPath });
+    broadcast('mpv-launched', { mediaId, launchTime });
+
+    return launchTime;
+  };
+
+  // A launch from outside replaces whatever a crash recovery was about to restore
+  const launch = (media, options = {}, launchMediaId = null) => {
+    cancelRecovery();
+    return startPlayer(media, options, launchMediaId);
+  };
+
+  // 🚑 Crash Recovery - what the player was doing, taken from the observed properties
+  const captureRecoveryState = () => {
+    if (restoringState) return restoringState;
+
+    const positionNow = clock ?
+      clock.position + (clock.paused ? 0 : ((eventStream.monotonicNow() - clock.monotonicTime) / 1000) * clock.speed) :
+      observedProperties['time-pos'];
+
+    return {
+      media: mediaPath,
+      mediaId,
+      windowOptions,
+      position: positionNow,
+      paused: observedProperties.pause !== false,
+      speed: observedProperties.speed,
+      volume: observedProperties.volume,
+      mute: observedProperties.mute,
+      aid: observedProperties.aid,
+      sid: observedProperties.sid,
+      abLoop: [observedProperties['ab-loop-a'], observedProperties['ab-loop-b']],
+      audioFilters,
+      externalSubtitles
+    };
+  };
+
+  // Resolves once mpv has the file open - seeks and track changes fail before that
+  const waitForFile = async () => {
+    const loaded = waitForEvent('file-loaded', CONNECTION_TIMEOUT);
+    loaded.catch(() => {}); // Not needed when the file is already open
+    const duration = await sendCommand(['get_property', 'duration']).catch(() => null);
+    if (duration === null) await loaded;
+  };
+
+  // Best effort, step by step - resolves to { restored, failed } step names
+  const restoreState = async (state) => {
+    const steps = [];
+    const step = (name, run) => steps.push({ name, run });
+
+    state.externalSubtitles.forEach(subtitle => step('subtitles', () => {
+      const command = ['sub-add', subtitle.path, 'auto'];
+      if (subtitle.title || subtitle.lang) command.push(subtitle.title || '');
+      if (subtitle.lang) command.push(subtitle.lang);
+      return sendCommand(command);
+    }));
+    if (state.aid !== null) step('audio track', () => sendCommand(['set_property', 'aid', state.aid === false ? 'no' : state.aid]));
+    if (state.sid !== null) step('subtitle track', () => sendCommand(['set_property', 'sid', state.sid === false ? 'no' : state.sid]));
+    if (state.speed !== null) step('speed', () => sendCommand(['set_property', 'speed', state.speed]));
+    if (state.volume !== null) step('volume', () => sendCommand(['set_property', 'volume', state.volume]));
+    if (state.mute !== null) step('mute', () => sendCommand(['set_property', 'mute', state.mute]));
+    if (state.audioFilters.length > 0) {
+      step('audio filters', () => applyAudioFilters('set', renderChain(state.audioFilters), state.audioFilters));
+    }
+    if (state.abLoop.every(point => point !== null)) {
+      step('A-B loop', async () => {
+        await sendCommand(['set_property', 'ab-loop-a', state.abLoop[0]]);
+        await sendCommand(['set_property', 'ab-loop-b', state.abLoop[1]]);
+      });
+    }
+    if (state.position !== null) step('position', () => sendCommand(['seek', state.position, 'absolute', 'exact']));
+    step('pause', () => sendCommand(['set_property', 'pause', state.paused]));
+
+    const restored = [];
+    const failed = [];
+    try {
+      await waitForFile();
+    } catch (error) {
+      log.warn(`⚠️ Could not restore the playback state after the crash: ${error.message}`);
+      steps.forEach(({ name }) => !failed.includes(name) && failed.push(name));
+      return { restored, failed };
+    }
+
+    for (const { name, run } of steps) {
+      if (restoringState !== state) break; // Relaunched or closed meanwhile
+      try {
+        await run();
+        if (!restored.includes(name)) restored.push(name);
+      } catch (error) {
+        log.warn(`⚠️ Could not restore ${name} after the crash: ${error.message}`);
+        if (!failed.includes(name)) failed.push(name);
+      }
+    }
+    return { restored, failed };
+  };
+
+  const recover = async (state, attempt) => {
+    recoveryTimer = null;
+    restoringState = state;
+
+    try {
+      await startPlayer(state.media, state.windowOptions, state.mediaId);
+      const { restored, failed } = await restoreState(state);
+      if (restoringState !== state) return; // Relaunched or closed meanwhile
+      restoringState = null;
+      if (!isConnected) return; // Crashed again while restoring - that recovery reports
+
+      performanceStats.recoveries++;
+      recoveriesTotal.inc();
+      log.info(`🚑 MPV recovered (attempt ${attempt})`, { mediaId: state.mediaId, position: state.position, failed });
+      broadcast('mpv-recovered', { attempt, mediaId: state.mediaId, position: state.position, restored, failed });
+    } catch (error) {
+      // startPlayer() failed - the new process is gone already
+      log.error(`❌ MPV relaunch failed: ${error.message}`);
+      if (restoringState !== state) return;
+
+      restoringState = null;
+      if (scheduleRecovery(state, error.message)) return;
+      setConnectionState('idle', 'recovery failed');
+      broadcast('mpv-exited', { code: null, signal: null });
+    }
+  };
+
+  // Relaunches after RECOVERY.restartDelay - answers false when recovery is off or the restart limit is hit
+  const scheduleRecovery = (state, reason) => {
+    if (recoveryTimer) return true; // Already on its way (the exit and the failed relaunch both report)
+    if (!RECOVERY.enabled || !state.media) return false;
+
+    const now = Date.now();
+    recentRestarts = recentRestarts.filter(time => now - time < RECOVERY.restartWindow);
+    if (recentRestarts.length >= RECOVERY.maxRestarts) {
+      const message = `MPV crashed ${recentRestarts.length + 1} times within ${Math.round(RECOVERY.restartWindow / 1000)}s - not restarting it`;
+      log.error(`❌ ${message}`);
+      broadcast('mpv-recovery-failed', { reason, message });
+      return false;
+    }
+
+    recentRestarts.push(now);
+    const attempt = recentRestarts.length;
+    log.warn(`💥 MPV crashed (${reason}) - relaunching in ${RECOVERY.restartDelay}ms (attempt ${attempt}/${RECOVERY.maxRestarts})`);
+    setConnectionState('recovering', reason);
+    broadcast('mpv-crashed', { reason, attempt, maxRestarts: RECOVERY.maxRestarts });
+
+    recoveryTimer = runOutsideRequest(() => setTimeout(() => recover(state, attempt), RECOVERY.restartDelay));
+    return true;
+  };
+
+  const cancelRecovery = () => {
+    clearTimeout(recoveryTimer);
+    recoveryTimer = null;
+    restoringState = null;
+  };
+
+  // 🧹 Stop everything owned by this session
+  const close = () => {
+    cancelRecovery();
+    if (mpvProcess) {
+      const exiting = mpvProcess;
+      mpvProcess = null;
+      exiting.kill('SIGTERM');
+
+      // Force kill if doesn't exit in 3 seconds
+      setTimeout(() => {
+        if (exiting.exitCode === null && exiting.signalCode === null) {
+          exiting.kill('SIGKILL');
+        }
+      }, 3000).unref();
+    }
+
+    destroySocket();
+    rejectPendingCommands('Session closed');
+    removeSocketFile();
+    mediaPath = null;
+    mediaId = null;
+    resetObservedProperties();
+    audioFilters = [];
+    setConnectionState('idle', 'session closed');
+    broadcast('mpv-exited', { code: null, signal: 'closed' });
+  };
+
+  const getAverageResponseTime = () => (performanceStats.responses > 0 ?
+    Math.round((performanceStats.totalResponseTime / performanceStats.responses) * 100) / 100 :
+    0);
+
+  const getStatus = () => {
+    const heartbeatAge = Date.now() - lastHeartbeat;
+    const isHealthy = heartbeatAge < (HEARTBEAT_INTERVAL * 2);
+
+    return {
+      sessionId: id,
+      createdAt,
+      isRunning: mpvProcess !== null,
+      isConnected: isConnected && isHealthy,
+      connectionState,
+      reconnectAttempts,
+      lastProbeLatency,
+      currentTime: observedProperties['time-pos'],
+      clock,
+      duration: observedProperties.duration,
+      mediaId, // Browsers only ever see the opaque ID, never the server path
+      audioFilters,
+      windowOptions, // The IPC socket path is logged at launch, never reported to clients
+      heartbeatAge,
+      isHealthy,
+      performance: {
+        commandsSent: performanceStats.commandsSent,
+        avgResponseTime: getAverageResponseTime(),
+        errors: performanceStats.errors,
+        timeouts: performanceStats.timeouts,
+        pendingCommands: pendingCommands.size,
+        connections: performanceStats.connections,
+        reconnects: performanceStats.reconnects,
+        crashes: performanceStats.crashes,
+        recoveries: performanceStats.recoveries,
+        uptime: Math.round((Date.now() - createdAt) / 1000)
+      }
+    };
+  };
+
+  // 📋 Playlist (media IDs only - paths never leave the server)
+  const getPlaylist = () => ({
+    entries: observedProperties.playlist || [],
+    position: observedProperties['playlist-pos'] == null ? -1 : observedProperties['playlist-pos']
+  });
+
+  // Read the playlist straight from mpv instead of waiting for the next property-change
+  const fetchPlaylist = async () => {
+    const [playlist, position] = await Promise.all([
+      sendCommand(['get_property', 'playlist']),
+      sendCommand(['get_property', 'playlist-pos'])
+    ]);
+
+    observedProperties.playlist = toPlaylistEntries(playlist);
+    observedProperties['playlist-pos'] = position;
+    followPlaylistPosition();
+
+    return getPlaylist();
+  };
+
+  // 🎚️ Tracks and chapters, read straight from mpv like fetchPlaylist()
+  const fetchTracks = async () => {
+    const trackList = await sendCommand(['get_property', 'track-list']);
+    recordExternalSubtitles(trackList);
+    observedProperties['track-list'] = toTrackEntries(trackList);
+    return observedProperties['track-list'];
+  };
+
+  /**
+   * Runs `af <operation> <value>` (set / add / remove) and records the resulting chain.
+   * value is an mpv filter string rendered by audioFilters.js - never client input.
+   */
+  const applyAudioFilters = async (operation, value, filters) => {
+    await sendCommand(['af', operation, value]);
+    audioFilters = filters;
+    broadcast('audio-filters', { filters });
+    return audioFilters;
+  };
+
+  // Resolves with the next `event` from mpv - create it before the command that triggers the event
+  const waitForEvent = (event, timeout = COMMAND_TIMEOUT) => new Promise((resolve, reject) => {
+    const waiter = { event, resolve };
+    waiter.timer = setTimeout(() => {
+      eventWaiters.delete(waiter);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+    eventWaiters.add(waiter);
+  });
+
+  /**
+   * 📸 Saves a screenshot (format from the extension) and resolves to the time it shows
+   * (null, and no file, when nothing is playing).
+   * Without `time` it is the frame on screen; with `time` playback pauses, seeks there
+   * exactly, captures and returns to where it was. subtitles: false leaves them out.
+   */
+  const captureScreenshot = async (filePath, { time, subtitles = true } = {}) => {
+    const flags = subtitles ? 'subtitles' : 'video';
+
+    if (time === undefined) {
+      const position = await sendCommand(['get_property', 'time-pos']);
+      if (position === null) return null; // Nothing playing - no frame to capture
+      await sendCommand(['screenshot-to-file', filePath, flags]);
+      return position;
+    }
+
+    const [position, paused] = await Promise.all([
+      sendCommand(['get_property', 'time-pos']),
+      sendCommand(['get_property', 'pause'])
+    ]);
+
+    await sendCommand(['set_property', 'pause', true]);
+    try {
+      const restarted = waitForEvent('playback-restart');
+      restarted.catch(() => {}); // Awaited below - unless the seek itself fails
+      await sendCommand(['seek', time, 'absolute', 'exact']);
+      await restarted;
+      await sendCommand(['screenshot-to-file', filePath, flags]);
+    } finally {
+      if (position !== null) await sendCommand(['seek', position, 'absolute', 'exact']).catch(() => {});
+      if (!paused) await sendCommand(['set_property', 'pause', false]).catch(() => {});
+    }
+
+    return time;
+  };
+
+  const fetchChapters = async () => {
+    const [chapterList, current] = await Promise.all([
+      sendCommand(['get_property', 'chapter-list']),
+      sendCommand(['get_property', 'chapter']).catch(() => null) // Unavailable before the first chapter
+    ]);
+
+    observedProperties['chapter-list'] = toChapterEntries(chapterList);
+    return { chapters: observedProperties['chapter-list'], current: current === null ? -1 : current };
+  };
+
+  return {
+    id,
+    socketPath,
+    launch,
+    close,
+    sendCommand,
+    sendBatch,
+    getStatus,
+    getStats: () => ({
+      ...performanceStats,
+      avgResponseTime: getAverageResponseTime(),
+      pendingCommands: pendingCommands.size,
+      socketAttempts: socketConnectionAttempts
+    }),
+    getConnectionState: () => connectionState,
+    getProperties: () => ({ ...observedProperties }),
+    getMediaId: () => mediaId,
+    getPlaylist,
+    fetchPlaylist,
+    fetchTracks,
+    fetchChapters,
+    applyAudioFilters,
+    getAudioFilters: () => audioFilters,
+    captureScreenshot,
+    getMediaPath: () => mediaPath,
+    isRunning: () => mpvProcess !== null,
+    isConnected: () => isConnected
+  };
+};
+
+module.exports = {
+  createMpvSession,
+  getCommandLatency,
+  getPlayerCommand,
+  COMMAND_TIMEOUT
+};
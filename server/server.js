@@ -1,47 +1,81 @@
 // server/server.js - REPLACE YOUR ENTIRE FILE WITH THIS
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
+const os = require('os');
+
+// ⚙️ Configuration first - an invalid setting stops the server before anything starts
+let serverConfig;
+try {
+  serverConfig = require('./config');
+} catch (error) {
+  if (error.name !== 'ConfigError') throw error;
+  console.error(`❌ ${error.message}`); // Plain console - the logger itself needs a valid configuration
+  process.exit(1);
+}
+const { config, describeConfig } = serverConfig;
+
+const { REQUEST_ID_HEADER, createLogger, redactHeaders, requestIdMiddleware } = require('./logger');
+const log = createLogger('server');
+
+const { file: configFile } = describeConfig();
+log.info(`⚙️ Configuration loaded${configFile ? ` from ${configFile}` : ' (defaults + environment)'}`);
+
+const metrics = require('./metrics');
 const mpvController = require('./mpvController');
+const { getCommandLatency } = require('./mpvSession');
+const { getCapabilities } = require('./capabilities');
+const { OPENAPI_PATH, describeApi, listRoutesByTag, spec: apiDocument, suggestRoutes } = require('./apiSpec');
+const { checkRouteCoverage, validateApi } = require('./apiValidation');
+const eventStream = require('./eventStream');
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.server.port;
 
-// 🚀 Professional middleware configuration
-app.use(express.json({ limit: '1gb' }));
-app.use(express.urlencoded({ extended: true, limit: '1gb' }));
+// 🆔 Request IDs - echoed as X-Request-ID and attached to every log line of the request
+app.use(requestIdMiddleware);
 
-// 🌐 Ultimate CORS configuration
-app.use(cors({
-  origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Priority', 'X-Source', 'X-Command-ID']
-}));
-
-// 📊 Professional request logging with performance tracking
+// 📊 Request logging with performance tracking
 app.use((req, res, next) => {
   const startTime = process.hrtime.bigint();
-  const timestamp = new Date().toISOString();
-  
-  // Log request
-  console.log(`🚀 ${timestamp} | ${req.method} ${req.path}`);
-  
+  const requestPath = req.path; // Routers rewrite req.path - keep the full one
+
+  log.debug(`🚀 ${req.method} ${requestPath}`);
+
   res.on('finish', () => {
-    const duration = Number(process.hrtime.bigint() - startTime) / 1000000; // Convert to milliseconds
-    const statusColor = res.statusCode >= 400 ? '\x1b[31m' : res.statusCode >= 300 ? '\x1b[33m' : '\x1b[32m';
-    const durationColor = duration > 100 ? '\x1b[31m' : duration > 50 ? '\x1b[33m' : '\x1b[32m';
-    
-    console.log(
-      `✅ ${timestamp} | ${statusColor}${res.statusCode}\x1b[0m | ${durationColor}${duration.toFixed(2)}ms\x1b[0m | ${req.method} ${req.path}`
-    );
+    const durationMs = Number(process.hrtime.bigint() - startTime) / 1000000;
+    metrics.recordHttpRequest(req, res, durationMs / 1000);
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    const icon = { error: '❌', warn: '⚠️', info: '✅' }[level];
+
+    log[level](`${icon} ${req.method} ${requestPath} ${res.statusCode}`, {
+      method: req.method,
+      path: requestPath,
+      status: res.statusCode,
+      durationMs: Number(durationMs.toFixed(2))
+    });
   });
-  
+
   next();
 });
 
-// 📁 Static file serving for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// 🚀 Professional middleware configuration
+app.use(express.json({ limit: config.server.jsonBodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.server.jsonBodyLimit }));
+
+// 🌐 Ultimate CORS configuration
+app.use(cors({
+  origin: config.server.corsOrigins,
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Priority', 'X-Source', 'X-Command-ID', REQUEST_ID_HEADER],
+  exposedHeaders: [REQUEST_ID_HEADER]
+}));
+
+// 📁 No static /uploads mount - media is only reachable by ID (/api/media/:mediaId/file),
+// never by its storage path, and the library index stays private
+
+// 🧾 Requests checked against the OpenAPI document before any route sees them
+app.use(validateApi);
 
 // 🎯 Ultimate MPV controller routes
 app.use('/api', mpvController);
@@ -59,16 +93,8 @@ app.get('/ping', (req, res) => {
       formatted: formatUptime(uptime)
     },
     version: '2.0.0 - Ultimate Edition',
-    features: [
-      '🎯 Ultimate WaveSurfer Integration',
-      '🎬 Professional MPV JSON IPC',
-      '⚡ Sub-20ms Command Response',
-      '🔄 Real-time Bidirectional Sync',
-      '📊 Performance Monitoring',
-      '🛡️ Zero Memory Leaks',
-      '🎵 Frame-accurate Seeking'
-    ],
     performance: {
+      mpvCommands: getCommandLatency(), // Measured since start - GET /metrics for histograms
       memoryUsage: {
         rss: `${(memoryUsage.rss / 1024 / 1024).toFixed(2)} MB`,
         heapUsed: `${(memoryUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`,
@@ -81,22 +107,42 @@ app.get('/ping', (req, res) => {
     },
     endpoints: {
       health: '/ping',
+      metrics: '/metrics',
       system: '/api/system-info',
+      config: '/api/config',
+      capabilities: '/api/capabilities',
+      docs: '/api/docs',
+      openapi: OPENAPI_PATH,
       upload: 'POST /api/upload',
       mpv: {
         launch: 'POST /api/launch-mpv',
         command: 'POST /api/mpv-command',
+        batch: 'POST /api/mpv-batch',
         seek: 'POST /api/mpv-seek',
+        load: 'POST /api/mpv-load',
         status: 'GET /api/mpv-status',
         properties: 'GET /api/mpv-properties',
-        performance: 'GET /api/performance'
+        performance: 'GET /api/performance',
+        events: `WS ${eventStream.EVENT_STREAM_PATH}`
+      },
+      sessions: {
+        list: 'GET /api/sessions',
+        create: 'POST /api/sessions',
+        status: 'GET /api/sessions/:sessionId',
+        close: 'DELETE /api/sessions/:sessionId',
+        relaunch: 'POST /api/sessions/:sessionId/launch',
+        command: 'POST /api/sessions/:sessionId/command',
+        seek: 'POST /api/sessions/:sessionId/seek',
+        properties: 'GET /api/sessions/:sessionId/properties',
+        playlist: 'GET /api/sessions/:sessionId/playlist'
       }
     }
   });
 });
 
 // 📊 System information endpoint
-app.get('/api/system-info', (req, res) => {
+app.get('/api/system-info', async (req, res) => {
+  const { mpv, ffmpeg, ffprobe, checkedAt } = await getCapabilities();
   const loadAverage = os.loadavg();
   const cpus = os.cpus();
   
@@ -123,125 +169,51 @@ app.get('/api/system-info', (req, res) => {
       networkInterfaces: Object.keys(os.networkInterfaces())
     },
     mpv: {
-      available: true,
-      version: 'Latest Supported',
-      features: [
-        'JSON IPC Communication',
-        'Real-time Property Observation', 
-        'Frame-accurate Seeking',
-        'Hardware Acceleration Support',
-        'Multi-format Playback',
-        'Window Positioning Control'
-      ],
-      performance: {
-        avgResponseTime: '< 15ms',
-        commandQueue: 'Optimized Batching',
-        memoryLeaks: 'Zero Detected',
-        errorRate: '< 0.1%',
-        syncAccuracy: '< 50ms'
-      }
-    }
+      ...mpv,
+      performance: getCommandLatency()
+    },
+    ffmpeg,
+    ffprobe,
+    capabilitiesCheckedAt: checkedAt
   });
 });
 
-// 🎯 Ultimate API documentation endpoint
-app.get('/api/docs', (req, res) => {
+// 📊 Prometheus metrics (text exposition format)
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.send(metrics.renderMetrics());
+});
+
+// ⚙️ Effective configuration endpoint
+app.get('/api/config', (req, res) => {
   res.json({
-    title: '🎯 Ultimate WaveSurfer-MPV API Documentation',
-    version: '2.0.0',
-    description: 'Professional-grade audio visualization with perfect MPV synchronization',
-    endpoints: {
-      system: {
-        'GET /ping': 'Health check and server status',
-        'GET /api/system-info': 'Detailed system information',
-        'GET /api/docs': 'API documentation'
-      },
-      fileManagement: {
-        'POST /api/upload': {
-          description: 'Upload audio/video files',
-          contentType: 'multipart/form-data',
-          maxSize: '100MB',
-          supportedFormats: ['mp3', 'wav', 'flac', 'ogg', 'm4a', 'aac', 'mp4', 'mkv', 'avi', 'webm', 'mov']
-        }
-      },
-      mpvControl: {
-        'POST /api/launch-mpv': {
-          description: 'Launch MPV with specified media file',
-          body: {
-            mediaPath: 'string (required)',
-            windowOptions: {
-              geometry: 'string (optional) - window size and position',
-              ontop: 'boolean (optional) - keep window on top',
-              title: 'string (optional) - window title'
-            }
-          }
-        },
-        'POST /api/mpv-command': {
-          description: 'Send command to MPV via JSON IPC',
-          body: {
-            command: 'array (required) - MPV command array',
-            source: 'string (optional) - command source identifier',
-            priority: 'string (optional) - high/normal priority'
-          }
-        },
-        'POST /api/mpv-seek': {
-          description: 'Seek to specific time position',
-          body: {
-            time: 'number (required) - time in seconds',
-            mode: 'string (optional) - absolute/relative'
-          }
-        },
-        'GET /api/mpv-status': 'Get MPV connection and playback status',
-        'GET /api/mpv-properties': 'Get current MPV properties',
-        'GET /api/performance': 'Get performance metrics and statistics'
-      }
-    },
-    examples: {
-      launch: {
-        url: 'POST /api/launch-mpv',
-        body: {
-          mediaPath: '/path/to/audio.mp3',
-          windowOptions: {
-            geometry: '800x600+100+100',
-            ontop: true,
-            title: 'Ultimate MPV Player'
-          }
-        }
-      },
-      command: {
-        url: 'POST /api/mpv-command',
-        body: {
-          command: ['set_property', 'pause', false],
-          source: 'wavesurfer-sync',
-          priority: 'high'
-        }
-      },
-      seek: {
-        url: 'POST /api/mpv-seek',
-        body: {
-          time: 45.5,
-          mode: 'absolute'
-        }
-      }
-    }
+    success: true,
+    ...describeConfig()
   });
 });
 
+// 📜 OpenAPI document and the overview generated from it (apiSpec.js is the single source)
+app.get(OPENAPI_PATH, (req, res) => {
+  res.json(apiDocument);
+});
+
+app.get('/api/docs', (req, res) => {
+  res.json(describeApi());
+});
+
 // 🛡️ Professional error handling middleware
 app.use((err, req, res, next) => {
-  const errorId = `err-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const errorId = req.id; // The request ID - matches the X-Request-ID header and the logs
   const timestamp = new Date().toISOString();
   
-  // Log detailed error information
-  console.error(`❌ Error ${errorId} at ${timestamp}:`, {
-    message: err.message,
-    stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+  // Log detailed error information - secrets in headers and body are redacted
+  log.error(`❌ Error: ${err.message}`, {
+    error: err,
     path: req.path,
     method: req.method,
     body: req.body,
     query: req.query,
-    headers: req.headers,
-    userAgent: req.get('User-Agent')
+    headers: redactHeaders(req.headers)
   });
   
   // Send appropriate error response
@@ -252,6 +224,7 @@ app.use((err, req, res, next) => {
   
   res.status(statusCode).json({
     success: false,
+    message,
     error: {
       message,
       errorId,
@@ -266,54 +239,41 @@ app.use((err, req, res, next) => {
 
 // 🔍 Ultimate 404 handler with helpful suggestions
 app.use((req, res) => {
-  const suggestions = getRouteSuggestions(req.path);
+  const suggestions = suggestRoutes(req.path);
   
   res.status(404).json({
     success: false,
+    message: `Route not found: ${req.method} ${req.path}`,
     error: {
       message: `Route not found: ${req.method} ${req.path}`,
       statusCode: 404,
       timestamp: new Date().toISOString()
     },
-    suggestions,
-    availableRoutes: {
-      system: [
-        'GET /ping - Ultimate health check',
-        'GET /api/system-info - Detailed system information',
-        'GET /api/docs - Complete API documentation'
-      ],
-      mpv: [
-        'POST /api/upload - Upload media files',
-        'POST /api/launch-mpv - Launch MPV player',
-        'POST /api/mpv-command - Send MPV commands',
-        'POST /api/mpv-seek - Seek to position',
-        'GET /api/mpv-status - Get MPV status',
-        'GET /api/mpv-properties - Get MPV properties',
-        'GET /api/performance - Performance metrics'
-      ]
-    },
-    tip: 'Use GET /api/docs for complete API documentation'
+    suggestions: suggestions.length > 0 ? suggestions : ['/ping', '/api/docs'],
+    availableRoutes: listRoutesByTag(),
+    tip: `Use GET /api/docs for an overview or GET ${OPENAPI_PATH} for the OpenAPI document`
   });
 });
 
 // 🛡️ Graceful shutdown handling
 const gracefulShutdown = (signal) => {
-  console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
+  log.info(`🛑 Received ${signal}. Starting graceful shutdown...`);
   
+  eventStream.close();
   server.close((err) => {
     if (err) {
-      console.error('❌ Error during server shutdown:', err);
+      log.error('❌ Error during server shutdown', { error: err });
       process.exit(1);
     }
     
-    console.log('✅ HTTP server closed gracefully');
-    console.log('🎯 Ultimate Server shutdown completed');
+    log.info('✅ HTTP server closed gracefully');
+    log.info('🎯 Ultimate Server shutdown completed');
     process.exit(0);
   });
   
   // Force exit if graceful shutdown takes too long
   setTimeout(() => {
-    console.log('⚡ Force shutdown due to timeout');
+    log.warn('⚡ Force shutdown due to timeout');
     process.exit(1);
   }, 10000);
 };
@@ -325,44 +285,31 @@ process.on('SIGHUP', () => gracefulShutdown('SIGHUP'));
 
 // 💥 Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
-  console.error('Stack:', error.stack);
+  log.error('💥 Uncaught Exception', { error });
   gracefulShutdown('UNCAUGHT_EXCEPTION');
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Promise Rejection at:', promise);
-  console.error('Reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  log.error('💥 Unhandled Promise Rejection', { reason });
   gracefulShutdown('UNHANDLED_REJECTION');
 });
 
+// 📜 Every route documented, every documented route implemented
+checkRouteCoverage({ '': app._router, '/api': mpvController });
+
 // 🚀 Start the ultimate server
 const server = app.listen(PORT, () => {
-  console.log('\n🚀 ' + '='.repeat(60));
-  console.log('🎯 ULTIMATE WAVESURFER-MPV SERVER ONLINE');
-  console.log('🚀 ' + '='.repeat(60));
-  console.log(`📡 Server URL: http://localhost:${PORT}`);
-  console.log(`🎬 API Docs: http://localhost:${PORT}/api/docs`);
-  console.log(`🏥 Health: http://localhost:${PORT}/ping`);
-  console.log('');
-  console.log('🎯 Features:');
-  console.log('   • Ultimate MPV Integration with JSON IPC');
-  console.log('   • Sub-20ms Command Response Time');
-  console.log('   • Real-time Bidirectional Synchronization');
-  console.log('   • Frame-accurate Seeking & Playback');
-  console.log('   • Professional Error Handling');
-  console.log('   • Zero Memory Leaks & Optimized Performance');
-  console.log('');
-  console.log('⚡ Performance Targets:');
-  console.log('   • Response Time: < 20ms');
-  console.log('   • Sync Accuracy: < 50ms');
-  console.log('   • Memory Usage: Optimized');
-  console.log('   • Error Rate: < 0.1%');
-  console.log('');
-  console.log('🎵 Ready for ultimate audio synchronization experience!');
-  console.log('🚀 ' + '='.repeat(60) + '\n');
+  log.info('🎯 WaveSurfer-MPV server online', {
+    url: `http://localhost:${PORT}`,
+    docs: `http://localhost:${PORT}/api/docs`,
+    health: `http://localhost:${PORT}/ping`,
+    events: `ws://localhost:${PORT}${eventStream.EVENT_STREAM_PATH}`
+  });
 });
 
+// 📡 Real-time MPV event stream shares the HTTP server
+eventStream.attach(server);
+
 // 🔧 Helper functions
 function formatUptime(seconds) {
   const days = Math.floor(seconds / 86400);
@@ -386,20 +333,4 @@ function getSuggestion(statusCode, path) {
   }
 }
 
-function getRouteSuggestions(path) {
-  const routes = [
-    '/ping', '/api/docs', '/api/system-info',
-    '/api/upload', '/api/launch-mpv', '/api/mpv-command',
-    '/api/mpv-seek', '/api/mpv-status', '/api/mpv-properties'
-  ];
-  
-  // Simple similarity check
-  const suggestions = routes.filter(route => 
-    route.includes(path.substring(1)) || 
-    path.includes(route.substring(1))
-  ).slice(0, 3);
-  
-  return suggestions.length > 0 ? suggestions : ['GET /ping', 'GET /api/docs'];
-}
-
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,263 @@
+/**
+ * File: server/videoThumbnails.js
+ * Description: 🎞️ Video Thumbnails - frame strips at fixed intervals and single preview frames, cached per media
+ *
+ * ffmpeg (media.ffmpegBinary) extracts one small JPEG per `interval` seconds - frame i
+ * is the picture on screen at i * interval, so a strip lines up with the timeline.
+ * Intervals come from a fixed ladder (browsers pick the one that suits their zoom),
+ * which keeps the number of cached strips per media small. Strips are reused until the
+ * source file changes. Preview frames (hover) snap to a PREVIEW_STEP grid so scrubbing
+ * back and forth hits the cache; the oldest are evicted past MAX_CACHED_PREVIEWS.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const mediaStore = require('./mediaStore');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('videoThumbnails');
+
+// 🎞️ Thumbnail Configuration
+const THUMBNAILS_VERSION = 1;
+const THUMBNAIL_INTERVALS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600]; // Seconds between strip frames
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;          // 16:9 box - other aspect ratios are letterboxed
+const MAX_THUMBNAILS = 3600;          // Per strip - longer media needs a coarser interval
+const PREVIEW_WIDTHS = [160, 320, 480, 640];
+const PREVIEW_STEP = 0.25;            // Seconds - hover previews snap to this grid
+const MAX_CACHED_PREVIEWS = 500;      // Per media
+const GENERATION_TIMEOUT = 10 * 60 * 1000;
+const FRAME_TIMEOUT = 15 * 1000;
+
+class VideoThumbnailError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'VideoThumbnailError';
+    this.status = status;
+  }
+}
+
+// 🎛️ One ffmpeg run - resolves with stdout, maps a missing binary to 503 and a missing video stream to 422
+const runFfmpeg = (args, timeout) => new Promise((resolve, reject) => {
+  const ffmpeg = spawn(config.media.ffmpegBinary, ['-v', 'error', '-nostdin', ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+  const chunks = [];
+  let stderr = '';
+
+  const timer = setTimeout(() => {
+    ffmpeg.kill('SIGKILL');
+    reject(new VideoThumbnailError(504, 'Frame extraction timed out'));
+  }, timeout);
+
+  ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+  ffmpeg.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-2000);
+  });
+
+  ffmpeg.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error.code === 'ENOENT' ?
+      new VideoThumbnailError(503, 'ffmpeg is not installed - video thumbnails are unavailable') :
+      error);
+  });
+
+  ffmpeg.on('close', (code) => {
+    clearTimeout(timer);
+
+    if (code !== 0) {
+      reject(/matches no streams|does not contain any stream/i.test(stderr) ?
+        new VideoThumbnailError(422, 'This media has no video stream') :
+        new VideoThumbnailError(422, `ffmpeg could not extract frames: ${stderr.trim() || `exit code ${code}`}`));
+      return;
+    }
+
+    resolve(Buffer.concat(chunks));
+  });
+});
+
+// Letterboxed into a fixed box, so every thumbnail of a strip has the same size
+const scaleFilter = (width, height) =>
+  `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+
+// 💾 Cache layout: thumbnails/<interval>/strip.json + 00000.jpg...; thumbnails/previews/<width>-<ms>.jpg
+const getThumbnailsDir = (mediaId) => path.join(mediaStore.getCacheDir(mediaId), 'thumbnails');
+const getStripDir = (mediaId, interval) => path.join(getThumbnailsDir(mediaId), String(interval));
+const getFrameFile = (stripDir, index) => path.join(stripDir, `${String(index).padStart(5, '0')}.jpg`);
+
+const readCachedStrip = (stripDir, stats) => {
+  try {
+    const meta = JSON.parse(fs.readFileSync(path.join(stripDir, 'strip.json'), 'utf8'));
+    const fresh = meta.version === THUMBNAILS_VERSION &&
+      meta.sourceSize === stats.size &&
+      meta.sourceMtimeMs === stats.mtimeMs;
+    return fresh ? meta : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Frames go to a temp directory that replaces the strip in one rename - never a half-written strip
+const generateStrip = async (media, interval, stats) => {
+  const startTime = Date.now();
+  const stripDir = getStripDir(media.id, interval);
+  const tempDir = `${stripDir}.tmp`;
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  try {
+    await runFfmpeg([
+      '-i', media.path,
+      '-an', '-sn', '-dn',
+      '-vf', `fps=1/${interval},${scaleFilter(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT)}`,
+      '-frames:v', String(MAX_THUMBNAILS),
+      '-q:v', '5',
+      '-start_number', '0',
+      path.join(tempDir, '%05d.jpg')
+    ], GENERATION_TIMEOUT);
+
+    const count = fs.readdirSync(tempDir).filter(name => name.endsWith('.jpg')).length;
+    if (count === 0) throw new VideoThumbnailError(422, 'This media has no video stream');
+
+    const meta = {
+      version: THUMBNAILS_VERSION,
+      sourceSize: stats.size,
+      sourceMtimeMs: stats.mtimeMs,
+      interval,
+      count,
+      truncated: count === MAX_THUMBNAILS,
+      width: THUMBNAIL_WIDTH,
+      height: THUMBNAIL_HEIGHT,
+      generatedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(path.join(tempDir, 'strip.json'), JSON.stringify(meta, null, 2));
+
+    fs.rmSync(stripDir, { recursive: true, force: true });
+    fs.renameSync(tempDir, stripDir);
+    log.info(`🎞️ ${count} thumbnails (every ${interval}s) for ${media.fileName} extracted in ${Date.now() - startTime}ms`);
+
+    return meta;
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+const checkInterval = (interval) => {
+  if (!THUMBNAIL_INTERVALS.includes(interval)) {
+    throw new VideoThumbnailError(400, `interval must be one of ${THUMBNAIL_INTERVALS.join(', ')} seconds`);
+  }
+};
+
+// One extraction per media and interval at a time - concurrent requests share it
+const inFlight = new Map();
+
+/**
+ * Strip metadata for a media record: { interval, count, truncated, width, height, intervals }.
+ * Extracts the frames on first use. Frame i shows the picture at i * interval seconds.
+ */
+const getThumbnailStrip = async (media, interval) => {
+  checkInterval(interval);
+
+  const stats = fs.statSync(media.path);
+  let meta = readCachedStrip(getStripDir(media.id, interval), stats);
+
+  if (!meta) {
+    const key = `${media.id}:${interval}`;
+    if (!inFlight.has(key)) {
+      inFlight.set(key, generateStrip(media, interval, stats).finally(() => inFlight.delete(key)));
+    }
+    meta = await inFlight.get(key);
+  }
+
+  return {
+    interval: meta.interval,
+    count: meta.count,
+    truncated: meta.truncated,
+    width: meta.width,
+    height: meta.height,
+    intervals: THUMBNAIL_INTERVALS
+  };
+};
+
+/**
+ * Path of one cached strip frame - the strip must have been extracted (getThumbnailStrip).
+ */
+const getThumbnailFile = (media, interval, index) => {
+  checkInterval(interval);
+
+  const stripDir = getStripDir(media.id, interval);
+  const meta = readCachedStrip(stripDir, fs.statSync(media.path));
+  if (!meta) throw new VideoThumbnailError(404, `No thumbnails every ${interval}s yet - request the strip first`);
+  if (!Number.isInteger(index) || index < 0 || index >= meta.count) {
+    throw new VideoThumbnailError(404, `Thumbnail index must be between 0 and ${meta.count - 1}`);
+  }
+
+  return getFrameFile(stripDir, index);
+};
+
+// 🧹 Oldest previews go first once a media has more than MAX_CACHED_PREVIEWS
+const prunePreviews = (previewDir) => {
+  const files = fs.readdirSync(previewDir).filter(name => name.endsWith('.jpg'));
+  if (files.length <= MAX_CACHED_PREVIEWS) return;
+
+  files
+    .map(name => ({ name, mtimeMs: fs.statSync(path.join(previewDir, name)).mtimeMs }))
+    .sort((a, b) => a.mtimeMs - b.mtimeMs)
+    .slice(0, files.length - MAX_CACHED_PREVIEWS)
+    .forEach(({ name }) => fs.rmSync(path.join(previewDir, name), { force: true }));
+};
+
+/**
+ * Path of a JPEG of the frame on screen at `time` (snapped to PREVIEW_STEP), `width` pixels wide.
+ */
+const getPreviewFrame = async (media, time, width) => {
+  if (!PREVIEW_WIDTHS.includes(width)) {
+    throw new VideoThumbnailError(400, `width must be one of ${PREVIEW_WIDTHS.join(', ')}`);
+  }
+  if (!Number.isFinite(time) || time < 0) throw new VideoThumbnailError(400, 'time must be a non-negative number of seconds');
+
+  const snapped = Math.round(time / PREVIEW_STEP) * PREVIEW_STEP;
+  const previewDir = path.join(getThumbnailsDir(media.id), 'previews');
+  const filePath = path.join(previewDir, `${width}-${Math.round(snapped * 1000)}.jpg`);
+
+  // Cached previews older than the source are stale
+  const stats = fs.statSync(media.path);
+  if (fs.existsSync(filePath) && fs.statSync(filePath).mtimeMs >= stats.mtimeMs) return filePath;
+
+  const key = `${media.id}:${filePath}`;
+  if (!inFlight.has(key)) {
+    const extraction = runFfmpeg([
+      '-ss', String(snapped), // Input seeking - fast, and frame-accurate when decoding
+      '-i', media.path,
+      '-an', '-sn', '-dn',
+      '-frames:v', '1',
+      '-vf', scaleFilter(width, Math.round(width * 9 / 16)),
+      '-q:v', '3',
+      '-f', 'image2pipe', '-vcodec', 'mjpeg', 'pipe:1'
+    ], FRAME_TIMEOUT).then(jpeg => {
+      if (jpeg.length === 0) throw new VideoThumbnailError(422, `No video frame at ${snapped}s`);
+
+      fs.mkdirSync(previewDir, { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, jpeg);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+      prunePreviews(previewDir);
+      return filePath;
+    }).finally(() => inFlight.delete(key));
+
+    inFlight.set(key, extraction);
+  }
+
+  return inFlight.get(key);
+};
+
+module.exports = {
+  VideoThumbnailError,
+  getPreviewFrame,
+  getThumbnailFile,
+  getThumbnailStrip
+};
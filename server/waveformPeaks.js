@@ -0,0 +1,277 @@
+/**
+ * File: server/waveformPeaks.js
+ * Description: 〰️ Waveform Peaks - server-side PCM decode and multi-resolution min/max peaks
+ *
+ * ffmpeg (media.ffmpegBinary / FFMPEG_BINARY overrides the binary) decodes the media to mono 16-bit PCM,
+ * which is reduced to interleaved min/max pairs at several resolutions. Each level is
+ * four times coarser than the previous one. Results are cached in the media's cache
+ * directory and reused until the source file changes, so browsers never have to
+ * download and decode multi-hour recordings just to draw a waveform.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - ffmpeg binary from config.js
+ * v1.2.0 (2026-10-19) - Structured logging (logger.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const mediaStore = require('./mediaStore');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('waveformPeaks');
+
+// 〰️ Peak Configuration
+const PEAKS_VERSION = 1;
+const PEAK_SAMPLE_RATE = 11025;       // Decode rate - plenty for drawing, cheap for hours of audio
+const BASE_SAMPLES_PER_PEAK = 64;     // Finest level: ~172 peaks per second
+const LEVEL_FACTOR = 4;
+const LEVEL_COUNT = 5;                // 64, 256, 1024, 4096, 16384 samples per peak
+const DEFAULT_MAX_PEAKS = 200000;     // Default budget for one response
+const GENERATION_TIMEOUT = 10 * 60 * 1000;
+
+class WaveformPeaksError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WaveformPeaksError';
+    this.status = status;
+  }
+}
+
+// 📦 Growable Int16 buffer of interleaved min/max pairs
+const createPeakBuffer = () => {
+  let data = new Int16Array(1 << 16);
+  let length = 0;
+
+  return {
+    push: (min, max) => {
+      if (length + 2 > data.length) {
+        const grown = new Int16Array(data.length * 2);
+        grown.set(data);
+        data = grown;
+      }
+      data[length++] = min;
+      data[length++] = max;
+    },
+    toArray: () => data.slice(0, length)
+  };
+};
+
+// Merge `factor` neighbouring min/max pairs into one
+const downsample = (pairs, factor) => {
+  const peakCount = Math.ceil(pairs.length / 2 / factor);
+  const result = new Int16Array(peakCount * 2);
+
+  for (let peak = 0; peak < peakCount; peak++) {
+    let min = 32767;
+    let max = -32768;
+    const end = Math.min(pairs.length, (peak + 1) * factor * 2);
+
+    for (let i = peak * factor * 2; i < end; i += 2) {
+      if (pairs[i] < min) min = pairs[i];
+      if (pairs[i + 1] > max) max = pairs[i + 1];
+    }
+
+    result[peak * 2] = min;
+    result[peak * 2 + 1] = max;
+  }
+
+  return result;
+};
+
+// 🎛️ Decode with ffmpeg and reduce to base-level peaks while streaming
+const decodePeaks = (filePath) => new Promise((resolve, reject) => {
+  const binary = config.media.ffmpegBinary;
+  const ffmpeg = spawn(binary, [
+    '-v', 'error', '-nostdin',
+    '-i', filePath,
+    '-vn', '-ac', '1', '-ar', String(PEAK_SAMPLE_RATE),
+    '-f', 's16le', '-acodec', 'pcm_s16le', 'pipe:1'
+  ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+  const peaks = createPeakBuffer();
+  let bucketMin = 32767;
+  let bucketMax = -32768;
+  let bucketCount = 0;
+  let totalSamples = 0;
+  let leftover = null;
+  let stderr = '';
+
+  const timer = setTimeout(() => {
+    ffmpeg.kill('SIGKILL');
+    reject(new WaveformPeaksError(504, 'Waveform generation timed out'));
+  }, GENERATION_TIMEOUT);
+
+  ffmpeg.stdout.on('data', (chunk) => {
+    // Samples can straddle chunk boundaries
+    const buffer = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+    const usable = buffer.length - (buffer.length % 2);
+    leftover = usable < buffer.length ? buffer.subarray(usable) : null;
+
+    for (let offset = 0; offset < usable; offset += 2) {
+      const sample = buffer.readInt16LE(offset);
+      if (sample < bucketMin) bucketMin = sample;
+      if (sample > bucketMax) bucketMax = sample;
+
+      if (++bucketCount === BASE_SAMPLES_PER_PEAK) {
+        peaks.push(bucketMin, bucketMax);
+        bucketMin = 32767;
+        bucketMax = -32768;
+        bucketCount = 0;
+      }
+    }
+
+    totalSamples += usable / 2;
+  });
+
+  ffmpeg.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-2000);
+  });
+
+  ffmpeg.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error.code === 'ENOENT' ?
+      new WaveformPeaksError(503, 'ffmpeg is not installed - server-side waveforms are unavailable') :
+      error);
+  });
+
+  ffmpeg.on('close', (code) => {
+    clearTimeout(timer);
+
+    if (code !== 0) {
+      reject(new WaveformPeaksError(422, `ffmpeg could not decode this media: ${stderr.trim() || `exit code ${code}`}`));
+      return;
+    }
+
+    if (bucketCount > 0) peaks.push(bucketMin, bucketMax);
+
+    if (totalSamples === 0) {
+      reject(new WaveformPeaksError(422, 'This media has no audio stream'));
+      return;
+    }
+
+    resolve({ base: peaks.toArray(), duration: totalSamples / PEAK_SAMPLE_RATE });
+  });
+});
+
+// 💾 Cache layout: peaks.json (metadata) + peaks-<samplesPerPeak>.bin (Int16LE min/max pairs)
+const getLevelFile = (cacheDir, samplesPerPeak) => path.join(cacheDir, `peaks-${samplesPerPeak}.bin`);
+
+const readCachedMeta = (cacheDir, stats) => {
+  try {
+    const meta = JSON.parse(fs.readFileSync(path.join(cacheDir, 'peaks.json'), 'utf8'));
+    const fresh = meta.version === PEAKS_VERSION &&
+      meta.sourceSize === stats.size &&
+      meta.sourceMtimeMs === stats.mtimeMs &&
+      meta.levels.every(level => fs.existsSync(getLevelFile(cacheDir, level.samplesPerPeak)));
+    return fresh ? meta : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Write to a temp file first so a crash never leaves a half-written cache entry
+const writeAtomic = (filePath, data) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+};
+
+const generatePeaks = async (media, cacheDir, stats) => {
+  const startTime = Date.now();
+  const { base, duration } = await decodePeaks(media.path);
+
+  const levels = [];
+  let pairs = base;
+  let samplesPerPeak = BASE_SAMPLES_PER_PEAK;
+
+  for (let i = 0; i < LEVEL_COUNT; i++) {
+    if (i > 0) {
+      pairs = downsample(pairs, LEVEL_FACTOR);
+      samplesPerPeak *= LEVEL_FACTOR;
+    }
+
+    writeAtomic(getLevelFile(cacheDir, samplesPerPeak), Buffer.from(pairs.buffer, pairs.byteOffset, pairs.byteLength));
+    levels.push({
+      samplesPerPeak,
+      peaksPerSecond: PEAK_SAMPLE_RATE / samplesPerPeak,
+      length: pairs.length / 2
+    });
+  }
+
+  const meta = {
+    version: PEAKS_VERSION,
+    sourceSize: stats.size,
+    sourceMtimeMs: stats.mtimeMs,
+    sampleRate: PEAK_SAMPLE_RATE,
+    duration,
+    levels,
+    generatedAt: new Date().toISOString()
+  };
+
+  writeAtomic(path.join(cacheDir, 'peaks.json'), JSON.stringify(meta, null, 2));
+  log.info(`〰️ Waveform peaks for ${media.fileName} generated in ${Date.now() - startTime}ms (${duration.toFixed(1)}s of audio)`);
+
+  return meta;
+};
+
+// One generation per media at a time - concurrent requests share it
+const inFlight = new Map();
+
+const ensurePeaks = (media) => {
+  const stats = fs.statSync(media.path);
+  const cacheDir = mediaStore.getCacheDir(media.id);
+
+  const cached = readCachedMeta(cacheDir, stats);
+  if (cached) return Promise.resolve({ meta: cached, cacheDir });
+
+  if (!inFlight.has(media.id)) {
+    const generation = generatePeaks(media, cacheDir, stats)
+      .finally(() => inFlight.delete(media.id));
+    inFlight.set(media.id, generation);
+  }
+
+  return inFlight.get(media.id).then(meta => ({ meta, cacheDir }));
+};
+
+/**
+ * Peaks for a media record at the finest level that fits maxPeaks (or an explicit
+ * samplesPerPeak level). `data` holds interleaved min/max pairs normalised to -1..1.
+ */
+const getPeaks = async (media, { maxPeaks = DEFAULT_MAX_PEAKS, samplesPerPeak } = {}) => {
+  const { meta, cacheDir } = await ensurePeaks(media);
+
+  let level;
+  if (samplesPerPeak !== undefined) {
+    level = meta.levels.find(candidate => candidate.samplesPerPeak === samplesPerPeak);
+    if (!level) {
+      throw new WaveformPeaksError(400,
+        `samplesPerPeak must be one of ${meta.levels.map(candidate => candidate.samplesPerPeak).join(', ')}`);
+    }
+  } else {
+    level = meta.levels.find(candidate => candidate.length <= maxPeaks) || meta.levels[meta.levels.length - 1];
+  }
+
+  let raw = fs.readFileSync(getLevelFile(cacheDir, level.samplesPerPeak));
+  if (raw.byteOffset % 2 !== 0) raw = Buffer.from(raw); // Int16Array views need an even offset
+  const pairs = new Int16Array(raw.buffer, raw.byteOffset, raw.byteLength / 2);
+  const data = Array.from(pairs, value => Math.round((value / 32768) * 10000) / 10000);
+
+  return {
+    duration: meta.duration,
+    sampleRate: meta.sampleRate,
+    samplesPerPeak: level.samplesPerPeak,
+    peaksPerSecond: level.peaksPerSecond,
+    length: level.length,
+    format: 'minmax',
+    levels: meta.levels,
+    data
+  };
+};
+
+module.exports = {
+  WaveformPeaksError,
+  getPeaks
+};
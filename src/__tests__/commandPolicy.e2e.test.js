@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * File: src/__tests__/commandPolicy.e2e.test.js
+ * Description: 🧪 MPV command policy over HTTP, against the MPV simulator
+ *
+ * Allowed commands reach the player; anything off the allowlist, unknown properties and
+ * malformed commands are rejected before it. mpv.allowUnsafeCommands
+ * (MPV_ALLOW_UNSAFE_COMMANDS=1) lets everything through.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const { createWav, startSimulatorServer } = require('../testUtils/simulatorServer');
+
+jest.setTimeout(30000);
+
+// Boots a server and launches a session on a fresh upload
+const startSession = async (options) => {
+  const server = await startSimulatorServer(options);
+  const upload = await server.request('POST', '/api/upload', {
+    multipart: { fileName: 'policy.wav', content: createWav(1) }
+  });
+  const launch = await server.request('POST', '/api/launch-mpv', { json: { mediaId: upload.body.mediaId } });
+  expect(launch.status).toBe(200);
+
+  const command = (commandArray) => server.request('POST', `/api/sessions/${launch.body.sessionId}/command`, {
+    json: { command: commandArray }
+  });
+  return { server, command };
+};
+
+describe('Command policy', () => {
+  let server;
+  let command;
+
+  beforeAll(async () => {
+    ({ server, command } = await startSession());
+  });
+
+  afterAll(async () => {
+    if (server) await server.stop();
+  });
+
+  test('forwards an allowed command', async () => {
+    const { status, body } = await command(['get_property', 'duration']);
+    expect(status).toBe(200);
+    expect(body.response).toBeCloseTo(1, 3);
+  });
+
+  test('rejects a command off the allowlist with 403', async () => {
+    const { status, body } = await command(['run', 'sh', '-c', 'true']);
+    expect(status).toBe(403);
+    expect(body.success).toBe(false);
+    expect(body.error.code).toBe('COMMAND_NOT_ALLOWED');
+  });
+
+  test('rejects a property off the allowlist with 403', async () => {
+    const { status, body } = await command(['get_property', 'path']);
+    expect(status).toBe(403);
+    expect(body.error.code).toBe('PROPERTY_NOT_ALLOWED');
+  });
+
+  test('rejects a malformed command array with 400', async () => {
+    // Empty arrays already fail request validation (apiSpec.js MpvCommand minItems)
+    const empty = await command([]);
+    expect(empty.status).toBe(400);
+    expect(empty.body.error.code).toBe('INVALID_REQUEST');
+
+    const unnamed = await command([42, 'pause']);
+    expect(unnamed.status).toBe(400);
+    expect(unnamed.body.error.code).toBe('INVALID_COMMAND');
+  });
+});
+
+describe('Command policy with mpv.allowUnsafeCommands', () => {
+  let server;
+  let command;
+
+  beforeAll(async () => {
+    ({ server, command } = await startSession({ env: { MPV_ALLOW_UNSAFE_COMMANDS: '1' } }));
+  });
+
+  afterAll(async () => {
+    if (server) await server.stop();
+  });
+
+  test('forwards commands and properties the policy would block', async () => {
+    const { status, body } = await command(['get_property', 'path']);
+    expect(status).toBe(200);
+    expect(body.response).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * File: src/__tests__/crashRecovery.e2e.test.js
+ * Description: 🧪 MPV crash recovery (mpv.recovery) against the MPV simulator
+ *
+ * The simulated player is killed with SIGKILL; the session relaunches it on the same
+ * media and restores what it was doing - or, past mpv.recovery.maxRestarts, leaves it down.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const { createWav, startSimulatorServer, waitFor } = require('../testUtils/simulatorServer');
+
+const SUBTITLES = Buffer.from('1\n00:00:00,000 --> 00:00:03,000\nHello\n');
+
+jest.setTimeout(60000);
+
+// Boots a server and launches a session on a fresh upload
+const startSession = async (options) => {
+  const server = await startSimulatorServer(options);
+  const upload = await server.request('POST', '/api/upload', {
+    multipart: { fileName: 'crash.wav', content: createWav(4) }
+  });
+  const launch = await server.request('POST', '/api/launch-mpv', { json: { mediaId: upload.body.mediaId } });
+  expect(launch.status).toBe(200);
+
+  const sessionPath = `/api/sessions/${launch.body.sessionId}`;
+  const getStatus = async () => (await server.request('GET', `${sessionPath}/status`)).body;
+  return { server, sessionPath, getStatus };
+};
+
+// SIGKILL the one running simulator - resolves to its PID
+const killPlayer = (server) => {
+  const pids = server.simulatorPids();
+  expect(pids).toHaveLength(1);
+  process.kill(pids[0], 'SIGKILL');
+  return pids[0];
+};
+
+describe('Crash recovery', () => {
+  let server;
+  let sessionPath;
+  let getStatus;
+
+  const command = async (commandArray) => {
+    const { status, body } = await server.request('POST', `${sessionPath}/command`, { json: { command: commandArray } });
+    expect(status).toBe(200);
+    return body.response;
+  };
+
+  beforeAll(async () => {
+    ({ server, sessionPath, getStatus } = await startSession());
+  });
+
+  afterAll(async () => {
+    if (server) await server.stop();
+  });
+
+  test('relaunches a killed player and restores its state', async () => {
+    const subtitles = await server.request('POST', '/api/upload', {
+      multipart: { fileName: 'crash.srt', content: SUBTITLES }
+    });
+    expect((await server.request('POST', `${sessionPath}/tracks/subtitles`, {
+      json: { mediaId: subtitles.body.mediaId }
+    })).status).toBe(200);
+    expect((await server.request('POST', `${sessionPath}/tracks/select`, {
+      json: { type: 'audio', id: false }
+    })).status).toBe(200);
+
+    await command(['set_property', 'volume', 42]);
+    await command(['set_property', 'speed', 1.5]);
+    await command(['set_property', 'ab-loop-a', 0.5]);
+    await command(['set_property', 'ab-loop-b', 3]);
+    await command(['set_property', 'pause', true]);
+    expect((await server.request('POST', `${sessionPath}/seek`, { json: { time: 2, mode: 'absolute' } })).status).toBe(200);
+
+    const crashedPid = killPlayer(server);
+    await waitFor(async () => (await getStatus()).performance.recoveries === 1, { timeout: 20000 });
+
+    const status = await getStatus();
+    expect(status.connectionState).toBe('connected');
+    expect(status.performance.crashes).toBe(1);
+    expect(server.simulatorPids()).not.toContain(crashedPid);
+
+    expect(await command(['get_property', 'volume'])).toBe(42);
+    expect(await command(['get_property', 'speed'])).toBe(1.5);
+    expect(await command(['get_property', 'ab-loop-a'])).toBe(0.5);
+    expect(await command(['get_property', 'ab-loop-b'])).toBe(3);
+    expect(await command(['get_property', 'pause'])).toBe(true);
+    expect(await command(['get_property', 'time-pos'])).toBeCloseTo(2, 1);
+
+    // The external subtitles are added again and stay selected; audio stays off
+    const { tracks } = (await server.request('GET', `${sessionPath}/tracks`)).body;
+    const subtitleTrack = tracks.find(track => track.type === 'sub' && track.external);
+    expect(subtitleTrack).toMatchObject({ selected: true, mediaId: subtitles.body.mediaId });
+    expect(tracks.filter(track => track.type === 'audio' && track.selected)).toHaveLength(0);
+  });
+});
+
+describe('Crash recovery restart limit', () => {
+  let server;
+  let getStatus;
+
+  beforeAll(async () => {
+    ({ server, getStatus } = await startSession({ config: { mpv: { recovery: { maxRestarts: 1, restartDelay: 100 } } } }));
+  });
+
+  afterAll(async () => {
+    if (server) await server.stop();
+  });
+
+  test('leaves the player down once mpv.recovery.maxRestarts is used up', async () => {
+    killPlayer(server);
+    await waitFor(async () => (await getStatus()).performance.recoveries === 1, { timeout: 20000 });
+
+    killPlayer(server);
+    await waitFor(async () => (await getStatus()).connectionState === 'idle', { timeout: 20000 });
+
+    const status = await getStatus();
+    expect(status.isRunning).toBe(false);
+    expect(status.performance.crashes).toBe(2);
+    expect(status.performance.recoveries).toBe(1);
+    expect(server.simulatorPids()).toHaveLength(0);
+  });
+});
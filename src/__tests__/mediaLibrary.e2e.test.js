@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * File: src/__tests__/mediaLibrary.e2e.test.js
+ * Description: 🧪 Media library against the MPV simulator - startup import, duplicate uploads, media IDs
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createWav, startSimulatorServer } = require('../testUtils/simulatorServer');
+
+jest.setTimeout(30000);
+
+describe('Media library', () => {
+  let server;
+  const looseWav = createWav(1);
+
+  beforeAll(async () => {
+    server = await startSimulatorServer({
+      files: {
+        'old-recording.wav': looseWav,
+        'notes.sh': '#!/bin/sh\n',
+        '.hidden.wav': createWav(1)
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (server) await server.stop();
+  });
+
+  test('imports only loose uploads an upload would have accepted', async () => {
+    const { body } = await server.request('GET', '/api/library');
+    expect(body.media.map(item => item.fileName)).toEqual(['old-recording.wav']);
+
+    // Skipped files stay where they were
+    const loose = fs.readdirSync(server.uploadsDir);
+    expect(loose).toEqual(expect.arrayContaining(['notes.sh', '.hidden.wav']));
+    expect(loose).not.toContain('old-recording.wav');
+    expect(fs.readdirSync(path.join(server.uploadsDir, 'library'))).toHaveLength(2); // the media and index.json
+  });
+
+  test('concurrent uploads of the same content share one entry', async () => {
+    const content = createWav(1);
+    const uploads = await Promise.all(['first.wav', 'second.wav', 'third.wav'].map(fileName => (
+      server.request('POST', '/api/upload', { multipart: { fileName, content } })
+    )));
+    uploads.forEach(upload => expect(upload.status).toBe(200));
+
+    const ids = new Set(uploads.map(upload => upload.body.mediaId));
+    expect(ids.size).toBe(1);
+
+    const { body } = await server.request('GET', `/api/library/${uploads[0].body.mediaId}`);
+    expect(body.media.originalNames.sort()).toEqual(['first.wav', 'second.wav', 'third.wav']);
+    // The media ID is the content hash - the stored file has the same name
+    expect(body.media.id).toBe(body.media.contentHash);
+    expect(fs.readdirSync(path.join(server.uploadsDir, 'library'))).toContain(body.media.id);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * File: src/__tests__/mpvSimulator.e2e.test.js
+ * Description: 🧪 End-to-end check of the API against the MPV simulator (MPV_SIMULATOR=1)
+ *
+ * Boots server/server.js on a free port with the fake mpv and a temporary uploads
+ * directory, uploads a short WAV, launches a session on it and drives it over HTTP:
+ * property reads and a seek.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Temporary uploads directory (testUtils/simulatorServer.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createWav, startSimulatorServer } = require('../testUtils/simulatorServer');
+
+const WAV_SECONDS = 2;
+
+jest.setTimeout(30000);
+
+describe('API with the MPV simulator', () => {
+  let server;
+  let sessionId;
+
+  const getProperty = async (name) => {
+    const { status, body } = await server.request('POST', `/api/sessions/${sessionId}/command`, {
+      json: { command: ['get_property', name] }
+    });
+    expect(status).toBe(200);
+    return body.response;
+  };
+
+  beforeAll(async () => {
+    server = await startSimulatorServer();
+  });
+
+  afterAll(async () => {
+    if (server) await server.stop();
+  });
+
+  test('uploads, launches, reads properties and seeks', async () => {
+    const upload = await server.request('POST', '/api/upload', {
+      multipart: { fileName: 'e2e.wav', content: createWav(WAV_SECONDS) }
+    });
+    expect(upload.status).toBe(200);
+    const { mediaId } = upload.body;
+    expect(mediaId).toEqual(expect.any(String));
+
+    // Stored in the temporary uploads directory, not the repository's server/uploads
+    expect(fs.readdirSync(path.join(server.uploadsDir, 'library'))).toContain('index.json');
+
+    // Storage is private - media is reachable by ID only
+    expect((await server.request('GET', '/uploads/library/index.json')).status).toBe(404);
+    const file = await server.request('GET', `/api/media/${mediaId}/file`);
+    expect(file.status).toBe(200);
+    expect(file.headers['content-type']).toBe('audio/wav');
+
+    const launch = await server.request('POST', '/api/launch-mpv', { json: { mediaId } });
+    expect(launch.status).toBe(200);
+    sessionId = launch.body.sessionId;
+
+    // The simulator reads the length from the WAV header
+    expect(await getProperty('duration')).toBeCloseTo(WAV_SECONDS, 3);
+
+    await server.request('POST', `/api/sessions/${sessionId}/command`, { json: { command: ['set_property', 'pause', true] } });
+    const seek = await server.request('POST', `/api/sessions/${sessionId}/seek`, { json: { time: 1.25, mode: 'absolute' } });
+    expect(seek.status).toBe(200);
+    expect(await getProperty('time-pos')).toBeCloseTo(1.25, 3);
+
+    const status = await server.request('GET', `/api/sessions/${sessionId}/status`);
+    expect(status.body.connectionState).toBe('connected');
+    // The IPC socket is a server path - never reported
+    expect(launch.body).not.toHaveProperty('socketPath');
+    expect(status.body).not.toHaveProperty('socketPath');
+
+    // Library files are stored under their content hash - the player recognises the format by content
+    const probe = await server.request('GET', `/api/media/${mediaId}/probe`);
+    expect(probe.status).toBe(200);
+    expect(probe.body.probe.container.format).toBe('wav');
+  });
+});
@@ -5,6 +5,12 @@ import UltimateWaveSurfer from './components/UltimateWaveSurfer';
 import UltimateMPVController from './components/UltimateMPVController';
 import StatusBar from './components/StatusBar';
 import UploadPanel from './components/UploadPanel';
+import PlaylistPanel from './components/PlaylistPanel';
+import MediaInfoPanel from './components/MediaInfoPanel';
+import LibraryPanel from './components/LibraryPanel';
+import AudioFilterPanel from './components/AudioFilterPanel';
+import SnapshotGallery from './components/SnapshotGallery';
+import { fetchUploadLimits } from './services/mediaUpload';
 import './assets/styles/retro-header.css'; // 🎯 Import EXACT retro header styles
 import './assets/styles/main.css';
 import './assets/styles/integrated-controls.css';
@@ -31,14 +37,18 @@ function UltimateApp() {
     error,
     status,
     activeRegion,
+    loopRegions,
     
     // 🚀 Actions
     setAudioFile,
+    queuePlaylistFiles,
+    setUploadLimits,
     setIsPlaying,
     setPlaybackRate,
     setZoomLevel,
     setIsMuted,
     setActiveRegion,
+    setLoopRegions,
     setError,
     setStatus,
     reset,
@@ -70,6 +80,14 @@ function UltimateApp() {
     setStatus(`🚀 Loading ultimate visualization for: ${file.name}`);
   }, [setAudioFile, setStatus, validateAudioFile]);
 
+  // 📋 Extra dropped files go to the MPV playlist
+  const handleQueueFiles = useCallback((files) => {
+    const valid = files.filter(file => validateAudioFile(file));
+    if (valid.length > 0) {
+      queuePlaylistFiles(valid);
+    }
+  }, [queuePlaylistFiles, validateAudioFile]);
+
   // 🎯 WaveSurfer ready handler
   const handleWaveSurferReady = useCallback((wavesurfer) => {
     console.log("🎯 Ultimate WaveSurfer ready!");
@@ -91,12 +109,12 @@ function UltimateApp() {
 
   // ⏱️ Time update handler
   const handleTimeUpdate = useCallback((time) => {
-    // Auto-clear active region when playback moves beyond it
-    if (activeRegion && time >= activeRegion.end) {
+    // Auto-clear active region when playback moves beyond it (a looping region wraps instead)
+    if (activeRegion && !loopRegions && time >= activeRegion.end) {
       setActiveRegion(null);
       setStatus("Playback beyond region - region deactivated");
     }
-  }, [activeRegion, setActiveRegion, setStatus]);
+  }, [activeRegion, loopRegions, setActiveRegion, setStatus]);
 
   // 🎬 MPV status change handler
   const handleMPVStatusChange = useCallback((mpvStatus) => {
@@ -209,6 +227,13 @@ function UltimateApp() {
       setIsPlaying, setIsMuted, setZoomLevel, setPlaybackRate, 
       setActiveRegion, reset, setStatus]);
 
+  // 📏 Upload limits come from the server so both sides enforce the same size
+  useEffect(() => {
+    fetchUploadLimits()
+      .then(setUploadLimits)
+      .catch(error => console.warn('📏 Upload limits unavailable:', error.message));
+  }, [setUploadLimits]);
+
   // 🧹 Auto-clear errors
   useEffect(() => {
     if (error) {
@@ -289,7 +314,22 @@ function UltimateApp() {
       />
 
       {/* 📁 Upload panel */}
-      <UploadPanel onFileUpload={handleFileUpload} />
+      <UploadPanel onFileUpload={handleFileUpload} onQueueFiles={handleQueueFiles} />
+
+      {/* 📚 Media already on the server */}
+      <LibraryPanel />
+
+      {/* 📋 MPV playlist */}
+      <PlaylistPanel />
+
+      {/* 🔬 Streams, codecs and chapters of the loaded media */}
+      <MediaInfoPanel />
+
+      {/* 🎛️ Audio filter chain - previewed here, applied in MPV */}
+      <AudioFilterPanel />
+
+      {/* 📸 Frames captured from MPV, kept in the library */}
+      <SnapshotGallery />
 
       {/* 🎯 Main audio visualization */}
       {audioUrl && (
@@ -418,20 +458,15 @@ function UltimateApp() {
     }}>
       <input
         type="checkbox"
-        checked={window.ultimateWaveSurfer?.ultimate?.getLoopRegions() || false}
-        onChange={(e) => {
-          const newValue = e.target.checked;
-          if (window.ultimateWaveSurfer?.ultimate?.setLoopRegions) {
-            window.ultimateWaveSurfer.ultimate.setLoopRegions(newValue);
-          }
-        }}
+        checked={loopRegions}
+        onChange={(e) => setLoopRegions(e.target.checked)}
         style={{
           accentColor: '#4a9eff',
           width: '14px',
           height: '14px'
         }}
       />
-      <span>🔄 Loop</span>
+      <span title="Loops the active region in WaveSurfer and MPV (A-B loop)">🔄 Loop</span>
     </label>
 
     {/* Region Count */}
@@ -0,0 +1,289 @@
+/**
+ * File: src/components/AudioFilterPanel.js
+ * Description: 🎛️ Audio filter panel - presets and live parameter tweaks for the audio filter chain
+ *
+ * The chain lives in the store: WaveSurfer previews it with Web Audio at once, MPV gets it
+ * over the filter API (af add / remove for single filters, af set - debounced - while a
+ * slider moves) and the library remembers it per media item, so opening the media again
+ * restores it in both players.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useAudioSyncStore } from '../store/audioSyncStore';
+import {
+  getFilterCatalogue,
+  getLibraryMedia,
+  sessionAddFilter,
+  sessionRemoveFilter,
+  sessionSetFilters,
+  updateLibraryMedia
+} from '../services/apiClient';
+import { defaultParams, nextFilterId } from '../services/audioFilterChain';
+import '../assets/styles/audio-filter-panel.css';
+
+const SYNC_DELAY_MS = 300; // Slider moves are sent to MPV and saved once they settle
+const SLIDER_STEPS = 1000;
+
+// 🎚️ Sliders - frequencies on a log scale, so 20 Hz - 20 kHz is usable end to end
+const isLogScale = (param) => param.unit === 'Hz';
+
+const toSlider = (param, value) => (isLogScale(param) ?
+  Math.round(SLIDER_STEPS * Math.log(value / param.min) / Math.log(param.max / param.min)) :
+  Math.round(SLIDER_STEPS * (value - param.min) / (param.max - param.min)));
+
+const fromSlider = (param, position) => {
+  const ratio = position / SLIDER_STEPS;
+  const value = isLogScale(param) ?
+    param.min * (param.max / param.min) ** ratio :
+    param.min + ratio * (param.max - param.min);
+
+  if (param.type === 'integer' || isLogScale(param)) return Math.round(value);
+  return Math.round(value * 10) / 10;
+};
+
+const formatValue = (param, value) => `${value}${param.unit ? ` ${param.unit}` : ''}`;
+
+const AudioFilterPanel = () => {
+  const {
+    mediaId,
+    mpvConnected,
+    mpvSessionId,
+    audioFilters,
+    setAudioFilters,
+    setStatus,
+    setError
+  } = useAudioSyncStore();
+
+  const [isCollapsed, setIsCollapsed] = useState(true);
+  const [catalogue, setCatalogue] = useState(null);
+  const syncTimerRef = useRef(null);
+  const pendingMpvSetRef = useRef(false);
+
+  const definitions = catalogue ? Object.fromEntries(catalogue.filters.map(filter => [filter.name, filter])) : {};
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getFilterCatalogue({ signal: controller.signal })
+      .then(setCatalogue)
+      .catch(error => {
+        if (error.name !== 'AbortError') console.warn('Could not load the filter catalogue:', error.message);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // 🎬 MPV request - skipped while no player is connected (the chain follows on connect)
+  const mpvRequest = useCallback(async (send, params) => {
+    const state = useAudioSyncStore.getState();
+    if (!state.mpvConnected) return;
+
+    try {
+      await send({ sessionId: state.mpvSessionId, ...params });
+    } catch (error) {
+      console.error('Audio filter error:', error);
+      setError(`Audio filter error: ${error.message}`);
+    }
+  }, [setError]);
+
+  // 💾 Saved with the media and, after slider moves, sent to MPV - once the edits settle
+  const scheduleSync = useCallback((filters, setInMpv) => {
+    const savedMediaId = useAudioSyncStore.getState().mediaId;
+    pendingMpvSetRef.current = pendingMpvSetRef.current || setInMpv;
+    clearTimeout(syncTimerRef.current);
+
+    syncTimerRef.current = setTimeout(async () => {
+      const mediaChanged = useAudioSyncStore.getState().mediaId !== savedMediaId;
+      if (pendingMpvSetRef.current && !mediaChanged) mpvRequest(sessionSetFilters, { body: { filters } });
+      pendingMpvSetRef.current = false;
+
+      if (!savedMediaId) return;
+      try {
+        await updateLibraryMedia({ mediaId: savedMediaId, body: { audioFilters: filters } });
+      } catch (error) {
+        console.warn('Could not save the audio filters:', error.message);
+      }
+    }, SYNC_DELAY_MS);
+  }, [mpvRequest]);
+
+  useEffect(() => () => clearTimeout(syncTimerRef.current), []);
+
+  // 📚 Opening media restores the chain saved with it
+  useEffect(() => {
+    if (!mediaId) return undefined;
+
+    const controller = new AbortController();
+    getLibraryMedia({ mediaId, signal: controller.signal })
+      .then(({ media }) => {
+        const filters = media.audioFilters || [];
+        setAudioFilters(filters);
+        mpvRequest(sessionSetFilters, { body: { filters } });
+        if (filters.length > 0) setStatus(`🎛️ Restored ${filters.length} audio filter(s) for ${media.fileName}`);
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') console.warn('Could not load the saved audio filters:', error.message);
+      });
+    return () => controller.abort();
+  }, [mediaId, setAudioFilters, setStatus, mpvRequest]);
+
+  // 🔌 A player that connects (or relaunches) picks up the current chain
+  useEffect(() => {
+    if (!mpvConnected || !mpvSessionId) return;
+    const filters = useAudioSyncStore.getState().audioFilters;
+    if (filters.length > 0) mpvRequest(sessionSetFilters, { body: { filters } });
+  }, [mpvConnected, mpvSessionId, mpvRequest]);
+
+  const applyPreset = (preset) => {
+    setAudioFilters(preset.filters);
+    scheduleSync(preset.filters, true);
+    setStatus(`🎛️ Audio filter preset: ${preset.label}`);
+  };
+
+  const addFilter = (name) => {
+    const filter = { id: nextFilterId(audioFilters, name), name, params: defaultParams(definitions[name]) };
+    const filters = [...audioFilters, filter];
+    setAudioFilters(filters);
+    mpvRequest(sessionAddFilter, { body: filter });
+    scheduleSync(filters, false);
+  };
+
+  const removeFilter = (filterId) => {
+    const filters = audioFilters.filter(filter => filter.id !== filterId);
+    setAudioFilters(filters);
+    mpvRequest(sessionRemoveFilter, { filterId });
+    scheduleSync(filters, false);
+  };
+
+  const changeParam = (filterId, key, value) => {
+    const filters = audioFilters.map(filter => (filter.id === filterId ?
+      { ...filter, params: { ...filter.params, [key]: value } } :
+      filter));
+    setAudioFilters(filters);
+    scheduleSync(filters, true);
+  };
+
+  const renderParam = (filter, key, param) => {
+    const value = filter.params[key];
+
+    if (param.type === 'enum') {
+      return (
+        <label key={key} className="audio-filter-param">
+          <span>{param.label}</span>
+          <select value={value} onChange={(event) => changeParam(filter.id, key, event.target.value)}>
+            {param.values.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </label>
+      );
+    }
+
+    return (
+      <label key={key} className="audio-filter-param">
+        <span>{param.label}</span>
+        <input
+          type="range"
+          min={0}
+          max={SLIDER_STEPS}
+          value={toSlider(param, value)}
+          onChange={(event) => changeParam(filter.id, key, fromSlider(param, Number(event.target.value)))}
+        />
+        <span className="audio-filter-value">{formatValue(param, value)}</span>
+      </label>
+    );
+  };
+
+  const isFull = catalogue && audioFilters.length >= catalogue.maxFilters;
+
+  return (
+    <div className="card mb-4 audio-filter-panel">
+      {/* Collapse toggle */}
+      <div className="audio-filter-toggle" onClick={() => setIsCollapsed(!isCollapsed)}>
+        <h3 className="m-0">
+          <i className="fas fa-sliders-h me-2 text-info"></i>
+          Audio Filters
+          {audioFilters.length > 0 && (
+            <span className="audio-filter-badge">{audioFilters.length} active</span>
+          )}
+        </h3>
+        <i className={`fas fa-chevron-down audio-filter-toggle-icon ${isCollapsed ? '' : 'open'}`}></i>
+      </div>
+
+      {!isCollapsed && (
+        <div className="card-body">
+          {!catalogue && (
+            <div className="text-muted small">
+              <i className="fas fa-spinner fa-spin me-1"></i>
+              Loading filters...
+            </div>
+          )}
+
+          {catalogue && (
+            <>
+              {/* 🎚️ Presets */}
+              <div className="audio-filter-presets">
+                {catalogue.presets.map(preset => (
+                  <button
+                    key={preset.id}
+                    className="audio-filter-preset"
+                    onClick={() => applyPreset(preset)}
+                    title={preset.description}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+
+              {/* ➕ Add a filter */}
+              <select
+                className="audio-filter-add"
+                value=""
+                onChange={(event) => event.target.value && addFilter(event.target.value)}
+                disabled={isFull}
+              >
+                <option value="">{isFull ? `At most ${catalogue.maxFilters} filters` : 'Add filter...'}</option>
+                {catalogue.filters.map(definition => (
+                  <option key={definition.name} value={definition.name} title={definition.description}>
+                    {definition.label}
+                  </option>
+                ))}
+              </select>
+
+              {/* 🎛️ The chain, in processing order */}
+              {audioFilters.length === 0 && (
+                <div className="text-muted small mt-2">No filters - both players play the media unprocessed</div>
+              )}
+              {audioFilters.map(filter => {
+                const definition = definitions[filter.name];
+                if (!definition) return null;
+
+                return (
+                  <div key={filter.id} className="audio-filter-item">
+                    <div className="audio-filter-item-header">
+                      <span title={definition.description}>{definition.label}</span>
+                      <span className="audio-filter-id">@{filter.id}</span>
+                      <button
+                        className="audio-filter-remove"
+                        onClick={() => removeFilter(filter.id)}
+                        title="Remove filter"
+                      >
+                        <i className="fas fa-times"></i>
+                      </button>
+                    </div>
+                    {Object.entries(definition.params).map(([key, param]) => renderParam(filter, key, param))}
+                  </div>
+                );
+              })}
+
+              <div className="text-muted small mt-2">
+                {mpvConnected ? 'Applied in MPV and previewed in the waveform player' : 'Previewed in the waveform player - MPV picks the chain up when it connects'}
+                {mediaId ? ' • saved with this media' : ''}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AudioFilterPanel;
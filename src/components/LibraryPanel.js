@@ -0,0 +1,307 @@
+/**
+ * File: src/components/LibraryPanel.js
+ * Description: 📚 Media library panel - reopen, rename, pin and delete media already on the server
+ *
+ * Opening an item never transfers the file again: WaveSurfer streams it from
+ * /api/media/:id/file and a running MPV session switches to it by media ID.
+ * Subtitle files have no waveform - they are added to MPV's subtitle tracks instead.
+ * Snapshots jump both players to the moment they show.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Library requests through the generated API client
+ * v1.2.0 (2026-10-19) - Subtitle files open as MPV subtitle tracks
+ * v1.3.0 (2026-10-19) - Snapshots seek to their capture time in the media they were taken from
+ */
+
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import { useAudioSyncStore } from '../store/audioSyncStore';
+import { deleteLibraryMedia, listLibrary, sessionAddSubtitles, sessionLoad, updateLibraryMedia } from '../services/apiClient';
+import { isSubtitleFile } from '../services/mpvTracks';
+import '../assets/styles/library-panel.css';
+
+const SORT_OPTIONS = {
+  recent: { label: 'Recently used', compare: (a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt) },
+  added: { label: 'Recently added', compare: (a, b) => b.addedAt.localeCompare(a.addedAt) },
+  name: { label: 'Name', compare: (a, b) => a.fileName.localeCompare(b.fileName) },
+  size: { label: 'Size', compare: (a, b) => b.fileSize - a.fileSize },
+  duration: { label: 'Duration', compare: (a, b) => (b.probe?.duration || 0) - (a.probe?.duration || 0) }
+};
+
+const formatFileSize = (size) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  let value = size;
+  while (value >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return i > 0 ? `${value.toFixed(1)} ${units[i]}` : `${value} ${units[i]}`;
+};
+
+const formatDuration = (seconds) => {
+  if (!seconds && seconds !== 0) return '--:--';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return hours > 0 ?
+    `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` :
+    `${minutes}:${secs}`;
+};
+
+const formatRelativeTime = (isoTime) => {
+  const minutes = Math.round((Date.now() - Date.parse(isoTime)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.round(hours / 24)} d ago`;
+};
+
+const describeFormat = (probe) => {
+  if (!probe) return '';
+  return [probe.container, probe.audioCodec, probe.hasVideo && probe.height ? `${probe.height}p` : null]
+    .filter(Boolean)
+    .join(' • ');
+};
+
+const LibraryPanel = () => {
+  const {
+    mediaId,
+    mpvSessionId,
+    mpvConnected,
+    loadServerMedia,
+    setPlaylist,
+    setMpvTracks,
+    requestSeek,
+    setStatus,
+    setError
+  } = useAudioSyncStore();
+
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [items, setItems] = useState([]);
+  const [library, setLibrary] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [sortBy, setSortBy] = useState('recent');
+
+  // 📚 Library request - returns the parsed result or null after reporting the error
+  const libraryRequest = useCallback(async (send, params = {}) => {
+    try {
+      return await send(params);
+    } catch (error) {
+      console.error('Library error:', error);
+      setError(`Library error: ${error.message}`);
+      return null;
+    }
+  }, [setError]);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    const result = await libraryRequest(listLibrary);
+    if (result) {
+      setItems(result.media);
+      setLibrary({ count: result.count, totalSize: result.totalSize, retention: result.retention });
+    }
+    setIsLoading(false);
+  }, [libraryRequest]);
+
+  // Refresh when opened and whenever a new upload finishes
+  useEffect(() => {
+    if (!isCollapsed) refresh();
+  }, [isCollapsed, mediaId, refresh]);
+
+  const visibleItems = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return items
+      .filter(item => !query ||
+        item.fileName.toLowerCase().includes(query) ||
+        item.originalNames.some(name => name.toLowerCase().includes(query)))
+      .sort(SORT_OPTIONS[sortBy].compare);
+  }, [items, search, sortBy]);
+
+  // 💬 Subtitles go to MPV only, as an extra subtitle track of what is playing
+  const openSubtitles = async (item) => {
+    if (!mpvConnected || !mpvSessionId) {
+      setStatus(`💬 Launch MPV to show ${item.fileName}`);
+      return;
+    }
+
+    const result = await libraryRequest(sessionAddSubtitles, { sessionId: mpvSessionId, body: { mediaId: item.id } });
+    if (result) {
+      setMpvTracks(result.tracks);
+      setStatus(`💬 Subtitles loaded: ${item.fileName}`);
+    }
+  };
+
+  // 📸 Snapshots are moments of other media - seek there when that media is open
+  const openSnapshot = (item) => {
+    const { sourceMediaId, time } = item.snapshot;
+    if (sourceMediaId === mediaId) {
+      requestSeek(time);
+      setStatus(`📸 ${time.toFixed(2)}s - from snapshot ${item.fileName}`);
+      return;
+    }
+
+    const source = items.find(entry => entry.id === sourceMediaId);
+    setStatus(source ?
+      `📸 Open ${source.fileName} to jump to this snapshot` :
+      `📸 The media of ${item.fileName} is no longer in the library`);
+  };
+
+  // 🎯 Open in both players - WaveSurfer streams it, MPV loads it by media ID
+  const openItem = async (item) => {
+    if (item.snapshot) {
+      openSnapshot(item);
+      return;
+    }
+    if (isSubtitleFile(item.fileName)) {
+      openSubtitles(item);
+      return;
+    }
+
+    loadServerMedia({ mediaId: item.id, fileName: item.fileName });
+
+    if (!mpvConnected || !mpvSessionId) {
+      setStatus(`📚 Opened ${item.fileName} - launch MPV to play it there too`);
+      return;
+    }
+
+    try {
+      const result = await sessionLoad({ sessionId: mpvSessionId, body: { mediaId: item.id } });
+      setPlaylist(result.playlist);
+      setStatus(`📚 Opened ${item.fileName} in WaveSurfer and MPV`);
+    } catch (error) {
+      console.error('MPV load error:', error);
+      setError(`MPV load error: ${error.message}`);
+    }
+  };
+
+  const renameItem = async (item) => {
+    const fileName = window.prompt('Rename media', item.fileName);
+    if (!fileName || fileName === item.fileName) return;
+
+    if (await libraryRequest(updateLibraryMedia, { mediaId: item.id, body: { fileName } })) refresh();
+  };
+
+  const togglePin = async (item) => {
+    if (await libraryRequest(updateLibraryMedia, { mediaId: item.id, body: { pinned: !item.pinned } })) refresh();
+  };
+
+  const deleteItem = async (item) => {
+    if (!window.confirm(`Delete ${item.fileName} from the server library?`)) return;
+
+    if (await libraryRequest(deleteLibraryMedia, { mediaId: item.id })) {
+      setStatus(`🗑️ Deleted ${item.fileName} from the library`);
+      refresh();
+    }
+  };
+
+  return (
+    <div className="card mb-4 library-panel">
+      {/* Collapse toggle */}
+      <div className="library-toggle" onClick={() => setIsCollapsed(!isCollapsed)}>
+        <h3 className="m-0">
+          <i className="fas fa-book me-2 text-info"></i>
+          Media Library
+          {library && (
+            <span className="library-badge">{library.count} • {formatFileSize(library.totalSize)}</span>
+          )}
+        </h3>
+        <i className={`fas fa-chevron-down library-toggle-icon ${isCollapsed ? '' : 'open'}`}></i>
+      </div>
+
+      {!isCollapsed && (
+        <div className="card-body">
+          {/* Search and sort */}
+          <div className="library-toolbar">
+            <input
+              type="search"
+              className="library-search"
+              placeholder="Search by name..."
+              value={search}
+              onChange={(event) => setSearch(event.target.value)}
+            />
+            <select value={sortBy} onChange={(event) => setSortBy(event.target.value)}>
+              {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+                <option key={key} value={key}>{option.label}</option>
+              ))}
+            </select>
+            <button onClick={refresh} disabled={isLoading} title="Refresh">
+              <i className={`fas fa-sync-alt ${isLoading ? 'fa-spin' : ''}`}></i>
+            </button>
+          </div>
+
+          {visibleItems.length === 0 ? (
+            <div className="text-muted small">
+              {items.length === 0 ? 'Nothing uploaded yet - files you upload stay here for reuse' : 'No media matches your search'}
+            </div>
+          ) : (
+            <table className="library-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Duration</th>
+                  <th>Format</th>
+                  <th>Size</th>
+                  <th>Last used</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleItems.map(item => (
+                  <tr key={item.id} className={item.id === mediaId ? 'current' : ''}>
+                    <td>
+                      <button
+                        className="library-item-name"
+                        onClick={() => openItem(item)}
+                        disabled={item.id === mediaId}
+                        title={item.originalNames.length > 1 ?
+                          `Uploaded as: ${item.originalNames.join(', ')}` :
+                          item.snapshot ? 'Jump to this moment' :
+                          isSubtitleFile(item.fileName) ? 'Show as MPV subtitles' : 'Open in WaveSurfer and MPV'}
+                      >
+                        {item.pinned && <i className="fas fa-thumbtack me-2"></i>}
+                        {item.snapshot && <i className="fas fa-camera me-2"></i>}
+                        {item.fileName}
+                      </button>
+                    </td>
+                    <td>{formatDuration(item.probe?.duration)}</td>
+                    <td>{describeFormat(item.probe)}</td>
+                    <td>{formatFileSize(item.fileSize)}</td>
+                    <td title={item.lastUsedAt}>{formatRelativeTime(item.lastUsedAt)}</td>
+                    <td className="library-item-actions">
+                      <button onClick={() => togglePin(item)} title={item.pinned ? 'Unpin (allow automatic cleanup)' : 'Pin (keep forever)'}>
+                        <i className={`fas fa-thumbtack ${item.pinned ? '' : 'library-unpinned'}`}></i>
+                      </button>
+                      <button onClick={() => renameItem(item)} title="Rename">
+                        <i className="fas fa-pen"></i>
+                      </button>
+                      <button
+                        onClick={() => deleteItem(item)}
+                        disabled={item.inUse || item.id === mediaId}
+                        title={item.inUse ? 'Loaded in MPV - cannot delete' : 'Delete from the server'}
+                      >
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {library?.retention && (
+            <div className="text-muted small mt-2">
+              <i className="fas fa-info-circle me-1"></i>
+              Unpinned media is removed after {library.retention.maxAgeDays || '∞'} days unused
+              {library.retention.maxTotalSizeMB ? ` or when the library exceeds ${formatFileSize(library.retention.maxTotalSizeMB * 1024 * 1024)}` : ''}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LibraryPanel;
@@ -8,9 +8,11 @@
  * ✅ FIXED: Memory leaks in intervals
  * ✅ FIXED: Error handling
  * ✅ SIMPLIFIED: No over-engineering
+ * v7.1.0 (2026-10-19) - Requests through the generated API client
  */
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ApiError, launchMpv, mpvCommand, mpvStatus, uploadFile as uploadMediaFile } from '../services/apiClient';
 import '../assets/styles/vlc-controller.css';
 
 const MPVController = ({ 
@@ -76,17 +78,7 @@ const MPVController = ({
       const formData = new FormData();
       formData.append('file', file);
       
-      const response = await fetch('/api/upload', {
-        method: 'POST',
-        body: formData,
-        signal: AbortSignal.timeout(30000)
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Upload failed: ${response.status}`);
-      }
-      
-      const result = await response.json();
+      const result = await uploadMediaFile({ body: formData, signal: AbortSignal.timeout(30000) });
       setUploadInProgress(false);
       
       return result.success ? result.filePath : null;
@@ -104,17 +96,11 @@ const MPVController = ({
     if (!isConnectedRef.current) return false;
     
     try {
-      const response = await fetch('/api/mpv-command', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ command: commandArray, source }),
+      const result = await mpvCommand({
+        body: { command: commandArray, source },
         signal: AbortSignal.timeout(3000)
       });
-      
-      if (response.ok) {
-        const result = await response.json();
-        return result.success;
-      }
+      return result.success;
     } catch (error) {
       if (error.name !== 'TimeoutError') {
         console.warn('MPV command failed:', error);
@@ -138,26 +124,18 @@ const MPVController = ({
     try {
       setStatus('Launching...');
       
-      const response = await fetch('/api/launch-mpv', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
+      const result = await launchMpv({
+        body: {
           mediaPath: filePath,
           windowOptions: {
             geometry: '800x600+100+100',
             ontop: true,
             title: 'MPV Player'
           }
-        }),
+        },
         signal: AbortSignal.timeout(10000)
       });
       
-      if (!response.ok) {
-        throw new Error(`Launch failed: ${response.status}`);
-      }
-      
-      const result = await response.json();
-      
       if (result.success) {
         setMpvConnected(true);
         isConnectedRef.current = true;
@@ -200,52 +178,38 @@ const MPVController = ({
       }
       
       try {
-        const response = await fetch('/api/mpv-status', {
-          signal: AbortSignal.timeout(2000)
-        });
+        const playerStatus = await mpvStatus({ signal: AbortSignal.timeout(2000) });
         
-        if (response.ok) {
-          const mpvStatus = await response.json();
-          
-          // Update state only if changed
-          if (mpvStatus.isPlaying !== isPlaying) {
-            setIsPlaying(mpvStatus.isPlaying);
-            if (onStatusChange) {
-              onStatusChange({ 
-                isPlaying: mpvStatus.isPlaying, 
-                isConnected: mpvStatus.isConnected 
-              });
-            }
-          }
-          
-          if (mpvStatus.currentTime !== null) {
-            setMpvCurrentTime(mpvStatus.currentTime);
-          }
-          
-          if (mpvStatus.duration !== null) {
-            setMpvDuration(mpvStatus.duration);
-          }
-          
-          if (mpvStatus.isConnected !== isConnectedRef.current) {
-            setMpvConnected(mpvStatus.isConnected);
-            isConnectedRef.current = mpvStatus.isConnected;
-            setStatus(mpvStatus.isConnected ? 'Connected' : 'Disconnected');
-          }
-          
-        } else {
-          // Connection lost
-          if (isConnectedRef.current) {
-            setMpvConnected(false);
-            isConnectedRef.current = false;
-            setStatus('Disconnected');
+        // Update state only if changed
+        if (playerStatus.isPlaying !== isPlaying) {
+          setIsPlaying(playerStatus.isPlaying);
+          if (onStatusChange) {
+            onStatusChange({ 
+              isPlaying: playerStatus.isPlaying, 
+              isConnected: playerStatus.isConnected 
+            });
           }
         }
+        
+        if (playerStatus.currentTime !== null) {
+          setMpvCurrentTime(playerStatus.currentTime);
+        }
+        
+        if (playerStatus.duration !== null) {
+          setMpvDuration(playerStatus.duration);
+        }
+        
+        if (playerStatus.isConnected !== isConnectedRef.current) {
+          setMpvConnected(playerStatus.isConnected);
+          isConnectedRef.current = playerStatus.isConnected;
+          setStatus(playerStatus.isConnected ? 'Connected' : 'Disconnected');
+        }
       } catch (error) {
-        // Silent error handling for monitoring
+        // Silent error handling for monitoring - an error answer means the player is gone
         if (isConnectedRef.current && error.name !== 'TimeoutError') {
           setMpvConnected(false);
           isConnectedRef.current = false;
-          setStatus('Connection Lost');
+          setStatus(error instanceof ApiError ? 'Disconnected' : 'Connection Lost');
         }
       }
     }, 2000);
@@ -0,0 +1,233 @@
+/**
+ * File: src/components/MediaInfoPanel.js
+ * Description: 🔬 Media info panel - container, streams, chapters and tags from /api/media/:id/probe
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Probe through the generated API client
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useAudioSyncStore } from '../store/audioSyncStore';
+import { probeMedia } from '../services/apiClient';
+import '../assets/styles/media-info-panel.css';
+
+// 🎧 Codec → MIME type the browser can be asked about
+const CODEC_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  aac: 'audio/mp4; codecs="mp4a.40.2"',
+  opus: 'audio/ogg; codecs="opus"',
+  vorbis: 'audio/ogg; codecs="vorbis"',
+  flac: 'audio/flac',
+  alac: 'audio/mp4; codecs="alac"',
+  ac3: 'audio/mp4; codecs="ac-3"',
+  eac3: 'audio/mp4; codecs="ec-3"',
+  h264: 'video/mp4; codecs="avc1.42E01E"',
+  hevc: 'video/mp4; codecs="hvc1"',
+  vp8: 'video/webm; codecs="vp8"',
+  vp9: 'video/webm; codecs="vp9"',
+  av1: 'video/mp4; codecs="av01.0.05M.08"'
+};
+
+const getMimeType = (codec) => {
+  if (!codec) return null;
+  if (codec.startsWith('pcm_')) return 'audio/wav';
+  return CODEC_MIME_TYPES[codec] || null;
+};
+
+// true/false from canPlayType, or null when the codec is unknown to us
+const canBrowserDecode = (stream) => {
+  const mimeType = getMimeType(stream.codec);
+  if (!mimeType) return null;
+
+  const element = document.createElement(stream.type === 'video' ? 'video' : 'audio');
+  return element.canPlayType(mimeType) !== '';
+};
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '--:--';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = (seconds % 60).toFixed(2).padStart(5, '0');
+  return hours > 0 ?
+    `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` :
+    `${minutes.toString().padStart(2, '0')}:${secs}`;
+};
+
+const formatBitRate = (bitRate) => (bitRate ? `${Math.round(bitRate / 1000)} kb/s` : null);
+
+const describeStream = (stream) => {
+  const parts = [];
+
+  if (stream.type === 'audio') {
+    if (stream.sampleRate) parts.push(`${(stream.sampleRate / 1000).toFixed(1)} kHz`);
+    if (stream.channelLayout || stream.channels) parts.push(stream.channelLayout || `${stream.channels} ch`);
+    if (stream.sampleFormat) parts.push(stream.sampleFormat);
+  } else if (stream.type === 'video') {
+    if (stream.width && stream.height) parts.push(`${stream.width}×${stream.height}`);
+    if (stream.frameRate) parts.push(`${stream.frameRate} fps`);
+    if (stream.pixelFormat) parts.push(stream.pixelFormat);
+    if (stream.isAttachedPicture) parts.push('cover art');
+  }
+
+  const bitRate = formatBitRate(stream.bitRate);
+  if (bitRate) parts.push(bitRate);
+  if (stream.language) parts.push(stream.language);
+  if (stream.title) parts.push(`"${stream.title}"`);
+
+  return parts.join(' • ');
+};
+
+const MediaInfoPanel = () => {
+  const { mediaId, mpvConnected } = useAudioSyncStore();
+
+  const [isCollapsed, setIsCollapsed] = useState(true);
+  const [probe, setProbe] = useState(null);
+  const [probeError, setProbeError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // 🔬 Probe whenever the loaded media changes - and again once MPV is up,
+  // since without ffprobe the server can only probe through a running player
+  useEffect(() => {
+    if (!mediaId) {
+      setProbe(null);
+      setProbeError(null);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const loadProbe = async () => {
+      setIsLoading(true);
+      try {
+        const result = await probeMedia({ mediaId, signal: controller.signal });
+        setProbe(result.probe);
+        setProbeError(null);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        setProbe(null);
+        setProbeError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadProbe();
+    return () => controller.abort();
+  }, [mediaId, mpvConnected]);
+
+  const tagEntries = probe ? Object.entries(probe.tags || {}) : [];
+
+  return (
+    <div className="card mb-4 media-info-panel">
+      {/* Collapse toggle */}
+      <div className="media-info-toggle" onClick={() => setIsCollapsed(!isCollapsed)}>
+        <h3 className="m-0">
+          <i className="fas fa-info-circle me-2 text-info"></i>
+          Media Info
+          {probe && (
+            <span className="media-info-badge">
+              {probe.hasVideo ? 'video' : 'audio only'} • {formatDuration(probe.duration)}
+            </span>
+          )}
+        </h3>
+        <i className={`fas fa-chevron-down media-info-toggle-icon ${isCollapsed ? '' : 'open'}`}></i>
+      </div>
+
+      {!isCollapsed && (
+        <div className="card-body">
+          {!mediaId && (
+            <div className="text-muted small">Upload a file to see its streams and codecs</div>
+          )}
+
+          {isLoading && (
+            <div className="text-info small">
+              <i className="fas fa-spinner fa-spin me-1"></i>
+              Probing media...
+            </div>
+          )}
+
+          {probeError && !isLoading && (
+            <div className="text-warning small">
+              <i className="fas fa-exclamation-triangle me-1"></i>
+              {probeError}
+            </div>
+          )}
+
+          {probe && (
+            <>
+              {/* Container */}
+              <div className="media-info-grid">
+                <span>File</span><span>{probe.fileName}</span>
+                <span>Container</span><span>{probe.container.formatLongName || probe.container.format || 'unknown'}</span>
+                <span>Duration</span><span>{formatDuration(probe.duration)}</span>
+                {probe.container.bitRate && (
+                  <><span>Bit rate</span><span>{formatBitRate(probe.container.bitRate)}</span></>
+                )}
+                <span>Audio tracks</span><span>{probe.audioTrackCount}</span>
+                <span>Source</span><span>{probe.source}</span>
+              </div>
+
+              {/* Streams */}
+              <h4 className="media-info-heading">Streams</h4>
+              <table className="media-info-streams">
+                <tbody>
+                  {probe.streams.map(stream => {
+                    const decodable = canBrowserDecode(stream);
+                    return (
+                      <tr key={`${stream.type}-${stream.index}`}>
+                        <td>#{stream.index}</td>
+                        <td>{stream.type}</td>
+                        <td>{stream.codec || '?'}{stream.profile ? ` (${stream.profile})` : ''}</td>
+                        <td>{describeStream(stream)}</td>
+                        <td>
+                          {(stream.type === 'audio' || stream.type === 'video') && (
+                            decodable === null ?
+                              <span className="text-muted" title="Unknown to the browser check">browser ?</span> :
+                              decodable ?
+                                <span className="text-success" title="This browser reports it can decode this codec">✅ browser</span> :
+                                <span className="text-danger" title="This browser cannot decode this codec - the waveform may fail to load">❌ browser</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {/* Chapters */}
+              {probe.chapters.length > 0 && (
+                <>
+                  <h4 className="media-info-heading">Chapters</h4>
+                  <ol className="media-info-chapters">
+                    {probe.chapters.map(chapter => (
+                      <li key={chapter.index}>
+                        {formatDuration(chapter.start)} - {chapter.title || `Chapter ${chapter.index + 1}`}
+                      </li>
+                    ))}
+                  </ol>
+                </>
+              )}
+
+              {/* Tags */}
+              {tagEntries.length > 0 && (
+                <>
+                  <h4 className="media-info-heading">Tags</h4>
+                  <div className="media-info-grid">
+                    {tagEntries.map(([name, value]) => (
+                      <React.Fragment key={name}>
+                        <span>{name}</span><span>{String(value)}</span>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MediaInfoPanel;
@@ -0,0 +1,197 @@
+/**
+ * File: src/components/PlaylistPanel.js
+ * Description: 📋 MPV playlist panel - shows, reorders and steps through MPV's playlist
+ *
+ * MPV owns the playlist; this panel only sends playlist requests and renders what the
+ * event stream reports back. Files queued from the upload panel are uploaded and
+ * appended as soon as an MPV session is connected.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Playlist requests through the generated API client
+ */
+
+import React, { useEffect, useState, useCallback } from 'react';
+import { useAudioSyncStore } from '../store/audioSyncStore';
+import { uploadMedia } from '../services/mediaUpload';
+import {
+  sessionPlaylistAppend,
+  sessionPlaylistMove,
+  sessionPlaylistNext,
+  sessionPlaylistPlay,
+  sessionPlaylistPrev,
+  sessionPlaylistRemove
+} from '../services/apiClient';
+import '../assets/styles/playlist-panel.css';
+
+const PlaylistPanel = () => {
+  const {
+    playlist,
+    playlistPosition,
+    pendingPlaylistFiles,
+    mpvSessionId,
+    mpvConnected,
+    setPlaylist,
+    takePendingPlaylistFiles,
+    setStatus,
+    setError
+  } = useAudioSyncStore();
+
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [isAppending, setIsAppending] = useState(false);
+
+  const canControl = mpvConnected && !!mpvSessionId;
+
+  // 🎯 Send a playlist request - the response carries the updated playlist
+  const playlistRequest = useCallback(async (send, params = {}) => {
+    const sessionId = useAudioSyncStore.getState().mpvSessionId;
+    if (!sessionId) return null;
+
+    try {
+      const result = await send({ sessionId, ...params });
+      setPlaylist(result.playlist);
+      return result.playlist;
+    } catch (error) {
+      console.error('Playlist error:', error);
+      setError(`Playlist error: ${error.message}`);
+      return null;
+    }
+  }, [setPlaylist, setError]);
+
+  // 📁 Upload queued files and append them once MPV is up
+  useEffect(() => {
+    if (!canControl || isAppending || pendingPlaylistFiles.length === 0) return;
+
+    const appendFiles = async () => {
+      setIsAppending(true);
+      const files = takePendingPlaylistFiles();
+
+      try {
+        for (const file of files) {
+          setStatus(`📋 Adding ${file.name} to the MPV playlist...`);
+          const { mediaId } = await uploadMedia(file);
+          await playlistRequest(sessionPlaylistAppend, { body: { mediaId } });
+        }
+        setStatus(`📋 Added ${files.length} file(s) to the MPV playlist`);
+      } catch (error) {
+        console.error('Playlist upload error:', error);
+        setError(`Playlist upload error: ${error.message}`);
+      } finally {
+        setIsAppending(false);
+      }
+    };
+
+    appendFiles();
+  }, [canControl, isAppending, pendingPlaylistFiles, takePendingPlaylistFiles, playlistRequest, setStatus, setError]);
+
+  const moveEntry = (from, to) => {
+    if (to < 0 || to >= playlist.length) return;
+    playlistRequest(sessionPlaylistMove, { body: { from, to } });
+  };
+
+  return (
+    <div className="card mb-4 playlist-panel">
+      {/* Collapse toggle */}
+      <div className="playlist-toggle" onClick={() => setIsCollapsed(!isCollapsed)}>
+        <h3 className="m-0">
+          <i className="fas fa-list me-2 text-info"></i>
+          MPV Playlist
+          {playlist.length > 0 && (
+            <span className="playlist-count">{playlistPosition + 1}/{playlist.length}</span>
+          )}
+        </h3>
+        <i className={`fas fa-chevron-down playlist-toggle-icon ${isCollapsed ? '' : 'open'}`}></i>
+      </div>
+
+      {!isCollapsed && (
+        <div className="card-body">
+          {/* Transport */}
+          <div className="playlist-transport">
+            <button
+              onClick={() => playlistRequest(sessionPlaylistPrev)}
+              disabled={!canControl || playlistPosition <= 0}
+              title="Previous entry"
+            >
+              <i className="fas fa-step-backward"></i>
+            </button>
+            <button
+              onClick={() => playlistRequest(sessionPlaylistNext)}
+              disabled={!canControl || playlistPosition >= playlist.length - 1}
+              title="Next entry"
+            >
+              <i className="fas fa-step-forward"></i>
+            </button>
+            {!canControl && (
+              <span className="text-muted small">Launch MPV to manage the playlist</span>
+            )}
+            {isAppending && (
+              <span className="text-info small">
+                <i className="fas fa-spinner fa-spin me-1"></i>
+                Adding files...
+              </span>
+            )}
+          </div>
+
+          {/* Entries */}
+          {playlist.length === 0 ? (
+            <div className="text-muted small playlist-empty">
+              Playlist is empty - drop several files on the upload panel to queue them
+            </div>
+          ) : (
+            <ol className="playlist-entries">
+              {playlist.map((entry, index) => (
+                <li
+                  key={`${entry.mediaId || entry.fileName}-${index}`}
+                  className={`playlist-entry ${index === playlistPosition ? 'current' : ''}`}
+                >
+                  <button
+                    className="playlist-entry-name"
+                    onClick={() => playlistRequest(sessionPlaylistPlay, { body: { index } })}
+                    disabled={!canControl || index === playlistPosition}
+                    title="Play this entry"
+                  >
+                    {index === playlistPosition && <i className="fas fa-play me-2"></i>}
+                    {entry.fileName}
+                  </button>
+                  <div className="playlist-entry-actions">
+                    <button
+                      onClick={() => moveEntry(index, index - 1)}
+                      disabled={!canControl || index === 0}
+                      title="Move up"
+                    >
+                      <i className="fas fa-arrow-up"></i>
+                    </button>
+                    <button
+                      onClick={() => moveEntry(index, index + 1)}
+                      disabled={!canControl || index === playlist.length - 1}
+                      title="Move down"
+                    >
+                      <i className="fas fa-arrow-down"></i>
+                    </button>
+                    <button
+                      onClick={() => playlistRequest(sessionPlaylistRemove, { index })}
+                      disabled={!canControl}
+                      title="Remove from playlist"
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {/* Files waiting for MPV */}
+          {pendingPlaylistFiles.length > 0 && (
+            <div className="text-info small mt-2">
+              <i className="fas fa-clock me-1"></i>
+              {pendingPlaylistFiles.length} file(s) will be added when MPV is launched
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaylistPanel;
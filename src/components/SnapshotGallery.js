@@ -0,0 +1,213 @@
+/**
+ * File: src/components/SnapshotGallery.js
+ * Description: 📸 Snapshot gallery - frames captured from MPV into the library, with their timestamps
+ *
+ * MPV captures the frame (on screen, or at the waveform cursor) and the server keeps it
+ * in the media library as a snapshot of the loaded media. The gallery lists the
+ * snapshots of that media in time order; clicking one seeks both players there, and a
+ * snapshot can be attached to the active region as evidence (or detached again).
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAudioSyncStore } from '../store/audioSyncStore';
+import {
+  deleteLibraryMedia,
+  getMediaFileUrl,
+  listLibrary,
+  sessionScreenshot,
+  updateLibraryMedia
+} from '../services/apiClient';
+import { isVideoFile } from '../services/videoThumbnails';
+import '../assets/styles/snapshot-gallery.css';
+
+const formatTimestamp = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = (seconds % 60).toFixed(2).padStart(5, '0');
+  return `${minutes}:${secs}`;
+};
+
+// The region as the server stores it - position at the time of attaching
+const describeRegion = (region) => ({ id: region.id, start: region.start, end: region.end });
+
+const SnapshotGallery = () => {
+  const {
+    audioFile,
+    mediaId,
+    currentTime,
+    activeRegion,
+    mpvConnected,
+    mpvSessionId,
+    requestSeek,
+    setStatus,
+    setError
+  } = useAudioSyncStore();
+
+  const [isCollapsed, setIsCollapsed] = useState(true);
+  const [snapshots, setSnapshots] = useState([]);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [attachToRegion, setAttachToRegion] = useState(true);
+
+  const isVideo = !!mediaId && isVideoFile(audioFile?.name);
+
+  // 📸 Snapshot request - returns the parsed result or null after reporting the error
+  const snapshotRequest = useCallback(async (send, params) => {
+    try {
+      return await send(params);
+    } catch (error) {
+      console.error('Snapshot error:', error);
+      setError(`Snapshot error: ${error.message}`);
+      return null;
+    }
+  }, [setError]);
+
+  const refresh = useCallback(async () => {
+    if (!mediaId) {
+      setSnapshots([]);
+      return;
+    }
+
+    const result = await snapshotRequest(listLibrary, {});
+    if (result) {
+      setSnapshots(result.media
+        .filter(item => item.snapshot && item.snapshot.sourceMediaId === mediaId)
+        .sort((a, b) => a.snapshot.time - b.snapshot.time));
+    }
+  }, [mediaId, snapshotRequest]);
+
+  useEffect(() => {
+    if (!isCollapsed) refresh();
+  }, [isCollapsed, refresh]);
+
+  // 🎬 Capture - the frame MPV shows, or the frame under the waveform cursor
+  const capture = async (atCursor) => {
+    setIsCapturing(true);
+    const region = attachToRegion && activeRegion ? describeRegion(activeRegion) : null;
+    const body = { region, ...(atCursor ? { time: currentTime } : {}) };
+
+    const result = await snapshotRequest(sessionScreenshot, { sessionId: mpvSessionId, body });
+    setIsCapturing(false);
+    if (!result) return;
+
+    const { time, region: attached } = result.snapshot.snapshot;
+    setStatus(`📸 Snapshot at ${formatTimestamp(time)}${attached ? ' attached to the active region' : ''}`);
+    refresh();
+  };
+
+  const openSnapshot = (item) => {
+    requestSeek(item.snapshot.time);
+    setStatus(`📸 ${formatTimestamp(item.snapshot.time)} - ${item.fileName}`);
+  };
+
+  const toggleAttachment = async (item) => {
+    const isAttached = item.snapshot.region && activeRegion && item.snapshot.region.id === activeRegion.id;
+    const region = isAttached || !activeRegion ? null : describeRegion(activeRegion);
+
+    if (await snapshotRequest(updateLibraryMedia, { mediaId: item.id, body: { region } })) {
+      setStatus(region ? '📎 Snapshot attached to the active region' : '📎 Snapshot detached from its region');
+      refresh();
+    }
+  };
+
+  const deleteSnapshot = async (item) => {
+    if (!window.confirm(`Delete snapshot ${item.fileName}?`)) return;
+
+    if (await snapshotRequest(deleteLibraryMedia, { mediaId: item.id })) {
+      setStatus(`🗑️ Deleted snapshot ${item.fileName}`);
+      refresh();
+    }
+  };
+
+  const canCapture = isVideo && mpvConnected && !!mpvSessionId && !isCapturing;
+
+  return (
+    <div className="card mb-4 snapshot-gallery">
+      {/* Collapse toggle */}
+      <div className="snapshot-toggle" onClick={() => setIsCollapsed(!isCollapsed)}>
+        <h3 className="m-0">
+          <i className="fas fa-camera me-2 text-info"></i>
+          Snapshots
+          {snapshots.length > 0 && (
+            <span className="snapshot-badge">{snapshots.length}</span>
+          )}
+        </h3>
+        <i className={`fas fa-chevron-down snapshot-toggle-icon ${isCollapsed ? '' : 'open'}`}></i>
+      </div>
+
+      {!isCollapsed && (
+        <div className="card-body">
+          {/* 🎬 Capture */}
+          <div className="snapshot-toolbar">
+            <button onClick={() => capture(false)} disabled={!canCapture} title="The frame MPV is showing">
+              <i className="fas fa-camera me-1"></i>
+              Capture frame
+            </button>
+            <button onClick={() => capture(true)} disabled={!canCapture} title="The frame under the waveform cursor">
+              <i className="fas fa-crosshairs me-1"></i>
+              Capture at {formatTimestamp(currentTime)}
+            </button>
+            <label className="snapshot-attach" title={activeRegion ? '' : 'Select a region first'}>
+              <input
+                type="checkbox"
+                checked={attachToRegion}
+                disabled={!activeRegion}
+                onChange={(event) => setAttachToRegion(event.target.checked)}
+              />
+              Attach to active region
+            </label>
+          </div>
+
+          {!isVideo && (
+            <div className="text-muted small mb-2">Snapshots need video media - open a video file</div>
+          )}
+          {isVideo && !mpvConnected && (
+            <div className="text-muted small mb-2">Launch MPV to capture frames</div>
+          )}
+
+          {/* 🖼️ Snapshots of the loaded media, in time order */}
+          {snapshots.length === 0 ? (
+            mediaId && <div className="text-muted small">No snapshots of this media yet</div>
+          ) : (
+            <div className="snapshot-grid">
+              {snapshots.map(item => {
+                const { time, region } = item.snapshot;
+                const isEvidence = !!region && !!activeRegion && region.id === activeRegion.id;
+                const detaches = isEvidence || !activeRegion;
+
+                return (
+                  <div key={item.id} className={`snapshot-item ${isEvidence ? 'evidence' : ''}`}>
+                    <button className="snapshot-image" onClick={() => openSnapshot(item)} title="Jump to this moment">
+                      <img src={getMediaFileUrl({ mediaId: item.id })} alt={item.fileName} loading="lazy" />
+                    </button>
+                    <div className="snapshot-meta">
+                      <span className="snapshot-time">{formatTimestamp(time)}</span>
+                      {region && (
+                        <span className="snapshot-region" title={`Region ${region.start.toFixed(2)}s - ${region.end.toFixed(2)}s`}>
+                          <i className="fas fa-paperclip"></i>
+                        </span>
+                      )}
+                      <button
+                        onClick={() => toggleAttachment(item)}
+                        disabled={detaches && !region}
+                        title={detaches ? 'Detach from its region' : 'Attach to the active region'}
+                      >
+                        <i className={`fas ${detaches ? 'fa-unlink' : 'fa-link'}`}></i>
+                      </button>
+                      <button onClick={() => deleteSnapshot(item)} title="Delete snapshot">
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotGallery;
@@ -0,0 +1,176 @@
+/**
+ * File: src/components/TrackSelector.js
+ * Description: 🎚️ Track selector - MPV's audio and subtitle tracks, plus external subtitles from the library
+ *
+ * The track lists follow MPV's track-list over the event stream, so a track picked in
+ * the MPV window (or added by another client) shows up here too. External subtitles are
+ * loaded by media ID: either a subtitle file already in the library or one uploaded here.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useAudioSyncStore } from '../store/audioSyncStore';
+import { listLibrary, sessionAddSubtitles, sessionSelectTrack } from '../services/apiClient';
+import { uploadMedia } from '../services/mediaUpload';
+import { describeTrack, isSubtitleFile, SUBTITLE_EXTENSIONS } from '../services/mpvTracks';
+import '../assets/styles/track-selector.css';
+
+const OFF = 'off';
+
+const TrackSelector = () => {
+  const {
+    mediaId,
+    mpvSessionId,
+    mpvTracks,
+    setMpvTracks,
+    setStatus,
+    setError
+  } = useAudioSyncStore();
+
+  const [librarySubtitles, setLibrarySubtitles] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const audioTracks = mpvTracks.filter(track => track.type === 'audio');
+  const subtitleTracks = mpvTracks.filter(track => track.type === 'sub');
+  const selectedAudio = audioTracks.find(track => track.selected);
+  const selectedSubtitle = subtitleTracks.find(track => track.selected);
+  const loadedSubtitleIds = new Set(subtitleTracks.map(track => track.mediaId).filter(Boolean));
+
+  // 🎚️ Track request - answers with the session's tracks; null after reporting the error
+  const trackRequest = useCallback(async (send, body) => {
+    setIsBusy(true);
+    try {
+      const result = await send({ sessionId: mpvSessionId, body });
+      setMpvTracks(result.tracks);
+      return result;
+    } catch (error) {
+      console.error('Track error:', error);
+      setError(`Track error: ${error.message}`);
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  }, [mpvSessionId, setMpvTracks, setError]);
+
+  // Subtitle files already in the library - refreshed when the media changes (new uploads)
+  const refreshLibrarySubtitles = useCallback(async (signal) => {
+    try {
+      const result = await listLibrary({ signal });
+      setLibrarySubtitles(result.media.filter(item => isSubtitleFile(item.fileName)));
+    } catch (error) {
+      if (error.name !== 'AbortError') console.warn('Could not list library subtitles:', error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    refreshLibrarySubtitles(controller.signal);
+    return () => controller.abort();
+  }, [mediaId, refreshLibrarySubtitles]);
+
+  const selectTrack = (type, value) => trackRequest(sessionSelectTrack, {
+    type,
+    id: value === OFF ? false : Number(value)
+  });
+
+  const addSubtitles = async (subtitleMediaId, fileName) => {
+    if (await trackRequest(sessionAddSubtitles, { mediaId: subtitleMediaId })) {
+      setStatus(`💬 Subtitles loaded: ${fileName}`);
+    }
+  };
+
+  // 📁 A subtitle file from disk joins the library first - MPV only ever gets media IDs
+  const uploadSubtitles = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ''; // Picking the same file again should upload it again
+    if (!file) return;
+
+    setIsBusy(true);
+    try {
+      setStatus(`📁 Uploading ${file.name}...`);
+      const result = await uploadMedia(file);
+      await refreshLibrarySubtitles();
+      await addSubtitles(result.mediaId, file.name);
+    } catch (error) {
+      console.error('Subtitle upload error:', error);
+      setError(`Subtitle upload error: ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="track-selector">
+      {/* 🔊 Audio track */}
+      <label className="track-selector-field" title="Audio track">
+        <i className="fas fa-volume-up"></i>
+        <select
+          value={selectedAudio ? selectedAudio.id : OFF}
+          onChange={(event) => selectTrack('audio', event.target.value)}
+          disabled={isBusy || audioTracks.length === 0}
+        >
+          <option value={OFF}>{audioTracks.length === 0 ? 'No audio tracks' : 'Off'}</option>
+          {audioTracks.map(track => (
+            <option key={track.id} value={track.id}>{describeTrack(track)}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* 💬 Subtitle track */}
+      <label className="track-selector-field" title="Subtitle track">
+        <i className="fas fa-closed-captioning"></i>
+        <select
+          value={selectedSubtitle ? selectedSubtitle.id : OFF}
+          onChange={(event) => selectTrack('sub', event.target.value)}
+          disabled={isBusy || subtitleTracks.length === 0}
+        >
+          <option value={OFF}>{subtitleTracks.length === 0 ? 'No subtitles' : 'Off'}</option>
+          {subtitleTracks.map(track => (
+            <option key={track.id} value={track.id}>{describeTrack(track)}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* 📚 External subtitles - from the library or uploaded now */}
+      <label className="track-selector-field" title="Load subtitles from the library">
+        <i className="fas fa-book"></i>
+        <select
+          value=""
+          onChange={(event) => {
+            const item = librarySubtitles.find(subtitle => subtitle.id === event.target.value);
+            if (item) addSubtitles(item.id, item.fileName);
+          }}
+          disabled={isBusy || librarySubtitles.length === 0}
+        >
+          <option value="">{librarySubtitles.length === 0 ? 'No library subtitles' : 'Load subtitles...'}</option>
+          {librarySubtitles.map(item => (
+            <option key={item.id} value={item.id} disabled={loadedSubtitleIds.has(item.id)}>
+              {item.fileName}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <button
+        className="track-selector-upload"
+        onClick={() => fileInputRef.current.click()}
+        disabled={isBusy}
+        title={`Upload a subtitle file (${SUBTITLE_EXTENSIONS.join(', ')})`}
+      >
+        <i className={`fas ${isBusy ? 'fa-spinner fa-spin' : 'fa-upload'}`}></i>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={SUBTITLE_EXTENSIONS.join(',')}
+        onChange={uploadSubtitles}
+        style={{ display: 'none' }}
+      />
+    </div>
+  );
+};
+
+export default TrackSelector;
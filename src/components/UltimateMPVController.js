@@ -1,6 +1,45 @@
 // src/components/UltimateMPVController.js - Updated with ONE ROW & Proper Mute Toggle
 import React, { useEffect, useCallback, useRef, useState } from 'react';
 import { useAudioSyncStore } from '../store/audioSyncStore';
+import { createMpvEventStream } from '../services/mpvEventStream';
+import { uploadMedia } from '../services/mediaUpload';
+import { flushCommandBatch } from '../services/mpvBatch';
+import { fetchCapabilities } from '../services/capabilities';
+import { ApiError, launchMpv } from '../services/apiClient';
+import { createClockOffsetEstimator } from '../services/mpvClock';
+import TrackSelector from './TrackSelector';
+
+// 📡 Observed MPV property name → store field (time-pos, pause and speed carry the timestamped clock)
+const applyPropertyChange = ({ setMpvState, setPlaylist, setMpvTracks, setMpvChapters }, name, data, clock) => {
+  switch (name) {
+    case 'time-pos':
+      setMpvState({ ...(data !== null ? { currentTime: data } : {}), clock });
+      break;
+    case 'duration':
+      if (data !== null) setMpvState({ duration: data });
+      break;
+    case 'pause':
+      setMpvState({ ...(data !== null ? { isPlaying: !data } : {}), clock });
+      break;
+    case 'speed':
+      setMpvState({ ...(data !== null ? { speed: data } : {}), clock });
+      break;
+    case 'playlist':
+      setPlaylist({ entries: data || [] });
+      break;
+    case 'playlist-pos':
+      setPlaylist({ position: data === null ? -1 : data });
+      break;
+    case 'track-list':
+      setMpvTracks(data || []);
+      break;
+    case 'chapter-list':
+      setMpvChapters(data || []);
+      break;
+    default:
+      break;
+  }
+};
 
 // 🔇 Mute Button Component - Tracks state like WS Audio toggle
 const MuteButton = ({ onClick }) => {
@@ -59,9 +98,20 @@ const UltimateMPVController = ({
 }) => {
   const {
     audioFile,
+    mediaId,
+    playlist,
+    playlistPosition,
+    mpvSessionId,
     mpvConnected,
+    setMediaId,
+    setMediaUploadState,
+    setUploadProgress,
+    setUploadAbortController,
+    loadServerMedia,
+    setMpvSessionId,
     setMpvConnected,
-    setMpvState,
+    setMpvConnectionState,
+    setMpvClockOffset,
     activeRegion,
     isPlaying,
     currentTime,
@@ -70,11 +120,28 @@ const UltimateMPVController = ({
     setError
   } = useAudioSyncStore();
   
-  const serverFilePathRef = useRef(null);
-  const syncIntervalRef = useRef(null);
   const commandQueueRef = useRef([]);
   const processingCommandRef = useRef(false);
   const abortControllerRef = useRef(null);
+  const [mpvCapability, setMpvCapability] = useState(null); // null until the server has answered
+  const mpvUnavailable = mpvCapability !== null && !mpvCapability.available;
+  
+  // 🔍 Is mpv actually installed? Launch stays disabled (with the reason) when it is not
+  const checkMpvCapability = useCallback(async ({ refresh = false, signal } = {}) => {
+    try {
+      const capabilities = await fetchCapabilities({ refresh, signal });
+      setMpvCapability(capabilities.mpv);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.warn('Capability check failed - launch errors will explain instead:', error.message);
+    }
+  }, []);
+  
+  useEffect(() => {
+    const controller = new AbortController();
+    checkMpvCapability({ signal: controller.signal });
+    return () => controller.abort();
+  }, [checkMpvCapability]);
   
   // 🚀 Professional command queue system (prevents conflicts)
   const queueCommand = useCallback(async (commandArray, priority = 'normal') => {
@@ -99,7 +166,7 @@ const UltimateMPVController = ({
     });
   }, []);
   
-  // ⚡ Ultra-fast command processing
+  // ⚡ Ultra-fast command processing - everything queued in the same tick goes out as one batch
   const processCommandQueue = useCallback(async () => {
     if (processingCommandRef.current || commandQueueRef.current.length === 0) {
       return;
@@ -108,113 +175,93 @@ const UltimateMPVController = ({
     processingCommandRef.current = true;
     
     try {
+      // Let synchronous queueCommand() calls (e.g. inside Promise.all) join this batch
+      await Promise.resolve();
+      
       while (commandQueueRef.current.length > 0) {
-        const command = commandQueueRef.current.shift();
-        
-        try {
-          // Create abort controller for this request
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 3000);
-          
-          const response = await fetch('/api/mpv-command', {
-            method: 'POST',
-            headers: { 
-              'Content-Type': 'application/json',
-              'X-Priority': command.priority,
-              'X-Command-ID': command.id
-            },
-            body: JSON.stringify({ 
-              command: command.command,
-              source: 'ultimate-controller',
-              priority: command.priority,
-              timestamp: command.timestamp
-            }),
-            signal: controller.signal
-          });
-          
-          clearTimeout(timeoutId);
-          
-          if (response.ok) {
-            const result = await response.json();
-            command.resolve(result);
-          } else {
-            const errorText = await response.text();
-            command.reject(new Error(`MPV command failed: ${response.status} - ${errorText}`));
-          }
-        } catch (error) {
-          if (error.name === 'AbortError') {
-            command.reject(new Error('Command timeout'));
-          } else {
-            command.reject(error);
-          }
-        }
+        const batch = commandQueueRef.current.splice(0);
         
-        // Small delay between commands to prevent MPV flooding
-        await new Promise(resolve => setTimeout(resolve, 5));
+        await flushCommandBatch(useAudioSyncStore.getState().mpvSessionId, batch, {
+          source: 'ultimate-controller'
+        });
       }
     } finally {
       processingCommandRef.current = false;
     }
   }, []);
   
-  // 📁 Professional file upload with progress
-  const uploadFile = useCallback(async (file) => {
+  // 📁 Professional file upload with progress - resolves to null when it failed or was cancelled
+  const uploadFile = useCallback(async (file, controller) => {
     if (!file) return null;
     
+    setUploadProgress(0);
+    setUploadAbortController(controller);
+    
     try {
       setStatus(`📁 Uploading ${file.name}...`);
       
-      const formData = new FormData();
-      formData.append('file', file);
-      
-      const response = await fetch('/api/upload', {
-        method: 'POST',
-        body: formData
+      const result = await uploadMedia(file, {
+        signal: controller.signal,
+        onProgress: setUploadProgress
       });
       
-      if (!response.ok) {
-        throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
-      }
-      
-      const result = await response.json();
-      
-      if (result.success) {
-        setStatus(`✅ Upload complete: ${file.name}`);
-        return result.filePath;
-      } else {
-        throw new Error(result.message || 'Upload failed');
-      }
+      setStatus(`✅ Upload complete: ${file.name}`);
+      return result.mediaId;
     } catch (error) {
+      if (error.name === 'AbortError') return null;
       console.error('Upload error:', error);
       setError(`Upload error: ${error.message}`);
       return null;
+    } finally {
+      if (useAudioSyncStore.getState().uploadAbortController === controller) {
+        setUploadAbortController(null);
+      }
     }
-  }, [setStatus, setError]);
+  }, [setStatus, setError, setUploadProgress, setUploadAbortController]);
   
   // 📁 Process audio file for MPV
   useEffect(() => {
+    // Aborted by cancelUpload() or by the next file replacing this one
+    const controller = new AbortController();
+    
     const processFile = async () => {
       if (!audioFile) {
-        serverFilePathRef.current = null;
+        setMediaId(null);
+        setMediaUploadState('idle');
         return;
       }
       
       if (audioFile instanceof File) {
-        const filePath = await uploadFile(audioFile);
-        serverFilePathRef.current = filePath;
+        setMediaId(null);
+        setMediaUploadState('uploading');
+        const uploadedId = await uploadFile(audioFile, controller);
+        if (controller.signal.aborted) return;
+        setMediaId(uploadedId);
+        setMediaUploadState(uploadedId ? 'uploaded' : 'failed');
       } else {
-        serverFilePathRef.current = audioFile;
+        // Already on the server (playlist entry) - nothing to upload
+        setMediaId(audioFile.mediaId);
+        setMediaUploadState('uploaded');
       }
     };
     
     processFile();
-  }, [audioFile, uploadFile]);
+    return () => controller.abort();
+  }, [audioFile, uploadFile, setMediaId, setMediaUploadState]);
+  
+  // 📋 Follow MPV's playlist - when MPV moves to another entry, load that file into WaveSurfer
+  useEffect(() => {
+    const entry = playlist[playlistPosition];
+    if (!mpvConnected || !entry || !entry.mediaId) return;
+    if (entry.mediaId === useAudioSyncStore.getState().mediaId) return;
+    
+    console.log(`📋 MPV moved to playlist entry ${playlistPosition}: ${entry.fileName}`);
+    loadServerMedia(entry);
+  }, [playlist, playlistPosition, mpvConnected, loadServerMedia]);
   
   // 🚀 Ultimate MPV launch function
   const launchMPV = useCallback(async () => {
-    const filePath = serverFilePathRef.current;
-    
-    if (!filePath) {
+    if (!mediaId) {
       const errorMsg = 'No file available - please upload a file first';
       setError(errorMsg);
       if (onError) onError(errorMsg);
@@ -231,28 +278,21 @@ const UltimateMPVController = ({
       
       abortControllerRef.current = new AbortController();
       
-      const response = await fetch('/api/launch-mpv', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          mediaPath: filePath,
+      const result = await launchMpv({
+        body: {
+          mediaId,
+          sessionId: mpvSessionId || undefined, // Relaunch our own player instead of opening another
           windowOptions: {
             geometry: '900x600+100+100',
             ontop: true,
             title: '🎯 Ultimate MPV - Synced with WaveSurfer'
           }
-        }),
+        },
         signal: abortControllerRef.current.signal
       });
       
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Launch failed: ${response.status} - ${errorText}`);
-      }
-      
-      const result = await response.json();
-      
       if (result.success) {
+        setMpvSessionId(result.sessionId);
         setMpvConnected(true);
         setStatus('🎯 Ultimate MPV connected - Perfect sync active!');
         
@@ -265,9 +305,6 @@ const UltimateMPVController = ({
           queueCommand(['set_property', 'hr-seek', 'yes'], 'high')
         ]);
         
-        // Start sync monitoring
-        startSyncMonitoring();
-        
         if (onStatusChange) {
           onStatusChange({ isConnected: true, isPlaying: false });
         }
@@ -280,6 +317,9 @@ const UltimateMPVController = ({
     } catch (error) {
       if (error.name === 'AbortError') return false;
       
+      // 503 - mpv went missing since the last check; disable Launch with the server's reason
+      if (error instanceof ApiError && error.body.capability) setMpvCapability(error.body.capability);
+      
       console.error('MPV launch error:', error);
       const errorMsg = `MPV launch error: ${error.message}`;
       setError(errorMsg);
@@ -287,50 +327,97 @@ const UltimateMPVController = ({
       setMpvConnected(false);
       return false;
     }
-  }, [onError, onStatusChange, setMpvConnected, setStatus, setError, queueCommand]);
+  }, [mediaId, mpvSessionId, onError, onStatusChange, setMpvSessionId, setMpvConnected, setStatus, setError, queueCommand]);
   
-  // 🔄 Professional sync monitoring system
-  const startSyncMonitoring = useCallback(() => {
-    if (syncIntervalRef.current) return;
+  // 📡 Real-time MPV state from the server event stream (no polling)
+  useEffect(() => {
+    const handleDisconnect = () => {
+      if (!useAudioSyncStore.getState().mpvConnected) return;
+      useAudioSyncStore.getState().setMpvState({ clock: null }); // Nothing left to extrapolate
+      useAudioSyncStore.getState().setMpvTracks([]);
+      useAudioSyncStore.getState().setMpvChapters([]);
+      setMpvConnected(false);
+      if (onStatusChange) {
+        onStatusChange({ isConnected: false, isPlaying: false });
+      }
+    };
     
-    console.log('🔄 Starting ultimate sync monitoring...');
+    const clockOffsetEstimator = createClockOffsetEstimator();
     
-    syncIntervalRef.current = setInterval(async () => {
-      if (!mpvConnected) {
-        clearInterval(syncIntervalRef.current);
-        syncIntervalRef.current = null;
-        return;
-      }
-      
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 1500);
-        
-        const response = await fetch('/api/mpv-properties', {
-          signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
+    const stream = createMpvEventStream({
+      // A reconnect may be a restarted server with a new monotonic clock
+      onOpen: () => clockOffsetEstimator.reset(),
+      onClockPong: (pong, receivedAt) => {
+        const estimate = clockOffsetEstimator.addSample(pong, receivedAt);
+        if (estimate) setMpvClockOffset(estimate);
+      },
+      onEvent: (event) => {
+        const sessionId = useAudioSyncStore.getState().mpvSessionId;
         
-        if (response.ok) {
-          const { properties } = await response.json();
-          
-          if (properties) {
-            setMpvState({
-              currentTime: properties.timePos,
-              duration: properties.duration,
-              isPlaying: properties.isPlaying
-            });
+        if (event.type === 'snapshot') {
+          const session = (event.sessions || []).find(s => s.sessionId === sessionId);
+          if (!session || !session.isRunning) {
+            handleDisconnect();
+            return;
           }
+          Object.entries(session.properties || {}).forEach(([name, data]) => {
+            applyPropertyChange(useAudioSyncStore.getState(), name, data, session.clock);
+          });
+          return;
         }
-      } catch (error) {
-        // Silent monitoring - only log non-timeout errors
-        if (error.name !== 'AbortError' && error.name !== 'TimeoutError') {
-          console.warn('Sync monitoring error:', error);
+        
+        // Other sessions belong to other players (side-by-side comparisons, other reviewers)
+        if (!sessionId || event.sessionId !== sessionId) return;
+        
+        switch (event.type) {
+          case 'property-change':
+            applyPropertyChange(useAudioSyncStore.getState(), event.name, event.data, event.clock);
+            break;
+          case 'session-closed':
+            setMpvSessionId(null);
+            handleDisconnect();
+            break;
+          case 'connection-state':
+            // The server reconnects by itself - only 'lost' means commands will fail
+            setMpvConnectionState(event.state);
+            if (event.state === 'lost') {
+              setStatus('⚠️ MPV connection lost - reconnecting...');
+              handleDisconnect();
+            } else if (event.state === 'recovering') {
+              handleDisconnect();
+            } else if (event.state === 'degraded') {
+              setStatus('⚠️ MPV is responding slowly');
+            } else if (event.state === 'connected' && !useAudioSyncStore.getState().mpvConnected) {
+              setMpvConnected(true);
+              if (onStatusChange) {
+                onStatusChange({ isConnected: true, isPlaying: useAudioSyncStore.getState().mpvPlaying });
+              }
+            }
+            break;
+          case 'mpv-exited':
+          case 'mpv-error':
+            handleDisconnect();
+            break;
+          // 🚑 Crash recovery - the server relaunches the player and puts it back where it was
+          case 'mpv-crashed':
+            setStatus(`💥 MPV crashed (${event.reason}) - restarting (attempt ${event.attempt}/${event.maxRestarts})...`);
+            break;
+          case 'mpv-recovered':
+            setStatus(event.failed.length > 0 ?
+              `🚑 MPV restarted after a crash - could not restore: ${event.failed.join(', ')}` :
+              `🚑 MPV restarted after a crash and resumed at ${(event.position || 0).toFixed(2)}s`);
+            break;
+          case 'mpv-recovery-failed':
+            setError(`MPV keeps crashing - ${event.message}. Launch it again when ready.`);
+            break;
+          default:
+            break;
         }
       }
-    }, 800); // 800ms interval for smooth sync
-  }, [mpvConnected, setMpvState]);
+    });
+    
+    return () => stream.close();
+  }, [setMpvSessionId, setMpvConnected, setMpvConnectionState, setMpvClockOffset, setStatus, setError, onStatusChange]);
   
   // 🎮 Control methods for UI
   const controls = {
@@ -392,12 +479,6 @@ const UltimateMPVController = ({
     return () => {
       console.log('🧹 Ultimate MPV Controller cleanup...');
       
-      // Clear sync monitoring
-      if (syncIntervalRef.current) {
-        clearInterval(syncIntervalRef.current);
-        syncIntervalRef.current = null;
-      }
-      
       // Abort any pending requests
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
@@ -433,8 +514,10 @@ const UltimateMPVController = ({
         <button 
           className={`mpv-launch ${mpvConnected ? 'connected' : ''}`}
           onClick={launchMPV}
-          disabled={!serverFilePathRef.current || mpvConnected}
-          title={mpvConnected ? "Ultimate MPV Connected & Synced!" : "Launch Ultimate MPV Player"}
+          disabled={!mediaId || mpvConnected || mpvUnavailable}
+          title={mpvConnected ?
+            "Ultimate MPV Connected & Synced!" :
+            mpvUnavailable ? `MPV unavailable: ${mpvCapability.reason}` : "Launch Ultimate MPV Player"}
           style={{
             background: mpvConnected 
               ? 'linear-gradient(145deg, #4caf50, #66bb6a)' 
@@ -445,7 +528,7 @@ const UltimateMPVController = ({
             borderRadius: '8px',
             fontSize: '0.8rem',
             fontWeight: '600',
-            cursor: !serverFilePathRef.current || mpvConnected ? 'not-allowed' : 'pointer',
+            cursor: !mediaId || mpvConnected || mpvUnavailable ? 'not-allowed' : 'pointer',
             transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
             display: 'flex',
             alignItems: 'center',
@@ -453,7 +536,7 @@ const UltimateMPVController = ({
             boxShadow: mpvConnected 
               ? '0 4px 15px rgba(76, 175, 80, 0.4)' 
               : '0 4px 15px rgba(244, 67, 54, 0.4)',
-            opacity: !serverFilePathRef.current ? 0.5 : 1,
+            opacity: !mediaId || mpvUnavailable ? 0.5 : 1,
             minWidth: '110px',
             justifyContent: 'center',
             whiteSpace: 'nowrap'
@@ -462,6 +545,42 @@ const UltimateMPVController = ({
           {mpvConnected ? '🎯 CONNECTED' : '🚀 LAUNCH'}
         </button>
 
+        {/* 🚫 Why Launch is disabled - re-check after installing mpv, no server restart needed */}
+        {mpvUnavailable && !mpvConnected && (
+          <span
+            className="mpv-unavailable"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              color: '#ffb74d',
+              fontSize: '0.75rem',
+              minWidth: 0,
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap'
+            }}
+            title={mpvCapability.reason}
+          >
+            ⚠️ {mpvCapability.reason}
+            <button
+              onClick={() => checkMpvCapability({ refresh: true })}
+              title="Check for MPV again"
+              style={{
+                background: 'transparent',
+                color: '#ffb74d',
+                border: '1px solid #ffb74d',
+                borderRadius: '6px',
+                padding: '2px 6px',
+                fontSize: '0.7rem',
+                cursor: 'pointer'
+              }}
+            >
+              🔄 Re-check
+            </button>
+          </span>
+        )}
+
         {/* 🎮 ALL Control Buttons - Only show when connected */}
         {mpvConnected && (
           <>
@@ -687,6 +806,9 @@ const UltimateMPVController = ({
         )}
       </div>
 
+      {/* 🎚️ Audio / subtitle tracks of the media MPV is playing */}
+      {mpvConnected && <TrackSelector />}
+
       {/* 🎨 CSS for Mute Toggle Animation */}
       <style>{`
         @keyframes mpvMutedPulse {
@@ -7,6 +7,14 @@ import SpectrogramPlugin from 'wavesurfer.js/dist/plugins/spectrogram.js';
 import MinimapPlugin from 'wavesurfer.js/dist/plugins/minimap.js';
 import HoverPlugin from 'wavesurfer.js/dist/plugins/hover.js';
 import { useAudioSyncStore } from '../store/audioSyncStore';
+import { flushCommandBatch } from '../services/mpvBatch';
+import { fetchWaveformPeaks } from '../services/waveformPeaks';
+import { getMediaFileUrl } from '../services/apiClient';
+import { attachAudioFilterChain } from '../services/audioFilterChain';
+import VideoThumbnailStrip from './VideoThumbnailStrip';
+
+// Drift corrections are held this long after WaveSurfer wraps a loop that MPV also loops natively
+const LOOP_WRAP_GRACE_MS = 1000;
 
 const UltimateWaveSurfer = ({ 
   audioUrl, 
@@ -19,8 +27,7 @@ const UltimateWaveSurfer = ({
   const containerRef = useRef(null);
   const minimapRef = useRef(null);
   
-  // 🔄 Region loop state (using ref to avoid closure issues)
-  const [loopRegions, setLoopRegions] = useState(true);
+  // 🔄 Region loop state lives in the store (shared with MPV's A-B loop) - ref to avoid closure issues
   const loopRegionsRef = useRef(true);
   
   // 🎯 Ultimate Sync System State
@@ -38,6 +45,7 @@ const UltimateWaveSurfer = ({
   const commandQueueRef = useRef([]);
   const isProcessingRef = useRef(false);
   const driftHistoryRef = useRef([]);
+  const loopWrapAtRef = useRef(0);
   const performanceStatsRef = useRef({
     syncEvents: 0,
     driftCorrections: 0,
@@ -60,15 +68,65 @@ const UltimateWaveSurfer = ({
     activeRegion,
     setActiveRegion,
     addRegion,
+    loopRegions,
+    setLoopRegions,
     mpvConnected,
+    mpvChapters,
+    audioFilters,
+    seekRequest,
+    clearSeekRequest,
     mpvCurrentTime,
     mpvPlaying,
     setMpvState,
-    updateSyncAccuracy
+    updateSyncAccuracy,
+    mediaId
   } = useAudioSyncStore();
 
   // 🚀 Create regions plugin SEPARATELY
   const regions = useMemo(() => RegionsPlugin.create(), []);
+  
+  // 📑 MPV chapters get their own regions plugin - markers are never user regions (loop, sync, minimap)
+  const chapterMarkers = useMemo(() => RegionsPlugin.create(), []);
+
+  // 〰️ Waveform source - server peaks + streamed media when available, so long
+  // recordings are never downloaded and decoded in the tab. A local file is drawn
+  // from its blob while it uploads, then swapped for the server's peaks. Falls back
+  // to decoding audioUrl in the browser when the server cannot produce peaks.
+  const [waveSource, setWaveSource] = useState(null);
+  const wavesurferRef = useRef(null);
+  // Cursor and regions of the blob waveform, restored on the peaks waveform that replaces it
+  const carryOverRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const isLocalFile = !!audioUrl && audioUrl.startsWith('blob:');
+
+    if (!mediaId) {
+      setWaveSource(audioUrl ? { url: audioUrl } : null);
+      return;
+    }
+
+    // Server media waits for its peaks; a local file keeps its blob waveform meanwhile
+    if (!isLocalFile) setWaveSource(null);
+    fetchWaveformPeaks(mediaId, { signal: controller.signal })
+      .then(({ peaks, duration }) => {
+        const current = wavesurferRef.current;
+        carryOverRef.current = isLocalFile && current ? {
+          time: current.getCurrentTime(),
+          regions: regions.getRegions().map(({ id, start, end, color }) => ({ id, start, end, color }))
+        } : null;
+        setWaveSource({ url: getMediaFileUrl({ mediaId }), peaks, duration });
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.warn(`〰️ Server peaks unavailable (${error.message}) - decoding in the browser`);
+        setWaveSource({ url: audioUrl });
+      });
+
+    return () => controller.abort();
+  }, [mediaId, audioUrl, regions]);
+
+  const usesServerPeaks = !!waveSource?.peaks;
 
   // 🎨 Random color generator for regions
   const randomColor = useCallback(() => {
@@ -81,20 +139,22 @@ const UltimateWaveSurfer = ({
   // 🎯 All plugins including regions
   const plugins = useMemo(() => [
     regions,
+    chapterMarkers,
     TimelinePlugin.create({
       height: 30,
       timeInterval: 1,
       primaryColor: '#ffffff',
       secondaryColor: '#aaaaaa'
     }),
-    SpectrogramPlugin.create({
+    // The spectrogram needs real PCM - peaks only carry min/max envelopes
+    ...(usesServerPeaks ? [] : [SpectrogramPlugin.create({
       labels: true,
       height: 400,
       splitChannels: false,
       colorMap: 'roseus',
       scale: 'linear',
       frequencyMax: 2500
-    }),
+    })]),
     HoverPlugin.create({
       lineColor: '#ff5722',
       lineWidth: 2,
@@ -110,7 +170,7 @@ const UltimateWaveSurfer = ({
       regionColor: 'rgba(74, 158, 255, 0.8)',
       regionBorderColor: '#4a9eff'
     })
-  ], [regions]);
+  ], [regions, chapterMarkers, usesServerPeaks]);
 
   // 🎯 useWavesurfer hook
   const { wavesurfer, isReady, currentTime: wsCurrentTime } = useWavesurfer({
@@ -123,9 +183,15 @@ const UltimateWaveSurfer = ({
     normalize: true,
     responsive: true,
     hideScrollbar: false,
-    url: audioUrl,
+    url: waveSource?.url,
+    peaks: waveSource?.peaks,
+    duration: waveSource?.duration,
     plugins
   });
+  
+  useEffect(() => {
+    wavesurferRef.current = wavesurfer;
+  }, [wavesurfer]);
 
   // 🎯 Setup regions after decode - Use ref to prevent multiple setups
   const isRegionsSetupRef = useRef(false);
@@ -143,6 +209,15 @@ const UltimateWaveSurfer = ({
           color: 'rgba(74, 158, 255, 0.1)',
         });
 
+        // Swapped from the blob waveform to server peaks - bring its regions and cursor along
+        // (before the listeners below, so the regions are not reported as created again)
+        const carryOver = carryOverRef.current;
+        carryOverRef.current = null;
+        if (carryOver) {
+          carryOver.regions.forEach(region => regions.addRegion(region));
+          wavesurfer.setTime(carryOver.time);
+        }
+
         // Set up event handlers
         let activeRegionRef = null;
 
@@ -155,7 +230,12 @@ const UltimateWaveSurfer = ({
         const handleRegionOut = (region) => {
           console.log('🎵 Region out:', region, 'Loop enabled:', loopRegionsRef.current);
           if (activeRegionRef === region) {
-            if (loopRegionsRef.current) {
+            if (loopRegionsRef.current && useAudioSyncStore.getState().mpvConnected) {
+              // MPV's A-B loop wraps the player itself - only move the cursor back, no re-play or seek
+              loopWrapAtRef.current = Date.now();
+              wavesurfer.setTime(region.start);
+              console.log('🔄 Looping region (MPV A-B loop):', region);
+            } else if (loopRegionsRef.current) {
               region.play();
               console.log('🔄 Looping region:', region);
             } else {
@@ -261,7 +341,10 @@ const UltimateWaveSurfer = ({
       };
       
       if (priority === 'high') {
-        commandQueueRef.current.unshift(commandObj);
+        // Ahead of normal commands, but in order among high-priority ones (ab-loop-a before ab-loop-b)
+        const queue = commandQueueRef.current;
+        const firstNormal = queue.findIndex(queued => queued.priority !== 'high');
+        queue.splice(firstNormal === -1 ? queue.length : firstNormal, 0, commandObj);
       } else {
         commandQueueRef.current.push(commandObj);
       }
@@ -270,55 +353,143 @@ const UltimateWaveSurfer = ({
     });
   }, [mpvConnected]);
   
-  // Ultra-fast command processing
+  // Ultra-fast command processing - commands queued in the same tick share one batch request
   const processCommandQueue = useCallback(async () => {
     if (isProcessingRef.current || commandQueueRef.current.length === 0) return;
     
     isProcessingRef.current = true;
     
     try {
+      await Promise.resolve();
+      
       while (commandQueueRef.current.length > 0) {
-        const cmd = commandQueueRef.current.shift();
-        
-        try {
-          const response = await fetch('/api/mpv-command', {
-            method: 'POST',
-            headers: { 
-              'Content-Type': 'application/json',
-              'X-Sync-Source': 'ultimate-sync'
-            },
-            body: JSON.stringify({
-              command: cmd.command,
-              source: 'sync-engine',
-              priority: cmd.priority
-            }),
-            signal: AbortSignal.timeout(1000)
-          });
-          
-          if (response.ok) {
-            const result = await response.json();
-            cmd.resolve(result);
-          } else {
-            cmd.reject(new Error(`Command failed: ${response.status}`));
-          }
-        } catch (error) {
-          cmd.reject(error);
-        }
+        const batch = commandQueueRef.current.splice(0);
         
-        await new Promise(resolve => setTimeout(resolve, 2));
+        await flushCommandBatch(useAudioSyncStore.getState().mpvSessionId, batch, {
+          source: 'sync-engine',
+          timeout: 1000
+        });
       }
     } finally {
       isProcessingRef.current = false;
     }
   }, []);
   
-  // Calculate sync accuracy and drift
+  // 📑 Chapter markers - redrawn whenever MPV reports a new chapter list; a click seeks both players
+  useEffect(() => {
+    if (!wavesurfer || !isReady) return;
+    
+    const duration = wavesurfer.getDuration();
+    chapterMarkers.clearRegions();
+    mpvChapters
+      .filter(chapter => chapter.time >= 0 && (!duration || chapter.time <= duration))
+      .forEach(chapter => {
+        chapterMarkers.addRegion({
+          id: `chapter-${chapter.index}`,
+          start: chapter.time,
+          content: chapter.title || `Chapter ${chapter.index + 1}`,
+          color: 'rgba(255, 193, 7, 0.9)',
+          drag: false,
+          resize: false
+        });
+      });
+    
+    const handleChapterClick = (marker, e) => {
+      e.stopPropagation();
+      wavesurfer.setTime(marker.start);
+      setCurrentTime(marker.start);
+      setStatus(`📑 ${marker.content.textContent}`);
+      queueMPVCommand(['seek', marker.start, 'absolute', 'exact'], 'high');
+    };
+    
+    chapterMarkers.on('region-clicked', handleChapterClick);
+    return () => chapterMarkers.un('region-clicked', handleChapterClick);
+  }, [wavesurfer, isReady, chapterMarkers, mpvChapters, setCurrentTime, setStatus, queueMPVCommand]);
+  
+  // 🔁 Native A-B loop - the active region is mirrored to MPV's ab-loop-a / ab-loop-b, so MPV
+  // loops sample-accurately by itself instead of being seeked back by the sync loop
+  const loopStart = activeRegion ? activeRegion.start : null;
+  const loopEnd = activeRegion ? activeRegion.end : null;
+  
+  useEffect(() => {
+    if (!mpvConnected) return;
+    
+    const looping = loopRegions && loopStart !== null && loopEnd > loopStart;
+    Promise.all([
+      queueMPVCommand(['set_property', 'ab-loop-a', looping ? loopStart : 'no'], 'high'),
+      queueMPVCommand(['set_property', 'ab-loop-b', looping ? loopEnd : 'no'], 'high')
+    ]).then(() => {
+      console.log(looping ? `🔁 MPV A-B loop: ${loopStart.toFixed(3)}s - ${loopEnd.toFixed(3)}s` : '🔁 MPV A-B loop cleared');
+    }).catch(error => {
+      console.warn('MPV A-B loop error:', error);
+    });
+  }, [mpvConnected, loopRegions, loopStart, loopEnd, queueMPVCommand]);
+  
+  // 🎯 Seeks requested elsewhere (snapshot gallery, library) - both players, like a chapter click
+  useEffect(() => {
+    if (!seekRequest || !wavesurfer || !isReady) return;
+    
+    const time = Math.max(0, Math.min(seekRequest.time, wavesurfer.getDuration() || seekRequest.time));
+    wavesurfer.setTime(time);
+    setCurrentTime(time);
+    queueMPVCommand(['seek', time, 'absolute', 'exact'], 'high').catch(error => {
+      console.warn('MPV seek error:', error);
+    });
+    clearSeekRequest();
+  }, [seekRequest, wavesurfer, isReady, setCurrentTime, queueMPVCommand, clearSeekRequest]);
+  
+  // 🎛️ Filter preview - the audio filter chain as Web Audio nodes on WaveSurfer's media element,
+  // attached on first use so unfiltered media never plays through an AudioContext
+  const filterChainRef = useRef(null);
+  
+  useEffect(() => {
+    if (!wavesurfer) return undefined;
+    
+    return () => {
+      if (filterChainRef.current) filterChainRef.current.detach();
+      filterChainRef.current = null;
+    };
+  }, [wavesurfer]);
+  
+  useEffect(() => {
+    if (!wavesurfer) return;
+    
+    if (!filterChainRef.current) {
+      if (audioFilters.length === 0) return;
+      try {
+        filterChainRef.current = attachAudioFilterChain(wavesurfer.getMediaElement());
+      } catch (error) {
+        console.warn('Web Audio filter preview unavailable:', error);
+        return;
+      }
+    }
+    filterChainRef.current.apply(audioFilters);
+  }, [wavesurfer, audioFilters]);
+  
+  // Drift between the players - inside a looping region it is measured around the loop, so
+  // one player wrapping a moment before the other does not count (nor trigger a seek)
+  const measureDrift = useCallback((wsTime, mpvTime) => {
+    const drift = Math.abs(wsTime - mpvTime);
+    const { activeRegion: region, loopRegions: looping } = useAudioSyncStore.getState();
+    if (!looping || !region) return drift;
+    
+    const length = region.end - region.start;
+    // MPV's extrapolated position runs past B until the sample after its wrap arrives
+    const inLoop = (time) => time >= region.start && time < region.end + length;
+    if (length <= 0 || !inLoop(wsTime) || !inLoop(mpvTime)) return drift;
+    
+    const phase = (time) => (time - region.start) % length;
+    const loopDrift = Math.abs(phase(wsTime) - phase(mpvTime));
+    return Math.min(loopDrift, length - loopDrift);
+  }, []);
+  
+  // Calculate sync accuracy and drift - against MPV's extrapolated position now, not the last relayed sample
   const calculateSyncAccuracy = useCallback(() => {
     if (!mpvConnected || !wavesurfer) return 1;
     
     const wsTime = wavesurfer.getCurrentTime() || 0;
-    const mpvTime = mpvCurrentTime || 0;
-    const timeDrift = Math.abs(wsTime - mpvTime);
+    const mpvTime = useAudioSyncStore.getState().getMpvTimeNow() || 0;
+    const timeDrift = measureDrift(wsTime, mpvTime);
     
     driftHistoryRef.current.push({
       time: Date.now(),
@@ -335,7 +506,7 @@ const UltimateWaveSurfer = ({
     performanceStatsRef.current.avgAccuracy = avgDrift;
     
     return timeDrift;
-  }, [mpvConnected, mpvCurrentTime, wavesurfer]);
+  }, [mpvConnected, wavesurfer, measureDrift]);
   
   // Sync WaveSurfer to MPV (MPV is master)
   const syncWaveSurferToMPV = useCallback(async () => {
@@ -343,9 +514,9 @@ const UltimateWaveSurfer = ({
     
     try {
       const wsTime = wavesurfer.getCurrentTime() || 0;
-      const mpvTime = mpvCurrentTime || 0;
+      const mpvTime = useAudioSyncStore.getState().getMpvTimeNow() || 0;
       const wsPlaying = wavesurfer.isPlaying();
-      const timeDrift = Math.abs(wsTime - mpvTime);
+      const timeDrift = measureDrift(wsTime, mpvTime);
       
       if (timeDrift > 0.05) {
         const duration = wavesurfer.getDuration() || 1;
@@ -368,7 +539,7 @@ const UltimateWaveSurfer = ({
     } catch (error) {
       console.warn('WS←MPV sync error:', error);
     }
-  }, [wavesurfer, mpvConnected, mpvCurrentTime, mpvPlaying]);
+  }, [wavesurfer, mpvConnected, mpvPlaying, measureDrift]);
   
   // Sync MPV to WaveSurfer (WaveSurfer is master)
   const syncMPVToWaveSurfer = useCallback(async () => {
@@ -377,12 +548,16 @@ const UltimateWaveSurfer = ({
     try {
       const wsTime = wavesurfer.getCurrentTime() || 0;
       const wsPlaying = wavesurfer.isPlaying();
-      const timeDrift = Math.abs(wsTime - (mpvCurrentTime || 0));
+      const mpvTime = useAudioSyncStore.getState().getMpvTimeNow() || 0;
+      const timeDrift = measureDrift(wsTime, mpvTime);
       
-      if (timeDrift > 0.05) {
+      // Right after a loop wrap the players wrap independently - MPV's A-B loop needs no seek
+      const wrapping = Date.now() - loopWrapAtRef.current < LOOP_WRAP_GRACE_MS;
+      
+      if (timeDrift > 0.05 && !wrapping) {
         await queueMPVCommand(['seek', wsTime, 'absolute', 'exact'], 'high');
         performanceStatsRef.current.driftCorrections++;
-        console.log(`🔄 MPV←WS time sync: ${(mpvCurrentTime || 0).toFixed(3)}s → ${wsTime.toFixed(3)}s`);
+        console.log(`🔄 MPV←WS time sync: ${mpvTime.toFixed(3)}s → ${wsTime.toFixed(3)}s`);
       }
       
       if (wsPlaying !== mpvPlaying) {
@@ -395,7 +570,7 @@ const UltimateWaveSurfer = ({
     } catch (error) {
       console.warn('MPV←WS sync error:', error);
     }
-  }, [wavesurfer, mpvConnected, mpvCurrentTime, mpvPlaying, queueMPVCommand]);
+  }, [wavesurfer, mpvConnected, mpvPlaying, queueMPVCommand, measureDrift]);
   
   // Master sync mode determination
   const determineSyncMode = useCallback(() => {
@@ -664,7 +839,6 @@ const UltimateWaveSurfer = ({
         setLoopRegions: (loop) => {
           setLoopRegions(loop);
           loopRegionsRef.current = loop;
-          setStatus(loop ? 'Region looping enabled' : 'Region looping disabled');
         },
         
         getLoopRegions: () => loopRegionsRef.current,
@@ -880,6 +1054,16 @@ const UltimateWaveSurfer = ({
         }}
       />
       
+      {usesServerPeaks && (
+        <div className="text-muted small mt-1">
+          <i className="fas fa-info-circle me-1"></i>
+          Spectrogram unavailable - this waveform is drawn from server peaks, so no audio is decoded in the browser
+        </div>
+      )}
+      
+      {/* 🎞️ Video frames under the timeline (rendered into WaveSurfer's wrapper) */}
+      <VideoThumbnailStrip wavesurfer={wavesurfer} isReady={isReady} />
+      
       <div 
         ref={minimapRef} 
         className="minimap-container"
@@ -5,14 +5,19 @@
  * Version History:
  * v1.0.0 (2025-05-18) - Initial implementation
  * v1.0.1 (2025-05-21) - Removed redundant Load Audio button - Maoz Lahav
+ * v1.1.0 (2026-10-19) - Multiple files: the first loads, the rest are queued for the MPV playlist
+ * v1.2.0 (2026-10-19) - Upload progress bar, cancel button and the server's size limit
  */
 
 import React, { useState, useRef } from 'react';
+import { useAudioSyncStore } from '../store/audioSyncStore';
 import '../assets/styles/upload-panel.css';
 
-const UploadPanel = ({ onFileUpload }) => {
+const UploadPanel = ({ onFileUpload, onQueueFiles }) => {
+  const { uploadLimits, mediaUploadState, uploadProgress, cancelUpload } = useAudioSyncStore();
   const [isDragging, setIsDragging] = useState(false);
   const [uploadedFile, setUploadedFile] = useState(null);
+  const [queuedCount, setQueuedCount] = useState(0);
   const [isCollapsed, setIsCollapsed] = useState(false);
   const fileInputRef = useRef(null);
   
@@ -20,9 +25,10 @@ const UploadPanel = ({ onFileUpload }) => {
   const handleFileChange = (event) => {
     const files = event.target.files;
     if (files && files.length > 0) {
-      const file = files[0];
-      handleFile(file);
+      handleFiles(Array.from(files));
     }
+    // Allow picking the same files again
+    event.target.value = '';
   };
   
   // Handle file drop
@@ -31,26 +37,38 @@ const UploadPanel = ({ onFileUpload }) => {
     setIsDragging(false);
     
     if (event.dataTransfer.files && event.dataTransfer.files.length > 0) {
-      const file = event.dataTransfer.files[0];
-      handleFile(file);
+      handleFiles(Array.from(event.dataTransfer.files));
     }
   };
   
-  // Process the uploaded file
-  const handleFile = (file) => {
-    // Check if file is audio or video
+  // Process the uploaded files - the first one is loaded, the rest go to the MPV playlist
+  const handleFiles = (files) => {
+    // Check if files are audio or video
     const acceptedTypes = [
       'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/flac', 'audio/aac', 
       'video/mp4', 'video/webm', 'video/ogg', 'video/avi', 'video/mkv', 'video/mov'
     ];
     
-    if (!acceptedTypes.includes(file.type)) {
+    const accepted = files.filter(file => acceptedTypes.includes(file.type));
+    
+    if (accepted.length === 0) {
       alert('Please upload an audio or video file.');
       return;
     }
     
+    if (accepted.length < files.length) {
+      alert(`Skipped ${files.length - accepted.length} file(s) that are not audio or video.`);
+    }
+    
+    const [file, ...rest] = accepted;
+    
     setUploadedFile(file);
+    setQueuedCount(rest.length);
     onFileUpload(file);
+    
+    if (rest.length > 0 && onQueueFiles) {
+      onQueueFiles(rest);
+    }
   };
   
   // Drag events
@@ -115,7 +133,9 @@ const UploadPanel = ({ onFileUpload }) => {
           >
             <i id="upload-icon" className="fas fa-file-upload fa-3x mb-3 text-info-emphasis"></i>
             <div id="upload-text" className="fw-bold">Drag and Drop or Click to Upload</div>
-            <div className="text-muted small mt-1">Supports audio and video files up to 4GB</div>
+            <div className="text-muted small mt-1">
+              Supports audio and video files{uploadLimits ? ` up to ${formatFileSize(uploadLimits.maxFileSize)}` : ''} - drop several to build a playlist
+            </div>
             
             {/* Hidden file input */}
             <input
@@ -123,6 +143,7 @@ const UploadPanel = ({ onFileUpload }) => {
               type="file"
               className="hidden-input"
               accept="audio/*,video/*"
+              multiple
               onChange={handleFileChange}
               id="file-input"
             />
@@ -133,6 +154,33 @@ const UploadPanel = ({ onFileUpload }) => {
             <div id="file-info-display" className="text-light font-italic small mt-2">
               <i className="fas fa-check-circle text-success me-2"></i>
               File loaded: {uploadedFile.name} ({formatFileSize(uploadedFile.size)}, {getFileTypeDisplay(uploadedFile)})
+              
+              {/* Server upload progress */}
+              {mediaUploadState === 'uploading' && (
+                <div className="upload-progress mt-2">
+                  <div className="upload-progress-track">
+                    <div className="upload-progress-bar" style={{ width: `${uploadProgress}%` }}></div>
+                  </div>
+                  <span className="upload-progress-label">{uploadProgress}%</span>
+                  <button className="btn btn-sm btn-outline-danger" onClick={cancelUpload} title="Stop uploading - the waveform still works locally">
+                    <i className="fas fa-times me-1"></i>
+                    Cancel
+                  </button>
+                </div>
+              )}
+              {mediaUploadState === 'cancelled' && (
+                <div className="text-warning small mt-1">
+                  <i className="fas fa-ban me-1"></i>
+                  Upload cancelled - MPV cannot play this file until it is uploaded
+                </div>
+              )}
+              
+              {queuedCount > 0 && (
+                <div className="text-info small mt-1">
+                  <i className="fas fa-list me-1"></i>
+                  {queuedCount} more file(s) queued for the MPV playlist
+                </div>
+              )}
               <div className="text-info small mt-1">
                 <i className="fas fa-info-circle me-1"></i>
                 Waveform and spectrogram are now visible below. You can create regions by dragging on the waveform.
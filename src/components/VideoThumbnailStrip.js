@@ -0,0 +1,169 @@
+/**
+ * File: src/components/VideoThumbnailStrip.js
+ * Description: 🎞️ Video thumbnail strip under the waveform timeline, with a larger frame preview on hover
+ *
+ * The strip lives inside WaveSurfer's wrapper, right after the timeline, so it scrolls
+ * and zooms with the waveform: thumbnail i is placed at i * interval seconds, and the
+ * interval follows the zoom level (finer strips as you zoom in). Hovering the waveform
+ * shows the nearest strip frame at once and the exact frame once the pointer rests.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useAudioSyncStore } from '../store/audioSyncStore';
+import {
+  fetchThumbnailStrip,
+  getPreviewFrameUrl,
+  getThumbnailUrl,
+  isVideoFile,
+  pickThumbnailInterval
+} from '../services/videoThumbnails';
+import '../assets/styles/video-thumbnail-strip.css';
+
+const STRIP_HEIGHT = 45;
+const MIN_THUMBNAIL_WIDTH = 80;     // 16:9 at the strip height
+const PREVIEW_WIDTH = 320;
+const PREVIEW_HEIGHT = 180;
+const PREVIEW_DELAY_MS = 150;       // Exact frames are requested once the pointer rests
+
+const VideoThumbnailStrip = ({ wavesurfer, isReady }) => {
+  const { audioFile, mediaId, duration } = useAudioSyncStore();
+  const isVideo = !!mediaId && isVideoFile(audioFile?.name);
+
+  const [pxPerSec, setPxPerSec] = useState(0);
+  const [strip, setStrip] = useState(null);
+  const [unavailable, setUnavailable] = useState(false);
+  const [hover, setHover] = useState(null); // { time, x, top }
+  const [exactFrame, setExactFrame] = useState({ requested: null, loaded: null });
+  const previewTimerRef = useRef(null);
+
+  // The strip's own element - React renders into it, WaveSurfer's wrapper holds it
+  const stripElement = useMemo(() => document.createElement('div'), []);
+
+  // 📐 Mount after the timeline and follow the zoom - the timeline re-appends itself on every redraw
+  useEffect(() => {
+    if (!wavesurfer || !isReady || !isVideo) return undefined;
+
+    const wrapper = wavesurfer.getWrapper();
+    const place = () => {
+      wrapper.appendChild(stripElement);
+      const mediaDuration = wavesurfer.getDuration();
+      if (mediaDuration > 0) setPxPerSec(wrapper.clientWidth / mediaDuration);
+    };
+
+    place();
+    const unsubscribers = [wavesurfer.on('redrawcomplete', place), wavesurfer.on('zoom', place)];
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      stripElement.remove();
+    };
+  }, [wavesurfer, isReady, isVideo, stripElement]);
+
+  const interval = pxPerSec > 0 && duration > 0 ? pickThumbnailInterval(pxPerSec, duration, MIN_THUMBNAIL_WIDTH) : null;
+
+  useEffect(() => {
+    setStrip(null);
+    setUnavailable(false);
+  }, [mediaId]);
+
+  // 🎞️ Strip for the current interval - the previous one stays up until the new one arrives
+  useEffect(() => {
+    if (!isVideo || !interval || unavailable) return undefined;
+
+    const controller = new AbortController();
+    fetchThumbnailStrip(mediaId, interval, { signal: controller.signal })
+      .then(setStrip)
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.warn(`🎞️ Video thumbnails unavailable: ${error.message}`);
+        // No video stream or no ffmpeg - no interval will do better
+        if (error.status === 422 || error.status === 503) setUnavailable(true);
+      });
+    return () => controller.abort();
+  }, [isVideo, mediaId, interval, unavailable]);
+
+  // 🖱️ Hover preview - time from the pointer's position along the whole (scrolled) waveform
+  useEffect(() => {
+    if (!wavesurfer || !isReady || !strip) return undefined;
+
+    const wrapper = wavesurfer.getWrapper();
+    const handleMove = (event) => {
+      const rect = wrapper.getBoundingClientRect();
+      const mediaDuration = wavesurfer.getDuration();
+      const time = Math.min(mediaDuration, Math.max(0, ((event.clientX - rect.left) / rect.width) * mediaDuration));
+      setHover({ time, x: event.clientX, top: rect.top });
+
+      clearTimeout(previewTimerRef.current);
+      previewTimerRef.current = setTimeout(() => {
+        setExactFrame(frame => ({ ...frame, requested: getPreviewFrameUrl(mediaId, time, PREVIEW_WIDTH) }));
+      }, PREVIEW_DELAY_MS);
+    };
+    const handleLeave = () => {
+      clearTimeout(previewTimerRef.current);
+      setHover(null);
+      setExactFrame({ requested: null, loaded: null });
+    };
+
+    wrapper.addEventListener('pointermove', handleMove);
+    wrapper.addEventListener('pointerleave', handleLeave);
+    return () => {
+      clearTimeout(previewTimerRef.current);
+      wrapper.removeEventListener('pointermove', handleMove);
+      wrapper.removeEventListener('pointerleave', handleLeave);
+    };
+  }, [wavesurfer, isReady, strip, mediaId]);
+
+  if (!isVideo || !strip || unavailable) return null;
+
+  const share = (seconds) => `${(seconds / duration) * 100}%`;
+  const nearestIndex = hover ? Math.min(strip.count - 1, Math.floor(hover.time / strip.interval)) : 0;
+
+  return (
+    <>
+      {createPortal(
+        <div className="video-thumbnail-strip" style={{ height: STRIP_HEIGHT }}>
+          {Array.from({ length: strip.count }, (_, index) => (
+            <img
+              key={`${strip.interval}-${index}`}
+              src={getThumbnailUrl(mediaId, strip.interval, index)}
+              alt=""
+              loading="lazy"
+              draggable={false}
+              style={{ left: share(index * strip.interval), width: share(strip.interval) }}
+            />
+          ))}
+        </div>,
+        stripElement
+      )}
+
+      {hover && createPortal(
+        <div
+          className="video-frame-preview"
+          style={{
+            width: PREVIEW_WIDTH,
+            height: PREVIEW_HEIGHT,
+            left: Math.min(window.innerWidth - PREVIEW_WIDTH - 8, Math.max(8, hover.x - PREVIEW_WIDTH / 2)),
+            top: Math.max(8, hover.top - PREVIEW_HEIGHT - 8)
+          }}
+        >
+          <img src={getThumbnailUrl(mediaId, strip.interval, nearestIndex)} alt="" />
+          {exactFrame.requested && (
+            <img
+              src={exactFrame.requested}
+              alt=""
+              className={exactFrame.loaded === exactFrame.requested ? 'loaded' : ''}
+              onLoad={() => setExactFrame(frame => ({ ...frame, loaded: frame.requested }))}
+            />
+          )}
+          <span className="video-frame-preview-time">{hover.time.toFixed(2)}s</span>
+        </div>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default VideoThumbnailStrip;
@@ -0,0 +1,811 @@
+/**
+ * File: src/services/apiClient.js
+ * Description: 🔌 API client generated from the OpenAPI document (server/apiSpec.js)
+ *
+ * GENERATED by scripts/generateApiClient.js - do not edit by hand; run
+ * `npm run generate:api-client` after changing the document.
+ *
+ * Every function takes one object: path/query parameters by name, `body` and an
+ * optional AbortSignal `signal`. Non-2xx answers reject with ApiError, which
+ * carries the HTTP status and the parsed response body.
+ */
+
+export class ApiError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const buildUrl = (path, query) => {
+  const params = new URLSearchParams();
+  Object.entries(query || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) params.append(name, String(value));
+  });
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+};
+
+const request = async (method, path, { query, body, contentType, signal } = {}) => {
+  const options = { method, signal };
+
+  if (body !== undefined) {
+    if (contentType === 'application/json') {
+      options.headers = { 'Content-Type': contentType };
+      options.body = JSON.stringify(body);
+    } else {
+      // FormData sets its own multipart boundary
+      if (contentType !== 'multipart/form-data') options.headers = { 'Content-Type': contentType };
+      options.body = body;
+    }
+  }
+
+  const response = await fetch(buildUrl(path, query), options);
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new ApiError(
+      response.status,
+      result.message || `${method} ${path} failed: ${response.status} ${response.statusText}`,
+      result
+    );
+  }
+
+  return result;
+};
+
+// 📂 system - Health, configuration and monitoring
+
+/**
+ * GET /ping - Health check and server status
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const ping = ({ signal } = {}) =>
+  request('GET', `/ping`, { signal });
+
+/**
+ * GET /metrics - Prometheus metrics - MPV command latency histograms, error/timeout/reconnect counters, sessions, HTTP requests
+ */
+export const getMetricsUrl = () => buildUrl(`/metrics`);
+
+/**
+ * GET /api/system-info - Server, host and detected tool information
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getSystemInfo = ({ signal } = {}) =>
+  request('GET', `/api/system-info`, { signal });
+
+/**
+ * GET /api/config - Effective configuration with the source of every value (default, config file or environment variable); paths redacted
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getConfig = ({ signal } = {}) =>
+  request('GET', `/api/config`, { signal });
+
+/**
+ * GET /api/capabilities - Detected mpv, ffmpeg and ffprobe: availability, version, path, features and the reason when unavailable
+ * @param {boolean} [params.refresh] - Detect again instead of answering from the cache
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getCapabilities = ({ refresh, signal } = {}) =>
+  request('GET', `/api/capabilities`, { query: { refresh }, signal });
+
+/**
+ * GET /api/performance - Cumulative command counts, errors, timeouts and latency percentiles per session
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getPerformance = ({ signal } = {}) =>
+  request('GET', `/api/performance`, { signal });
+
+/**
+ * GET /api/mpv-command-policy - Allowed MPV commands, properties and argument schemas
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getCommandPolicy = ({ signal } = {}) =>
+  request('GET', `/api/mpv-command-policy`, { signal });
+
+/**
+ * POST /api/cleanup - Close every session and run the registered cleanups (for tests and development)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const runCleanup = ({ signal } = {}) =>
+  request('POST', `/api/cleanup`, { signal });
+
+/**
+ * GET /api/docs - Endpoint overview generated from the OpenAPI document
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getDocs = ({ signal } = {}) =>
+  request('GET', `/api/docs`, { signal });
+
+/**
+ * GET /api/openapi.json - This OpenAPI document
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getOpenApiDocument = ({ signal } = {}) =>
+  request('GET', `/api/openapi.json`, { signal });
+
+// 📂 uploads - Uploads up to 1024MB (mp3, wav, flac, ogg, m4a, aac, mp4, mkv, avi, webm, mov, srt, ass, ssa, vtt, sub)
+
+/**
+ * POST /api/upload - Upload a whole file in one request - returns an opaque mediaId
+ * @param {Blob|FormData} params.body - multipart/form-data
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const uploadFile = ({ body, signal } = {}) =>
+  request('POST', `/api/upload`, { body, contentType: 'multipart/form-data', signal });
+
+/**
+ * GET /api/upload-limits - Upload size, chunk size and allowed extensions (shared by every upload path)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getUploadLimits = ({ signal } = {}) =>
+  request('GET', `/api/upload-limits`, { signal });
+
+/**
+ * POST /api/uploads - Start a resumable chunked upload
+ * @param {object} params.body - { fileName, fileSize, [mimeType] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const createUpload = ({ body, signal } = {}) =>
+  request('POST', `/api/uploads`, { body, contentType: 'application/json', signal });
+
+/**
+ * GET /api/uploads/{uploadId} - Progress of a chunked upload (receivedBytes) for resuming
+ * @param {string} params.uploadId - Chunked upload ID from POST /api/uploads
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getUpload = ({ uploadId, signal } = {}) =>
+  request('GET', `/api/uploads/${encodeURIComponent(uploadId)}`, { signal });
+
+/**
+ * PUT /api/uploads/{uploadId} - Append raw bytes at offset (chunks up to 16MB)
+ * @param {string} params.uploadId - Chunked upload ID from POST /api/uploads
+ * @param {integer} params.offset - Bytes the server already has - must equal receivedBytes
+ * @param {Blob|FormData} params.body - application/octet-stream
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const appendUploadChunk = ({ uploadId, offset, body, signal } = {}) =>
+  request('PUT', `/api/uploads/${encodeURIComponent(uploadId)}`, { query: { offset }, body, contentType: 'application/octet-stream', signal });
+
+/**
+ * DELETE /api/uploads/{uploadId} - Cancel a chunked upload and discard its bytes
+ * @param {string} params.uploadId - Chunked upload ID from POST /api/uploads
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const cancelUpload = ({ uploadId, signal } = {}) =>
+  request('DELETE', `/api/uploads/${encodeURIComponent(uploadId)}`, { signal });
+
+/**
+ * POST /api/uploads/{uploadId}/complete - Finish a fully received upload - returns a mediaId like /api/upload
+ * @param {string} params.uploadId - Chunked upload ID from POST /api/uploads
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const completeUpload = ({ uploadId, signal } = {}) =>
+  request('POST', `/api/uploads/${encodeURIComponent(uploadId)}/complete`, { signal });
+
+// 📂 media - Uploaded media by opaque ID - server paths never leave the server
+
+/**
+ * GET /api/media/{mediaId} - Name, size and modification time of uploaded media
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getMedia = ({ mediaId, signal } = {}) =>
+  request('GET', `/api/media/${encodeURIComponent(mediaId)}`, { signal });
+
+/**
+ * GET /api/media/{mediaId}/probe - Duration, container, streams, chapters and tags - ffprobe, or MPV track-list of a session playing the media
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const probeMedia = ({ mediaId, signal } = {}) =>
+  request('GET', `/api/media/${encodeURIComponent(mediaId)}/probe`, { signal });
+
+/**
+ * GET /api/media/{mediaId}/peaks - Multi-resolution waveform peaks decoded server-side with ffmpeg, cached per file
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {integer} [params.maxPeaks] - Finest level with at most this many peaks (default 200000)
+ * @param {integer} [params.samplesPerPeak] - Exact level (64, 256, 1024, 4096, 16384)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getMediaPeaks = ({ mediaId, maxPeaks, samplesPerPeak, signal } = {}) =>
+  request('GET', `/api/media/${encodeURIComponent(mediaId)}/peaks`, { query: { maxPeaks, samplesPerPeak }, signal });
+
+/**
+ * GET /api/media/{mediaId}/thumbnails - Video thumbnail strip at a fixed interval - frames extracted with ffmpeg on first request, then cached
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {integer} params.interval - Seconds between frames - one of the strip's intervals (a 400 lists them)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getMediaThumbnails = ({ mediaId, interval, signal } = {}) =>
+  request('GET', `/api/media/${encodeURIComponent(mediaId)}/thumbnails`, { query: { interval }, signal });
+
+/**
+ * GET /api/media/{mediaId}/thumbnails/{interval}/{index} - One frame of an extracted thumbnail strip
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {integer} params.interval - Seconds between frames of the strip
+ * @param {integer} params.index - Frame index - the picture at index * interval seconds
+ */
+export const getMediaThumbnailUrl = ({ mediaId, interval, index }) => buildUrl(`/api/media/${encodeURIComponent(mediaId)}/thumbnails/${encodeURIComponent(interval)}/${encodeURIComponent(index)}`);
+
+/**
+ * GET /api/media/{mediaId}/frame - Video frame at a time (snapped to a quarter second, cached) - hover previews
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {number} params.time - Seconds
+ * @param {integer} [params.width] - Pixels - 160, 320, 480 or 640 (default 320)
+ */
+export const getMediaFrameUrl = ({ mediaId, time, width }) => buildUrl(`/api/media/${encodeURIComponent(mediaId)}/frame`, { time, width });
+
+/**
+ * GET /api/media/{mediaId}/file - Stream uploaded media (supports Range requests)
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ */
+export const getMediaFileUrl = ({ mediaId }) => buildUrl(`/api/media/${encodeURIComponent(mediaId)}/file`);
+
+// 📂 library - Every uploaded file, deduplicated by content hash, with retention
+
+/**
+ * GET /api/library - Every uploaded file (most recently used first) plus totals and the retention policy
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const listLibrary = ({ signal } = {}) =>
+  request('GET', `/api/library`, { signal });
+
+/**
+ * GET /api/library/{mediaId} - One library item
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getLibraryMedia = ({ mediaId, signal } = {}) =>
+  request('GET', `/api/library/${encodeURIComponent(mediaId)}`, { signal });
+
+/**
+ * PATCH /api/library/{mediaId} - Rename, pin (pinned media is exempt from retention), store the audio filter chain and/or attach a snapshot to a region
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {object} params.body - { [fileName], [pinned], [audioFilters], [region] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const updateLibraryMedia = ({ mediaId, body, signal } = {}) =>
+  request('PATCH', `/api/library/${encodeURIComponent(mediaId)}`, { body, contentType: 'application/json', signal });
+
+/**
+ * DELETE /api/library/{mediaId} - Delete the file and its cached data
+ * @param {string} params.mediaId - Opaque media ID from an upload or the library
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const deleteLibraryMedia = ({ mediaId, signal } = {}) =>
+  request('DELETE', `/api/library/${encodeURIComponent(mediaId)}`, { signal });
+
+// 📂 mpv - Legacy single-player routes - sessionId (body or query) or the most recently launched session
+
+/**
+ * POST /api/launch-mpv - Launch MPV with managed media in a new session (or relaunch the given sessionId)
+ * @param {object} params.body - LaunchRequest - { [mediaId], [mediaPath], [sessionId], [windowOptions] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const launchMpv = ({ body, signal } = {}) =>
+  request('POST', `/api/launch-mpv`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/mpv-command - Send one MPV command (checked against the command policy)
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - CommandRequest - { command, [source], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const mpvCommand = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/mpv-command`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/mpv-batch - Send up to 32 MPV commands in one request (all validated before any runs)
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - BatchRequest - { commands, [stopOnError], [source], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const mpvBatch = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/mpv-batch`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/mpv-seek - Exact seek to a time in seconds
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - SeekRequest - { time, [mode], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const mpvSeek = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/mpv-seek`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/mpv-load - Switch the running player to managed media without relaunching (replaces the playlist)
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - MediaRequest - { mediaId, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const mpvLoad = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/mpv-load`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * GET /api/mpv-status - Connection and playback status (connectionState: idle/connecting/connected/degraded/lost)
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const mpvStatus = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/mpv-status`, { query: { sessionId }, signal });
+
+/**
+ * GET /api/mpv-properties - Current time, duration, pause, speed and volume read from MPV
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const mpvProperties = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/mpv-properties`, { query: { sessionId }, signal });
+
+// 📂 sessions - Independent MPV players (up to 8)
+
+/**
+ * GET /api/sessions - Every MPV session with its status
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const listSessions = ({ signal } = {}) =>
+  request('GET', `/api/sessions`, { signal });
+
+/**
+ * POST /api/sessions - Launch MPV in a new session (same body as /api/launch-mpv)
+ * @param {object} params.body - LaunchRequest - { [mediaId], [mediaPath], [sessionId], [windowOptions] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const createSession = ({ body, signal } = {}) =>
+  request('POST', `/api/sessions`, { body, contentType: 'application/json', signal });
+
+/**
+ * GET /api/sessions/{sessionId} - Session status
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getSession = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/sessions/${encodeURIComponent(sessionId)}`, { signal });
+
+/**
+ * DELETE /api/sessions/{sessionId} - Close a session and terminate its player
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const closeSession = ({ sessionId, signal } = {}) =>
+  request('DELETE', `/api/sessions/${encodeURIComponent(sessionId)}`, { signal });
+
+/**
+ * POST /api/sessions/{sessionId}/launch - Relaunch MPV inside an existing session
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - LaunchRequest - { [mediaId], [mediaPath], [sessionId], [windowOptions] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const relaunchSession = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/launch`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/command - Send one MPV command (checked against the command policy)
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - CommandRequest - { command, [source], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionCommand = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/command`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/batch - Send up to 32 MPV commands in one request (all validated before any runs)
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - BatchRequest - { commands, [stopOnError], [source], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionBatch = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/batch`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/seek - Exact seek to a time in seconds
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - SeekRequest - { time, [mode], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionSeek = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/seek`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/load - Switch the running player to managed media without relaunching (replaces the playlist)
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - MediaRequest - { mediaId, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionLoad = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/load`, { body, contentType: 'application/json', signal });
+
+/**
+ * GET /api/sessions/{sessionId}/status - Connection and playback status (connectionState: idle/connecting/connected/degraded/lost)
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionStatus = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/sessions/${encodeURIComponent(sessionId)}/status`, { signal });
+
+/**
+ * GET /api/sessions/{sessionId}/properties - Current time, duration, pause, speed and volume read from MPV
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionProperties = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/sessions/${encodeURIComponent(sessionId)}/properties`, { signal });
+
+// 📂 playlist - MPV playlist of a session, entries by media ID
+
+/**
+ * GET /api/playlist - Playlist with media IDs, the current entry and the playing entry
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const playlist = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/playlist`, { query: { sessionId }, signal });
+
+/**
+ * POST /api/playlist - Append media (starts playing if MPV is idle)
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - MediaRequest - { mediaId, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const playlistAppend = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/playlist`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/playlist/next - Play the next entry
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const playlistNext = ({ sessionId, signal } = {}) =>
+  request('POST', `/api/playlist/next`, { query: { sessionId }, signal });
+
+/**
+ * POST /api/playlist/prev - Play the previous entry
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const playlistPrev = ({ sessionId, signal } = {}) =>
+  request('POST', `/api/playlist/prev`, { query: { sessionId }, signal });
+
+/**
+ * POST /api/playlist/move - Move an entry to a final index
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - { from, to, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const playlistMove = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/playlist/move`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/playlist/play - Play an entry
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - { index, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const playlistPlay = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/playlist/play`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * DELETE /api/playlist/{index} - Remove an entry
+ * @param {integer} params.index - Playlist index
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const playlistRemove = ({ index, sessionId, signal } = {}) =>
+  request('DELETE', `/api/playlist/${encodeURIComponent(index)}`, { query: { sessionId }, signal });
+
+/**
+ * GET /api/sessions/{sessionId}/playlist - Playlist with media IDs, the current entry and the playing entry
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionPlaylist = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/sessions/${encodeURIComponent(sessionId)}/playlist`, { signal });
+
+/**
+ * POST /api/sessions/{sessionId}/playlist - Append media (starts playing if MPV is idle)
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - MediaRequest - { mediaId, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionPlaylistAppend = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/playlist`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/playlist/next - Play the next entry
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionPlaylistNext = ({ sessionId, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/playlist/next`, { signal });
+
+/**
+ * POST /api/sessions/{sessionId}/playlist/prev - Play the previous entry
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionPlaylistPrev = ({ sessionId, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/playlist/prev`, { signal });
+
+/**
+ * POST /api/sessions/{sessionId}/playlist/move - Move an entry to a final index
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - { from, to, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionPlaylistMove = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/playlist/move`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/playlist/play - Play an entry
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - { index, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionPlaylistPlay = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/playlist/play`, { body, contentType: 'application/json', signal });
+
+/**
+ * DELETE /api/sessions/{sessionId}/playlist/{index} - Remove an entry
+ * @param {string} params.sessionId - MPV session ID
+ * @param {integer} params.index - Playlist index
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionPlaylistRemove = ({ sessionId, index, signal } = {}) =>
+  request('DELETE', `/api/sessions/${encodeURIComponent(sessionId)}/playlist/${encodeURIComponent(index)}`, { signal });
+
+// 📂 tracks - Audio/subtitle tracks and chapters of the media a session is playing
+
+/**
+ * GET /api/tracks - Audio, video and subtitle tracks of the loaded media
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const tracks = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/tracks`, { query: { sessionId }, signal });
+
+/**
+ * POST /api/tracks/select - Select an audio or subtitle track (id false switches the type off)
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - { type, id, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const selectTrack = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/tracks/select`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/tracks/subtitles - Load a subtitle file from the library as an external subtitle track
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - { mediaId, [title], [lang], [select], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const addSubtitles = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/tracks/subtitles`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * GET /api/chapters - Chapters of the loaded media and the one playing now
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const chapters = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/chapters`, { query: { sessionId }, signal });
+
+/**
+ * GET /api/sessions/{sessionId}/tracks - Audio, video and subtitle tracks of the loaded media
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionTracks = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/sessions/${encodeURIComponent(sessionId)}/tracks`, { signal });
+
+/**
+ * POST /api/sessions/{sessionId}/tracks/select - Select an audio or subtitle track (id false switches the type off)
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - { type, id, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionSelectTrack = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/tracks/select`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/tracks/subtitles - Load a subtitle file from the library as an external subtitle track
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - { mediaId, [title], [lang], [select], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionAddSubtitles = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/tracks/subtitles`, { body, contentType: 'application/json', signal });
+
+/**
+ * GET /api/sessions/{sessionId}/chapters - Chapters of the loaded media and the one playing now
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionChapters = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/sessions/${encodeURIComponent(sessionId)}/chapters`, { signal });
+
+// 📂 filters - Audio filter chains (EQ, high/low-pass, loudness, channel routing; up to 16 filters) applied with mpv af
+
+/**
+ * GET /api/filters/catalogue - Available filters with their parameters (range, default, unit) and the presets
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const getFilterCatalogue = ({ signal } = {}) =>
+  request('GET', `/api/filters/catalogue`, { signal });
+
+/**
+ * POST /api/filters/validate - Check a chain without a player - answers the normalised filters and the af graph
+ * @param {object} params.body - { filters }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const validateFilters = ({ body, signal } = {}) =>
+  request('POST', `/api/filters/validate`, { body, contentType: 'application/json', signal });
+
+/**
+ * GET /api/filters - Active audio filter chain and its rendered af graph
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const filters = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/filters`, { query: { sessionId }, signal });
+
+/**
+ * PUT /api/filters - Replace the whole chain (af set) - an empty list clears it
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - { filters, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const setFilters = ({ sessionId, body, signal } = {}) =>
+  request('PUT', `/api/filters`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/filters - Append one filter to the chain (af add)
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - { [id], name, [params], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const addFilter = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/filters`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * DELETE /api/filters/{filterId} - Take one filter out of the chain by id (af remove)
+ * @param {string} params.filterId - Filter id from the chain
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const removeFilter = ({ filterId, sessionId, signal } = {}) =>
+  request('DELETE', `/api/filters/${encodeURIComponent(filterId)}`, { query: { sessionId }, signal });
+
+/**
+ * GET /api/sessions/{sessionId}/filters - Active audio filter chain and its rendered af graph
+ * @param {string} params.sessionId - MPV session ID
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionFilters = ({ sessionId, signal } = {}) =>
+  request('GET', `/api/sessions/${encodeURIComponent(sessionId)}/filters`, { signal });
+
+/**
+ * PUT /api/sessions/{sessionId}/filters - Replace the whole chain (af set) - an empty list clears it
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - { filters, [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionSetFilters = ({ sessionId, body, signal } = {}) =>
+  request('PUT', `/api/sessions/${encodeURIComponent(sessionId)}/filters`, { body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/filters - Append one filter to the chain (af add)
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - { [id], name, [params], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionAddFilter = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/filters`, { body, contentType: 'application/json', signal });
+
+/**
+ * DELETE /api/sessions/{sessionId}/filters/{filterId} - Take one filter out of the chain by id (af remove)
+ * @param {string} params.sessionId - MPV session ID
+ * @param {string} params.filterId - Filter id from the chain
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionRemoveFilter = ({ sessionId, filterId, signal } = {}) =>
+  request('DELETE', `/api/sessions/${encodeURIComponent(sessionId)}/filters/${encodeURIComponent(filterId)}`, { signal });
+
+// 📂 snapshots - Frames captured from a player, kept in the library with their source media and time
+
+/**
+ * POST /api/screenshot - Capture the frame on screen, or the frame at `time`, into the library as a snapshot
+ * @param {string} [params.sessionId] - Target session (defaults to the most recently launched one)
+ * @param {object} params.body - { [time], [subtitles], [region], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const screenshot = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/screenshot`, { query: { sessionId }, body, contentType: 'application/json', signal });
+
+/**
+ * POST /api/sessions/{sessionId}/screenshot - Capture the frame on screen, or the frame at `time`, into the library as a snapshot
+ * @param {string} params.sessionId - MPV session ID
+ * @param {object} params.body - { [time], [subtitles], [region], [sessionId] }
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<object>} The JSON response - rejects with ApiError for non-2xx statuses
+ */
+export const sessionScreenshot = ({ sessionId, body, signal } = {}) =>
+  request('POST', `/api/sessions/${encodeURIComponent(sessionId)}/screenshot`, { body, contentType: 'application/json', signal });
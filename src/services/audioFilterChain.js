@@ -0,0 +1,207 @@
+/**
+ * File: src/services/audioFilterChain.js
+ * Description: 🎛️ Audio filter chain - the server's filter catalogue as Web Audio nodes, to preview in the browser
+ *
+ * Every filter of server/audioFilters.js has a stage here built from the same
+ * { id, name, params }: high/low-pass and EQ bands are biquads with mpv's defaults
+ * (Butterworth Q for 2 poles, a first-order IIR for 1 pole), gain is a GainNode and
+ * channel routing a splitter/merger matrix. loudnorm measures loudness over time, which
+ * Web Audio cannot, so its preview is a compressor at the target loudness with makeup
+ * gain and a limiter at the true-peak ceiling - close, not identical.
+ *
+ * A media element can only ever get one MediaElementAudioSourceNode, so sources are
+ * cached per element and a detached chain routes the source straight to the output.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const BUTTERWORTH_Q = Math.SQRT1_2;
+const dbToGain = (db) => 10 ** (db / 20);
+
+// 🔀 Channel routing - [[left→left, right→left], [left→right, right→right]], as the server's pan filters
+const CHANNEL_MATRICES = {
+  mono: [[0.5, 0.5], [0.5, 0.5]],
+  left: [[1, 0], [1, 0]],
+  right: [[0, 1], [0, 1]],
+  swap: [[0, 1], [1, 0]]
+};
+
+// One node in, one node out - update() answers false when the change needs a rebuild
+const single = (node, update) => ({ input: node, output: node, update });
+
+// First-order filter by the bilinear transform (mpv's p=1)
+const onePole = (context, type, frequency) => {
+  const k = Math.tan(Math.PI * Math.min(frequency, context.sampleRate / 2 - 1) / context.sampleRate);
+  const feedback = [1, (k - 1) / (k + 1)];
+  const feedforward = type === 'lowpass' ?
+    [k / (1 + k), k / (1 + k)] :
+    [1 / (1 + k), -1 / (1 + k)];
+  return context.createIIRFilter(feedforward, feedback);
+};
+
+const passFilter = (type) => (context, { frequency, poles }) => {
+  if (poles === 1) {
+    // IIR coefficients are fixed at creation - any change rebuilds the stage
+    return single(onePole(context, type, frequency), () => false);
+  }
+
+  const node = context.createBiquadFilter();
+  node.type = type;
+  node.Q.value = BUTTERWORTH_Q;
+  node.frequency.value = frequency;
+  return single(node, (params) => {
+    if (params.poles !== 2) return false;
+    node.frequency.setTargetAtTime(params.frequency, context.currentTime, 0.01);
+    return true;
+  });
+};
+
+const STAGES = {
+  highpass: passFilter('highpass'),
+  lowpass: passFilter('lowpass'),
+
+  equalizer: (context, { frequency, gain, q }) => {
+    const node = context.createBiquadFilter();
+    node.type = 'peaking';
+    const set = (params) => {
+      node.frequency.setTargetAtTime(params.frequency, context.currentTime, 0.01);
+      node.gain.setTargetAtTime(params.gain, context.currentTime, 0.01);
+      node.Q.setTargetAtTime(params.q, context.currentTime, 0.01);
+      return true;
+    };
+    node.frequency.value = frequency;
+    node.gain.value = gain;
+    node.Q.value = q;
+    return single(node, set);
+  },
+
+  volume: (context, { gain }) => {
+    const node = context.createGain();
+    node.gain.value = dbToGain(gain);
+    return single(node, (params) => {
+      node.gain.setTargetAtTime(dbToGain(params.gain), context.currentTime, 0.01);
+      return true;
+    });
+  },
+
+  loudnorm: (context, params) => {
+    const compressor = context.createDynamicsCompressor();
+    const makeup = context.createGain();
+    const limiter = context.createDynamicsCompressor();
+
+    compressor.ratio.value = 4;
+    compressor.attack.value = 0.01;
+    compressor.release.value = 0.25;
+    limiter.ratio.value = 20;
+    limiter.knee.value = 0;
+    limiter.attack.value = 0.001;
+    limiter.release.value = 0.05;
+
+    const set = ({ integrated, truePeak, range }) => {
+      compressor.threshold.value = integrated;
+      compressor.knee.value = Math.min(range, 40);
+      makeup.gain.value = dbToGain((truePeak - integrated) / 2);
+      limiter.threshold.value = truePeak;
+      return true;
+    };
+    set(params);
+
+    compressor.connect(makeup);
+    makeup.connect(limiter);
+    return { input: compressor, output: limiter, update: set };
+  },
+
+  channels: (context, { route }) => {
+    const splitter = context.createChannelSplitter(2);
+    const merger = context.createChannelMerger(2);
+    const gains = [0, 1].map(output => [0, 1].map(input => {
+      const gain = context.createGain();
+      splitter.connect(gain, input);
+      gain.connect(merger, 0, output);
+      return gain;
+    }));
+
+    const set = (params) => {
+      CHANNEL_MATRICES[params.route].forEach((row, output) => row.forEach((value, input) => {
+        gains[output][input].gain.value = value;
+      }));
+      return true;
+    };
+    set({ route });
+    return { input: splitter, output: merger, update: set };
+  }
+};
+
+// 🔊 One AudioContext and source node per media element, for the element's lifetime
+const sources = new WeakMap();
+
+const getSource = (mediaElement) => {
+  if (!sources.has(mediaElement)) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContext();
+    sources.set(mediaElement, { context, source: context.createMediaElementSource(mediaElement) });
+  }
+  return sources.get(mediaElement);
+};
+
+const sameShape = (stages, filters) => stages.length === filters.length &&
+  stages.every((stage, i) => stage.id === filters[i].id && stage.name === filters[i].name);
+
+/**
+ * Routes a media element through a filter chain. Returns { apply(filters), detach() }:
+ * apply() tweaks parameters in place when the chain keeps its shape (no clicks while
+ * dragging a slider) and rebuilds it otherwise; detach() leaves the audio unfiltered.
+ */
+export const attachAudioFilterChain = (mediaElement) => {
+  const { context, source } = getSource(mediaElement);
+  let stages = [];
+
+  const connect = () => {
+    source.disconnect();
+    stages.forEach(stage => stage.output.disconnect());
+
+    const last = stages.reduce((previous, stage) => {
+      previous.connect(stage.input);
+      return stage.output;
+    }, source);
+    last.connect(context.destination);
+  };
+
+  const build = (filters) => filters
+    .filter(filter => STAGES[filter.name])
+    .map(filter => ({ id: filter.id, name: filter.name, ...STAGES[filter.name](context, filter.params) }));
+
+  // Autoplay policy - the context starts suspended until playback follows a user gesture
+  const resume = () => {
+    if (context.state === 'suspended') context.resume().catch(() => {});
+  };
+  mediaElement.addEventListener('play', resume);
+  resume();
+  connect();
+
+  return {
+    apply: (filters) => {
+      if (sameShape(stages, filters) && stages.every((stage, i) => stage.update(filters[i].params))) return;
+      stages = build(filters);
+      connect();
+    },
+    detach: () => {
+      mediaElement.removeEventListener('play', resume);
+      stages = [];
+      connect();
+    }
+  };
+};
+
+// 🏷️ Client-side ids follow the server's scheme (<name><n>), so af remove @id works on either side
+export const nextFilterId = (filters, name) => {
+  const taken = new Set(filters.map(filter => filter.id));
+  let n = 1;
+  while (taken.has(`${name}${n}`)) n++;
+  return `${name}${n}`;
+};
+
+// Parameter defaults of a catalogue entry
+export const defaultParams = (definition) => Object.fromEntries(Object.entries(definition.params)
+  .map(([key, param]) => [key, param.default]));
@@ -0,0 +1,20 @@
+/**
+ * File: src/services/capabilities.js
+ * Description: 🔍 Which external tools (mpv, ffmpeg, ffprobe) the server has actually found
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Requests through the generated API client
+ */
+
+import { getCapabilities } from './apiClient';
+
+/**
+ * Resolves to { mpv, ffmpeg, ffprobe, checkedAt }; each tool has
+ * { available, version, path, features, reason }. refresh makes the server detect
+ * again instead of answering from its cache (e.g. after installing mpv).
+ */
+export const fetchCapabilities = async ({ refresh = false, signal } = {}) => {
+  const result = await getCapabilities({ refresh: refresh || undefined, signal });
+  return result.capabilities;
+};
@@ -0,0 +1,169 @@
+/**
+ * File: src/services/mediaUpload.js
+ * Description: 📁 Upload a file to the server and get back its opaque media ID
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Resumable chunked uploads with progress and cancellation
+ * v1.2.0 (2026-10-19) - Requests through the generated API client
+ */
+
+import {
+  ApiError,
+  appendUploadChunk,
+  cancelUpload,
+  completeUpload,
+  createUpload,
+  getUpload,
+  getUploadLimits
+} from './apiClient';
+
+const MAX_CHUNK_RETRIES = 5;
+const RETRY_BASE_DELAY = 500;
+const RESUME_KEY_PREFIX = 'mediaUpload:';
+
+let uploadLimitsPromise = null;
+
+/**
+ * Server upload limits ({ maxFileSize, chunkSize, maxChunkSize, allowedExtensions }),
+ * fetched once per page load.
+ */
+export const fetchUploadLimits = () => {
+  if (!uploadLimitsPromise) {
+    uploadLimitsPromise = getUploadLimits()
+      .then(result => result.limits)
+      .catch(error => {
+        uploadLimitsPromise = null; // Try again next time
+        throw error;
+      });
+  }
+  return uploadLimitsPromise;
+};
+
+// Rejects with error.status (and error.receivedBytes on offset conflicts)
+const requestUpload = async (request) => {
+  try {
+    return await request;
+  } catch (error) {
+    if (error instanceof ApiError) error.receivedBytes = error.body.receivedBytes;
+    throw error;
+  }
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Upload cancelled', 'AbortError'));
+  }, { once: true });
+});
+
+// 💾 Unfinished uploads are remembered per file so a reload can pick them up again
+const getResumeKey = (file) => `${RESUME_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const readResumeId = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeResumeId = (key, uploadId) => {
+  try {
+    if (uploadId) {
+      localStorage.setItem(key, uploadId);
+    } else {
+      localStorage.removeItem(key);
+    }
+  } catch (error) {
+    // Private mode - uploads still work, they just cannot resume after a reload
+  }
+};
+
+const startOrResume = async (file, resumeKey, signal) => {
+  const previousId = readResumeId(resumeKey);
+
+  if (previousId) {
+    try {
+      const upload = await requestUpload(getUpload({ uploadId: previousId, signal }));
+      if (upload.fileSize === file.size) {
+        console.log(`📦 Resuming upload of ${file.name} at ${upload.receivedBytes} bytes`);
+        return upload;
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // Expired or unknown - start over
+    }
+  }
+
+  const upload = await requestUpload(createUpload({
+    body: { fileName: file.name, fileSize: file.size, mimeType: file.type },
+    signal
+  }));
+
+  writeResumeId(resumeKey, upload.uploadId);
+  return upload;
+};
+
+/**
+ * Uploads one file in chunks. Resolves to { mediaId, fileName, fileSize }.
+ * onProgress(percent) is called after every chunk. Dropped connections are retried
+ * from the bytes the server actually has; aborting `signal` discards the upload
+ * on the server and rejects with an AbortError.
+ */
+export const uploadMedia = async (file, { onProgress, signal } = {}) => {
+  const resumeKey = getResumeKey(file);
+  const upload = await startOrResume(file, resumeKey, signal);
+  const { uploadId } = upload;
+
+  let offset = upload.receivedBytes;
+  let failures = 0;
+  onProgress?.(Math.round((offset / file.size) * 100));
+
+  try {
+    while (offset < file.size) {
+      try {
+        const result = await requestUpload(appendUploadChunk({
+          uploadId,
+          offset,
+          body: file.slice(offset, offset + upload.chunkSize),
+          signal
+        }));
+
+        offset = result.receivedBytes;
+        failures = 0;
+        onProgress?.(Math.round((offset / file.size) * 100));
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+
+        // 4xx other than an offset conflict will not get better by retrying
+        if (error.status && error.status < 500 && error.status !== 409) throw error;
+        if (++failures > MAX_CHUNK_RETRIES) throw error;
+
+        console.warn(`📦 Chunk at ${offset} failed (${error.message}) - retry ${failures}/${MAX_CHUNK_RETRIES}`);
+        await wait(RETRY_BASE_DELAY * 2 ** (failures - 1), signal);
+
+        // Resume from whatever reached the server
+        offset = error.receivedBytes !== undefined ?
+          error.receivedBytes :
+          (await requestUpload(getUpload({ uploadId, signal }))).receivedBytes;
+      }
+    }
+
+    const result = await requestUpload(completeUpload({ uploadId, signal }));
+    writeResumeId(resumeKey, null);
+
+    return {
+      mediaId: result.mediaId,
+      fileName: result.fileName,
+      fileSize: result.fileSize
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      writeResumeId(resumeKey, null);
+      cancelUpload({ uploadId }).catch(() => {});
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * File: src/services/mpvBatch.js
+ * Description: 📦 Coalesce queued MPV commands into /api/sessions/:id/batch requests
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Requests through the generated API client
+ */
+
+import { sessionBatch } from './apiClient';
+
+/**
+ * Sends every queued command of one drain in a single batch request and settles
+ * each queued entry ({ command, resolve, reject }) with its own result.
+ */
+export const flushCommandBatch = async (sessionId, queued, { source, timeout = 3000 } = {}) => {
+  if (queued.length === 0) return;
+
+  if (!sessionId) {
+    queued.forEach(entry => entry.reject(new Error('No MPV session')));
+    return;
+  }
+
+  try {
+    const { results, sessionId: resultSessionId } = await sessionBatch({
+      sessionId,
+      body: {
+        commands: queued.map(entry => entry.command),
+        source
+      },
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    queued.forEach((entry, index) => {
+      const result = results[index];
+      if (result && result.success) {
+        entry.resolve({
+          success: true,
+          response: result.data,
+          responseTime: result.responseTime,
+          sessionId: resultSessionId,
+          command: entry.command
+        });
+      } else {
+        entry.reject(new Error(`MPV command failed: ${result ? result.error : 'no result'}`));
+      }
+    });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? new Error('Command timeout') : error;
+    queued.forEach(entry => entry.reject(reason));
+  }
+};
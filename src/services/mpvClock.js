@@ -0,0 +1,61 @@
+/**
+ * File: src/services/mpvClock.js
+ * Description: ⏱️ MPV clock - where MPV's playback really is "now", from timestamped server samples
+ *
+ * The server stamps every time-pos / pause / speed change with its monotonic clock
+ * ({ position, monotonicTime, speed, paused }). The browser learns its offset to that
+ * clock from clock-ping round trips on the event stream and extrapolates the sample to
+ * the present, so drift is measured against MPV's position now instead of one that is
+ * already a relay hop (and up to a sync interval) old.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+const MAX_OFFSET_SAMPLES = 8;
+
+// Browser monotonic milliseconds - the counterpart of the server's performance.now()
+export const browserNow = () => performance.now();
+
+/**
+ * Offset estimator over the last few clock-ping round trips. The sample with the
+ * shortest round trip wins (NTP-style): its midpoint is the least disturbed by
+ * queueing, and the offset between two monotonic clocks does not drift meaningfully
+ * over a handful of pings.
+ */
+export const createClockOffsetEstimator = () => {
+  let samples = [];
+
+  return {
+    // { clientTime, serverTime } from a clock-pong, received at receivedAt (browserNow())
+    addSample: ({ clientTime, serverTime }, receivedAt = browserNow()) => {
+      const roundTrip = receivedAt - clientTime;
+      if (roundTrip < 0) return null;
+
+      samples = [...samples, { offset: serverTime - (clientTime + roundTrip / 2), roundTrip }]
+        .slice(-MAX_OFFSET_SAMPLES);
+
+      return samples.reduce((best, sample) => (sample.roundTrip < best.roundTrip ? sample : best));
+    },
+    // A reconnect may mean a restarted server - and a new monotonic clock
+    reset: () => {
+      samples = [];
+    }
+  };
+};
+
+/**
+ * MPV's position now, in seconds, from a clock sample and the current offset estimate.
+ * null without a sample; the sample itself until the first round trip has been measured.
+ * Clamped to duration when one is given - playback stops at the end of the file.
+ */
+export const extrapolateMpvTime = (clock, clockOffset, duration) => {
+  if (!clock) return null;
+  if (clock.paused || !clockOffset) return clock.position;
+
+  const serverNow = browserNow() + clockOffset.offset;
+  const elapsed = (Math.max(0, serverNow - clock.monotonicTime) / 1000) * clock.speed;
+  const position = clock.position + elapsed;
+
+  return duration ? Math.min(duration, position) : position;
+};
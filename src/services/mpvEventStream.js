@@ -0,0 +1,98 @@
+/**
+ * File: src/services/mpvEventStream.js
+ * Description: 📡 WebSocket client for the server's MPV event stream (replaces /api/mpv-properties polling)
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - clock-ping round trips reported through onClockPong (see mpvClock.js)
+ */
+
+import { browserNow } from './mpvClock';
+
+const EVENT_STREAM_PATH = '/api/mpv-events';
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 5000;
+const CLOCK_PING_INTERVAL = 5000;
+
+const getEventStreamUrl = () => {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}${EVENT_STREAM_PATH}`;
+};
+
+/**
+ * Opens the event stream and keeps it open, reconnecting with backoff.
+ * While open, the server clock is pinged every few seconds and each answer is
+ * passed to onClockPong(pong, receivedAt). Returns a handle whose close() stops
+ * the stream for good.
+ */
+export const createMpvEventStream = ({ onEvent, onOpen, onClose, onClockPong }) => {
+  let socket = null;
+  let reconnectTimer = null;
+  let clockPingTimer = null;
+  let reconnectAttempts = 0;
+  let closed = false;
+
+  const sendClockPing = () => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'clock-ping', clientTime: browserNow() }));
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts);
+    reconnectAttempts++;
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const connect = () => {
+    if (closed) return;
+
+    socket = new WebSocket(getEventStreamUrl());
+
+    socket.onopen = () => {
+      reconnectAttempts = 0;
+      if (onOpen) onOpen();
+      if (onClockPong) {
+        sendClockPing();
+        clockPingTimer = setInterval(sendClockPing, CLOCK_PING_INTERVAL);
+      }
+    };
+
+    socket.onmessage = (message) => {
+      const receivedAt = browserNow();
+      try {
+        const event = JSON.parse(message.data);
+        if (event.type === 'clock-pong') {
+          if (onClockPong) onClockPong(event, receivedAt);
+          return;
+        }
+        onEvent(event);
+      } catch (error) {
+        console.warn('⚠️ Invalid MPV event:', error);
+      }
+    };
+
+    socket.onclose = () => {
+      clearInterval(clockPingTimer);
+      socket = null;
+      if (onClose) onClose();
+      scheduleReconnect();
+    };
+
+    // onclose always follows onerror, which handles the reconnect
+    socket.onerror = () => {};
+  };
+
+  connect();
+
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearInterval(clockPingTimer);
+      if (socket) socket.close();
+    }
+  };
+};
@@ -0,0 +1,28 @@
+/**
+ * File: src/services/mpvTracks.js
+ * Description: 🎚️ MPV tracks - labels for the track selector and which library files are subtitles
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+// Same list as the server's SUBTITLE_EXTENSIONS - the formats sub-add understands
+export const SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.vtt', '.sub'];
+
+export const isSubtitleFile = (fileName) => {
+  const name = (fileName || '').toLowerCase();
+  return SUBTITLE_EXTENSIONS.some(extension => name.endsWith(extension));
+};
+
+// "2: Commentary (eng) • aac • 6ch" - what MPV would show in its own track menu
+export const describeTrack = (track) => {
+  const title = track.title || (track.external ? 'External' : `Track ${track.id}`);
+  const details = [
+    track.lang ? `(${track.lang})` : null,
+    track.codec,
+    track.channelCount ? `${track.channelCount}ch` : null,
+    track.forced ? 'forced' : null
+  ].filter(Boolean);
+
+  return `${track.id}: ${title}${details.length > 0 ? ` ${details.join(' • ')}` : ''}`;
+};
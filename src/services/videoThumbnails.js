@@ -0,0 +1,44 @@
+/**
+ * File: src/services/videoThumbnails.js
+ * Description: 🎞️ Video thumbnails - which media has frames, which strip interval suits a zoom level, frame URLs
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ */
+
+import { getMediaFrameUrl, getMediaThumbnails, getMediaThumbnailUrl } from './apiClient';
+
+export const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.webm', '.avi', '.mov'];
+
+// Same ladder and limits as server/videoThumbnails.js
+const THUMBNAIL_INTERVALS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+const MAX_THUMBNAILS = 3600;
+const PREVIEW_STEP = 0.25;
+
+export const isVideoFile = (fileName) => {
+  const name = (fileName || '').toLowerCase();
+  return VIDEO_EXTENSIONS.some(extension => name.endsWith(extension));
+};
+
+// Finest interval whose thumbnails are at least minWidth pixels apart at this zoom (and fit one strip)
+export const pickThumbnailInterval = (pxPerSec, duration, minWidth) => THUMBNAIL_INTERVALS.find(interval =>
+  interval * pxPerSec >= minWidth && duration / interval <= MAX_THUMBNAILS
+) || THUMBNAIL_INTERVALS[THUMBNAIL_INTERVALS.length - 1];
+
+/**
+ * Resolves to the strip { interval, count, width, height } - the server extracts it on
+ * first request. Rejects with error.status 422 (no video) or 503 (no ffmpeg).
+ */
+export const fetchThumbnailStrip = async (mediaId, interval, { signal } = {}) => {
+  const result = await getMediaThumbnails({ mediaId, interval, signal });
+  return result.thumbnails;
+};
+
+export const getThumbnailUrl = (mediaId, interval, index) => getMediaThumbnailUrl({ mediaId, interval, index });
+
+// Snapped like the server's preview cache, so nearby hover positions share one URL
+export const getPreviewFrameUrl = (mediaId, time, width) => getMediaFrameUrl({
+  mediaId,
+  time: Math.round(time / PREVIEW_STEP) * PREVIEW_STEP,
+  width
+});
@@ -0,0 +1,28 @@
+/**
+ * File: src/services/waveformPeaks.js
+ * Description: 〰️ Fetch server-computed waveform peaks for a media ID
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - Requests through the generated API client
+ */
+
+import { getMediaPeaks } from './apiClient';
+
+// Enough detail for ~1000px/s zoom on short files; long recordings get a coarser level
+const DEFAULT_MAX_PEAKS = 200000;
+
+/**
+ * Resolves to { peaks: [Float32Array], duration, samplesPerPeak } ready for WaveSurfer's
+ * `peaks` / `duration` options. Rejects (with error.status) when the server cannot
+ * generate peaks, e.g. 503 without ffmpeg - callers then fall back to client decoding.
+ */
+export const fetchWaveformPeaks = async (mediaId, { maxPeaks = DEFAULT_MAX_PEAKS, signal } = {}) => {
+  const result = await getMediaPeaks({ mediaId, maxPeaks, signal });
+
+  return {
+    peaks: [Float32Array.from(result.peaks.data)],
+    duration: result.peaks.duration,
+    samplesPerPeak: result.peaks.samplesPerPeak
+  };
+};
@@ -1,6 +1,8 @@
 // src/store/audioSyncStore.js
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
+import { getMediaFileUrl } from '../services/apiClient';
+import { extrapolateMpvTime } from '../services/mpvClock';
 
 export const useAudioSyncStore = create(
   subscribeWithSelector((set, get) => ({
@@ -16,13 +18,35 @@ export const useAudioSyncStore = create(
     // 📁 File management
     audioFile: null,
     audioUrl: null,
-    uploadProgress: 0,
+    mediaId: null, // Server media ID of the loaded file (once uploaded)
+    mediaUploadState: 'idle', // 'idle', 'uploading', 'uploaded', 'failed', 'cancelled'
+    uploadProgress: 0, // Percent of the current upload
+    uploadAbortController: null,
+    uploadLimits: null, // From /api/upload-limits - the server's limits are the only limits
+    
+    // 📋 MPV playlist (entries carry media IDs, never server paths)
+    playlist: [],
+    playlistPosition: -1,
+    pendingPlaylistFiles: [], // Dropped files waiting for MPV to append them
     
     // 🎬 MPV state
+    mpvSessionId: null,
     mpvConnected: false,
+    mpvConnectionState: 'idle', // 'idle', 'connecting', 'connected', 'degraded', 'lost', 'recovering'
     mpvCurrentTime: 0,
     mpvDuration: 0,
     mpvPlaying: false,
+    mpvSpeed: 1.0,
+    mpvClock: null, // Latest timestamped sample { position, monotonicTime, speed, paused } (server clock)
+    mpvClockOffset: null, // { offset, roundTrip } - browser → server monotonic clock, in ms
+    mpvTracks: [], // Audio, video and subtitle tracks of the loaded media (from MPV's track-list)
+    mpvChapters: [], // { index, title, time } - drawn as markers on the waveform
+    
+    // 🎛️ Audio filter chain ({ id, name, params } - previewed with Web Audio, applied in MPV with af)
+    audioFilters: [],
+    
+    // 🎯 Seek both players from outside the waveform (snapshots...) - { time, requestedAt }
+    seekRequest: null,
     
     // 🔄 Sync state
     syncMode: 'idle', // 'idle', 'wavesurfer-master', 'mpv-master'
@@ -32,6 +56,7 @@ export const useAudioSyncStore = create(
     // 📊 Region management
     activeRegion: null,
     regions: [],
+    loopRegions: true, // Loop the active region - in WaveSurfer and, through ab-loop-a/b, in MPV
     
     // 🎨 UI state
     loading: false,
@@ -53,12 +78,34 @@ export const useAudioSyncStore = create(
       set({ 
         audioFile: file, 
         audioUrl: url,
+        mediaId: null, // Set once the upload finishes
+        mediaUploadState: file instanceof File ? 'uploading' : 'idle',
         loading: true,
         error: null,
         status: `Loading ${file instanceof File ? file.name : 'audio file'}...`
       });
     },
     
+    // Load a file the server already has - WaveSurfer streams it by media ID
+    loadServerMedia: ({ mediaId, fileName }) => {
+      const { audioUrl } = get();
+      if (audioUrl && audioUrl.startsWith('blob:')) {
+        URL.revokeObjectURL(audioUrl);
+      }
+      set({
+        audioFile: { name: fileName, mediaId },
+        audioUrl: getMediaFileUrl({ mediaId }),
+        mediaId,
+        mediaUploadState: 'uploaded',
+        loading: true,
+        error: null,
+        status: `Loading ${fileName}...`
+      });
+    },
+    
+    setMediaId: (mediaId) => set({ mediaId }),
+    setMediaUploadState: (state) => set({ mediaUploadState: state }),
+    
     clearAudioFile: () => {
       const { audioUrl } = get();
       if (audioUrl && audioUrl.startsWith('blob:')) {
@@ -67,6 +114,8 @@ export const useAudioSyncStore = create(
       set({ 
         audioFile: null, 
         audioUrl: null,
+        mediaId: null,
+        mediaUploadState: 'idle',
         currentTime: 0,
         duration: 0,
         isPlaying: false,
@@ -76,6 +125,39 @@ export const useAudioSyncStore = create(
     },
     
     setUploadProgress: (progress) => set({ uploadProgress: progress }),
+    setUploadAbortController: (controller) => set({ uploadAbortController: controller }),
+    setUploadLimits: (limits) => set({ uploadLimits: limits }),
+    
+    // 🛑 Stop the running upload - the waveform keeps decoding the local file
+    cancelUpload: () => {
+      const { uploadAbortController } = get();
+      if (!uploadAbortController) return;
+      
+      uploadAbortController.abort();
+      set({
+        uploadAbortController: null,
+        mediaUploadState: 'cancelled',
+        uploadProgress: 0,
+        status: '🛑 Upload cancelled - MPV needs the file on the server'
+      });
+    },
+    
+    // 📋 Actions - Playlist
+    setPlaylist: ({ entries, position }) => set({
+      playlist: entries !== undefined ? entries : get().playlist,
+      playlistPosition: position !== undefined ? position : get().playlistPosition
+    }),
+    
+    queuePlaylistFiles: (files) => set((state) => ({
+      pendingPlaylistFiles: [...state.pendingPlaylistFiles, ...files],
+      status: `📋 ${state.pendingPlaylistFiles.length + files.length} file(s) queued for the MPV playlist`
+    })),
+    
+    takePendingPlaylistFiles: () => {
+      const files = get().pendingPlaylistFiles;
+      set({ pendingPlaylistFiles: [] });
+      return files;
+    },
     
     // 🎬 Actions - MPV
     setMpvConnected: (connected) => set({ 
@@ -83,12 +165,31 @@ export const useAudioSyncStore = create(
       status: connected ? '🎯 MPV Connected - Perfect Sync Active!' : 'MPV Disconnected'
     }),
     
+    setMpvSessionId: (sessionId) => set({ mpvSessionId: sessionId }),
+    setMpvConnectionState: (state) => set({ mpvConnectionState: state }),
+    
     setMpvState: (state) => set({
       mpvCurrentTime: state.currentTime !== undefined ? state.currentTime : get().mpvCurrentTime,
       mpvDuration: state.duration !== undefined ? state.duration : get().mpvDuration,
-      mpvPlaying: state.isPlaying !== undefined ? state.isPlaying : get().mpvPlaying
+      mpvPlaying: state.isPlaying !== undefined ? state.isPlaying : get().mpvPlaying,
+      mpvSpeed: state.speed !== undefined ? state.speed : get().mpvSpeed,
+      mpvClock: state.clock !== undefined ? state.clock : get().mpvClock
     }),
     
+    setMpvClockOffset: (clockOffset) => set({ mpvClockOffset: clockOffset }),
+    setMpvTracks: (tracks) => set({ mpvTracks: tracks }),
+    setMpvChapters: (chapters) => set({ mpvChapters: chapters }),
+    setAudioFilters: (filters) => set({ audioFilters: filters }),
+    requestSeek: (time) => set({ seekRequest: { time, requestedAt: Date.now() } }),
+    clearSeekRequest: () => set({ seekRequest: null }),
+    
+    // ⏱️ MPV's position now - extrapolated from the latest sample, mpvCurrentTime without one
+    getMpvTimeNow: () => {
+      const { mpvClock, mpvClockOffset, mpvDuration, mpvCurrentTime } = get();
+      const extrapolated = extrapolateMpvTime(mpvClock, mpvClockOffset, mpvDuration);
+      return extrapolated !== null ? extrapolated : mpvCurrentTime;
+    },
+    
     // 🔄 Actions - Sync
     setSyncMode: (mode) => set({ syncMode: mode }),
     updateSyncAccuracy: (accuracy) => {
@@ -121,6 +222,11 @@ export const useAudioSyncStore = create(
       status: 'Region removed'
     })),
     
+    setLoopRegions: (loop) => set({
+      loopRegions: loop,
+      status: loop ? 'Region looping enabled' : 'Region looping disabled'
+    }),
+    
     clearRegions: () => set({ 
       regions: [], 
       activeRegion: null,
@@ -159,15 +265,16 @@ export const useAudioSyncStore = create(
         'video/mkv', 'video/mov'
       ];
       
-      const maxSize = 500 * 1024 * 1024; // 500MB
+      // The server decides - until its limits arrive it will reject oversized uploads itself
+      const maxSize = get().uploadLimits?.maxFileSize;
       
       if (!validTypes.includes(file.type)) {
         set({ error: 'Invalid file type. Please upload audio or video files only.' });
         return false;
       }
       
-      if (file.size > maxSize) {
-        set({ error: 'File too large. Maximum size is 500MB.' });
+      if (maxSize && file.size > maxSize) {
+        set({ error: `File too large. Maximum size is ${Math.round(maxSize / (1024 * 1024))}MB.` });
         return false;
       }
       
@@ -191,16 +298,31 @@ export const useAudioSyncStore = create(
         zoomLevel: 100,
         audioFile: null,
         audioUrl: null,
+        mediaId: null,
+        mediaUploadState: 'idle',
         uploadProgress: 0,
+        uploadAbortController: null,
+        playlist: [],
+        playlistPosition: -1,
+        pendingPlaylistFiles: [],
+        mpvSessionId: null,
         mpvConnected: false,
+        mpvConnectionState: 'idle',
         mpvCurrentTime: 0,
         mpvDuration: 0,
         mpvPlaying: false,
+        mpvSpeed: 1.0,
+        mpvClock: null,
+        mpvTracks: [],
+        mpvChapters: [],
+        audioFilters: [],
+        seekRequest: null,
         syncMode: 'idle',
         syncAccuracy: 0,
         lastSyncTime: 0,
         activeRegion: null,
         regions: [],
+        loopRegions: true,
         loading: false,
         error: null,
         status: '🎯 Reset complete - Ready for ultimate audio sync!'
@@ -217,7 +339,7 @@ export const useAudioSyncStore = create(
         regionCount: state.regions.length,
         hasActiveRegion: !!state.activeRegion,
         mpvConnected: state.mpvConnected,
-        timeDrift: Math.abs(state.currentTime - state.mpvCurrentTime),
+        timeDrift: Math.abs(state.currentTime - state.getMpvTimeNow()),
         isOptimal: state.syncAccuracy < 0.05 && state.mpvConnected
       };
     }
@@ -244,7 +366,7 @@ useAudioSyncStore.subscribe(
     if (!current.mpvConnected) return;
     
     // Calculate real-time sync accuracy
-    const timeDrift = Math.abs(current.currentTime - current.mpvCurrentTime);
+    const timeDrift = Math.abs(current.currentTime - useAudioSyncStore.getState().getMpvTimeNow());
     const playStateDrift = current.isPlaying !== current.mpvPlaying;
     
     // Update sync accuracy if there's significant drift (but don't call updateSyncAccuracy to avoid loops)
@@ -0,0 +1,185 @@
+/**
+ * File: src/testUtils/simulatorServer.js
+ * Description: 🧪 Test helper - boots server/server.js with the MPV simulator in a throwaway directory
+ *
+ * Every server gets a free port and its own temporary uploads and socket directories
+ * (UPLOADS_DIR / MPV_SOCKET_DIR), so tests never touch server/uploads and a failed run
+ * leaves nothing behind in the working tree. stop() ends the server and removes them.
+ *
+ * Version History:
+ * v1.0.0 (2026-10-19) - Initial implementation
+ * v1.1.0 (2026-10-19) - files: seed the uploads directory before the server starts
+ * v1.2.0 (2026-10-19) - config: settings without an environment variable, as a config file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn, execFileSync } = require('child_process');
+
+const SERVER_SCRIPT = path.join(__dirname, '..', '..', 'server', 'server.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 🔌 A port nothing listens on right now
+const findFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// 🎵 Mono 16-bit PCM with random samples - unique content, so it never dedups against other media
+const createWav = (seconds, sampleRate = 8000) => {
+  const data = crypto.randomBytes(Math.round(seconds * sampleRate) * 2);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+/**
+ * Minimal HTTP client - resolves { status, headers, body } with a JSON body parsed.
+ * json sends a JSON body, multipart a { fileName, content } file field, raw a Buffer.
+ */
+const createRequest = (port) => (method, urlPath, { json, multipart, raw, headers: extraHeaders = {} } = {}) => (
+  new Promise((resolve, reject) => {
+    let payload = null;
+    const headers = { ...extraHeaders };
+
+    if (json !== undefined) {
+      payload = Buffer.from(JSON.stringify(json));
+      headers['content-type'] = 'application/json';
+    } else if (multipart) {
+      const boundary = `----e2e${crypto.randomBytes(8).toString('hex')}`;
+      payload = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${multipart.fileName}"\r\n` +
+          'Content-Type: application/octet-stream\r\n\r\n'),
+        multipart.content,
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+      ]);
+      headers['content-type'] = `multipart/form-data; boundary=${boundary}`;
+    } else if (raw) {
+      payload = raw;
+      headers['content-type'] = headers['content-type'] || 'application/octet-stream';
+    }
+    if (payload) headers['content-length'] = payload.length;
+
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        let body = text;
+        try {
+          body = JSON.parse(text);
+        } catch (error) {
+          // not JSON - keep the text
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  })
+);
+
+// Polls check() until it returns a truthy value (resolved with it) or the timeout passes
+const waitFor = async (check, { timeout = 10000, interval = 100 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await sleep(interval);
+  }
+};
+
+/**
+ * Starts the server; env adds or overrides environment variables (config.js names),
+ * config is written to a CONFIG_FILE for settings without one ({ mpv: { recovery: ... } }),
+ * files ({ name: content }) are written into the uploads directory before it boots.
+ * Resolves to { port, uploadsDir, request, simulatorPids, stop }.
+ */
+const startSimulatorServer = async ({ env = {}, config = {}, files = {} } = {}) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wavesurfer-e2e-'));
+  const uploadsDir = path.join(tempDir, 'uploads');
+  const socketDir = path.join(tempDir, 'sockets');
+  fs.mkdirSync(uploadsDir);
+  fs.mkdirSync(socketDir);
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(uploadsDir, name), content));
+  const configFile = path.join(tempDir, 'config.json');
+  fs.writeFileSync(configFile, JSON.stringify(config));
+
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    env: {
+      ...process.env,
+      MPV_SIMULATOR: '1',
+      PORT: String(port),
+      LOG_LEVEL: 'error',
+      UPLOADS_DIR: uploadsDir,
+      MPV_SOCKET_DIR: socketDir,
+      CONFIG_FILE: configFile, // Never a server/config.* from the working tree
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const request = createRequest(port);
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  };
+
+  // The simulated players this server spawned (its fakeMpv.js children)
+  const simulatorPids = () => execFileSync('ps', ['-A', '-o', 'pid=,ppid=,command='], { encoding: 'utf8' })
+    .split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(([pid, ppid, ...command]) => Number(ppid) === child.pid && command.join(' ').includes('fakeMpv.js'))
+    .map(([pid]) => Number(pid));
+
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+      try {
+        return (await request('GET', '/ping')).status === 200;
+      } catch (error) {
+        return false; // not listening yet
+      }
+    });
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  return { port, uploadsDir, request, simulatorPids, stop };
+};
+
+module.exports = {
+  createWav,
+  sleep,
+  startSimulatorServer,
+  waitFor
+};